@@ -0,0 +1,439 @@
+'use strict';
+(function () {
+  // Tables from JSON: every record becomes a row, nested objects become dotted column names
+  // ("address.city") and arrays are joined into one cell or exploded into extra rows.
+  // The reverse reads RFC 4180 CSV back into an array of records.
+  const DELIMITERS = { ',': 'comma', '\t': 'tab', ';': 'semicolon', '|': 'pipe' };
+  const QUOTING = ['minimal', 'all', 'strings'];
+  const HEADER_ORDER = ['first-seen', 'sorted', 'custom'];
+  // Exploding several arrays in one record multiplies its rows; past this many the conversion stops
+  const MAX_ROWS = 1000000;
+  const FILE_PATTERN = /\.(csv|tsv)$/i;
+  // Rows read to detect the delimiter
+  const SAMPLE_ROWS = 20;
+  const NUMBER = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/;
+
+  function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof window.JSONParser.LosslessNumber);
+  }
+
+  function isScalar(value) {
+    return !Array.isArray(value) && !isObject(value);
+  }
+
+  class RowLimitError extends Error {
+    constructor() {
+      super(`Exploding arrays would make more than ${MAX_ROWS.toLocaleString()} rows; join arrays into one cell instead`);
+      this.name = 'RowLimitError';
+    }
+  }
+
+  // A key with dots in its name and a nested key can flatten to the same column
+  class ColumnError extends Error {
+    constructor(column) {
+      super(`Two values of one record go in the column "${column}": a key with a dot in its name and a nested key make the same column; rename one of them`);
+      this.name = 'ColumnError';
+      this.column = column;
+    }
+  }
+
+  /**
+   * Flattens one record into rows of { column: value } with scalar values
+   * @param {*} record - Parsed record; a scalar is a row with a single "value" column
+   * @param {Object} options - { arrays: 'join' (default) | 'explode', joinWith }
+   * @returns {Array<Map>} Rows, keys in the order they appear in the record
+   * @throws {ColumnError} When two keys of the record flatten to the same column
+   */
+  function flatten(record, options = {}) {
+    const explode = options.arrays === 'explode';
+    const joinWith = options.joinWith === undefined ? '|' : options.joinWith;
+
+    // Each walk returns the rows one value contributes; combining siblings multiplies their rows
+    function walk(value, prefix) {
+      if (isObject(value)) {
+        // An empty object still has its column, like an empty array
+        if (prefix && !Object.keys(value).length) return [new Map([[prefix, null]])];
+        let rows = [new Map()];
+        Object.keys(value).forEach(key => {
+          const childRows = walk(value[key], prefix ? `${prefix}.${key}` : key);
+          if (rows.length * childRows.length > MAX_ROWS) throw new RowLimitError();
+          rows = rows.flatMap(row => childRows.map(child => {
+            child.forEach((cell, column) => {
+              if (row.has(column)) throw new ColumnError(column);
+            });
+            return new Map([...row, ...child]);
+          }));
+        });
+        return rows;
+      }
+      const column = prefix || 'value';
+      if (Array.isArray(value)) {
+        if (explode) {
+          if (!value.length) return [new Map([[column, null]])];
+          return value.flatMap(item => walk(item, prefix));
+        }
+        const cell = value.map(item => isScalar(item) ? cellText(item) : window.JSONParser.stringify(item)).join(joinWith);
+        return [new Map([[column, cell]])];
+      }
+      return [new Map([[column, value]])];
+    }
+
+    return walk(record, '');
+  }
+
+  function cellText(value) {
+    if (value === null || value === undefined) return '';
+    return String(value);
+  }
+
+  /**
+   * Writes one CSV field
+   * @param {*} value - Scalar value
+   * @param {Object} options - { delimiter, quoting: 'minimal' (RFC 4180: only when needed) | 'all' |
+   *   'strings' (every string, so numbers and booleans stay distinguishable) }
+   * @returns {string} Field text
+   */
+  function field(value, options) {
+    const text = cellText(value);
+    const needed = text.includes(options.delimiter) || /["\r\n]/.test(text) || text !== text.trim();
+    const quote = options.quoting === 'all' || needed || (options.quoting === 'strings' && typeof value === 'string');
+    return quote ? '"' + text.replace(/"/g, '""') + '"' : text;
+  }
+
+  /**
+   * Builds a table from records
+   * @param {Array} records - Parsed records
+   * @param {Object} options - { delimiter: ',' (default), '\t', ';' or '|'; quoting; arrays: 'join' | 'explode';
+   *   joinWith: separator for joined arrays ("|" by default); header: 'first-seen' (default) | 'sorted' |
+   *   'custom'; columns: with 'custom', the columns to put first; includeHeader (default true) }
+   * @returns {Object} { output, columns, rows: data row count }
+   */
+  function stringify(records, options = {}) {
+    const settings = {
+      delimiter: DELIMITERS[options.delimiter] ? options.delimiter : ',',
+      quoting: QUOTING.includes(options.quoting) ? options.quoting : 'minimal'
+    };
+    const rows = [];
+    records.forEach(record => {
+      const flat = flatten(record, options);
+      if (rows.length + flat.length > MAX_ROWS) throw new RowLimitError();
+      rows.push(...flat);
+    });
+
+    // The union of every row's columns, in the order they were first seen
+    const seen = new Set();
+    rows.forEach(row => row.forEach((value, column) => seen.add(column)));
+    let columns = Array.from(seen);
+    const order = HEADER_ORDER.includes(options.header) ? options.header : 'first-seen';
+    if (order === 'sorted') {
+      columns.sort((a, b) => a.localeCompare(b));
+    } else if (order === 'custom') {
+      const first = (options.columns || []).filter(column => column !== '');
+      columns = first.concat(columns.filter(column => !first.includes(column)));
+    }
+
+    if (!columns.length) return { output: '', columns, rows: rows.length };
+    const lines = [];
+    if (options.includeHeader !== false) lines.push(columns.map(column => field(column, settings)).join(settings.delimiter));
+    rows.forEach(row => {
+      lines.push(columns.map(column => field(row.has(column) ? row.get(column) : null, settings)).join(settings.delimiter));
+    });
+    // RFC 4180 ends every record with CRLF
+    return { output: lines.length ? lines.join('\r\n') + '\r\n' : '', columns, rows: rows.length };
+  }
+
+  /**
+   * Converts JSON text to CSV. A top-level array holds the records; any other value is one record.
+   * In NDJSON mode every line is a record.
+   * @param {string} text - JSON or NDJSON text
+   * @param {Object} options - stringify() options plus parse options (dialect, limits, ...)
+   * @returns {Object} { isValid: false, error, errorInfo, errors } when the text does not parse, { isValid: false,
+   *   error } when exploding makes too many rows or two keys make the same column, otherwise { isValid: true,
+   *   output, columns, rows, records }
+   */
+  function fromJSONText(text, options = {}) {
+    let records;
+    if (options.dialect === 'ndjson') {
+      const array = window.JSONLines.toArray(text, { ...options, indent: '' });
+      if (!array.isValid) {
+        return { isValid: false, error: array.error, errorInfo: array.errorInfo, errors: array.errors || [], lines: array.lines };
+      }
+      records = window.JSONParser.toValue(window.JSONParser.parse(array.output, { limits: options.limits }).ast, { lossless: true });
+    } else {
+      try {
+        window.JSONValidator.parse(text, options);
+      } catch (error) {
+        return {
+          isValid: false,
+          error: error.message,
+          errorInfo: error.errorInfo || window.JSONValidator.parseJSONError(error.message, text, options),
+          errors: error.errors || []
+        };
+      }
+      const doc = window.JSONParser.parse(text, { dialect: options.dialect, limits: options.limits, maxErrors: 1 });
+      // JSON.parse goes deeper than the recursive parser, which then stops with DEPTH_LIMIT
+      if (!doc.ast) return window.JSONValidator.syntaxFailure(doc.errors);
+      const value = window.JSONParser.toValue(doc.ast, { lossless: true });
+      records = Array.isArray(value) ? value : [value];
+    }
+
+    try {
+      const table = stringify(records, options);
+      return { isValid: true, ...table, records: records.length };
+    } catch (error) {
+      if (!(error instanceof RowLimitError) && !(error instanceof ColumnError)) throw error;
+      return { isValid: false, error: error.message };
+    }
+  }
+
+  class CSVError extends Error {
+    constructor(code, message, offset, line, column) {
+      super(message);
+      this.name = 'CSVError';
+      this.code = code;
+      this.offset = offset;
+      this.line = line;
+      this.column = column;
+    }
+  }
+
+  /**
+   * Splits CSV text into records. A field in double quotes may hold delimiters, line breaks and
+   * doubled quotes (""); lines may end with CRLF, LF or CR.
+   * @param {string} text - CSV text
+   * @param {string} delimiter - Field separator
+   * @param {number} limit - Stop after this many records
+   * @returns {Array<Object>} Records { fields: [{ text, quoted }], offset, line }
+   * @throws {CSVError} CSV_QUOTE for an unclosed quote or a quote where none can be
+   */
+  function parseRecords(text, delimiter, limit = Infinity) {
+    const records = [];
+    let line = 1;
+    let lineStart = 0;
+    let i = 0;
+    const fail = (message, offset) => {
+      throw new CSVError('CSV_QUOTE', message, offset, line, offset - lineStart + 1);
+    };
+    const breakLength = (at) => text[at] === '\r' ? (text[at + 1] === '\n' ? 2 : 1) : text[at] === '\n' ? 1 : 0;
+
+    while (i < text.length && records.length < limit) {
+      const record = { fields: [], offset: i, line };
+      let ended = false;
+      while (!ended) {
+        if (text[i] === '"') {
+          const open = i;
+          const openLine = line;
+          const openColumn = i - lineStart + 1;
+          let value = '';
+          i++;
+          for (;;) {
+            if (i >= text.length) {
+              throw new CSVError('CSV_QUOTE', 'This quoted field is never closed', open, openLine, openColumn);
+            }
+            if (text[i] === '"') {
+              if (text[i + 1] !== '"') break;
+              value += '"';
+              i += 2;
+              continue;
+            }
+            const length = breakLength(i);
+            if (length) {
+              value += text.slice(i, i + length);
+              i += length;
+              line++;
+              lineStart = i;
+              continue;
+            }
+            value += text[i++];
+          }
+          i++;
+          if (i < text.length && text[i] !== delimiter && !breakLength(i)) {
+            fail('A closing quote must be followed by the delimiter or the end of the line', i);
+          }
+          record.fields.push({ text: value, quoted: true });
+        } else {
+          const start = i;
+          while (i < text.length && text[i] !== delimiter && !breakLength(i)) {
+            if (text[i] === '"') fail('A quote inside a field that is not in quotes; quote the whole field and double the quote ("")', i);
+            i++;
+          }
+          record.fields.push({ text: text.slice(start, i), quoted: false });
+        }
+        if (text[i] === delimiter) {
+          i++;
+          continue;
+        }
+        const length = breakLength(i);
+        i += length;
+        if (length) {
+          line++;
+          lineStart = i;
+        }
+        ended = true;
+      }
+      records.push(record);
+    }
+    return records;
+  }
+
+  function isBlank(record) {
+    return record.fields.length === 1 && !record.fields[0].quoted && record.fields[0].text === '';
+  }
+
+  /**
+   * Guesses the delimiter: the candidate that splits the first rows into the same number of
+   * fields, and the most of them
+   * @param {string} text - CSV text
+   * @returns {string} One of the DELIMITERS; a comma when nothing splits the rows
+   */
+  function detectDelimiter(text) {
+    let best = ',';
+    let bestFields = 1;
+    Object.keys(DELIMITERS).forEach(delimiter => {
+      let records;
+      try {
+        records = parseRecords(text, delimiter, SAMPLE_ROWS).filter(record => !isBlank(record));
+      } catch (error) {
+        if (!(error instanceof CSVError)) throw error;
+        return;
+      }
+      if (!records.length) return;
+      const fields = records[0].fields.length;
+      if (fields > bestFields && records.every(record => record.fields.length === fields)) {
+        best = delimiter;
+        bestFields = fields;
+      }
+    });
+    return best;
+  }
+
+  // Unquoted cells are typed: empty and "null" are null, "true"/"false" booleans and JSON numbers
+  // numbers, kept digit for digit. Quoted cells are always text, so "007" or "true" can be kept.
+  function inferCell(field) {
+    if (field.quoted) return field.text;
+    const text = field.text;
+    if (text === '' || text === 'null') return null;
+    if (text === 'true') return true;
+    if (text === 'false') return false;
+    if (NUMBER.test(text)) return new window.JSONParser.LosslessNumber(text);
+    return text;
+  }
+
+  function setKey(object, key, value) {
+    // defineProperty, so that a "__proto__" column is an ordinary key
+    Object.defineProperty(object, key, { value, enumerable: true, writable: true, configurable: true });
+  }
+
+  /**
+   * Where each column goes in a record: dotted names nest ("address.city"), unless another column
+   * already holds a value at one of the parents or a part of the name is empty
+   * @param {Array<string>} header - Column names
+   * @returns {Array<Array<string>>} Key path of each column
+   */
+  function columnPaths(header) {
+    const names = new Set(header);
+    return header.map(name => {
+      const parts = name.split('.');
+      const nested = parts.length > 1 && parts.every(part => part !== '') &&
+        parts.slice(1).every((part, i) => !names.has(parts.slice(0, i + 1).join('.')));
+      return nested ? parts : [name];
+    });
+  }
+
+  /**
+   * Reads CSV or TSV text into an array of records, one per row after the header row
+   * @param {string} text - CSV text
+   * @param {Object} options - { delimiter: one of DELIMITERS, detected when missing; indentation: 2 (default),
+   *   a number of spaces or 'tab'; limits }
+   * @returns {Object} { isValid: true, output, rows, columns, delimiter } or { isValid: false, error, errorInfo:
+   *   { code, message, line, column, position }, errors } where code is CSV_QUOTE, CSV_HEADER, CSV_FIELD_COUNT
+   *   or one of the limit codes
+   */
+  function toJSONText(text, options = {}) {
+    const source = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+    const delimiter = DELIMITERS[options.delimiter] ? options.delimiter : detectDelimiter(source);
+    const failure = (code, message, offset, line, column) => ({
+      isValid: false,
+      error: message,
+      // Positions are in the text as given, byte order mark included
+      errorInfo: { code, message, line, column, position: offset + text.length - source.length },
+      errors: []
+    });
+
+    let records;
+    try {
+      records = parseRecords(source, delimiter).filter(record => !isBlank(record));
+    } catch (error) {
+      if (!(error instanceof CSVError)) throw error;
+      return failure(error.code, error.message, error.offset, error.line, error.column);
+    }
+    if (!records.length) return failure('CSV_HEADER', 'There is no header row', 0, 1, 1);
+
+    const header = records[0].fields.map(field => field.text);
+    const duplicate = header.find((name, i) => header.indexOf(name) !== i);
+    if (duplicate !== undefined) {
+      return failure('CSV_HEADER', `The column "${duplicate}" is named twice`, records[0].offset, records[0].line, 1);
+    }
+    const paths = columnPaths(header);
+
+    const values = [];
+    for (const record of records.slice(1)) {
+      if (record.fields.length !== header.length) {
+        const count = record.fields.length;
+        return failure('CSV_FIELD_COUNT', `This row has ${count} field${count !== 1 ? 's' : ''}, but the header has ${header.length}`,
+          record.offset, record.line, 1);
+      }
+      const value = {};
+      record.fields.forEach((field, i) => {
+        const path = paths[i];
+        let target = value;
+        path.slice(0, -1).forEach(key => {
+          if (!Object.prototype.hasOwnProperty.call(target, key)) setKey(target, key, {});
+          target = target[key];
+        });
+        setKey(target, path[path.length - 1], inferCell(field));
+      });
+      values.push(value);
+    }
+    // Dotted headers can nest deeper than the limits allow; the error goes on the row it was found in
+    const problem = window.JSONParser.checkLimits(values, options.limits);
+    if (problem) {
+      const row = window.JSONParser.parsePointer(problem.pointer)[0];
+      const record = row === undefined ? records[0] : records[Number(row) + 1];
+      return failure(problem.code, problem.message, record.offset, record.line, 1);
+    }
+
+    const indent = window.JSONValidator.getIndentString(options.indentation);
+    return {
+      isValid: true,
+      output: window.JSONParser.stringify(values, null, indent),
+      rows: values.length,
+      columns: header.length,
+      delimiter
+    };
+  }
+
+  /**
+   * Check whether a file name is a CSV or TSV table
+   * @param {string} name - File name
+   * @returns {boolean}
+   */
+  function isTableFile(name) {
+    return FILE_PATTERN.test(name || '');
+  }
+
+  // Expose API
+  window.JSONCSV = {
+    flatten,
+    stringify,
+    fromJSONText,
+    parseRecords,
+    detectDelimiter,
+    toJSONText,
+    isTableFile,
+    DELIMITERS,
+    QUOTING,
+    HEADER_ORDER,
+    MAX_ROWS
+  };
+})();
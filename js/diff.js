@@ -0,0 +1,412 @@
+'use strict';
+(function () {
+  // Structural comparison of two JSON documents. Key order and formatting never count as changes;
+  // array elements are paired by position, by an id property or by longest common subsequence.
+  const STRATEGIES = ['index', 'id', 'lcs'];
+  const DEFAULT_ID_KEY = 'id';
+  // Above this many element pairs the LCS table gets too big; the differing middle is paired by position
+  const MAX_LCS_CELLS = 4000000;
+
+  function isNumber(value) {
+    return typeof value === 'number' || value instanceof window.JSONParser.LosslessNumber;
+  }
+
+  function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !isNumber(value);
+  }
+
+  // Numbers compare by value, so 1.0 and 1 are the same; integers are compared exactly, so that two
+  // 64-bit IDs that round to the same double still differ
+  function numberKey(value) {
+    const text = String(value);
+    return /^-?\d+$/.test(text) ? BigInt(text).toString() : String(Number(text));
+  }
+
+  function hasOwn(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+  }
+
+  /**
+   * Deep equality of parsed JSON values, ignoring key order
+   * @param {*} a - First value, possibly with LosslessNumber leaves
+   * @param {*} b - Second value
+   * @returns {boolean} Whether both hold the same data
+   */
+  function equal(a, b) {
+    if (a === b) return true;
+    if (isNumber(a) || isNumber(b)) return isNumber(a) && isNumber(b) && numberKey(a) === numberKey(b);
+    if (Array.isArray(a)) {
+      return Array.isArray(b) && a.length === b.length && a.every((item, i) => equal(item, b[i]));
+    }
+    if (isObject(a)) {
+      if (!isObject(b)) return false;
+      const keys = Object.keys(a);
+      return keys.length === Object.keys(b).length && keys.every(key => hasOwn(b, key) && equal(a[key], b[key]));
+    }
+    return false;
+  }
+
+  // Compact JSON with sorted keys, so that equal values give equal strings
+  function canonical(value) {
+    if (Array.isArray(value)) return '[' + value.map(canonical).join(',') + ']';
+    if (isObject(value)) {
+      return '{' + Object.keys(value).sort().map(key => JSON.stringify(key) + ':' + canonical(value[key])).join(',') + '}';
+    }
+    return isNumber(value) ? numberKey(value) : JSON.stringify(value);
+  }
+
+  // Pairs a stretch of elements position by position; the longer side's extra elements are removed or added
+  function byIndex(leftStart, leftEnd, rightStart, rightEnd) {
+    const pairs = [];
+    const common = Math.min(leftEnd - leftStart, rightEnd - rightStart);
+    for (let k = 0; k < common; k++) pairs.push([leftStart + k, rightStart + k]);
+    for (let i = leftStart + common; i < leftEnd; i++) pairs.push([i, -1]);
+    for (let j = rightStart + common; j < rightEnd; j++) pairs.push([-1, j]);
+    return pairs;
+  }
+
+  // Equal elements are kept in order; the stretches between them are paired by position,
+  // so an element that was edited shows as a change inside it rather than a removal and an addition
+  function byLCS(left, right) {
+    const a = left.map(canonical);
+    const b = right.map(canonical);
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+      endA--;
+      endB--;
+    }
+
+    const pairs = [];
+    for (let k = 0; k < start; k++) pairs.push([k, k]);
+    const n = endA - start;
+    const m = endB - start;
+    if (n * m > MAX_LCS_CELLS) {
+      pairs.push(...byIndex(start, endA, start, endB));
+    } else {
+      // table[i][j]: length of the LCS of a[start + i..endA) and b[start + j..endB)
+      const table = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+      for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+          table[i][j] = a[start + i] === b[start + j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+        }
+      }
+      let i = 0;
+      let j = 0;
+      let gapI = 0;
+      let gapJ = 0;
+      while (i < n && j < m) {
+        if (a[start + i] === b[start + j]) {
+          pairs.push(...byIndex(start + gapI, start + i, start + gapJ, start + j), [start + i, start + j]);
+          i++;
+          j++;
+          gapI = i;
+          gapJ = j;
+        } else if (table[i + 1][j] >= table[i][j + 1]) {
+          i++;
+        } else {
+          j++;
+        }
+      }
+      pairs.push(...byIndex(start + gapI, endA, start + gapJ, endB));
+    }
+    for (let k = 0; k < a.length - endA; k++) pairs.push([endA + k, endB + k]);
+    return pairs;
+  }
+
+  function idOf(item, key) {
+    const id = isObject(item) ? item[key] : undefined;
+    if (isNumber(id)) return 'number:' + numberKey(id);
+    return typeof id === 'string' || typeof id === 'boolean' ? typeof id + ':' + id : null;
+  }
+
+  // Elements with the same id are partners wherever they moved, so reordering is not a change.
+  // Elements without an id, or whose id is not unique, are paired by position among themselves.
+  function byId(left, right, key) {
+    const count = (items) => {
+      const counts = new Map();
+      items.forEach(item => {
+        const id = idOf(item, key);
+        if (id !== null) counts.set(id, (counts.get(id) || 0) + 1);
+      });
+      return counts;
+    };
+    const leftCounts = count(left);
+    const rightCounts = count(right);
+    const unique = (id) => id !== null && leftCounts.get(id) === 1 && rightCounts.get(id) === 1;
+    const rightById = new Map();
+    right.forEach((item, j) => {
+      const id = idOf(item, key);
+      if (unique(id)) rightById.set(id, j);
+    });
+
+    const partner = new Array(left.length).fill(-1);
+    const taken = new Array(right.length).fill(false);
+    left.forEach((item, i) => {
+      const j = rightById.get(idOf(item, key));
+      if (j !== undefined) {
+        partner[i] = j;
+        taken[j] = true;
+      }
+    });
+    const loose = (items, skip) => items.map((item, k) => k).filter(k => !skip(k) && idOf(items[k], key) === null);
+    const looseLeft = loose(left, i => partner[i] !== -1);
+    const looseRight = loose(right, j => taken[j]);
+    for (let k = 0; k < Math.min(looseLeft.length, looseRight.length); k++) {
+      partner[looseLeft[k]] = looseRight[k];
+      taken[looseRight[k]] = true;
+    }
+
+    // In the order of the right side, with removed elements placed before the next partner that followed them
+    const leftOf = new Map();
+    partner.forEach((j, i) => {
+      if (j !== -1) leftOf.set(j, i);
+    });
+    const pairs = [];
+    let nextRemoved = 0;
+    const flushRemoved = (before) => {
+      for (; nextRemoved < before; nextRemoved++) {
+        if (partner[nextRemoved] === -1) pairs.push([nextRemoved, -1]);
+      }
+    };
+    right.forEach((item, j) => {
+      if (!leftOf.has(j)) {
+        pairs.push([-1, j]);
+        return;
+      }
+      const i = leftOf.get(j);
+      flushRemoved(i);
+      pairs.push([i, j]);
+    });
+    flushRemoved(left.length);
+    return pairs;
+  }
+
+  function pairItems(left, right, options) {
+    if (options.arrays === 'index') return byIndex(0, left.length, 0, right.length);
+    if (options.arrays === 'id') return byId(left, right, options.idKey || DEFAULT_ID_KEY);
+    return byLCS(left, right);
+  }
+
+  /**
+   * Compares two parsed values into a tree of differences
+   * @param {*} left - Original value; numbers may be LosslessNumber instances
+   * @param {*} right - Changed value
+   * @param {Object} options - { arrays: 'index'|'id'|'lcs' (default), idKey: property that identifies
+   *   array elements with 'id' (default "id") }
+   * @returns {Object} Delta node with leftPath and rightPath (arrays of keys and indexes) and a type:
+   *   'same' or 'change' (with left and right values), 'remove' (left), 'add' (right),
+   *   'object' (entries: [{ key, delta }]) or 'array' (items: [delta]). An added value's leftPath and a
+   *   removed value's rightPath are those of the container on the side where it is missing.
+   */
+  function compare(left, right, options = {}, leftPath = [], rightPath = []) {
+    if (equal(left, right)) return { type: 'same', left, right, leftPath, rightPath };
+    if (isObject(left) && isObject(right)) {
+      const entries = Object.keys(left).map(key => ({
+        key,
+        delta: hasOwn(right, key)
+          ? compare(left[key], right[key], options, leftPath.concat([key]), rightPath.concat([key]))
+          : { type: 'remove', left: left[key], leftPath: leftPath.concat([key]), rightPath }
+      }));
+      Object.keys(right).forEach(key => {
+        if (!hasOwn(left, key)) entries.push({ key, delta: { type: 'add', right: right[key], leftPath, rightPath: rightPath.concat([key]) } });
+      });
+      return { type: 'object', entries, leftPath, rightPath };
+    }
+    if (Array.isArray(left) && Array.isArray(right)) {
+      const items = pairItems(left, right, options).map(([i, j]) => {
+        if (j === -1) return { type: 'remove', left: left[i], leftPath: leftPath.concat([i]), rightPath };
+        if (i === -1) return { type: 'add', right: right[j], leftPath, rightPath: rightPath.concat([j]) };
+        return compare(left[i], right[j], options, leftPath.concat([i]), rightPath.concat([j]));
+      });
+      return { type: 'array', items, leftPath, rightPath };
+    }
+    return { type: 'change', left, right, leftPath, rightPath };
+  }
+
+  function children(delta) {
+    return delta.type === 'object' ? delta.entries.map(entry => entry.delta) : delta.type === 'array' ? delta.items : [];
+  }
+
+  /**
+   * The leaves of a delta tree: every added, removed and changed value, depth first
+   * @param {Object} delta - Result of compare()
+   * @returns {Array} [{ type: 'add'|'remove'|'change', leftPointer, rightPointer, left, right }]
+   */
+  function changesOf(delta, changes = []) {
+    if (delta.type === 'add' || delta.type === 'remove' || delta.type === 'change') {
+      changes.push({
+        type: delta.type,
+        leftPointer: window.JSONParser.toPointer(delta.leftPath),
+        rightPointer: window.JSONParser.toPointer(delta.rightPath),
+        left: delta.left,
+        right: delta.right
+      });
+    }
+    children(delta).forEach(child => changesOf(child, changes));
+    return changes;
+  }
+
+  /**
+   * Lays out both documents line by line so that matching parts sit side by side. Keys keep the
+   * left document's order, with keys only on the right after them.
+   * @param {Object} delta - Result of compare()
+   * @returns {Array} Rows { type: 'same'|'add'|'remove'|'change', left, right, leftPointer, rightPointer, change }
+   *   where left/right are lines of text (null where the side has nothing), pointers are set on the first
+   *   line of each value and change is the changesOf() index, set on the first line of a change
+   */
+  function render(delta) {
+    const rows = [];
+    let changeIndex = 0;
+
+    function valueLines(value, indent, label, comma) {
+      const lines = window.JSONParser.stringify(value, null, 2).split('\n');
+      return lines.map((line, k) => (k === 0 ? indent + label : indent) + line + (k === lines.length - 1 ? comma : ''));
+    }
+
+    function pairRows(type, node, leftLines, rightLines) {
+      const first = rows.length;
+      for (let k = 0; k < Math.max(leftLines.length, rightLines.length); k++) {
+        rows.push({ type, left: k < leftLines.length ? leftLines[k] : null, right: k < rightLines.length ? rightLines[k] : null });
+      }
+      if (leftLines.length) rows[first].leftPointer = window.JSONParser.toPointer(node.leftPath);
+      if (rightLines.length) rows[first].rightPointer = window.JSONParser.toPointer(node.rightPath);
+      if (type !== 'same') rows[first].change = changeIndex++;
+    }
+
+    function emit(node, indent, label, leftComma, rightComma) {
+      if (node.type === 'same' || node.type === 'change') {
+        pairRows(node.type, node, valueLines(node.left, indent, label, leftComma), valueLines(node.right, indent, label, rightComma));
+        return;
+      }
+      if (node.type === 'remove') {
+        pairRows('remove', node, valueLines(node.left, indent, label, leftComma), []);
+        return;
+      }
+      if (node.type === 'add') {
+        pairRows('add', node, [], valueLines(node.right, indent, label, rightComma));
+        return;
+      }
+      const [open, close] = node.type === 'object' ? ['{', '}'] : ['[', ']'];
+      pairRows('same', node, [indent + label + open], [indent + label + open]);
+      const members = node.type === 'object'
+        ? node.entries.map(entry => ({ label: JSON.stringify(entry.key) + ': ', delta: entry.delta }))
+        : node.items.map(item => ({ label: '', delta: item }));
+      let lastLeft = -1;
+      let lastRight = -1;
+      members.forEach((member, k) => {
+        if (member.delta.type !== 'add') lastLeft = k;
+        if (member.delta.type !== 'remove') lastRight = k;
+      });
+      members.forEach((member, k) => emit(member.delta, indent + '  ', member.label, k < lastLeft ? ',' : '', k < lastRight ? ',' : ''));
+      rows.push({ type: 'same', left: indent + close + leftComma, right: indent + close + rightComma });
+    }
+
+    emit(delta, '', '', '', '');
+    return rows;
+  }
+
+  /**
+   * One-column layout of render() rows: a change's removed lines come before its added lines
+   * @param {Array} rows - From render()
+   * @returns {Array} [{ type: 'same'|'add'|'remove', text, pointer, line, side: 'left'|'right', change }]
+   *   where unchanged lines are the right side's text and point into the left document
+   */
+  function toUnified(rows) {
+    const lines = [];
+    let pendingAdds = [];
+    const flush = () => {
+      lines.push(...pendingAdds);
+      pendingAdds = [];
+    };
+    rows.forEach(row => {
+      if (row.type === 'same') {
+        flush();
+        // The right side's commas fit the added lines around it
+        lines.push({ type: 'same', text: row.right, pointer: row.leftPointer, line: row.leftLine, side: 'left' });
+        return;
+      }
+      if (row.change !== undefined) flush();
+      if (row.left !== null) {
+        lines.push({ type: 'remove', text: row.left, pointer: row.leftPointer, line: row.leftLine, side: 'left', change: row.change });
+      }
+      if (row.right !== null) {
+        // A change that only adds lines is marked on its first added line
+        const change = row.left === null ? row.change : undefined;
+        pendingAdds.push({ type: 'add', text: row.right, pointer: row.rightPointer, line: row.rightLine, side: 'right', change });
+      }
+    });
+    flush();
+    return lines;
+  }
+
+  // Parses like the rest of the app, keeping the syntax tree for locating changes
+  function read(text, options) {
+    try {
+      window.JSONValidator.parse(text, options);
+    } catch (error) {
+      return {
+        failure: {
+          isValid: false,
+          error: error.message,
+          errorInfo: error.errorInfo || window.JSONValidator.parseJSONError(error.message, text, options),
+          errors: error.errors || []
+        }
+      };
+    }
+    const doc = window.JSONParser.parse(text, { dialect: options.dialect, limits: options.limits, maxErrors: 1 });
+    // JSON.parse goes deeper than the recursive parser, which then stops with DEPTH_LIMIT
+    if (!doc.ast) return { failure: window.JSONValidator.syntaxFailure(doc.errors) };
+    return { doc, value: window.JSONParser.toValue(doc.ast, { lossless: true }) };
+  }
+
+  function locate(doc, pointer) {
+    const found = window.JSONParser.findNode(doc.ast, pointer);
+    if (!found) return null;
+    const start = found.key || found.node;
+    const { line, column } = window.JSONParser.positionAt(doc.lineStarts, start.start);
+    return { offset: start.start, length: found.node.end - start.start, line, column };
+  }
+
+  /**
+   * Compares two documents
+   * @param {string} leftText - Original document
+   * @param {string} rightText - Changed document
+   * @param {Object} options - compare() options plus parse options (dialect, limits, ...) for both texts
+   * @returns {Object} { isValid: false, side: 'left'|'right', error, errorInfo, errors } when a text does not
+   *   parse, otherwise { isValid: true, equal, arrays, counts: { added, removed, changed }, changes, rows } with
+   *   changes from changesOf() and rows from render(). Each change adds leftLocation/rightLocation and each row
+   *   leftLine/rightLine, positions in the original texts; an added value's left location is its container.
+   */
+  function compareText(leftText, rightText, options = {}) {
+    // NDJSON has no single value to compare; each text is read as one document
+    const parseOptions = options.dialect === 'ndjson' ? { ...options, dialect: 'json' } : options;
+    const left = read(leftText, parseOptions);
+    if (left.failure) return { ...left.failure, side: 'left' };
+    const right = read(rightText, parseOptions);
+    if (right.failure) return { ...right.failure, side: 'right' };
+
+    const arrays = STRATEGIES.includes(options.arrays) ? options.arrays : 'lcs';
+    const delta = compare(left.value, right.value, { arrays, idKey: options.idKey });
+    const changes = changesOf(delta).map(change => ({
+      ...change,
+      leftLocation: locate(left.doc, change.leftPointer),
+      rightLocation: locate(right.doc, change.rightPointer)
+    }));
+    const rows = render(delta);
+    rows.forEach(row => {
+      if (row.leftPointer !== undefined) row.leftLine = (locate(left.doc, row.leftPointer) || {}).line;
+      if (row.rightPointer !== undefined) row.rightLine = (locate(right.doc, row.rightPointer) || {}).line;
+    });
+    const counts = { added: 0, removed: 0, changed: 0 };
+    changes.forEach(change => {
+      counts[{ add: 'added', remove: 'removed', change: 'changed' }[change.type]]++;
+    });
+    return { isValid: true, equal: changes.length === 0, arrays, counts, changes, rows };
+  }
+
+  // Expose API
+  window.JSONDiff = { compare, compareText, changesOf, render, toUnified, equal, canonical, STRATEGIES, DEFAULT_ID_KEY };
+})();
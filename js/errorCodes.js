@@ -0,0 +1,428 @@
+'use strict';
+(function () {
+  const DOCS_PAGE = 'blog/common-json-errors.html';
+
+  // One entry per code the parser reports. `title` is the fixed wording shown next to the
+  // code; the parser's own message adds the specifics (which token, which key). `heading`
+  // replaces "Invalid JSON" for problems that are not syntax errors.
+  const CODES = {
+    UNEXPECTED_TOKEN: {
+      title: 'Unexpected token',
+      explanation: 'The parser found a character where it cannot appear, often a closing bracket with no matching opener.',
+      example: { before: '{"items": [1, 2]]}', after: '{"items": [1, 2]}' },
+      anchor: 'mismatched-brackets'
+    },
+    UNEXPECTED_END: {
+      title: 'Unexpected end of input',
+      explanation: 'The text stops before the document is complete. It may have been cut off or a closing bracket is missing.',
+      example: { before: '{"name": "John", "tags": ', after: '{"name": "John", "tags": []}' },
+      anchor: 'mismatched-brackets'
+    },
+    VALUE_EXPECTED: {
+      title: 'Value expected',
+      explanation: 'A value is missing, for example between two commas or after a colon.',
+      example: { before: '{"a": , "b": [1,, 2]}', after: '{"a": null, "b": [1, 2]}' },
+      anchor: 'missing-commas'
+    },
+    PROPERTY_NAME_EXPECTED: {
+      title: 'Property name expected',
+      explanation: 'Object keys must be strings in double quotes.',
+      example: { before: '{name: "John"}', after: '{"name": "John"}' },
+      anchor: 'unquoted-keys'
+    },
+    MISSING_COLON: {
+      title: 'Missing colon',
+      explanation: 'Each key must be followed by a colon and then its value.',
+      example: { before: '{"name" "John"}', after: '{"name": "John"}' },
+      anchor: 'missing-colon'
+    },
+    MISSING_COMMA: {
+      title: 'Missing comma',
+      explanation: 'Items in arrays and members of objects must be separated by commas.',
+      example: { before: '{"a": 1 "b": 2}', after: '{"a": 1, "b": 2}' },
+      anchor: 'missing-commas'
+    },
+    TRAILING_COMMA: {
+      title: 'Trailing comma',
+      explanation: 'JSON does not allow a comma after the last item of an object or array.',
+      example: { before: '{"a": 1, "b": 2,}', after: '{"a": 1, "b": 2}' },
+      anchor: 'trailing-commas'
+    },
+    UNCLOSED_OBJECT: {
+      title: 'Unclosed object',
+      explanation: "An object opened with '{' is never closed with '}', or a ']' appears where '}' belongs.",
+      example: { before: '{"user": {"id": 1}', after: '{"user": {"id": 1}}' },
+      anchor: 'mismatched-brackets'
+    },
+    UNCLOSED_ARRAY: {
+      title: 'Unclosed array',
+      explanation: "An array opened with '[' is never closed with ']', or a '}' appears where ']' belongs.",
+      example: { before: '{"items": ["apple", "banana"}', after: '{"items": ["apple", "banana"]}' },
+      anchor: 'mismatched-brackets'
+    },
+    EXTRA_DATA: {
+      title: 'Content after the root value',
+      explanation: 'A JSON document holds exactly one value. Wrap several values in an array instead.',
+      example: { before: '{"id": 1} {"id": 2}', after: '[{"id": 1}, {"id": 2}]' },
+      anchor: 'extra-data'
+    },
+    UNTERMINATED_STRING: {
+      title: 'Unterminated string',
+      explanation: 'A string has no closing double quote before the end of the line. Strings cannot span lines; use \\n for a line break.',
+      example: { before: '{"message": "Hello}', after: '{"message": "Hello"}' },
+      anchor: 'string-escaping'
+    },
+    INVALID_ESCAPE: {
+      title: 'Invalid escape sequence',
+      explanation: 'Only \\" \\\\ \\/ \\b \\f \\n \\r \\t and \\uXXXX are valid escapes. Write a literal backslash as \\\\.',
+      example: { before: '{"path": "C:\\data"}', after: '{"path": "C:\\\\data"}' },
+      anchor: 'string-escaping'
+    },
+    CONTROL_CHARACTER: {
+      title: 'Unescaped control character',
+      explanation: 'Tabs, line breaks and other control characters inside a string must be escaped, such as \\t or \\n.',
+      example: { before: '{"text": "one\ttwo"}', after: '{"text": "one\\ttwo"}' },
+      anchor: 'string-escaping'
+    },
+    SINGLE_QUOTED_STRING: {
+      title: 'Single-quoted string',
+      explanation: 'JSON strings and keys must use double quotes.',
+      example: { before: "{'name': 'John'}", after: '{"name": "John"}' },
+      anchor: 'single-quotes'
+    },
+    INVALID_NUMBER: {
+      title: 'Invalid number',
+      explanation: 'Numbers cannot have leading zeros, a leading + or ., a trailing ., or hexadecimal digits, and NaN and Infinity are not allowed.',
+      example: { before: '{"price": .5, "count": 007}', after: '{"price": 0.5, "count": 7}' },
+      anchor: 'invalid-numbers'
+    },
+    INVALID_LITERAL: {
+      title: 'Invalid literal',
+      explanation: 'Bare words must be exactly true, false or null in lowercase. Anything else needs double quotes.',
+      example: { before: '{"active": True, "middleName": None}', after: '{"active": true, "middleName": null}' },
+      anchor: 'invalid-booleans'
+    },
+    COMMENT_NOT_ALLOWED: {
+      title: 'Comment not allowed',
+      explanation: 'Standard JSON has no comments. Remove them or choose the JSONC or JSON5 input dialect.',
+      example: { before: '{\n  // user id\n  "id": 1\n}', after: '{\n  "id": 1\n}' },
+      anchor: 'comments'
+    },
+    UNTERMINATED_COMMENT: {
+      title: 'Unterminated comment',
+      explanation: 'A block comment opened with /* is never closed with */.',
+      example: { before: '{/* note "id": 1}', after: '{/* note */ "id": 1}' },
+      anchor: 'comments'
+    },
+    DUPLICATE_KEY: {
+      title: 'Duplicate key',
+      explanation: 'The same key appears twice in one object. Most parsers silently keep the last value.',
+      example: { before: '{"id": 1, "id": 2}', after: '{"id": 2}' },
+      anchor: 'duplicate-keys'
+    },
+    UNSAFE_INTEGER: {
+      title: 'Unsafe integer',
+      explanation: 'Integers beyond ±9007199254740991 lose precision in JavaScript. Send large IDs as strings.',
+      example: { before: '{"id": 12345678901234567890}', after: '{"id": "12345678901234567890"}' },
+      anchor: 'invalid-numbers'
+    },
+    NUMBER_OUT_OF_RANGE: {
+      title: 'Number out of range',
+      explanation: 'The number is too large to represent and becomes Infinity in most parsers.',
+      example: { before: '{"value": 1e400}', after: '{"value": "1e400"}' },
+      anchor: 'invalid-numbers'
+    },
+    NON_FINITE_NUMBER: {
+      title: 'Infinity or NaN',
+      explanation: 'JSON5 allows Infinity and NaN, but strict JSON has no way to write them, so converting to JSON turns them into null.',
+      example: { before: '{"limit": Infinity}', after: '{"limit": null}' },
+      anchor: 'invalid-numbers'
+    },
+    BYTE_ORDER_MARK: {
+      title: 'Byte order mark',
+      heading: 'Suspicious character',
+      explanation: 'The text starts with U+FEFF, an invisible marker some editors add. JSON.parse and many servers reject it.',
+      example: { before: '⟨U+FEFF⟩{"id": 1}', after: '{"id": 1}' },
+      anchor: 'invisible-characters'
+    },
+    BOM_IN_TEXT: {
+      title: 'Byte order mark inside the text',
+      heading: 'Suspicious character',
+      explanation: 'U+FEFF appears after the start, usually because files were joined or text was pasted from another document.',
+      example: { before: '{"id": 1,⟨U+FEFF⟩ "name": "Ann"}', after: '{"id": 1, "name": "Ann"}' },
+      anchor: 'invisible-characters'
+    },
+    INVISIBLE_CHARACTER: {
+      title: 'Invisible character',
+      heading: 'Suspicious character',
+      explanation: 'A zero-width, soft hyphen or text-direction character is hidden in the text. Chat tools and web pages often add them when copying.',
+      example: { before: '{"id":⟨U+200B⟩ 1}', after: '{"id": 1}' },
+      anchor: 'invisible-characters'
+    },
+    UNICODE_SPACE: {
+      title: 'Non-ASCII space',
+      heading: 'Suspicious character',
+      explanation: 'JSON only allows space, tab, carriage return and line feed between tokens. A no-break or other Unicode space looks the same but is rejected.',
+      example: { before: '{"id":⟨U+00A0⟩1}', after: '{"id": 1}' },
+      anchor: 'invisible-characters'
+    },
+    CONFUSABLE_QUOTE: {
+      title: 'Curly quote',
+      heading: 'Suspicious character',
+      explanation: 'Word processors and chat tools replace straight quotes with curly ones. JSON strings need the straight double quote (").',
+      example: { before: '{“name”: “John”}', after: '{"name": "John"}' },
+      anchor: 'invisible-characters'
+    },
+    CONFUSABLE_PUNCTUATION: {
+      title: 'Full-width punctuation',
+      heading: 'Suspicious character',
+      explanation: 'Full-width brackets, colons and commas from CJK input methods look like JSON punctuation but are different characters.',
+      example: { before: '{"id"：1，"ok"：true}', after: '{"id": 1, "ok": true}' },
+      anchor: 'invisible-characters'
+    },
+    LONE_SURROGATE: {
+      title: 'Unpaired surrogate',
+      heading: 'Suspicious character',
+      explanation: 'Characters outside the Basic Multilingual Plane, such as emoji, are written as a pair of surrogates. Half a pair is not a character, and strict decoders reject it.',
+      example: { before: '{"emoji": "\\uD83D"}', after: '{"emoji": "\\uD83D\\uDE00"}' },
+      anchor: 'invisible-characters'
+    },
+    REPLACEMENT_CHARACTER: {
+      title: 'Replacement character',
+      heading: 'Suspicious character',
+      explanation: 'U+FFFD marks bytes that could not be decoded, so the original text is lost. Check the file encoding at the source.',
+      example: { before: '{"city": "M�nchen"}', after: '{"city": "München"}' },
+      anchor: 'invisible-characters'
+    },
+    NUMBER_PRECISION: {
+      title: 'More precision than a double',
+      heading: 'Not I-JSON',
+      explanation: 'The number has more significant digits than an IEEE 754 double keeps, so most parsers silently round it. Send exact decimals as strings.',
+      example: { before: '{"pi": 3.14159265358979323846}', after: '{"pi": "3.14159265358979323846"}' },
+      anchor: 'interoperability'
+    },
+    NONCHARACTER: {
+      title: 'Unicode noncharacter',
+      heading: 'Not I-JSON',
+      explanation: 'Code points such as U+FFFE, U+FFFF and U+FDD0–U+FDEF are reserved for internal use and must not appear in interchanged text.',
+      example: { before: '{"tag": "\\uFFFE"}', after: '{"tag": ""}' },
+      anchor: 'interoperability'
+    },
+    NOT_UTF8: {
+      title: 'Not UTF-8',
+      heading: 'Not I-JSON',
+      explanation: 'JSON exchanged between systems must be encoded as UTF-8. Save the file as UTF-8 without a byte order mark.',
+      example: { before: 'UTF-16LE: 7B 00 22 00 69 00 …', after: 'UTF-8: 7B 22 69 …' },
+      anchor: 'interoperability'
+    },
+    TOP_LEVEL_SCALAR: {
+      title: 'Top-level scalar',
+      heading: 'Not I-JSON',
+      explanation: 'Older parsers only accept an object or array as the whole document, and an object leaves room to add fields later.',
+      example: { before: '"ok"', after: '{"status": "ok"}' },
+      anchor: 'interoperability'
+    },
+    DEPTH_LIMIT: {
+      title: 'Nesting too deep',
+      heading: 'Limit exceeded',
+      explanation: 'Objects and arrays are nested deeper than the configured maximum depth, or deeper than the browser can process. Raise the limit only if you trust the source.',
+      example: { before: '[[[[[[[[1]]]]]]]]', after: '[1]' },
+      anchor: ''
+    },
+    STRING_LIMIT: {
+      title: 'String too long',
+      heading: 'Limit exceeded',
+      explanation: 'A string or key is longer than the configured maximum string length. Large binary data is better sent as a link than inline.',
+      example: { before: '{"image": "iVBORw0KGgo…(8 MB)"}', after: '{"imageUrl": "https://example.com/image.png"}' },
+      anchor: ''
+    },
+    KEY_LIMIT: {
+      title: 'Too many keys',
+      heading: 'Limit exceeded',
+      explanation: 'An object has more keys than the configured maximum. Collections of records usually belong in an array.',
+      example: { before: '{"id1": {…}, "id2": {…}, …}', after: '[{"id": "id1", …}, {"id": "id2", …}]' },
+      anchor: ''
+    },
+    NODE_LIMIT: {
+      title: 'Too many values',
+      heading: 'Limit exceeded',
+      explanation: 'The document holds more values in total than the configured maximum. Split it into smaller documents or raise the limit.',
+      example: { before: '[1, 2, 3, … 20000000]', after: '[1, 2, 3, … 10000]' },
+      anchor: ''
+    },
+    NOT_AN_ARRAY: {
+      title: 'Root value is not an array',
+      heading: 'Cannot convert',
+      explanation: 'NDJSON holds one record per line, so only a JSON array can be split into lines. Wrap a single object in [ ] first.',
+      example: { before: '{"id": 1}', after: '[{"id": 1}]' },
+      anchor: ''
+    },
+    SCHEMA_VIOLATION: {
+      title: 'Does not match the schema',
+      heading: 'Schema mismatch',
+      explanation: 'The JSON is well-formed but a value breaks a rule of the schema: a wrong type, a missing required property, a number out of range. The schema path shows which rule.',
+      example: { before: '{"age": "30"}  // schema: {"properties": {"age": {"type": "integer"}}}', after: '{"age": 30}' },
+      anchor: ''
+    },
+    SCHEMA_REF: {
+      title: 'Unresolvable $ref',
+      heading: 'Schema mismatch',
+      explanation: 'The schema refers to a definition that is not in it. References are only followed within the schema; remote schemas are never fetched.',
+      example: { before: '{"$ref": "#/$defs/adress"}', after: '{"$ref": "#/$defs/address"}' },
+      anchor: ''
+    },
+    SCHEMA_INVALID: {
+      title: 'Schema cannot be used',
+      heading: 'Invalid schema',
+      explanation: 'The schema pane does not hold a usable schema. It must be valid JSON, and its root must be an object or true/false.',
+      example: { before: '{type: "object"}', after: '{"type": "object"}' },
+      anchor: ''
+    },
+    SCHEMA_UNSATISFIABLE: {
+      title: 'No document satisfies the schema',
+      heading: 'Cannot generate samples',
+      explanation: 'No generated document matched the schema. Its rules may contradict each other, such as a minimum above the maximum, or rely on a pattern or "not" that random values rarely meet.',
+      example: { before: '{"type": "integer", "minimum": 10, "maximum": 5}', after: '{"type": "integer", "minimum": 5, "maximum": 10}' },
+      anchor: ''
+    },
+    OPENAPI_VERSION: {
+      title: 'Not an OpenAPI 3 document',
+      heading: 'Not an OpenAPI 3 document',
+      explanation: 'OpenAPI mode checks OpenAPI 3.0 and 3.1 descriptions, which start with an "openapi" field holding the version. Swagger 2.0 documents need converting first.',
+      example: { before: '{"swagger": "2.0", "info": {...}}', after: '{"openapi": "3.0.3", "info": {...}}' },
+      anchor: ''
+    },
+    OPENAPI_STRUCTURE: {
+      title: 'Invalid OpenAPI structure',
+      heading: 'OpenAPI structure error',
+      explanation: 'This part of the document does not have the shape the OpenAPI specification requires, such as a path that does not start with "/" or a response without a description.',
+      example: { before: '{"paths": {"pets": {...}}}', after: '{"paths": {"/pets": {...}}}' },
+      anchor: ''
+    },
+    OPENAPI_REF: {
+      title: 'Broken $ref',
+      heading: 'Broken $ref link',
+      explanation: 'This "$ref" points to a location inside the document that does not exist. Check the spelling of each segment; "/" inside a name is written "~1".',
+      example: { before: '{"$ref": "#/components/schemas/Pets"}', after: '{"$ref": "#/components/schemas/Pet"}' },
+      anchor: ''
+    },
+    OPENAPI_OPERATION: {
+      title: 'Invalid operation',
+      heading: 'OpenAPI operation error',
+      explanation: 'Every operationId must be unique, and every {placeholder} in a path needs a matching parameter with "in": "path" and "required": true.',
+      example: { before: '"/pets/{id}": {"get": {"parameters": []}}', after: '"/pets/{id}": {"get": {"parameters": [{"name": "id", "in": "path", "required": true}]}}' },
+      anchor: ''
+    },
+    OPENAPI_RESPONSE: {
+      title: 'No response schema',
+      heading: 'Cannot check the response',
+      explanation: 'The chosen operation does not describe a JSON body for that status code, so there is no schema to check the response against. Add a "content" entry with an "application/json" schema, or pick another status.',
+      example: { before: '"200": {"description": "OK"}', after: '"200": {"description": "OK", "content": {"application/json": {"schema": {...}}}}' },
+      anchor: ''
+    },
+    PATCH_INVALID: {
+      title: 'Malformed patch',
+      heading: 'Invalid patch',
+      explanation: 'A JSON Patch (RFC 6902) is an array of operations. Each has an "op" (add, remove, replace, move, copy or test) and a "path" JSON Pointer; add, replace and test also need a "value", and move and copy a "from" pointer.',
+      example: { before: '{"op": "add", "path": "tags/-", "value": "new"}', after: '{"op": "add", "path": "/tags/-", "value": "new"}' },
+      anchor: ''
+    },
+    PATCH_PATH: {
+      title: 'Path not found',
+      heading: 'Patch path does not exist',
+      explanation: 'Remove, replace, move, copy and test need a location that exists in the document. Add needs the parent to exist, and an array index no larger than the array\'s length ("-" appends). Operations run in order, so earlier operations may have moved things.',
+      example: { before: '{"op": "replace", "path": "/user/nickname", "value": "Jo"}', after: '{"op": "add", "path": "/user/nickname", "value": "Jo"}' },
+      anchor: ''
+    },
+    PATCH_TEST: {
+      title: 'Test failed',
+      heading: 'Patch test failed',
+      explanation: 'A "test" operation found a different value than expected, so the document is not in the state the patch was written for and nothing was applied. Key order does not matter, and numbers compare by value.',
+      example: { before: '{"op": "test", "path": "/version", "value": 2}', after: '{"op": "test", "path": "/version", "value": 3}' },
+      anchor: ''
+    },
+    CSV_QUOTE: {
+      title: 'CSV quoting',
+      heading: 'Misplaced quote in CSV',
+      explanation: 'In CSV a field that contains the delimiter, a line break or a quote is put in double quotes, and each quote inside it is doubled. A quote anywhere else, or a quoted field that is never closed, makes the rows impossible to split.',
+      example: { before: '1,She said "hi",3', after: '1,"She said ""hi""",3' },
+      anchor: ''
+    },
+    CSV_HEADER: {
+      title: 'CSV header',
+      heading: 'Problem with the CSV header',
+      explanation: 'The first row names the columns, and each name becomes a key of every record, so it must be there and no two columns may share a name. Dotted names such as address.city become nested objects.',
+      example: { before: 'id,name,name', after: 'id,first.name,last.name' },
+      anchor: ''
+    },
+    CSV_FIELD_COUNT: {
+      title: 'Wrong number of fields',
+      heading: 'Row does not match the header',
+      explanation: 'Every row needs one field per column. A missing or extra delimiter usually comes from a value with a comma in it that is not in quotes.',
+      example: { before: 'id,city\n1,Paris, France', after: 'id,city\n1,"Paris, France"' },
+      anchor: ''
+    },
+    YAML_SYNTAX: {
+      title: 'YAML syntax',
+      heading: 'Invalid YAML',
+      explanation: 'The YAML cannot be read at this point. Text with ": " or " #" in it, or starting with a character YAML uses for structure, has to be quoted.',
+      example: { before: 'command: echo: done', after: 'command: "echo: done"' },
+      anchor: ''
+    },
+    YAML_INDENTATION: {
+      title: 'YAML indentation',
+      heading: 'Wrong indentation',
+      explanation: 'In YAML the indentation is the structure: the keys of one mapping, and the entries of one sequence, must start in the same column, and children must be indented further than their parent. Only spaces can indent.',
+      example: { before: 'spec:\n  replicas: 2\n   image: web', after: 'spec:\n  replicas: 2\n  image: web' },
+      anchor: ''
+    },
+    YAML_ALIAS: {
+      title: 'Unknown alias',
+      heading: 'Alias without an anchor',
+      explanation: 'An alias (*name) repeats the value marked with the anchor &name, which has to come earlier in the same document.',
+      example: { before: 'dev: *defaults\ndefaults: &defaults {debug: true}', after: 'defaults: &defaults {debug: true}\ndev: *defaults' },
+      anchor: ''
+    },
+    YAML_DUPLICATE_KEY: {
+      title: 'Duplicate key',
+      heading: 'Duplicate YAML key',
+      explanation: 'A key appears twice in the same mapping. YAML does not allow it, and tools disagree about which value wins. Keys brought in with a << merge can be overridden.',
+      example: { before: 'image: web:1\nimage: web:2', after: 'image: web:2' },
+      anchor: ''
+    },
+    YAML_UNSUPPORTED: {
+      title: 'Not representable in JSON',
+      heading: 'YAML feature without a JSON equivalent',
+      explanation: 'JSON keys can only be text and JSON numbers cannot be infinite or NaN, so complex keys, collections as keys, .inf and .nan have no JSON form. Quote the value to keep it as text.',
+      example: { before: 'limit: .inf', after: 'limit: ".inf"' },
+      anchor: ''
+    },
+    INVALID_JSON: {
+      title: 'Invalid JSON',
+      explanation: 'The text is not valid JSON.',
+      example: { before: 'name = John', after: '{"name": "John"}' },
+      anchor: ''
+    }
+  };
+
+  /**
+   * Looks up the explanation for an error or warning code
+   * @param {string} code - Code from the parser, e.g. 'TRAILING_COMMA'
+   * @returns {Object} { code, title, heading, explanation, example: { before, after }, docsURL }
+   */
+  function describe(code) {
+    const known = Object.prototype.hasOwnProperty.call(CODES, code);
+    const entry = known ? CODES[code] : CODES.INVALID_JSON;
+    return {
+      code: known ? code : 'INVALID_JSON',
+      title: entry.title,
+      heading: entry.heading || 'Invalid JSON',
+      explanation: entry.explanation,
+      example: entry.example,
+      docsURL: DOCS_PAGE + (entry.anchor ? '#' + entry.anchor : '')
+    };
+  }
+
+  // Expose API
+  window.JSONErrorCodes = { describe, CODES: Object.keys(CODES) };
+})();
@@ -1,23 +1,51 @@
 'use strict';
 (function () {
   const MAX_HIGHLIGHT_CHARS = 300000;
-  function applySyntaxHighlighting(element) {
+  // Pass `html` from highlightHTML when it was already computed (e.g. in the worker)
+  function applySyntaxHighlighting(element, html) {
     const text = element.innerText || element.textContent || '';
     if (text.length > MAX_HIGHLIGHT_CHARS) {
-      // Skip regex-based highlighting for very large content to prevent UI hangs
+      // Skip highlighting for very large content to prevent UI hangs
       element.textContent = text;
       element.classList.add('no-highlight');
       return;
     }
-    let html = text
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;');html = html.replace(/"([^"]*)":/g, '<span class="json-key">"$1"</span>:');
-    html = html.replace(/:\s*"([^"]*)"/g, ': <span class="json-string">"$1"</span>');
-    html = html.replace(/:\s*(-?\d+\.?\d*(?:[eE][+\-]?\d+)?)/g, ': <span class="json-number">$1</span>');
-    html = html.replace(/:\s*(true|false)/g, ': <span class="json-boolean">$1</span>');
-    html = html.replace(/:\s*null/g, ': <span class="json-null">null</span>');
-    element.innerHTML = html;
+    element.innerHTML = typeof html === 'string' ? html : highlightHTML(text);
+  }
+
+  const TOKEN_CLASSES = {
+    string: 'json-string',
+    number: 'json-number',
+    comment: 'json-comment'
+  };
+
+  function escapeHTML(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+
+  function tokenClass(token, next) {
+    if ((token.type === 'string' || token.type === 'identifier') && next && next.type === ':') return 'json-key';
+    if (token.type === 'literal') return token.value === null ? 'json-null' : 'json-boolean';
+    return TOKEN_CLASSES[token.type] || null;
+  }
+
+  // Pure string-to-markup step; no DOM access so it can run in a Web Worker.
+  // Classes come from the parser's tokens, so the text itself is never altered.
+  function highlightHTML(text) {
+    const tokens = window.JSONParser.tokenize(text);
+    let html = '';
+    let pos = 0;
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      let next = tokens[i + 1];
+      for (let j = i + 2; next && next.type === 'comment'; j++) next = tokens[j];
+      const className = tokenClass(token, next);
+      if (!className) continue;
+      html += escapeHTML(text.slice(pos, token.start)) +
+        '<span class="' + className + '">' + escapeHTML(token.raw) + '</span>';
+      pos = token.end;
+    }
+    return html + escapeHTML(text.slice(pos));
   }
 
   function getCaretOffset(el) {
@@ -81,6 +109,8 @@
 
   window.JSONHighlighter = {
     applySyntaxHighlighting,
+    highlightHTML,
+    escapeHTML,
     getCaretOffset,
     setCaretOffset,
     highlightOutputPreserveCaret,
@@ -0,0 +1,134 @@
+'use strict';
+(function () {
+  // I-JSON (RFC 7493): the subset of JSON that any conforming parser reads the same way.
+  // Each issue names the RFC section and whether the RFC says MUST or SHOULD.
+  const PROFILE = 'I-JSON (RFC 7493)';
+  const MAX_ISSUES = 1000;
+
+  const LONE_SURROGATE = /[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/;
+  // U+FDD0..U+FDEF and the last two code points of every plane
+  const NONCHARACTER = new RegExp('[\\uFDD0-\\uFDEF' +
+    Array.from({ length: 17 }, (_, plane) => `\\u{${plane.toString(16)}FFFE}\\u{${plane.toString(16)}FFFF}`).join('') + ']', 'u');
+  const INTEGER = /^-?\d+$/;
+  const DECIMAL = /^-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?$/;
+
+  function hex(code) {
+    return 'U+' + code.toString(16).toUpperCase().padStart(4, '0');
+  }
+
+  // Significant digits of a decimal number, without sign, point, exponent or padding zeros
+  function significantDigits(text) {
+    return text.replace(/^-/, '').replace(/[eE].*$/, '').replace('.', '').replace(/^0+/, '').replace(/0+$/, '');
+  }
+
+  /**
+   * Checks a parsed document against the I-JSON profile
+   * @param {Object} ast - Root node from JSONParser.parse() of a document without syntax errors
+   * @param {Object} options - { lineStarts, encoding: { encoding, malformed } of the source file, if known }
+   * @returns {Object} { profile, isValid, issues, total } where isValid is false when a MUST rule is
+   *   broken and total counts issues beyond the first MAX_ISSUES.
+   *   Each issue is { code, message, offset, length, line, column, pointer, section, requirement }
+   */
+  function check(ast, options = {}) {
+    const lineStarts = options.lineStarts || [0];
+    const issues = [];
+    let total = 0;
+    let mustBroken = false;
+
+    function add(code, node, pointer, section, requirement, message) {
+      total++;
+      if (requirement === 'MUST') mustBroken = true;
+      if (issues.length >= MAX_ISSUES) return;
+      const offset = node ? node.start : 0;
+      const { line, column } = window.JSONParser.positionAt(lineStarts, offset);
+      issues.push({ code, message, offset, length: node ? node.end - node.start : 0, line, column, pointer, section, requirement });
+    }
+
+    function where(pointer) {
+      return pointer || 'the document root';
+    }
+
+    const encoding = options.encoding;
+    if (encoding && encoding.encoding && encoding.encoding !== 'utf-8') {
+      add('NOT_UTF8', null, '', '2.1', 'MUST', `The text was read as ${window.JSONUnicode.describeEncoding(encoding)}; I-JSON must be encoded as UTF-8`);
+    } else if (encoding && encoding.malformed) {
+      add('NOT_UTF8', null, '', '2.1', 'MUST', 'The file contains bytes that are not valid UTF-8; they were replaced with U+FFFD');
+    }
+
+    if (ast.type !== 'object' && ast.type !== 'array') {
+      add('TOP_LEVEL_SCALAR', ast, '', '4.1', 'SHOULD', `The root value is a ${ast.type === 'literal' ? 'literal' : ast.type}; protocols should use an object or array at the top level`);
+    }
+
+    function checkString(node, pointer, what) {
+      const value = node.value;
+      const surrogate = LONE_SURROGATE.exec(value);
+      if (surrogate) {
+        add('LONE_SURROGATE', node, pointer, '2.1', 'MUST', `${what} at ${where(pointer)} contains ${hex(surrogate[0].charCodeAt(surrogate[0].length - 1))}, an unpaired surrogate`);
+      }
+      const nonchar = NONCHARACTER.exec(value);
+      if (nonchar) {
+        add('NONCHARACTER', node, pointer, '2.1', 'MUST', `${what} at ${where(pointer)} contains ${hex(nonchar[0].codePointAt(0))}, a Unicode noncharacter`);
+      }
+    }
+
+    function checkNumber(node, pointer) {
+      const { raw, value } = node;
+      if (INTEGER.test(raw)) {
+        if (!Number.isSafeInteger(value)) {
+          add('UNSAFE_INTEGER', node, pointer, '2.2', 'SHOULD', `Integer ${raw} at ${where(pointer)} is outside ±${Number.MAX_SAFE_INTEGER}; many parsers read it as ${value}`);
+        }
+        return;
+      }
+      // JSON5 hex numbers, NaN and Infinity have no digits to compare
+      const digits = DECIMAL.test(raw) ? significantDigits(raw) : null;
+      if (!Number.isFinite(value) || (value === 0 && digits)) {
+        add('NUMBER_OUT_OF_RANGE', node, pointer, '2.2', 'SHOULD', `Number ${raw} at ${where(pointer)} is beyond the range of a double; it is read as ${value}`);
+      } else if (digits !== null && digits !== significantDigits(Math.abs(value).toExponential())) {
+        add('NUMBER_PRECISION', node, pointer, '2.2', 'SHOULD', `Number ${raw} at ${where(pointer)} has more precision than a double keeps; it is read as ${value}`);
+      }
+    }
+
+    // Iterative walk, so deeply nested documents within the safety limits do not overflow the stack
+    const stack = [{ node: ast, pointer: '' }];
+    while (stack.length) {
+      const { node, pointer } = stack.pop();
+      if (!node) continue;
+      if (node.type === 'string') {
+        checkString(node, pointer, 'String');
+      } else if (node.type === 'number') {
+        checkNumber(node, pointer);
+      } else if (node.type === 'object') {
+        const seen = new Set();
+        for (const property of node.properties) {
+          if (!property.key) continue;
+          const name = property.key.value;
+          const child = pointer + window.JSONParser.toPointer([name]);
+          if (seen.has(name)) {
+            add('DUPLICATE_KEY', property.key, child, '2.3', 'MUST', `Duplicate member name "${name}" in the object at ${where(pointer)}`);
+          }
+          seen.add(name);
+          checkString(property.key, child, 'Member name');
+        }
+        for (let i = node.properties.length - 1; i >= 0; i--) {
+          const property = node.properties[i];
+          stack.push({ node: property.value, pointer: pointer + window.JSONParser.toPointer([property.key ? property.key.value : '']) });
+        }
+      } else if (node.type === 'array') {
+        for (let i = node.items.length - 1; i >= 0; i--) {
+          stack.push({ node: node.items[i], pointer: pointer + '/' + i });
+        }
+      }
+    }
+
+    issues.sort((a, b) => a.offset - b.offset);
+    return {
+      profile: PROFILE,
+      isValid: !mustBroken,
+      issues,
+      total
+    };
+  }
+
+  // Expose API
+  window.JSONInterop = { check, PROFILE, MAX_ISSUES };
+})();
@@ -0,0 +1,407 @@
+'use strict';
+(function () {
+  // Scripts the worker needs, in load order; jsonJobs itself comes last
+  const WORKER_SCRIPTS = ['parser', 'unicode', 'interop', 'validator', 'schema', 'schemaAssist', 'schemaStarters', 'schemaRegistry', 'schemaInfer', 'schemaSample', 'openapi', 'diff', 'patch', 'merge', 'csv', 'yaml', 'repair', 'highlighter', 'streamValidator', 'ndjson', 'jsonJobs'];
+
+  /**
+   * Runs one validation/formatting job. Pure computation, so it works the same
+   * in the worker and on the main thread.
+   * With `options.dialect` 'ndjson' every line is checked as its own document:
+   * 'validate', 'format' and 'minify' print each record on one line and add `lines`.
+   * @param {string} type - 'validate', 'format', 'minify', 'repair', 'stream',
+   *   'toArray' (NDJSON to a JSON array), 'toNDJSON' (JSON array to NDJSON) or
+   *   'inferSchema' (a JSON Schema for the document, or for every NDJSON line together) or
+   *   'sample' (fake documents valid against the schema in `text`; options.count and options.seed),
+   *   'openapi' (checks an OpenAPI description) or 'openapiResponse' (checks the response body in `text`
+   *   against options.spec for options.operation and options.status) or
+   *   'diff' (compares `text` with options.other; options.arrays and options.idKey pick how arrays are matched) or
+   *   'createPatch' (a patch from `text` to options.other in options.format, 'json-patch' or 'merge-patch') or
+   *   'applyPatch' (applies options.patch, in options.format, to `text`) or
+   *   'merge' (three-way merge of `text`, ours, with options.theirs since options.base; options.resolutions
+   *   picks ours, theirs or a manual value for each conflict) or
+   *   'toCSV' (a CSV or TSV table of the records in `text`; options as for JSONCSV.stringify()) or
+   *   'fromCSV' (the rows of the CSV or TSV `text` as a JSON array; options.delimiter is detected when missing) or
+   *   'toYAML' (`text` as YAML; NDJSON lines become a stream of documents) or
+   *   'fromYAML' (the YAML `text` as JSON; several documents become an array, or NDJSON lines) or
+   *   'lint' (the document's `schemaURI` and the `problems` to underline: syntax errors, else the errors
+   *   against options.schema) or 'complete' / 'hover' (JSONSchemaAssist `completions` / `hover` at
+   *   options.offset for options.schema; the compiled schema and the last parsed tree are kept between jobs)
+   * @param {string|Blob} text - Input text; a File or Blob for 'stream', the schema for 'sample'
+   * @param {Object} options - Parse options (dialect, indentation, showWarnings, ...)
+   * @param {Function} onProgress - Called with a 0..1 fraction while parsing
+   * @returns {Object|Promise<Object>} { result, parseTime, html } where html is the highlighted
+   *   output, if small enough; 'stream' reads the file asynchronously and returns a promise.
+   *   'validate' and 'format' results include `unicode` from JSONUnicode.scan().
+   *   'format' and 'minify' results list the parser's warnings in `warnings` with `options.showWarnings`,
+   *   and JSON5 Infinity and NaN, which print as null, always.
+   *   'validate' with `options.schema` (schema text) also checks valid JSON against that schema
+   *   and adds `schema` from JSONSchema.validateText(); `options.schemaDraft` overrides its $schema.
+   *   Nesting too deep for the stack gives a failed result with DEPTH_LIMIT, like the parser's, in place of
+   *   the job's own result.
+   */
+  function runJob(type, text, options = {}, onProgress) {
+    if (type === 'stream') return runStreamJob(text, options, onProgress);
+    const started = performance.now();
+    const parseOptions = { ...options, onProgress };
+    const lines = options.dialect === 'ndjson';
+    let result;
+    let shown = null;
+    let plainOutput = false;
+
+    // The transforms recurse, so a document within maxDepth can still exhaust the stack
+    try {
+      switch (type) {
+        case 'validate':
+        case 'format': {
+          if (lines) {
+            result = window.JSONLines.validate(text, parseOptions);
+          } else {
+            result = type === 'validate'
+              ? window.JSONValidator.validateIncremental(text, parseOptions)
+              : window.JSONValidator.formatUntilError(text, parseOptions);
+          }
+          // The parsed value is not needed by the page and would be copied across threads
+          delete result.parsed;
+          // Invisible and look-alike characters are reported whether or not the text parses
+          result.unicode = window.JSONUnicode.scan(text);
+          if (type === 'validate' && !lines && result.isValid && options.schema) {
+            result.schema = window.JSONSchema.validateText(text, options.schema, { ...options, draft: options.schemaDraft });
+          }
+          shown = result.isValid ? result.formattedFull : result.formattedPrefix;
+          break;
+        }
+        case 'minify': {
+          if (lines) {
+            // NDJSON is minified already once each record is printed on one line
+            const checked = window.JSONLines.validate(text, parseOptions);
+            result = checked.isValid
+              ? { isValid: true, output: checked.formattedFull, lines: checked.lines }
+              : { isValid: false, error: checked.error, errorInfo: checked.errorInfo, errors: checked.errors, lines: checked.lines };
+            shown = checked.isValid ? result.output : null;
+            break;
+          }
+          const doc = window.JSONParser.parse(text, {
+            dialect: options.dialect,
+            duplicateKeys: options.strictDuplicateKeys ? 'error' : 'warning',
+            limits: options.limits,
+            onProgress
+          });
+          if (doc.errors.length) {
+            result = window.JSONValidator.syntaxFailure(doc.errors);
+            break;
+          }
+          // As for 'format': JSON5 Infinity and NaN print as null, so they are reported even without showWarnings
+          const warnings = options.showWarnings ? doc.warnings : doc.warnings.filter(warning => warning.code === 'NON_FINITE_NUMBER');
+          result = { isValid: true, output: window.JSONParser.stringify(window.JSONParser.toValue(doc.ast, { lossless: true })), warnings };
+          shown = result.output;
+          break;
+        }
+        case 'repair':
+          result = window.JSONRepair.repair(text, { limits: options.limits });
+          shown = result.isValid ? result.output : null;
+          break;
+        case 'toArray':
+          result = window.JSONLines.toArray(text, { ...parseOptions, indent: window.JSONValidator.getIndentString(options.indentation) });
+          shown = result.isValid ? result.output : null;
+          break;
+        case 'toNDJSON':
+          result = window.JSONLines.fromArray(text, parseOptions);
+          shown = result.isValid ? result.output : null;
+          break;
+        case 'inferSchema':
+          result = window.JSONSchemaInfer.inferText(text, { ...parseOptions, draft: options.schemaDraft });
+          shown = result.isValid ? result.output : null;
+          break;
+        case 'sample':
+          result = window.JSONSchemaSample.generateText(text, options);
+          shown = result.isValid ? result.output : null;
+          break;
+        case 'openapi':
+          result = window.JSONOpenAPI.checkText(text, parseOptions);
+          break;
+        case 'openapiResponse':
+          result = window.JSONOpenAPI.validateResponseText(text, options.spec, parseOptions);
+          shown = result.output || null;
+          break;
+        case 'diff':
+          result = window.JSONDiff.compareText(text, options.other, parseOptions);
+          break;
+        case 'createPatch':
+          result = window.JSONPatch.createText(text, options.other, parseOptions);
+          shown = result.output || null;
+          break;
+        case 'applyPatch':
+          result = window.JSONPatch.applyText(text, options.patch, parseOptions);
+          shown = result.output || null;
+          break;
+        case 'merge':
+          result = window.JSONMerge.mergeText(options.base, text, options.theirs, parseOptions);
+          shown = result.output || null;
+          break;
+        case 'toCSV':
+          result = window.JSONCSV.fromJSONText(text, parseOptions);
+          shown = result.output || null;
+          // Tables and YAML are not JSON, so they are shown without highlighting
+          plainOutput = true;
+          break;
+        case 'fromCSV':
+          result = window.JSONCSV.toJSONText(text, options);
+          shown = result.output || null;
+          break;
+        case 'toYAML':
+          result = window.JSONYAML.fromJSONText(text, parseOptions);
+          shown = result.output || null;
+          plainOutput = true;
+          break;
+        case 'fromYAML':
+          result = window.JSONYAML.toJSONText(text, options);
+          shown = result.output || null;
+          break;
+        case 'lint':
+          result = lint(text, parseOptions);
+          break;
+        case 'complete': {
+          const compiled = assistSchema(options);
+          result = { completions: compiled ? window.JSONSchemaAssist.completionsAt(text, options.offset, compiled) : null };
+          break;
+        }
+        case 'hover': {
+          const compiled = assistSchema(options);
+          const ast = compiled ? assistTree(text, options) : null;
+          result = { hover: ast ? window.JSONSchemaAssist.hoverAt(text, options.offset, compiled, { ...options, ast }) : null };
+          break;
+        }
+        default:
+          throw new Error('Unknown job type: ' + type);
+      }
+    } catch (error) {
+      if (!isStackOverflow(error)) throw error;
+      // CSV and YAML input has no brackets to count
+      const texts = type === 'fromCSV' || type === 'fromYAML' ? [] : [text, options.other, options.patch, options.base, options.theirs, options.spec, options.schema];
+      result = depthFailure(texts);
+      shown = null;
+    }
+
+    const parseTime = performance.now() - started;
+    return { result, parseTime, html: plainOutput ? plain(shown) : highlight(shown) };
+  }
+
+  // Syntax errors stop schema validation, so they are the only problems then
+  function lint(text, options) {
+    const duplicateKeys = options.strictDuplicateKeys ? 'error' : 'warning';
+    const doc = window.JSONParser.parse(text, { dialect: options.dialect, limits: options.limits, duplicateKeys });
+    const schemaURI = window.JSONSchemaRegistry.documentSchemaURI(text, { ast: doc.ast });
+    if (!options.schema) return { schemaURI, problems: [] };
+    if (doc.errors.length) return { schemaURI, problems: doc.errors };
+    const checked = window.JSONSchema.validateText(text, options.schema, { ...options, draft: options.schemaDraft });
+    return { schemaURI, problems: checked.errors || [] };
+  }
+
+  // Completions and hover ask about the same schema, and often the same text, many times in a row
+  const assistCache = { schemaKey: null, compiled: null, text: null, dialect: null, ast: null };
+
+  // A schema that does not parse yet offers nothing
+  function assistSchema(options) {
+    if (!options.schema) return null;
+    const key = `${options.schemaDraft || 'auto'}\n${options.schema}`;
+    if (assistCache.schemaKey !== key) {
+      let compiled = null;
+      try {
+        compiled = window.JSONSchema.compile(JSON.parse(options.schema), { draft: options.schemaDraft });
+      } catch (error) {
+        // Validate explains what is wrong with the schema
+      }
+      assistCache.schemaKey = key;
+      assistCache.compiled = compiled;
+    }
+    return assistCache.compiled;
+  }
+
+  function assistTree(text, options) {
+    if (assistCache.text !== text || assistCache.dialect !== options.dialect) {
+      assistCache.ast = window.JSONParser.parse(text, { dialect: options.dialect, limits: options.limits, maxErrors: 1 }).ast;
+      assistCache.text = text;
+      assistCache.dialect = options.dialect;
+    }
+    return assistCache.ast;
+  }
+
+  // Large files are checked chunk by chunk; only the summary and a short preview come back
+  async function runStreamJob(file, options, onProgress) {
+    const started = performance.now();
+    const result = options.dialect === 'ndjson'
+      ? await window.JSONLines.validateBlob(file, options, onProgress)
+      : await window.JSONStreamValidator.validateBlob(file, options, onProgress);
+    const parseTime = performance.now() - started;
+    return { result, parseTime, html: highlight(result.previewText) };
+  }
+
+  // V8 throws RangeError, Firefox InternalError ("too much recursion")
+  function isStackOverflow(error) {
+    return (error instanceof RangeError && /call stack/i.test(error.message)) || (error && error.name === 'InternalError');
+  }
+
+  // A stack overflow fails like the parser's DEPTH_LIMIT, with the same wording; it has no location of its own
+  function depthFailure(texts) {
+    const depth = Math.max(0, ...texts.map(t => typeof t === 'string' ? nestingDepth(t) : 0));
+    const message = depth ? `Nesting depth of ${depth} is too deep to process` : 'Nesting is too deep to process';
+    return window.JSONValidator.syntaxFailure([{ code: 'DEPTH_LIMIT', message, offset: 0, length: 1, line: 1, column: 1 }]);
+  }
+
+  // Deepest bracket nesting in the text, skipping strings
+  function nestingDepth(text) {
+    let depth = 0;
+    let deepest = 0;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (ch === '"' || ch === "'") {
+        for (i++; i < text.length && text[i] !== ch; i++) {
+          if (text[i] === '\\') i++;
+        }
+      } else if (ch === '{' || ch === '[') {
+        if (++depth > deepest) deepest = depth;
+      } else if (ch === '}' || ch === ']') {
+        depth--;
+      }
+    }
+    return deepest;
+  }
+
+  function plain(shown) {
+    return shown !== null && shown.length <= window.JSONHighlighter.MAX_HIGHLIGHT_CHARS ? window.JSONHighlighter.escapeHTML(shown) : null;
+  }
+
+  function highlight(shown) {
+    return shown !== null && shown.length <= window.JSONHighlighter.MAX_HIGHLIGHT_CHARS
+      ? window.JSONHighlighter.highlightHTML(shown)
+      : null;
+  }
+
+  // Finds a page script by base name; the build renames files to name.<hash>.js
+  function scriptURL(name) {
+    const pattern = new RegExp('(?:^|/)' + name + '(?:\\.[0-9a-f]{8})?\\.js$');
+    const script = Array.from(document.scripts).find(s => pattern.test(s.getAttribute('src') || ''));
+    return script ? new URL(script.getAttribute('src'), document.baseURI).href : null;
+  }
+
+  function abortError() {
+    return new DOMException('Job cancelled', 'AbortError');
+  }
+
+  /**
+   * Creates a runner that executes jobs in a Web Worker. Falls back to the main
+   * thread when workers are unavailable (file:// pages, blocked scripts).
+   * Starting a new job or calling cancel() abandons the running one with an AbortError.
+   * @returns {Object} { run(type, text, options, onProgress) => Promise, cancel() => boolean, busy }
+   */
+  function createRunner() {
+    const workerURL = scriptURL('jsonWorker');
+    const scripts = WORKER_SCRIPTS.map(scriptURL);
+    let workerAvailable = typeof Worker !== 'undefined' && workerURL !== null && !scripts.includes(null);
+    let worker = null;
+    let current = null;
+    let nextId = 1;
+
+    function startWorker() {
+      if (worker || !workerAvailable) return worker;
+      try {
+        worker = new Worker(workerURL);
+      } catch (error) {
+        workerAvailable = false;
+        return null;
+      }
+      worker.onmessage = handleMessage;
+      worker.onerror = (event) => {
+        // The worker itself failed (not a job error): stop using workers and finish inline
+        event.preventDefault();
+        workerAvailable = false;
+        worker.terminate();
+        worker = null;
+        if (current) runInline(current);
+      };
+      worker.postMessage({ type: 'init', scripts });
+      return worker;
+    }
+
+    function handleMessage(event) {
+      const message = event.data;
+      if (!current || message.id !== current.id) return;
+      const job = current;
+      if (message.type === 'progress') {
+        if (job.onProgress) job.onProgress(message.progress);
+        return;
+      }
+      current = null;
+      if (message.type === 'result') {
+        job.resolve(message.output);
+      } else {
+        const error = new Error(message.message);
+        if (message.code) error.code = message.code;
+        job.reject(error);
+      }
+    }
+
+    function runInline(job) {
+      // Yield once so the "running" status can paint before the main thread blocks
+      job.timer = setTimeout(() => {
+        if (current !== job) return;
+        // Streaming jobs are asynchronous, so they check the signal between chunks
+        const controller = new AbortController();
+        job.abort = () => controller.abort();
+        const options = { ...job.options, signal: controller.signal };
+        Promise.resolve()
+          .then(() => runJob(job.type, job.text, options, (progress) => {
+            if (current === job && job.onProgress) job.onProgress(progress);
+          }))
+          .then((output) => {
+            if (current !== job) return;
+            current = null;
+            job.resolve(output);
+          }, (error) => {
+            if (current !== job) return;
+            current = null;
+            job.reject(error);
+          });
+      }, 0);
+    }
+
+    function cancel() {
+      if (!current) return false;
+      const job = current;
+      current = null;
+      clearTimeout(job.timer);
+      if (job.abort) job.abort();
+      // A synchronous parse cannot be interrupted, so the worker is replaced on the next run
+      if (worker) {
+        worker.terminate();
+        worker = null;
+      }
+      job.reject(abortError());
+      return true;
+    }
+
+    function run(type, text, options = {}, onProgress) {
+      cancel();
+      return new Promise((resolve, reject) => {
+        const job = { id: nextId++, type, text, options, onProgress, resolve, reject };
+        current = job;
+        if (startWorker()) {
+          worker.postMessage({ type: 'job', id: job.id, job: type, text, options });
+        } else {
+          runInline(job);
+        }
+      });
+    }
+
+    return {
+      run,
+      cancel,
+      get busy() {
+        return current !== null;
+      }
+    };
+  }
+
+  // Expose API
+  window.JSONJobs = { run: runJob, createRunner };
+})();
@@ -0,0 +1,25 @@
+'use strict';
+// Web Worker entry for JSONJobs. The page sends the script URLs first because the
+// build gives them content-hashed names; the shared scripts attach to `window`.
+self.window = self;
+
+self.onmessage = function (event) {
+  const message = event.data;
+  if (message.type === 'init') {
+    importScripts(...message.scripts);
+    return;
+  }
+  if (message.type !== 'job') return;
+
+  const id = message.id;
+  // Streaming jobs return a promise; the others finish synchronously
+  Promise.resolve()
+    .then(() => self.JSONJobs.run(message.job, message.text, message.options, (progress) => {
+      self.postMessage({ type: 'progress', id, progress });
+    }))
+    .then((output) => {
+      self.postMessage({ type: 'result', id, output });
+    }, (error) => {
+      self.postMessage({ type: 'error', id, message: error.message, code: error.code });
+    });
+};
@@ -0,0 +1,293 @@
+'use strict';
+(function () {
+  // Three-way merge of JSON documents: changes made on one side since the common base are taken
+  // as they are, and places where both sides changed the same thing differently become conflicts.
+  // Every conflict is resolved (ours unless told otherwise), so the result is always a document.
+  const CHOICES = ['ours', 'theirs', 'manual'];
+
+  function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof window.JSONParser.LosslessNumber);
+  }
+
+  function hasOwn(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+  }
+
+  // Pairs base elements with one side's elements the way the diff does: Map of base index to side index
+  function pairing(base, side, options) {
+    const pairs = new Map();
+    const delta = window.JSONDiff.compare(base, side, options);
+    if (delta.type !== 'array') {
+      base.forEach((item, i) => pairs.set(i, i));
+      return pairs;
+    }
+    delta.items.forEach(item => {
+      if (item.type === 'add' || item.type === 'remove') return;
+      pairs.set(item.leftPath[item.leftPath.length - 1], item.rightPath[item.rightPath.length - 1]);
+    });
+    return pairs;
+  }
+
+  /**
+   * Merges two edits of a common base
+   * @param {*} base - Common ancestor
+   * @param {*} ours - Our edit
+   * @param {*} theirs - Their edit
+   * @param {Object} options - { arrays: 'index'|'id'|'lcs' (default), idKey: how array elements are paired,
+   *   as in JSONDiff.compare(); resolutions: [{ choice: 'ours'|'theirs'|'manual', value }] by conflict index }
+   * @returns {Object} { value, conflicts } where each conflict is { index, kind: 'value'|'items', pointer (in
+   *   the result), basePath, oursPath, theirsPath, base, ours, theirs, choice, error }; with an error the
+   *   manual value is not used and ours stays in place. A missing side is undefined; 'items' conflicts
+   *   hold arrays of the elements both sides inserted at the same place.
+   */
+  function merge(base, ours, theirs, options = {}) {
+    const equal = window.JSONDiff.equal;
+    const resolutions = options.resolutions || [];
+    const diffOptions = { arrays: options.arrays, idKey: options.idKey };
+    const conflicts = [];
+
+    function conflict(kind, b, o, t, paths) {
+      const index = conflicts.length;
+      const resolution = resolutions[index] || {};
+      const choice = CHOICES.includes(resolution.choice) ? resolution.choice : 'ours';
+      let error = resolution.error || null;
+      if (choice === 'manual' && !error && kind === 'items' && !Array.isArray(resolution.value)) {
+        error = 'Enter an array: its elements are put in place of the conflicting ones';
+      }
+      // A manual value that cannot be used leaves ours in place until it is fixed
+      const applied = choice === 'manual' && error ? 'ours' : choice;
+      conflicts.push({
+        index,
+        kind,
+        pointer: window.JSONParser.toPointer(paths.result),
+        basePath: paths.base,
+        oursPath: paths.ours,
+        theirsPath: paths.theirs,
+        base: b,
+        ours: o,
+        theirs: t,
+        choice,
+        error
+      });
+      return applied === 'ours' ? o : applied === 'theirs' ? t : resolution.value;
+    }
+
+    function mergeValue(b, o, t, paths) {
+      if (equal(o, t)) return o;
+      if (equal(b, o)) return t;
+      if (equal(b, t)) return o;
+      if (isObject(o) && isObject(t) && (b === undefined || isObject(b))) return mergeObject(b || {}, o, t, paths);
+      if (Array.isArray(o) && Array.isArray(t) && (b === undefined || Array.isArray(b))) return mergeArray(b || [], o, t, paths);
+      return conflict('value', b, o, t, paths);
+    }
+
+    // Keys keep our order, followed by keys only they have
+    function mergeObject(b, o, t, paths) {
+      const result = {};
+      const member = (object, key) => hasOwn(object, key) ? object[key] : undefined;
+      const keys = Object.keys(o).concat(Object.keys(t).filter(key => !hasOwn(o, key)));
+      keys.forEach(key => {
+        const value = mergeValue(member(b, key), member(o, key), member(t, key), {
+          result: paths.result.concat([key]),
+          base: hasOwn(b, key) ? paths.base.concat([key]) : paths.base,
+          ours: hasOwn(o, key) ? paths.ours.concat([key]) : paths.ours,
+          theirs: hasOwn(t, key) ? paths.theirs.concat([key]) : paths.theirs
+        });
+        if (value !== undefined) window.JSONParser.setMember(result, key, value);
+      });
+      return result;
+    }
+
+    // Elements are paired with the base as the diff pairs them. Our order is kept; what they inserted goes
+    // after the element it follows on their side, and where both sides inserted different elements at the
+    // same place, the insertions conflict as a whole.
+    function mergeArray(b, o, t, paths) {
+      const toOurs = pairing(b, o, diffOptions);
+      const toTheirs = pairing(b, t, diffOptions);
+      const fromOurs = new Map(Array.from(toOurs, ([i, k]) => [k, i]));
+      const fromTheirs = new Map(Array.from(toTheirs, ([i, j]) => [j, i]));
+
+      // Insertions on each side, keyed by the base index of the element before them (-1 for the start)
+      const ourRuns = new Map();
+      const theirRuns = new Map();
+      const addTo = (runs, anchor, entry) => {
+        if (!runs.has(anchor)) runs.set(anchor, []);
+        runs.get(anchor).push(entry);
+      };
+      let anchor = -1;
+      o.forEach((item, k) => {
+        if (fromOurs.has(k)) anchor = fromOurs.get(k);
+        else addTo(ourRuns, anchor, k);
+      });
+      anchor = -1;
+      t.forEach((item, j) => {
+        if (!fromTheirs.has(j)) {
+          addTo(theirRuns, anchor, j);
+          return;
+        }
+        const i = fromTheirs.get(j);
+        if (toOurs.has(i)) anchor = i;
+        // We removed an element they changed: it conflicts where they have it
+        else if (!equal(b[i], item)) addTo(theirRuns, anchor, j);
+      });
+
+      const result = [];
+      const at = (side, k) => side.concat([k]);
+
+      function insertRun(anchorIndex) {
+        const mine = ourRuns.get(anchorIndex) || [];
+        const theirsRun = theirRuns.get(anchorIndex) || [];
+        if (!theirsRun.length) {
+          mine.forEach(k => result.push(o[k]));
+          return;
+        }
+        const runPaths = {
+          result: paths.result.concat([result.length]),
+          base: paths.base,
+          ours: mine.length ? at(paths.ours, mine[0]) : paths.ours,
+          theirs: at(paths.theirs, theirsRun[0])
+        };
+        if (!mine.length) {
+          // Their insertions go in as they are; a changed element we removed is a conflict of its own
+          theirsRun.forEach(j => {
+            if (!fromTheirs.has(j)) {
+              result.push(t[j]);
+              return;
+            }
+            const i = fromTheirs.get(j);
+            const value = conflict('value', b[i], undefined, t[j], { ...runPaths, result: paths.result.concat([result.length]), base: at(paths.base, i), theirs: at(paths.theirs, j) });
+            if (value !== undefined) result.push(value);
+          });
+          return;
+        }
+        const ourItems = mine.map(k => o[k]);
+        const theirItems = theirsRun.map(j => t[j]);
+        const items = equal(ourItems, theirItems) ? ourItems : conflict('items', undefined, ourItems, theirItems, runPaths);
+        result.push(...items);
+      }
+
+      insertRun(-1);
+      o.forEach((item, k) => {
+        if (!fromOurs.has(k)) return;
+        const i = fromOurs.get(k);
+        const elementPaths = { result: paths.result.concat([result.length]), base: at(paths.base, i), ours: at(paths.ours, k), theirs: paths.theirs };
+        if (toTheirs.has(i)) {
+          const j = toTheirs.get(i);
+          const value = mergeValue(b[i], item, t[j], { ...elementPaths, theirs: at(paths.theirs, j) });
+          if (value !== undefined) result.push(value);
+        } else if (!equal(b[i], item)) {
+          // We changed an element they removed
+          const value = conflict('value', b[i], item, undefined, elementPaths);
+          if (value !== undefined) result.push(value);
+        }
+        insertRun(i);
+      });
+      return result;
+    }
+
+    const value = mergeValue(base, ours, theirs, { result: [], base: [], ours: [], theirs: [] });
+    return { value, conflicts };
+  }
+
+  // Parses like the rest of the app, keeping the syntax tree for locating conflicts
+  function read(text, options) {
+    try {
+      window.JSONValidator.parse(text, options);
+    } catch (error) {
+      return {
+        failure: {
+          isValid: false,
+          error: error.message,
+          errorInfo: error.errorInfo || window.JSONValidator.parseJSONError(error.message, text, options),
+          errors: error.errors || []
+        }
+      };
+    }
+    const doc = window.JSONParser.parse(text, { dialect: options.dialect, limits: options.limits, maxErrors: 1 });
+    // JSON.parse goes deeper than the recursive parser, which then stops with DEPTH_LIMIT
+    if (!doc.ast) return { failure: window.JSONValidator.syntaxFailure(doc.errors) };
+    return { doc, value: window.JSONParser.toValue(doc.ast, { lossless: true }) };
+  }
+
+  function locate(doc, path) {
+    const found = window.JSONParser.findNode(doc.ast, path);
+    if (!found) return null;
+    const start = found.key || found.node;
+    const { line, column } = window.JSONParser.positionAt(doc.lineStarts, start.start);
+    return { offset: start.start, length: found.node.end - start.start, line, column };
+  }
+
+  function describe(conflict) {
+    if (conflict.kind === 'items') return 'Both sides inserted different elements here';
+    if (conflict.ours === undefined) return 'We removed this; they changed it';
+    if (conflict.theirs === undefined) return 'We changed this; they removed it';
+    if (conflict.base === undefined) return 'Both sides added different values';
+    return 'Both sides changed this differently';
+  }
+
+  /**
+   * Merges three texts
+   * @param {string} baseText - Common ancestor
+   * @param {string} oursText - Our edit
+   * @param {string} theirsText - Their edit
+   * @param {Object} options - merge() options, except that a manual resolution's value is JSON text;
+   *   indentation and parse options (dialect, limits, ...) for all three texts
+   * @returns {Object} { isValid: false, side: 'base'|'ours'|'theirs', error, errorInfo, errors } when a text
+   *   does not parse, otherwise { isValid: true, output, conflicts, open } where each conflict has a message,
+   *   base/ours/theirs as compact JSON text (null for a missing side), locations { offset, length, line,
+   *   column } in each text (null when missing) and error for a manual value that could not be used;
+   *   open counts conflicts without a resolution, or with a manual value that does not parse
+   */
+  function mergeText(baseText, oursText, theirsText, options = {}) {
+    // NDJSON has no single document to merge; each text is read as one document
+    const parseOptions = options.dialect === 'ndjson' ? { ...options, dialect: 'json' } : options;
+    const texts = { base: baseText, ours: oursText, theirs: theirsText };
+    const docs = {};
+    for (const side of Object.keys(texts)) {
+      const parsed = read(texts[side], parseOptions);
+      if (parsed.failure) return { ...parsed.failure, side };
+      docs[side] = parsed;
+    }
+
+    const resolutions = (options.resolutions || []).map(resolution => {
+      if (!resolution || resolution.choice !== 'manual') return resolution;
+      const parsed = window.JSONParser.parse(String(resolution.value || ''), { dialect: 'json', limits: options.limits, maxErrors: 1 });
+      if (!parsed.ast || parsed.errors.length) {
+        const first = parsed.errors[0];
+        const error = first ? `${first.message} (line ${first.line}, column ${first.column})` : 'Enter a JSON value';
+        return { choice: 'manual', error };
+      }
+      return { choice: 'manual', value: window.JSONParser.toValue(parsed.ast, { lossless: true }) };
+    });
+
+    const { value, conflicts } = merge(docs.base.value, docs.ours.value, docs.theirs.value, {
+      arrays: options.arrays,
+      idKey: options.idKey,
+      resolutions
+    });
+    const indent = window.JSONValidator.getIndentString(options.indentation);
+    const shown = (side) => side === undefined ? null : window.JSONParser.stringify(side);
+    return {
+      isValid: true,
+      output: window.JSONParser.stringify(value, null, indent),
+      open: conflicts.filter(item => !resolutions[item.index] || item.error).length,
+      conflicts: conflicts.map(item => ({
+        index: item.index,
+        kind: item.kind,
+        pointer: item.pointer,
+        message: describe(item),
+        base: shown(item.base),
+        ours: shown(item.ours),
+        theirs: shown(item.theirs),
+        choice: item.choice,
+        error: item.error,
+        baseLocation: locate(docs.base.doc, item.basePath),
+        oursLocation: locate(docs.ours.doc, item.oursPath),
+        theirsLocation: locate(docs.theirs.doc, item.theirsPath)
+      }))
+    };
+  }
+
+  // Expose API
+  window.JSONMerge = { merge, mergeText, CHOICES };
+})();
@@ -0,0 +1,284 @@
+'use strict';
+(function () {
+  // Only the first errors and warnings are listed; the counts always cover every line
+  const MAX_LISTED = 1000;
+  // Streamed files show this many raw lines as a read-only preview
+  const PREVIEW_LINES = 200;
+  const FILE_PATTERN = /\.(jsonl|ndjson)$/i;
+
+  // Moves a single-line parser error to its place in the whole text. Messages that refer
+  // back to an earlier position ("opened at line 1") can only mean the same line.
+  function relocate(item, lineNumber, lineStart) {
+    const moved = {
+      ...item,
+      message: item.message.replace(/\bat line 1\b/g, 'at line ' + lineNumber),
+      offset: lineStart + item.offset,
+      line: lineNumber
+    };
+    if (item.firstOccurrence) {
+      moved.firstOccurrence = { ...item.firstOccurrence, offset: lineStart + item.firstOccurrence.offset, line: lineNumber };
+    }
+    return moved;
+  }
+
+  /**
+   * Creates a checker for NDJSON / JSON Lines text: one strict JSON value per line,
+   * separated by \n or \r\n. Text can be written in chunks of any size.
+   * Blank lines are counted but not treated as errors.
+   * @param {Object} options - { limits, showWarnings, strictDuplicateKeys, keepOutput, previewLines }
+   *   `keepOutput` collects each valid record printed on one line
+   * @returns {Object} { write(chunk), end() => summary }
+   */
+  function createLineChecker(options = {}) {
+    const previewLines = options.previewLines || 0;
+    const parseOptions = {
+      dialect: 'json',
+      duplicateKeys: options.strictDuplicateKeys ? 'error' : 'warning',
+      limits: options.limits,
+      maxErrors: 1
+    };
+    const counts = { total: 0, valid: 0, invalid: 0, blank: 0 };
+    const errors = [];
+    const warnings = [];
+    const output = [];
+    const preview = [];
+    // One character per line: 'v' valid, 'x' invalid, 'b' blank
+    let statuses = '';
+    let pending = '';
+    let pendingStart = 0;
+
+    function checkLine(raw, start) {
+      counts.total++;
+      const lineNumber = counts.total;
+      if (preview.length < previewLines) preview.push(raw);
+      if (!raw.trim()) {
+        counts.blank++;
+        statuses += 'b';
+        return;
+      }
+      const analysis = window.JSONParser.parse(raw, parseOptions);
+      if (analysis.errors.length) {
+        counts.invalid++;
+        statuses += 'x';
+        if (errors.length < MAX_LISTED) errors.push(relocate(analysis.errors[0], lineNumber, start));
+        if (options.keepOutput) output.push(raw);
+        return;
+      }
+      counts.valid++;
+      statuses += 'v';
+      if (options.showWarnings) {
+        for (const warning of analysis.warnings) {
+          if (warnings.length >= MAX_LISTED) break;
+          warnings.push(relocate(warning, lineNumber, start));
+        }
+      }
+      if (options.keepOutput) output.push(window.JSONParser.print(analysis.ast, { indent: '', text: raw }));
+    }
+
+    function flushLines() {
+      let from = 0;
+      let newline;
+      while ((newline = pending.indexOf('\n', from)) !== -1) {
+        const end = newline > from && pending[newline - 1] === '\r' ? newline - 1 : newline;
+        checkLine(pending.slice(from, end), pendingStart + from);
+        from = newline + 1;
+      }
+      pending = pending.slice(from);
+      pendingStart += from;
+    }
+
+    return {
+      write(chunk) {
+        pending += chunk;
+        flushLines();
+      },
+      end() {
+        // A final newline ends the last record rather than starting an empty one
+        if (pending) checkLine(pending.endsWith('\r') ? pending.slice(0, -1) : pending, pendingStart);
+        pending = '';
+        return {
+          isValid: counts.invalid === 0 && counts.valid > 0,
+          lines: { ...counts, statuses },
+          errors,
+          warnings,
+          output,
+          preview
+        };
+      }
+    };
+  }
+
+  // Error for input with no records at all, reported like a parser error
+  function emptyError(text) {
+    return {
+      code: 'UNEXPECTED_END',
+      message: 'No JSON values found; each line should hold one value',
+      offset: text.length,
+      length: 0,
+      line: Math.max(1, text.split('\n').length),
+      column: 1,
+      expected: []
+    };
+  }
+
+  /**
+   * Validates every line of NDJSON text on its own
+   * @param {string} text - NDJSON text
+   * @param {Object} options - { limits, showWarnings, strictDuplicateKeys, onProgress }
+   * @returns {Object} Same shape as JSONValidator.validateIncremental (isValid, formattedFull or
+   *   formattedPrefix/suffix/errorInfo, errors, warnings) plus `lines`:
+   *   { total, valid, invalid, blank, statuses } with one status character per line
+   */
+  function validate(text, options = {}) {
+    const checker = createLineChecker({ ...options, keepOutput: true });
+    // Feeding the text in slices lets long inputs report progress
+    const step = 1024 * 1024;
+    for (let i = 0; i < text.length; i += step) {
+      checker.write(text.slice(i, i + step));
+      if (options.onProgress && text.length > step) options.onProgress(Math.min(1, (i + step) / text.length));
+    }
+    const summary = checker.end();
+    if (summary.isValid) {
+      return {
+        isValid: true,
+        formattedFull: summary.output.join('\n') + '\n',
+        warnings: summary.warnings,
+        lines: summary.lines
+      };
+    }
+    const errors = summary.errors.length ? summary.errors : [emptyError(text)];
+    const first = errors[0];
+    const errorInfo = { line: first.line, column: first.column, position: first.offset, message: first.message, code: first.code };
+    return {
+      isValid: false,
+      error: first.message,
+      errorInfo,
+      errors,
+      warnings: summary.warnings,
+      // Lines are checked separately, so the text is shown unchanged with the first error marked
+      formattedPrefix: text.slice(0, first.offset),
+      suffix: text.slice(first.offset),
+      formattedErrorOffset: first.offset,
+      lines: summary.lines
+    };
+  }
+
+  /**
+   * Converts NDJSON to a JSON array holding one element per record
+   * @param {string} text - NDJSON text
+   * @param {Object} options - Validation options plus `indent` for the array (default '  ')
+   * @returns {Object} { isValid: true, output, count } or the failed validate() result
+   */
+  function toArray(text, options = {}) {
+    const result = validate(text, options);
+    if (!result.isValid) return result;
+    const records = result.formattedFull.split('\n').filter(Boolean);
+    const indent = options.indent !== undefined ? options.indent : '  ';
+    // Records are already minified, so they are indented as whole lines
+    const output = records.length === 0 ? '[]' : indent
+      ? '[\n' + records.map(record => indent + record).join(',\n') + '\n]'
+      : '[' + records.join(',') + ']';
+    return { isValid: true, output, count: records.length, lines: result.lines };
+  }
+
+  /**
+   * Converts a JSON array to NDJSON, one element per line
+   * @param {string} text - JSON text whose root value is an array
+   * @param {Object} options - Parse options for JSONValidator.parse (dialect, limits)
+   * @returns {Object} { isValid: true, output, count } or { isValid: false, error, errorInfo, errors }
+   */
+  function fromArray(text, options = {}) {
+    const dialect = options.dialect === 'ndjson' ? 'json' : options.dialect;
+    let value;
+    try {
+      value = window.JSONValidator.parse(text, { ...options, dialect, lossless: true });
+    } catch (error) {
+      return {
+        isValid: false,
+        error: error.message,
+        errorInfo: error.errorInfo || window.JSONValidator.parseJSONError(error.message, text, { ...options, dialect }),
+        errors: error.errors || []
+      };
+    }
+    if (!Array.isArray(value)) {
+      const start = text.length - text.trimStart().length;
+      const before = text.slice(0, start).split('\n');
+      const errorInfo = {
+        line: before.length,
+        column: before[before.length - 1].length + 1,
+        position: start,
+        message: 'The root value is not an array; only arrays can be converted to NDJSON',
+        code: 'NOT_AN_ARRAY'
+      };
+      return {
+        isValid: false,
+        error: errorInfo.message,
+        errorInfo,
+        errors: [{ code: errorInfo.code, message: errorInfo.message, offset: start, length: 1, line: errorInfo.line, column: errorInfo.column, expected: ['['] }]
+      };
+    }
+    const output = value.map(item => window.JSONParser.stringify(item)).join('\n');
+    return { isValid: true, output: output ? output + '\n' : '', count: value.length };
+  }
+
+  /**
+   * Validates an NDJSON file chunk by chunk without loading it into memory
+   * @param {Blob} blob - File or Blob to read
+   * @param {Object} options - createLineChecker() options plus `signal` to cancel
+   * @param {Function} onProgress - Called with a 0..1 fraction of bytes read
+   * @returns {Promise<Object>} { isValid, lines, errors, warnings, error, bytes, encoding, previewText } where
+   *   encoding.malformed is true when invalid bytes were replaced with U+FFFD
+   */
+  async function validateBlob(blob, options = {}, onProgress) {
+    const checker = createLineChecker({ ...options, keepOutput: false, previewLines: PREVIEW_LINES });
+    const encoding = window.JSONUnicode.detectEncoding(new Uint8Array(await blob.slice(0, 4).arrayBuffer()));
+    if (encoding.encoding.startsWith('utf-32')) {
+      throw new Error(`${window.JSONUnicode.describeEncoding(encoding)} files are too large to stream; convert the file to UTF-8 first`);
+    }
+    const decoder = window.JSONUnicode.createStreamDecoder(encoding.encoding);
+    const reader = blob.stream().getReader();
+    const signal = options.signal;
+    let bytes = 0;
+    const progressStep = Math.max(65536, Math.ceil(blob.size / 100));
+    let nextProgress = progressStep;
+    try {
+      for (;;) {
+        if (signal && signal.aborted) throw new DOMException('Job cancelled', 'AbortError');
+        const { done, value } = await reader.read();
+        if (done) break;
+        bytes += value.byteLength;
+        checker.write(decoder.decode(value, { stream: true }));
+        if (onProgress && bytes >= nextProgress) {
+          nextProgress = bytes + progressStep;
+          onProgress(bytes / blob.size);
+        }
+      }
+      checker.write(decoder.decode());
+    } finally {
+      reader.cancel().catch(() => {});
+    }
+    const summary = checker.end();
+    return {
+      isValid: summary.isValid,
+      lines: summary.lines,
+      errors: summary.errors,
+      warnings: summary.warnings,
+      error: summary.errors[0] || (summary.isValid ? null : emptyError('')),
+      bytes: blob.size,
+      encoding: { encoding: encoding.encoding, bom: encoding.bom > 0, malformed: decoder.malformed },
+      previewText: summary.preview.join('\n')
+    };
+  }
+
+  /**
+   * Whether a file name has a JSON Lines extension (.jsonl or .ndjson)
+   * @param {string} name - File name
+   * @returns {boolean}
+   */
+  function isLinesFile(name) {
+    return FILE_PATTERN.test(name || '');
+  }
+
+  // Expose API
+  window.JSONLines = { createLineChecker, validate, toArray, fromArray, validateBlob, isLinesFile, MAX_LISTED };
+})();
@@ -0,0 +1,387 @@
+'use strict';
+(function () {
+  // OpenAPI 3 descriptions: their structure, internal $ref links and operations, and checking
+  // a response body against the schema an operation declares for one status code.
+  const METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+  // The description is registered as a schema document under this URI, so that
+  // "#/components/schemas/..." inside a response schema resolves against it
+  const SPEC_URI = 'https://jsonlintplus.local/openapi.json';
+  const MAX_REF_HOPS = 20;
+  const JSON_MEDIA_TYPE = /^application\/(?:[\w.-]+\+)?json(?:\s*;|$)/i;
+  // Schema keywords whose errors are about a property name rather than its value
+  const KEY_KEYWORDS = new Set(['additionalProperties', 'propertyNames', 'unevaluatedProperties']);
+
+  let structureSchema = null;
+
+  function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  function hasOwn(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+  }
+
+  function lineDialect(options) {
+    // A description is one document even while the editor is in NDJSON mode
+    return options.dialect === 'ndjson' ? { ...options, dialect: 'json' } : options;
+  }
+
+  // Parses like the rest of the app, keeping the syntax tree for locating problems
+  function read(text, options) {
+    try {
+      window.JSONValidator.parse(text, options);
+    } catch (error) {
+      return {
+        failure: {
+          isValid: false,
+          error: error.message,
+          errorInfo: error.errorInfo || window.JSONValidator.parseJSONError(error.message, text, options),
+          errors: error.errors || []
+        }
+      };
+    }
+    const doc = window.JSONParser.parse(text, { dialect: options.dialect, limits: options.limits, maxErrors: 1 });
+    // JSON.parse goes deeper than the recursive parser, which then stops with DEPTH_LIMIT
+    if (!doc.ast) return { failure: window.JSONValidator.syntaxFailure(doc.errors) };
+    return { doc, value: window.JSONParser.toValue(doc.ast) };
+  }
+
+  function locate(doc, pointer, preferKey) {
+    const found = window.JSONParser.findNode(doc.ast, pointer);
+    if (!found) return { offset: 0, length: 0, line: 1, column: 1 };
+    const start = preferKey && found.key ? found.key : found.node;
+    const { line, column } = window.JSONParser.positionAt(doc.lineStarts, start.start);
+    return { offset: start.start, length: found.node.end - start.start, line, column };
+  }
+
+  function problem(doc, code, message, pointer, preferKey) {
+    return { code, message, instancePath: pointer, ...locate(doc, pointer, preferKey) };
+  }
+
+  function valueAt(value, segments) {
+    let current = value;
+    for (const segment of segments) {
+      if (Array.isArray(current) && /^(?:0|[1-9]\d*)$/.test(segment) && Number(segment) < current.length) {
+        current = current[Number(segment)];
+      } else if (isObject(current) && hasOwn(current, segment)) {
+        current = current[segment];
+      } else {
+        return undefined;
+      }
+    }
+    return current;
+  }
+
+  /**
+   * Follows internal "$ref"s, as used for path items, responses and parameters
+   * @param {Object} spec - Parsed description
+   * @param {*} value - Value that may be a Reference Object
+   * @param {string} pointer - Where value sits
+   * @returns {Object|null} { value, pointer } of the referenced value; null for a broken or external reference
+   */
+  function deref(spec, value, pointer) {
+    let hops = 0;
+    while (isObject(value) && typeof value.$ref === 'string') {
+      if (value.$ref[0] !== '#' || hops++ >= MAX_REF_HOPS) return null;
+      let segments;
+      try {
+        segments = window.JSONParser.parsePointer(value.$ref);
+      } catch (error) {
+        return null;
+      }
+      value = valueAt(spec, segments);
+      if (value === undefined) return null;
+      pointer = window.JSONParser.toPointer(segments);
+    }
+    return { value, pointer };
+  }
+
+  function versionProblem(doc, spec) {
+    if (!isObject(spec)) return problem(doc, 'OPENAPI_VERSION', 'An OpenAPI description is a JSON object', '', false);
+    if (typeof spec.openapi === 'string' && /^3\.[01]\./.test(spec.openapi)) return null;
+    if (hasOwn(spec, 'swagger')) {
+      return problem(doc, 'OPENAPI_VERSION', `This is a Swagger ${String(spec.swagger)} document; OpenAPI mode reads OpenAPI 3.0 and 3.1`, '/swagger', true);
+    }
+    if (!hasOwn(spec, 'openapi')) {
+      return problem(doc, 'OPENAPI_VERSION', 'There is no "openapi" field naming the OpenAPI version', '', false);
+    }
+    return problem(doc, 'OPENAPI_VERSION', `OpenAPI version ${JSON.stringify(spec.openapi)} is not supported; use 3.0.x or 3.1.x`, '/openapi', false);
+  }
+
+  // Shape of the whole document, checked with the bundled OpenAPI 3 starter schema
+  function structureProblems(doc, spec) {
+    if (!structureSchema) {
+      const starter = window.JSONSchemaStarters.STARTER_SCHEMAS.find(entry => entry.id === 'openapi-3');
+      structureSchema = window.JSONSchema.compile(starter.schema);
+    }
+    const outcome = structureSchema.validate(spec);
+    return outcome.errors.slice(0, window.JSONSchema.MAX_ERRORS).map(error =>
+      problem(doc, 'OPENAPI_STRUCTURE', error.message, error.instancePath, KEY_KEYWORDS.has(error.keyword)));
+  }
+
+  // Every "$ref" string in the document, except schema properties that happen to be named "$ref"
+  function collectRefs(node, path, refs) {
+    if (node.type === 'object') {
+      const namesProperties = path[path.length - 1] === 'properties';
+      node.properties.forEach(property => {
+        if (!property.key || !property.value) return;
+        const childPath = path.concat([property.key.value]);
+        if (property.key.value === '$ref' && property.value.type === 'string' && !namesProperties) {
+          refs.push({ ref: property.value.value, path: childPath });
+        } else {
+          collectRefs(property.value, childPath, refs);
+        }
+      });
+    } else if (node.type === 'array') {
+      node.items.forEach((item, index) => {
+        if (item) collectRefs(item, path.concat([String(index)]), refs);
+      });
+    }
+  }
+
+  // Internal links are followed; links to other files and plain-name anchors cannot be checked here
+  function refProblems(doc, spec) {
+    const refs = [];
+    collectRefs(doc.ast, [], refs);
+    const errors = [];
+    let checked = 0;
+    refs.forEach(({ ref, path }) => {
+      if (ref[0] !== '#' || (ref.length > 1 && ref[1] !== '/')) return;
+      checked++;
+      const pointer = window.JSONParser.toPointer(path);
+      let segments;
+      try {
+        segments = window.JSONParser.parsePointer(ref);
+      } catch (error) {
+        errors.push(problem(doc, 'OPENAPI_REF', `$ref ${JSON.stringify(ref)} is not a valid JSON Pointer`, pointer, false));
+        return;
+      }
+      if (valueAt(spec, segments) !== undefined) return;
+      // Name the first segment that is missing
+      let depth = 0;
+      while (valueAt(spec, segments.slice(0, depth + 1)) !== undefined) depth++;
+      const parent = '#' + window.JSONParser.toPointer(segments.slice(0, depth));
+      errors.push(problem(doc, 'OPENAPI_REF',
+        `$ref ${JSON.stringify(ref)} points nowhere: ${JSON.stringify(parent)} has no ${JSON.stringify(segments[depth])}`, pointer, false));
+    });
+    return { errors, checked, external: refs.length - checked };
+  }
+
+  /**
+   * The operations of a description, in document order
+   * @param {Object} spec - Parsed description
+   * @returns {Array} [{ method: 'GET', path, operationId, summary, deprecated, pointer, statuses, parameters }]
+   *   where pointer locates the operation and parameters maps each path-level and operation
+   *   parameter (after following $refs) as { name, in }
+   */
+  function listOperations(spec) {
+    const operations = [];
+    if (!isObject(spec) || !isObject(spec.paths)) return operations;
+    Object.keys(spec.paths).forEach(path => {
+      const item = deref(spec, spec.paths[path], window.JSONParser.toPointer(['paths', path]));
+      if (!item || !isObject(item.value)) return;
+      METHODS.forEach(method => {
+        const operation = item.value[method];
+        if (!isObject(operation)) return;
+        const parameters = [].concat(Array.isArray(item.value.parameters) ? item.value.parameters : [],
+          Array.isArray(operation.parameters) ? operation.parameters : [])
+          .map(parameter => deref(spec, parameter, ''))
+          .filter(found => found && isObject(found.value) && typeof found.value.name === 'string')
+          .map(found => ({ name: found.value.name, in: found.value.in }));
+        operations.push({
+          method: method.toUpperCase(),
+          path,
+          operationId: typeof operation.operationId === 'string' ? operation.operationId : '',
+          summary: typeof operation.summary === 'string' ? operation.summary : '',
+          deprecated: operation.deprecated === true,
+          pointer: item.pointer + '/' + method,
+          statuses: isObject(operation.responses) ? Object.keys(operation.responses) : [],
+          parameters
+        });
+      });
+    });
+    return operations;
+  }
+
+  function operationProblems(doc, operations) {
+    const errors = [];
+    const ids = new Map();
+    operations.forEach(operation => {
+      const label = `${operation.method} ${operation.path}`;
+      if (operation.operationId) {
+        if (ids.has(operation.operationId)) {
+          errors.push(problem(doc, 'OPENAPI_OPERATION',
+            `operationId ${JSON.stringify(operation.operationId)} is already used by ${ids.get(operation.operationId)}`,
+            operation.pointer + '/operationId', false));
+        } else {
+          ids.set(operation.operationId, label);
+        }
+      }
+      const placeholders = (operation.path.match(/\{[^{}]+\}/g) || []).map(placeholder => placeholder.slice(1, -1));
+      const declared = operation.parameters.filter(parameter => parameter.in === 'path').map(parameter => parameter.name);
+      placeholders.filter(name => !declared.includes(name)).forEach(name => {
+        errors.push(problem(doc, 'OPENAPI_OPERATION', `${label} has no path parameter named ${JSON.stringify(name)}`, operation.pointer, true));
+      });
+      declared.filter(name => !placeholders.includes(name)).forEach(name => {
+        errors.push(problem(doc, 'OPENAPI_OPERATION',
+          `${label} declares the path parameter ${JSON.stringify(name)}, which its path does not contain`, operation.pointer, true));
+      });
+    });
+    return errors;
+  }
+
+  /**
+   * Checks an OpenAPI 3.0 or 3.1 description: its structure, that every internal $ref resolves,
+   * that operationIds are unique and that path placeholders match path parameters
+   * @param {string} text - Description text
+   * @param {Object} options - Parse options (dialect, limits, ...)
+   * @returns {Object} { isValid: false, error, errorInfo, errors } when the text does not parse, otherwise
+   *   { isValid: true, valid, version, title, errors, operations, refs: { checked, external } } where each
+   *   error has code, message, instancePath and offset/length/line/column, sorted by position, and
+   *   operations come from listOperations() with offset, line and column added
+   */
+  function checkText(text, options = {}) {
+    const parseOptions = lineDialect(options);
+    const { doc, value: spec, failure } = read(text, parseOptions);
+    if (failure) return failure;
+
+    const wrongVersion = versionProblem(doc, spec);
+    if (wrongVersion) {
+      return { isValid: true, valid: false, version: null, title: '', errors: [wrongVersion], operations: [], refs: { checked: 0, external: 0 } };
+    }
+
+    const operations = listOperations(spec).map(operation => {
+      const { offset, line, column } = locate(doc, operation.pointer, true);
+      return { ...operation, offset, line, column };
+    });
+    const refs = refProblems(doc, spec);
+    const errors = structureProblems(doc, spec).concat(refs.errors, operationProblems(doc, operations));
+    errors.sort((a, b) => a.offset - b.offset);
+    return {
+      isValid: true,
+      valid: errors.length === 0,
+      version: spec.openapi,
+      title: isObject(spec.info) && typeof spec.info.title === 'string' ? spec.info.title : '',
+      errors,
+      operations,
+      refs: { checked: refs.checked, external: refs.external }
+    };
+  }
+
+  // OpenAPI 3.0 schemas are a JSON Schema variant: "nullable" instead of a "null" type and
+  // boolean exclusiveMinimum/exclusiveMaximum. The copy keeps every other key where it was,
+  // so pointers into the original still hold.
+  function fromOpenAPI30(value) {
+    if (Array.isArray(value)) return value.map(fromOpenAPI30);
+    if (!isObject(value)) return value;
+    const copy = {};
+    Object.keys(value).forEach(key => {
+      copy[key] = fromOpenAPI30(value[key]);
+    });
+    if (copy.nullable === true) {
+      if (typeof copy.type === 'string') copy.type = [copy.type, 'null'];
+      if (Array.isArray(copy.enum) && !copy.enum.includes(null)) copy.enum = copy.enum.concat([null]);
+    }
+    ['Minimum', 'Maximum'].forEach(bound => {
+      const exclusive = 'exclusive' + bound;
+      const inclusive = bound.toLowerCase();
+      if (typeof copy[exclusive] !== 'boolean') return;
+      if (copy[exclusive] && typeof copy[inclusive] === 'number') {
+        copy[exclusive] = copy[inclusive];
+        delete copy[inclusive];
+      } else {
+        delete copy[exclusive];
+      }
+    });
+    return copy;
+  }
+
+  // The Response Object for a status: exact code first, then its range ("4XX"), then "default"
+  function responseFor(responses, status) {
+    const code = String(status).trim();
+    const candidates = [code, code[0] + 'XX', code[0] + 'xx', 'default'];
+    return candidates.find(candidate => hasOwn(responses, candidate)) || null;
+  }
+
+  function responseProblem(operation, status, message) {
+    return { isValid: true, response: { operation, status, problem: { code: 'OPENAPI_RESPONSE', message, offset: 0, length: 0, line: 1, column: 1 } } };
+  }
+
+  /**
+   * Checks a response body against the schema that an operation declares for a status code
+   * @param {string} bodyText - Response body; always read as strict JSON
+   * @param {string} specText - OpenAPI description
+   * @param {Object} options - { operation: 'GET /pets/{id}', status: '200', mediaType, indentation,
+   *   dialect (of the description), limits }
+   * @returns {Object} { isValid: false, error, errorInfo, errors } when the body does not parse, otherwise
+   *   { isValid: true, output, response } where output is the formatted body and response is
+   *   { operation, status, matched, mediaType, pointer, valid, draft, errors, total }.
+   *   Errors are located in output like JSONSchema.validateText() errors, with schemaOffset/schemaLine/...
+   *   pointing into the description. When there is no schema to check against, response is
+   *   { operation, status, problem: { code: 'OPENAPI_RESPONSE', message } } instead.
+   */
+  function validateResponseText(bodyText, specText, options = {}) {
+    const body = read(bodyText, { ...options, dialect: 'json' });
+    if (body.failure) return body.failure;
+    const label = String(options.operation || '').trim();
+    const status = String(options.status || '').trim();
+
+    const spec = read(specText || '', lineDialect(options));
+    if (spec.failure || versionProblem(spec.doc, spec.value)) {
+      return responseProblem(label, status, 'The editor does not hold a readable OpenAPI 3 description; check it first');
+    }
+    const space = label.indexOf(' ');
+    const method = label.slice(0, space).toLowerCase();
+    const path = label.slice(space + 1);
+    const item = isObject(spec.value.paths) && hasOwn(spec.value.paths, path)
+      ? deref(spec.value, spec.value.paths[path], window.JSONParser.toPointer(['paths', path]))
+      : null;
+    const operation = item && isObject(item.value) && METHODS.includes(method) ? item.value[method] : null;
+    if (!isObject(operation)) return responseProblem(label, status, `The description has no operation ${label}`);
+
+    const responses = isObject(operation.responses) ? operation.responses : {};
+    const matched = responseFor(responses, status);
+    if (!matched) return responseProblem(label, status, `${label} declares no ${status} response and no default`);
+    const response = deref(spec.value, responses[matched], item.pointer + window.JSONParser.toPointer([method, 'responses', matched]));
+    if (!response) return responseProblem(label, status, `The ${matched} response of ${label} is a $ref that does not resolve`);
+
+    const content = isObject(response.value) && isObject(response.value.content) ? response.value.content : {};
+    const mediaType = options.mediaType && hasOwn(content, options.mediaType)
+      ? options.mediaType
+      : Object.keys(content).find(type => JSON_MEDIA_TYPE.test(type)) || (hasOwn(content, '*/*') ? '*/*' : null);
+    if (!mediaType || !isObject(content[mediaType]) || !hasOwn(content[mediaType], 'schema')) {
+      return responseProblem(label, status, `The ${matched} response of ${label} describes no JSON body`);
+    }
+    const pointer = response.pointer + window.JSONParser.toPointer(['content', mediaType, 'schema']);
+
+    // The body is checked as it will be shown, formatted, so that error positions match the output
+    const output = window.JSONParser.print(body.doc.ast, { indent: window.JSONValidator.getIndentString(options.indentation) });
+    const is30 = /^3\.0\./.test(spec.value.openapi);
+    const outcome = window.JSONSchema.validateText(output, JSON.stringify({ $ref: SPEC_URI + '#' + pointer }), {
+      draft: is30 ? 'draft-07' : '2020-12',
+      schemas: { [SPEC_URI]: is30 ? fromOpenAPI30(spec.value) : spec.value },
+      dialect: 'json',
+      limits: options.limits
+    });
+    if (outcome.schemaError) return responseProblem(label, status, outcome.schemaError.message);
+
+    const schemaAt = locate(spec.doc, pointer, true);
+    const errors = outcome.errors.map(error => {
+      // Rules inside the description are located there; the one-line wrapper stands for the response schema
+      const inSpec = error.schemaURI === SPEC_URI;
+      const at = inSpec ? locate(spec.doc, error.schemaPath, true) : schemaAt;
+      const located = { ...error, schemaPath: inSpec ? error.schemaPath : pointer };
+      Object.assign(located, { schemaOffset: at.offset, schemaLength: at.length, schemaLine: at.line, schemaColumn: at.column });
+      delete located.schemaURI;
+      return located;
+    });
+    return {
+      isValid: true,
+      output,
+      response: { operation: label, status, matched, mediaType, pointer, valid: outcome.valid, draft: outcome.draft, errors, total: outcome.total }
+    };
+  }
+
+  // Expose API
+  window.JSONOpenAPI = { checkText, validateResponseText, listOperations, deref, METHODS };
+})();
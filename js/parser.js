@@ -0,0 +1,1167 @@
+'use strict';
+(function () {
+  const MAX_ERRORS = 100;
+
+  // Safety limits for untrusted input. The defaults are generous; callers tighten them
+  // through `options.limits`. Depth counts nested containers, the root container being 1.
+  const DEFAULT_LIMITS = Object.freeze({
+    maxDepth: 1000,
+    maxStringLength: 10000000,
+    maxObjectKeys: 100000,
+    maxNodes: 10000000
+  });
+
+  const LIMIT_CODES = ['DEPTH_LIMIT', 'STRING_LIMIT', 'KEY_LIMIT', 'NODE_LIMIT'];
+
+  // Missing, zero or non-numeric entries fall back to the defaults
+  function resolveLimits(limits) {
+    const resolved = { ...DEFAULT_LIMITS };
+    if (limits) {
+      Object.keys(DEFAULT_LIMITS).forEach(name => {
+        const value = Number(limits[name]);
+        if (Number.isFinite(value) && value > 0) resolved[name] = Math.floor(value);
+      });
+    }
+    return resolved;
+  }
+
+  // Deep pointers keep their tail, which names the offending value
+  function describePointer(pointer) {
+    if (!pointer) return 'the document root';
+    return pointer.length > 60 ? '...' + pointer.slice(-57) : pointer;
+  }
+
+  // Line start table so offsets can be mapped to 1-based line/column cheaply
+  function computeLineStarts(text) {
+    const starts = [0];
+    for (let i = 0; i < text.length; i++) {
+      if (text.charCodeAt(i) === 10) starts.push(i + 1);
+    }
+    return starts;
+  }
+
+  function positionAt(lineStarts, offset) {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= offset) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+  }
+
+  // Inverse of positionAt; columns past the end of a line stop at its line break
+  function offsetAt(lineStarts, line, column) {
+    const index = Math.max(0, Math.min(lineStarts.length - 1, (line || 1) - 1));
+    const offset = lineStarts[index] + Math.max(0, (column || 1) - 1);
+    return index + 1 < lineStarts.length ? Math.min(offset, lineStarts[index + 1] - 1) : offset;
+  }
+
+  function describeToken(token) {
+    switch (token.type) {
+      case 'eof': return 'end of input';
+      case 'string': return 'string ' + truncate(token.raw);
+      case 'number': return 'number ' + truncate(token.raw);
+      case 'literal':
+      case 'identifier': return "'" + truncate(token.raw) + "'";
+      case 'invalid': return 'character ' + JSON.stringify(token.raw);
+      default: return "'" + token.type + "'";
+    }
+  }
+
+  function truncate(text) {
+    return text.length > 24 ? text.slice(0, 21) + '...' : text;
+  }
+
+  function formatExpected(expected) {
+    const quoted = expected.map(e => (/^[{}[\]:,"]$/.test(e) ? "'" + e + "'" : e));
+    if (quoted.length <= 1) return quoted.join('');
+    return quoted.slice(0, -1).join(', ') + ' or ' + quoted[quoted.length - 1];
+  }
+
+  // Input dialects: strict RFC 8259, JSON with comments (VS Code style) and JSON5
+  const DIALECTS = {
+    json: { comments: false, trailingCommas: false, json5: false },
+    jsonc: { comments: true, trailingCommas: true, json5: false },
+    json5: { comments: true, trailingCommas: true, json5: true }
+  };
+
+  function getDialect(name) {
+    return DIALECTS[name] || DIALECTS.json;
+  }
+
+  const SIMPLE_ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+  function isDigit(ch) {
+    return ch >= '0' && ch <= '9';
+  }
+
+  function isHexDigit(ch) {
+    return /^[0-9a-fA-F]$/.test(ch || '');
+  }
+
+  function isIdentifierChar(ch) {
+    return /[\p{L}\p{Nl}\p{Mn}\p{Mc}\p{Nd}\p{Pc}$\u200C\u200D]/u.test(ch);
+  }
+
+  // Extra whitespace JSON5 accepts on top of the four JSON whitespace characters
+  function isJSON5Whitespace(ch) {
+    return ch === '\v' || ch === '\f' || ch === '\u00A0' || ch === '\uFEFF' || ch === '\u2028' || ch === '\u2029' || /\p{Zs}/u.test(ch);
+  }
+
+  // Tokenizer: produces one token per call and records lexical errors without stopping
+  function createScanner(text, report, dialect, comments) {
+    let pos = 0;
+
+    function skipWhitespace() {
+      while (pos < text.length) {
+        const ch = text[pos];
+        if (ch === ' ' || ch === '\t' || ch === '\n' || ch === '\r' || (dialect.json5 && isJSON5Whitespace(ch))) {
+          pos++;
+        } else if (ch === '/' && (text[pos + 1] === '/' || text[pos + 1] === '*')) {
+          scanComment();
+        } else {
+          break;
+        }
+      }
+    }
+
+    // Comments are kept out of the token stream; strict mode still reports them but keeps going
+    function scanComment() {
+      const start = pos;
+      const block = text[pos + 1] === '*';
+      if (block) {
+        const close = text.indexOf('*/', pos + 2);
+        if (close === -1) {
+          pos = text.length;
+          report('UNTERMINATED_COMMENT', start, pos - start, 'Unterminated block comment; missing */', ['*/']);
+        } else {
+          pos = close + 2;
+        }
+      } else {
+        while (pos < text.length && text[pos] !== '\n' && text[pos] !== '\r') pos++;
+      }
+      const comment = { type: 'comment', block, raw: text.slice(start, pos), start, end: pos };
+      if (dialect.comments) {
+        comments.push(comment);
+      } else {
+        report('COMMENT_NOT_ALLOWED', start, pos - start, 'Comments are not allowed in strict JSON', ['value']);
+      }
+    }
+
+    function scanString() {
+      const start = pos;
+      const quote = text[pos];
+      let value = '';
+      if (quote === "'" && !dialect.json5) {
+        report('SINGLE_QUOTED_STRING', start, 1, 'Strings must use double quotes', ['"']);
+      }
+      pos++; // opening quote
+      while (pos < text.length) {
+        // Copy runs of ordinary characters in one slice; large documents are mostly these
+        const runStart = pos;
+        let code = text.charCodeAt(pos);
+        while (code >= 0x20 && code !== 0x22 && code !== 0x27 && code !== 0x5C && pos < text.length) {
+          code = text.charCodeAt(++pos);
+        }
+        if (pos > runStart) value += text.slice(runStart, pos);
+        if (pos >= text.length) break;
+        const ch = text[pos];
+        if (ch === quote) {
+          pos++;
+          return { type: 'string', value, raw: text.slice(start, pos), start, end: pos };
+        }
+        if (ch === '\n' || ch === '\r') {
+          break;
+        }
+        if (ch === '\\') {
+          const esc = text[pos + 1];
+          if (esc === undefined) {
+            pos++;
+            break;
+          }
+          if (Object.prototype.hasOwnProperty.call(SIMPLE_ESCAPES, esc)) {
+            value += SIMPLE_ESCAPES[esc];
+            pos += 2;
+            continue;
+          }
+          if (esc === 'u') {
+            const hex = text.slice(pos + 2, pos + 6);
+            if (/^[0-9a-fA-F]{4}$/.test(hex)) {
+              value += String.fromCharCode(parseInt(hex, 16));
+              pos += 6;
+              continue;
+            }
+            report('INVALID_ESCAPE', pos, 2, 'Invalid unicode escape sequence; expected four hex digits after \\u', ['hex digit']);
+            pos += 2;
+            continue;
+          }
+          if (dialect.json5) {
+            // JSON5 adds \' \v \0 \xHH and backslash line continuations
+            if (esc === "'" || esc === 'v' || (esc === '0' && !isDigit(text[pos + 2]))) {
+              value += esc === 'v' ? '\v' : esc === '0' ? '\0' : "'";
+              pos += 2;
+              continue;
+            }
+            if (esc === 'x' && isHexDigit(text[pos + 2]) && isHexDigit(text[pos + 3])) {
+              value += String.fromCharCode(parseInt(text.slice(pos + 2, pos + 4), 16));
+              pos += 4;
+              continue;
+            }
+            if (esc === '\n' || esc === '\u2028' || esc === '\u2029') {
+              pos += 2;
+              continue;
+            }
+            if (esc === '\r') {
+              pos += text[pos + 2] === '\n' ? 3 : 2;
+              continue;
+            }
+          }
+          report('INVALID_ESCAPE', pos, 2, 'Invalid escape character ' + JSON.stringify('\\' + esc) + ' in string', ['valid escape sequence']);
+          value += esc;
+          pos += 2;
+          continue;
+        }
+        if (ch.charCodeAt(0) < 0x20) {
+          report('CONTROL_CHARACTER', pos, 1, 'Control character U+' + ch.charCodeAt(0).toString(16).toUpperCase().padStart(4, '0') + ' must be escaped in string', ['escaped character']);
+        }
+        value += ch;
+        pos++;
+      }
+      report('UNTERMINATED_STRING', start, pos - start, 'Unterminated string; missing closing quote', [quote]);
+      return { type: 'string', value, raw: text.slice(start, pos), start, end: pos, unterminated: true };
+    }
+
+    function scanNumber() {
+      const start = pos;
+      let valid = true;
+      let sign = 1;
+      if (text[pos] === '+' && !dialect.json5) valid = false;
+      if (text[pos] === '-' || text[pos] === '+') {
+        sign = text[pos] === '-' ? -1 : 1;
+        pos++;
+      }
+      if (dialect.json5 && (text.startsWith('Infinity', pos) || text.startsWith('NaN', pos))) {
+        const word = text.startsWith('NaN', pos) ? 'NaN' : 'Infinity';
+        pos += word.length;
+        return { type: 'number', value: word === 'NaN' ? NaN : sign * Infinity, raw: text.slice(start, pos), start, end: pos };
+      }
+      if (dialect.json5 && text[pos] === '0' && (text[pos + 1] === 'x' || text[pos + 1] === 'X')) {
+        pos += 2;
+        const digitsStart = pos;
+        while (isHexDigit(text[pos])) pos++;
+        const hexValid = pos > digitsStart && !(pos < text.length && isIdentifierChar(text[pos]));
+        while (pos < text.length && isIdentifierChar(text[pos])) pos++;
+        const raw = text.slice(start, pos);
+        if (!hexValid) {
+          report('INVALID_NUMBER', start, pos - start, 'Invalid hexadecimal number ' + JSON.stringify(raw), ['number']);
+        }
+        return { type: 'number', value: hexValid ? sign * parseInt(text.slice(digitsStart, pos), 16) : NaN, raw, start, end: pos, invalid: !hexValid };
+      }
+      let hasIntegerDigits = false;
+      if (text[pos] === '0') {
+        pos++;
+        hasIntegerDigits = true;
+        if (isDigit(text[pos])) {
+          valid = false;
+          while (isDigit(text[pos])) pos++;
+        }
+      } else if (isDigit(text[pos])) {
+        hasIntegerDigits = true;
+        while (isDigit(text[pos])) pos++;
+      } else if (!(dialect.json5 && text[pos] === '.' && isDigit(text[pos + 1]))) {
+        valid = false;
+      }
+      if (text[pos] === '.') {
+        pos++;
+        // JSON5 allows "5." as long as there were integer digits
+        if (!isDigit(text[pos]) && !(dialect.json5 && hasIntegerDigits)) valid = false;
+        while (isDigit(text[pos])) pos++;
+      }
+      if (text[pos] === 'e' || text[pos] === 'E') {
+        pos++;
+        if (text[pos] === '+' || text[pos] === '-') pos++;
+        if (!isDigit(text[pos])) valid = false;
+        while (isDigit(text[pos])) pos++;
+      }
+      // Swallow trailing identifier characters so "12abc" is one bad token
+      while (pos < text.length && isIdentifierChar(text[pos])) {
+        valid = false;
+        pos++;
+      }
+      const raw = text.slice(start, pos);
+      if (!valid) {
+        report('INVALID_NUMBER', start, pos - start, 'Invalid number ' + JSON.stringify(raw), ['number']);
+      }
+      return { type: 'number', value: valid ? Number(raw) : NaN, raw, start, end: pos, invalid: !valid };
+    }
+
+    function scanWord() {
+      const start = pos;
+      while (pos < text.length && isIdentifierChar(text[pos])) pos++;
+      const raw = text.slice(start, pos);
+      if (raw === 'true' || raw === 'false' || raw === 'null') {
+        return { type: 'literal', value: raw === 'null' ? null : raw === 'true', raw, start, end: pos };
+      }
+      if (dialect.json5 && (raw === 'Infinity' || raw === 'NaN')) {
+        return { type: 'number', value: raw === 'NaN' ? NaN : Infinity, raw, start, end: pos };
+      }
+      return { type: 'identifier', value: raw, raw, start, end: pos };
+    }
+
+    function next() {
+      skipWhitespace();
+      if (pos >= text.length) {
+        return { type: 'eof', raw: '', start: text.length, end: text.length };
+      }
+      const ch = text[pos];
+      const start = pos;
+      if ('{}[]:,'.includes(ch)) {
+        pos++;
+        return { type: ch, raw: ch, start, end: pos };
+      }
+      if (ch === '"' || ch === "'") return scanString();
+      if (ch === '-' || isDigit(ch) || ch === '.' || ch === '+') return scanNumber();
+      if (isIdentifierChar(ch)) return scanWord();
+      pos++;
+      return { type: 'invalid', raw: ch, start, end: pos };
+    }
+
+    return { next };
+  }
+
+  /**
+   * Fault-tolerant recursive descent parser.
+   * Never throws on malformed input: every problem is collected in `errors`
+   * and parsing resumes at the next plausible token so later problems are reported too.
+   * Exceeding a safety limit is the exception: it is reported as the only error and
+   * parsing stops there, with `ast` set to null.
+   * @param {string} text - Source text
+   * @param {Object} options - { dialect: 'json'|'jsonc'|'json5', duplicateKeys: 'warning'|'error', maxErrors,
+   *   limits: { maxDepth, maxStringLength, maxObjectKeys, maxNodes }, onProgress(fraction) }
+   * @returns {Object} { ast, errors, warnings, comments, lineStarts }
+   */
+  function parse(text, options = {}) {
+    const maxErrors = options.maxErrors || MAX_ERRORS;
+    const limits = resolveLimits(options.limits);
+    const dialect = getDialect(options.dialect);
+    const lineStarts = computeLineStarts(text);
+    const errors = [];
+    const comments = [];
+    const openers = [];
+    const warnings = [];
+    const path = [];
+    const stop = {};
+    let nodeCount = 0;
+
+    function report(code, offset, length, message, expected) {
+      if (errors.length >= maxErrors) return;
+      // Several recovery paths can fire at the same spot; keep the first
+      if (errors.some(e => e.offset === offset)) return;
+      const { line, column } = positionAt(lineStarts, offset);
+      errors.push({ code, message, offset, length: Math.max(0, length), line, column, expected: expected || [] });
+    }
+
+    // Duplicate keys are legal syntax, so they are warnings unless the caller asks for strictness
+    function reportDuplicate(key, first) {
+      const pointer = toPointer(path.concat(key.value));
+      const firstPos = positionAt(lineStarts, first.start);
+      const { line, column } = positionAt(lineStarts, key.start);
+      const duplicate = {
+        code: 'DUPLICATE_KEY',
+        message: `Duplicate key ${JSON.stringify(key.value)} at ${pointer}; first defined at line ${firstPos.line}, column ${firstPos.column}`,
+        offset: key.start,
+        length: key.end - key.start,
+        line,
+        column,
+        expected: [],
+        pointer,
+        firstOccurrence: { offset: first.start, line: firstPos.line, column: firstPos.column }
+      };
+      if (options.duplicateKeys === 'error') {
+        if (errors.length < maxErrors) errors.push(duplicate);
+      } else {
+        warnings.push(duplicate);
+      }
+    }
+
+    // A limit violation replaces every other error; exceedLimit also unwinds the parse
+    function recordLimit(code, offset, length, message) {
+      const { line, column } = positionAt(lineStarts, offset);
+      errors.length = 0;
+      errors.push({ code, message, offset, length: Math.max(0, length), line, column, expected: [], pointer: toPointer(path) });
+    }
+
+    function exceedLimit(code, offset, length, message) {
+      recordLimit(code, offset, length, message);
+      throw stop;
+    }
+
+    function checkStringLength(t, what) {
+      if (t.value.length > limits.maxStringLength) {
+        exceedLimit('STRING_LIMIT', t.start, t.end - t.start,
+          `${what} of ${t.value.length} characters at ${describePointer(toPointer(path))} exceeds the limit of ${limits.maxStringLength}`);
+      }
+    }
+
+    // JSON allows any precision, but JavaScript consumers read numbers as IEEE-754 doubles
+    function checkNumberRange(t) {
+      if (Math.abs(t.value) <= Number.MAX_SAFE_INTEGER) return;
+      const pointer = toPointer(path) || 'the document root';
+      let code = null;
+      let message;
+      if (/^[+-]?(?:\d+|0[xX][0-9a-fA-F]+)$/.test(t.raw) && !Number.isSafeInteger(t.value)) {
+        code = 'UNSAFE_INTEGER';
+        message = `Integer ${truncate(t.raw)} at ${pointer} is outside the safe integer range (±${Number.MAX_SAFE_INTEGER}); JavaScript reads it as ${t.value}`;
+      } else if (!Number.isFinite(t.value) && STRICT_NUMBER.test(t.raw)) {
+        code = 'NUMBER_OUT_OF_RANGE';
+        message = `Number ${truncate(t.raw)} at ${pointer} is too large for a double; JavaScript reads it as ${t.value}`;
+      } else if (!Number.isFinite(t.value)) {
+        // JSON5 Infinity and NaN
+        code = 'NON_FINITE_NUMBER';
+        message = `${truncate(t.raw)} at ${pointer} has no strict JSON form and becomes null when converted to JSON`;
+      }
+      if (!code) return;
+      const { line, column } = positionAt(lineStarts, t.start);
+      warnings.push({ code, message, offset: t.start, length: t.end - t.start, line, column, expected: [], pointer: toPointer(path) });
+    }
+
+    const scanner = createScanner(text, report, dialect, comments);
+    let token = scanner.next();
+    // Progress is reported about every 1% (at least 64 KB) so callers can update a status bar
+    const onProgress = typeof options.onProgress === 'function' ? options.onProgress : null;
+    const progressStep = Math.max(65536, Math.ceil(text.length / 100));
+    let nextProgress = progressStep;
+
+    function advance() {
+      const current = token;
+      token = scanner.next();
+      if (onProgress && token.start >= nextProgress) {
+        nextProgress = token.start + progressStep;
+        onProgress(token.start / text.length);
+      }
+      return current;
+    }
+
+    function unexpected(expected, code = 'UNEXPECTED_TOKEN') {
+      const message = token.type === 'eof'
+        ? 'Unexpected end of input; expected ' + formatExpected(expected)
+        : 'Unexpected ' + describeToken(token) + '; expected ' + formatExpected(expected);
+      report(token.type === 'eof' ? 'UNEXPECTED_END' : code, token.start, token.end - token.start, message, expected);
+    }
+
+    function startsValue(type) {
+      return type === '{' || type === '[' || type === 'string' || type === 'number' || type === 'literal' || type === 'identifier';
+    }
+
+    // A closer belongs to an enclosing container: stop here and let that level consume it
+    function closesAncestor(type) {
+      const opener = type === '}' ? '{' : type === ']' ? '[' : null;
+      return opener !== null && openers.includes(opener);
+    }
+
+    function parseLeaf() {
+      const t = advance();
+      if (t.type === 'identifier') {
+        report('INVALID_LITERAL', t.start, t.end - t.start, 'Unknown literal ' + JSON.stringify(t.raw) + '; expected true, false, null, a number or a quoted string', ['value']);
+        return { type: 'invalid', raw: t.raw, start: t.start, end: t.end };
+      }
+      if (t.type === 'number' && !t.invalid) {
+        checkNumberRange(t);
+      }
+      if (t.type === 'string') checkStringLength(t, 'String');
+      // Tokens already have the leaf node shape; only literals need their node type
+      if (t.type === 'literal') t.type = t.value === null ? 'null' : 'boolean';
+      return t;
+    }
+
+    function parseValue() {
+      if (startsValue(token.type) && ++nodeCount > limits.maxNodes) {
+        exceedLimit('NODE_LIMIT', token.start, token.end - token.start,
+          `Document has more than ${limits.maxNodes} values; stopped at ${describePointer(toPointer(path))}`);
+      }
+      if (token.type === '{') return parseObject();
+      if (token.type === '[') return parseArray();
+      if (startsValue(token.type)) return parseLeaf();
+      unexpected(['value'], 'VALUE_EXPECTED');
+      if (token.type === 'invalid' || token.type === ':') {
+        advance();
+      }
+      return null;
+    }
+
+    function checkDepth() {
+      if (openers.length >= limits.maxDepth) {
+        exceedLimit('DEPTH_LIMIT', token.start, 1,
+          `Nesting depth exceeds the limit of ${limits.maxDepth} at ${describePointer(toPointer(path))}`);
+      }
+    }
+
+    function parseObject() {
+      checkDepth();
+      const open = advance();
+      const node = { type: 'object', start: open.start, end: open.end, properties: [] };
+      openers.push('{');
+      const seen = new Map();
+      let lastComma = null;
+
+      while (true) {
+        if (token.type === '}') {
+          if (lastComma && !dialect.trailingCommas) {
+            report('TRAILING_COMMA', lastComma.start, 1, 'Trailing comma before closing brace', ['property name']);
+          }
+          node.end = advance().end;
+          break;
+        }
+        if (token.type === 'eof' || closesAncestor(token.type)) {
+          report('UNCLOSED_OBJECT', token.start, 0, "Expected '}' to close object opened at line " + positionAt(lineStarts, open.start).line, ['}']);
+          node.end = token.start;
+          break;
+        }
+
+        // Property name
+        let key = null;
+        if (token.type === 'string') {
+          key = advance();
+        } else if (token.type === 'identifier' || token.type === 'literal' || token.type === 'number') {
+          const t = advance();
+          // JSON5 allows identifier names (including reserved words like null and Infinity) as keys
+          const identifierKey = dialect.json5 && /^[^0-9+\-.]/.test(t.raw);
+          if (!identifierKey) {
+            report('PROPERTY_NAME_EXPECTED', t.start, t.end - t.start, 'Property names must be double-quoted strings; found ' + describeToken(t), ['"']);
+          }
+          key = { type: 'string', value: String(t.raw), raw: t.raw, start: t.start, end: t.end };
+        } else if (token.type === ',') {
+          unexpected(['property name', '}'], 'PROPERTY_NAME_EXPECTED');
+          advance();
+          continue;
+        } else if (token.type !== ':') {
+          unexpected(['property name', '}'], 'PROPERTY_NAME_EXPECTED');
+          if (token.type === '{' || token.type === '[') {
+            // Skip a stray container entirely so its contents don't cascade
+            parseValue();
+          } else {
+            advance();
+          }
+          continue;
+        } else {
+          unexpected(['property name'], 'PROPERTY_NAME_EXPECTED');
+        }
+
+        const property = { type: 'property', key, value: null, start: key ? key.start : token.start, end: key ? key.end : token.start };
+        if (node.properties.length >= limits.maxObjectKeys) {
+          exceedLimit('KEY_LIMIT', property.start, property.end - property.start,
+            `Object at ${describePointer(toPointer(path))} has more than ${limits.maxObjectKeys} keys`);
+        }
+        if (key) {
+          checkStringLength(key, 'Key');
+          if (seen.has(key.value)) {
+            reportDuplicate(key, seen.get(key.value));
+          } else {
+            seen.set(key.value, key);
+          }
+        }
+
+        // Colon
+        if (token.type === ':') {
+          property.end = advance().end;
+        } else {
+          unexpected([':'], 'MISSING_COLON');
+          if (!startsValue(token.type)) {
+            node.properties.push(property);
+            lastComma = null;
+            if (token.type === ',') {
+              lastComma = advance();
+            }
+            continue;
+          }
+        }
+
+        // Value
+        if (token.type === ',' || token.type === '}') {
+          unexpected(['value'], 'VALUE_EXPECTED');
+        } else {
+          path.push(key ? key.value : '');
+          property.value = parseValue();
+          path.pop();
+          if (property.value) property.end = property.value.end;
+        }
+        node.properties.push(property);
+        node.end = property.end;
+
+        // Separator
+        lastComma = null;
+        if (token.type === ',') {
+          lastComma = advance();
+        } else if (token.type === '}' || token.type === 'eof' || closesAncestor(token.type)) {
+          continue;
+        } else if (startsValue(token.type)) {
+          unexpected([',', '}'], 'MISSING_COMMA');
+        } else {
+          unexpected([',', '}']);
+          advance();
+        }
+      }
+
+      openers.pop();
+      return node;
+    }
+
+    function parseArray() {
+      checkDepth();
+      const open = advance();
+      const node = { type: 'array', start: open.start, end: open.end, items: [] };
+      openers.push('[');
+      let lastComma = null;
+
+      while (true) {
+        if (token.type === ']') {
+          if (lastComma && !dialect.trailingCommas) {
+            report('TRAILING_COMMA', lastComma.start, 1, 'Trailing comma before closing bracket', ['value']);
+          }
+          node.end = advance().end;
+          break;
+        }
+        if (token.type === 'eof' || closesAncestor(token.type)) {
+          report('UNCLOSED_ARRAY', token.start, 0, "Expected ']' to close array opened at line " + positionAt(lineStarts, open.start).line, [']']);
+          node.end = token.start;
+          break;
+        }
+        if (token.type === ',') {
+          unexpected(['value', ']'], 'VALUE_EXPECTED');
+          advance();
+          continue;
+        }
+
+        path.push(node.items.length);
+        const item = parseValue();
+        path.pop();
+        if (item) {
+          node.items.push(item);
+          node.end = item.end;
+        } else if (token.type !== ']' && token.type !== ',' && token.type !== 'eof' && !closesAncestor(token.type)) {
+          advance();
+        }
+
+        lastComma = null;
+        if (token.type === ',') {
+          lastComma = advance();
+        } else if (token.type === ']' || token.type === 'eof' || closesAncestor(token.type)) {
+          continue;
+        } else if (startsValue(token.type)) {
+          unexpected([',', ']'], 'MISSING_COMMA');
+        } else {
+          unexpected([',', ']']);
+          advance();
+        }
+      }
+
+      openers.pop();
+      return node;
+    }
+
+    let ast = null;
+    if (token.type === 'eof') {
+      report('UNEXPECTED_END', 0, 0, 'Empty input; expected a JSON value', ['value']);
+    } else {
+      try {
+        ast = parseValue();
+        // Keep reporting stray closers and values after the root until input runs out
+        while (token.type !== 'eof' && errors.length < maxErrors) {
+          if (token.type === '}' || token.type === ']') {
+            report('UNEXPECTED_TOKEN', token.start, 1, 'Unexpected ' + describeToken(token) + '; no matching opening bracket', ['end of input']);
+            advance();
+          } else {
+            report('EXTRA_DATA', token.start, token.end - token.start, 'Unexpected ' + describeToken(token) + ' after the root value; expected end of input', ['end of input']);
+            if (startsValue(token.type)) {
+              parseValue();
+            } else {
+              advance();
+            }
+          }
+        }
+      } catch (err) {
+        ast = null;
+        // A stack overflow means the engine ran out before maxDepth did
+        if (err instanceof RangeError) {
+          recordLimit('DEPTH_LIMIT', token.start, 1, `Nesting depth of ${openers.length} is too deep to process`);
+        } else if (err !== stop) {
+          throw err;
+        }
+      }
+    }
+
+    errors.sort((a, b) => a.offset - b.offset);
+    return { ast, errors, warnings, comments, lineStarts };
+  }
+
+  /**
+   * Checks an already parsed value against the safety limits without recursion,
+   * for values that did not come through parse() (e.g. from JSON.parse)
+   * @param {*} value - Value to check; LosslessNumber instances count as leaves
+   * @param {Object} limits - { maxDepth, maxStringLength, maxObjectKeys, maxNodes }; missing entries use the defaults
+   * @returns {Object|null} { code, message, pointer } for the first violation, or null
+   */
+  function checkLimits(value, limits) {
+    const resolved = resolveLimits(limits);
+    // Entries remember their parent so pointers are only built for a violation
+    const stack = [{ value, depth: 0, parent: null, key: null }];
+    let nodes = 0;
+
+    function pointerOf(entry) {
+      const segments = [];
+      for (let e = entry; e.parent; e = e.parent) segments.unshift(e.key);
+      return toPointer(segments);
+    }
+
+    while (stack.length) {
+      const entry = stack.pop();
+      const current = entry.value;
+      if (++nodes > resolved.maxNodes) {
+        return { code: 'NODE_LIMIT', message: `Document has more than ${resolved.maxNodes} values; stopped at ${describePointer(pointerOf(entry))}`, pointer: pointerOf(entry) };
+      }
+      if (typeof current === 'string' && current.length > resolved.maxStringLength) {
+        return { code: 'STRING_LIMIT', message: `String of ${current.length} characters at ${describePointer(pointerOf(entry))} exceeds the limit of ${resolved.maxStringLength}`, pointer: pointerOf(entry) };
+      }
+      if (current === null || typeof current !== 'object' || current instanceof LosslessNumber) continue;
+      if (entry.depth >= resolved.maxDepth) {
+        return { code: 'DEPTH_LIMIT', message: `Nesting depth exceeds the limit of ${resolved.maxDepth} at ${describePointer(pointerOf(entry))}`, pointer: pointerOf(entry) };
+      }
+      if (Array.isArray(current)) {
+        for (let i = current.length - 1; i >= 0; i--) stack.push({ value: current[i], depth: entry.depth + 1, parent: entry, key: i });
+        continue;
+      }
+      const keys = Object.keys(current);
+      if (keys.length > resolved.maxObjectKeys) {
+        return { code: 'KEY_LIMIT', message: `Object at ${describePointer(pointerOf(entry))} has more than ${resolved.maxObjectKeys} keys`, pointer: pointerOf(entry) };
+      }
+      for (let i = keys.length - 1; i >= 0; i--) {
+        if (keys[i].length > resolved.maxStringLength) {
+          const pointer = pointerOf(entry);
+          return { code: 'STRING_LIMIT', message: `Key of ${keys[i].length} characters at ${describePointer(pointer)} exceeds the limit of ${resolved.maxStringLength}`, pointer };
+        }
+        stack.push({ value: current[keys[i]], depth: entry.depth + 1, parent: entry, key: keys[i] });
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Splits text into tokens in source order, comments included. Never throws: malformed
+   * input yields 'invalid' or unterminated tokens, so partial documents can be highlighted.
+   * @param {string} text - Source text
+   * @param {Object} options - { dialect } (defaults to 'json5', the most permissive)
+   * @returns {Array<Object>} Tokens { type, raw, start, end }; type is '{', '}', '[', ']', ':', ',',
+   *   'string', 'number', 'literal', 'identifier', 'comment' or 'invalid'
+   */
+  function tokenize(text, options = {}) {
+    const comments = [];
+    const dialect = { ...getDialect(options.dialect || 'json5'), comments: true };
+    const scanner = createScanner(text, () => {}, dialect, comments);
+    const tokens = [];
+    let next = 0;
+    for (let token = scanner.next(); token.type !== 'eof'; token = scanner.next()) {
+      // Comments are collected while skipping whitespace, so they always precede the token
+      while (next < comments.length) tokens.push(comments[next++]);
+      tokens.push(token);
+    }
+    while (next < comments.length) tokens.push(comments[next++]);
+    return tokens;
+  }
+
+  /**
+   * Splits an RFC 6901 JSON Pointer into unescaped segments. URI fragments ("#/a%20b") are accepted.
+   * @param {string} pointer - Pointer such as "/users/0/name"
+   * @returns {Array<string>} Segments ([] for the root)
+   */
+  function parsePointer(pointer) {
+    let text = String(pointer);
+    if (text[0] === '#') text = decodeURIComponent(text.slice(1));
+    if (text === '') return [];
+    if (text[0] !== '/') {
+      throw new SyntaxError('Invalid JSON Pointer ' + JSON.stringify(pointer) + '; it must be empty or start with "/"');
+    }
+    return text.slice(1).split('/').map(s => s.replace(/~1/g, '/').replace(/~0/g, '~'));
+  }
+
+  /**
+   * Finds the value a JSON Pointer refers to. With duplicate keys the last one wins, as in JSON.parse.
+   * @param {Object} ast - Root node from parse()
+   * @param {string|Array<string|number>} pointer - Pointer or its segments
+   * @returns {Object|null} { node, key } where key is the member's key node (null for array items and the root)
+   */
+  function findNode(ast, pointer) {
+    const segments = Array.isArray(pointer) ? pointer : parsePointer(pointer);
+    let node = ast;
+    let key = null;
+    for (const segment of segments) {
+      if (!node) return null;
+      if (node.type === 'object') {
+        let match = null;
+        for (const property of node.properties) {
+          if (property.key && property.key.value === String(segment)) match = property;
+        }
+        if (!match) return null;
+        key = match.key;
+        node = match.value;
+      } else if (node.type === 'array' && /^(?:0|[1-9]\d*)$/.test(String(segment))) {
+        key = null;
+        node = node.items[Number(segment)];
+      } else {
+        return null;
+      }
+    }
+    return node ? { node, key } : null;
+  }
+
+  // Children are in source order, so the one spanning an offset can be found by bisection
+  function childAt(children, offset) {
+    let low = 0;
+    let high = children.length - 1;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      const child = children[mid];
+      if (offset < child.start) {
+        high = mid - 1;
+      } else if (offset > child.end) {
+        low = mid + 1;
+      } else {
+        return mid;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Returns the path to the innermost key or value spanning an offset.
+   * An offset on a key, or just after a value, counts as that member.
+   * @param {Object} ast - Root node from parse()
+   * @param {number} offset - Offset into the source text
+   * @returns {Array<string|number>|null} Path segments, or null when the offset is outside the root value
+   */
+  function pathAt(ast, offset) {
+    if (!ast || offset < ast.start || offset > ast.end) return null;
+    const segments = [];
+    let node = ast;
+    while (node) {
+      let child = null;
+      if (node.type === 'object') {
+        const index = childAt(node.properties, offset);
+        const property = index === -1 ? null : node.properties[index];
+        if (!property || !property.key) break;
+        segments.push(property.key.value);
+        child = property.value;
+      } else if (node.type === 'array') {
+        const index = childAt(node.items, offset);
+        if (index === -1) break;
+        segments.push(index);
+        child = node.items[index];
+      }
+      if (!child || offset < child.start) break;
+      node = child;
+    }
+    return segments;
+  }
+
+  /**
+   * Parses once and answers position questions against the result; error navigation,
+   * highlighting and later tools share it instead of re-deriving offsets.
+   * @param {string} text - Source text
+   * @param {Object} options - Same as parse()
+   * @returns {Object} parse() result plus { text, positionAt(offset), offsetAt(line, column),
+   *   rangeOf(pointer), pointerAt(offset) }
+   */
+  function createDocument(text, options = {}) {
+    const result = parse(text, options);
+    const { ast, lineStarts } = result;
+    return {
+      ...result,
+      text,
+      positionAt: (offset) => positionAt(lineStarts, offset),
+      offsetAt: (line, column) => offsetAt(lineStarts, line, column),
+      /**
+       * @returns {Object|null} { start, end, line, column, endLine, endColumn, key: { start, end } | null }
+       */
+      rangeOf(pointer) {
+        const found = findNode(ast, pointer);
+        if (!found) return null;
+        const { node, key } = found;
+        const from = positionAt(lineStarts, node.start);
+        const to = positionAt(lineStarts, node.end);
+        return {
+          start: node.start,
+          end: node.end,
+          line: from.line,
+          column: from.column,
+          endLine: to.line,
+          endColumn: to.column,
+          key: key ? { start: key.start, end: key.end } : null
+        };
+      },
+      pointerAt(offset) {
+        const segments = pathAt(ast, offset);
+        return segments ? toPointer(segments) : null;
+      }
+    };
+  }
+
+  /**
+   * A number kept exactly as written, so 64-bit IDs and literals like 1.0, 1e3 or -0
+   * survive transforms that work on JavaScript values
+   */
+  class LosslessNumber {
+    constructor(raw) {
+      this.raw = raw;
+    }
+
+    valueOf() {
+      return Number(this.raw);
+    }
+
+    toString() {
+      return this.raw;
+    }
+
+    // Plain JSON.stringify can only emit a double
+    toJSON() {
+      return Number(this.raw);
+    }
+  }
+
+  /**
+   * Sets an own, enumerable member. Plain assignment of "__proto__" would replace the prototype
+   * instead, losing the member.
+   * @param {Object} object - Object to add to
+   * @param {string} key - Member name
+   * @param {*} value - Member value
+   */
+  function setMember(object, key, value) {
+    Object.defineProperty(object, key, { value, enumerable: true, writable: true, configurable: true });
+  }
+
+  /**
+   * Converts an AST node into a plain JavaScript value
+   * @param {Object} node - AST node from parse()
+   * @param {Object} options - { lossless: wrap numbers in LosslessNumber }
+   * @returns {*} JavaScript value
+   */
+  function toValue(node, options = {}) {
+    if (!node) return null;
+    switch (node.type) {
+      case 'object': {
+        const obj = {};
+        node.properties.forEach(p => {
+          if (p.key) setMember(obj, p.key.value, toValue(p.value, options));
+        });
+        return obj;
+      }
+      case 'array':
+        return node.items.map(item => toValue(item, options));
+      case 'number':
+        if (options.lossless && STRICT_NUMBER.test(node.raw)) {
+          return new LosslessNumber(node.raw);
+        }
+        return node.value;
+      case 'invalid':
+        return null;
+      default:
+        return node.value;
+    }
+  }
+
+  /**
+   * JSON.stringify counterpart that writes LosslessNumber values verbatim
+   * @param {*} value - Value to serialize
+   * @param {Function|Array} replacer - Same meaning as for JSON.stringify
+   * @param {number|string} space - Same meaning as for JSON.stringify
+   * @returns {string|undefined} JSON text
+   */
+  function stringify(value, replacer, space) {
+    const indentUnit = typeof space === 'number'
+      ? ' '.repeat(Math.max(0, Math.min(10, Math.floor(space))))
+      : typeof space === 'string' ? space.slice(0, 10) : '';
+    const replace = typeof replacer === 'function' ? replacer : null;
+    const allowed = Array.isArray(replacer) ? Array.from(new Set(replacer.map(String))) : null;
+    const stack = [];
+
+    function serialize(holder, key, val, depth) {
+      if (val !== null && typeof val === 'object' && !(val instanceof LosslessNumber) && typeof val.toJSON === 'function') {
+        val = val.toJSON(key);
+      }
+      if (replace) val = replace.call(holder, key, val);
+      if (val instanceof LosslessNumber) return val.raw;
+      if (val === null) return 'null';
+      switch (typeof val) {
+        case 'string':
+          return JSON.stringify(val);
+        case 'number':
+          return Number.isFinite(val) ? String(val) : 'null';
+        case 'boolean':
+          return String(val);
+        case 'bigint':
+          return val.toString();
+        case 'object':
+          break;
+        default:
+          return undefined;
+      }
+      if (stack.includes(val)) throw new TypeError('Converting circular structure to JSON');
+      stack.push(val);
+      const isArray = Array.isArray(val);
+      const parts = [];
+      if (isArray) {
+        val.forEach((item, i) => {
+          const text = serialize(val, String(i), item, depth + 1);
+          parts.push(text === undefined ? 'null' : text);
+        });
+      } else {
+        (allowed || Object.keys(val)).forEach(k => {
+          const text = serialize(val, k, val[k], depth + 1);
+          if (text !== undefined) parts.push(JSON.stringify(k) + (indentUnit ? ': ' : ':') + text);
+        });
+      }
+      stack.pop();
+      const open = isArray ? '[' : '{';
+      const close = isArray ? ']' : '}';
+      if (!parts.length) return open + close;
+      if (!indentUnit) return open + parts.join(',') + close;
+      const pad = indentUnit.repeat(depth + 1);
+      return open + '\n' + pad + parts.join(',\n' + pad) + '\n' + indentUnit.repeat(depth) + close;
+    }
+
+    return serialize({ '': value }, '', value, 0);
+  }
+
+  /**
+   * Builds an RFC 6901 JSON Pointer from path segments
+   * @param {Array<string|number>} segments - Keys and array indices from the root
+   * @returns {string} Pointer such as "/users/0/name" ("" for the root)
+   */
+  function toPointer(segments) {
+    return segments.map(s => '/' + String(s).replace(/~/g, '~0').replace(/\//g, '~1')).join('');
+  }
+
+  const STRICT_NUMBER = /^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?$/;
+
+  /**
+   * Prints an AST back to text. Output is strict JSON except for comments,
+   * which are kept when `keepComments` is set and parse()'s comment list is passed in.
+   * @param {Object} ast - Root node from parse()
+   * @param {Object} options - { indent: string ('' for minified), keepComments, comments, text }
+   * @returns {string} Printed document
+   */
+  function print(ast, options = {}) {
+    const indentUnit = options.indent === undefined ? '  ' : options.indent;
+    const pretty = indentUnit !== '';
+    const comments = options.keepComments && options.comments ? options.comments : [];
+    const lineStarts = comments.length && options.text !== undefined ? computeLineStarts(options.text) : null;
+    let next = 0;
+
+    function lineOf(offset) {
+      return lineStarts ? positionAt(lineStarts, offset).line : -1;
+    }
+
+    function takeBefore(offset) {
+      const taken = [];
+      while (next < comments.length && comments[next].start < offset) taken.push(comments[next++]);
+      return taken;
+    }
+
+    // A line comment cannot be followed by more code on the same line
+    function inline(comment) {
+      return comment.block ? comment.raw : '/*' + comment.raw.slice(2) + ' */';
+    }
+
+    function printNumber(node) {
+      if (STRICT_NUMBER.test(node.raw)) return node.raw;
+      return Number.isFinite(node.value) ? String(node.value) : 'null';
+    }
+
+    function printNode(node, depth) {
+      if (!node) return 'null';
+      switch (node.type) {
+        case 'object':
+        case 'array':
+          return printContainer(node, depth);
+        case 'string':
+          return JSON.stringify(node.value);
+        case 'number':
+          return printNumber(node);
+        case 'boolean':
+          return node.value ? 'true' : 'false';
+        default:
+          return 'null';
+      }
+    }
+
+    function printProperty(property, depth) {
+      const key = JSON.stringify(property.key ? property.key.value : '');
+      const between = property.value ? takeBefore(property.value.start).map(inline) : [];
+      const separator = pretty ? ': ' : ':';
+      return key + separator + between.map(c => c + ' ').join('') + printNode(property.value, depth);
+    }
+
+    function printContainer(node, depth) {
+      const isObject = node.type === 'object';
+      const children = isObject ? node.properties : node.items;
+      const pad = indentUnit.repeat(depth + 1);
+      const parts = [];
+
+      children.forEach((child, i) => {
+        takeBefore(child.start).forEach(c => parts.push(pad + (pretty ? c.raw : inline(c))));
+        let text = isObject ? printProperty(child, depth + 1) : printNode(child, depth + 1);
+        if (i < children.length - 1) text += ',';
+        // Comments that followed this child on the same source line stay on its line
+        const limit = i < children.length - 1 ? children[i + 1].start : node.end;
+        const endLine = lineOf(child.end);
+        while (next < comments.length && comments[next].start < limit && lineOf(comments[next].start) === endLine) {
+          text += ' ' + (pretty ? comments[next].raw : inline(comments[next]));
+          next++;
+        }
+        parts.push(pad + text);
+      });
+      takeBefore(node.end).forEach(c => parts.push(pad + (pretty ? c.raw : inline(c))));
+
+      const open = isObject ? '{' : '[';
+      const close = isObject ? '}' : ']';
+      if (!parts.length) return open + close;
+      if (!pretty) return open + parts.join('') + close;
+      return open + '\n' + parts.join('\n') + '\n' + indentUnit.repeat(depth) + close;
+    }
+
+    const output = [];
+    if (ast) {
+      takeBefore(ast.start).forEach(c => output.push(pretty ? c.raw : inline(c)));
+      output.push(printNode(ast, 0));
+    }
+    comments.slice(next).forEach(c => output.push(pretty ? c.raw : inline(c)));
+    return output.join(pretty ? '\n' : '');
+  }
+
+  window.JSONParser = {
+    parse,
+    createDocument,
+    tokenize,
+    print,
+    toValue,
+    setMember,
+    stringify,
+    LosslessNumber,
+    toPointer,
+    parsePointer,
+    findNode,
+    pathAt,
+    positionAt,
+    offsetAt,
+    computeLineStarts,
+    formatExpected,
+    checkLimits,
+    DEFAULT_LIMITS,
+    LIMIT_CODES,
+    DIALECTS: Object.keys(DIALECTS)
+  };
+})();
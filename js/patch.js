@@ -0,0 +1,420 @@
+'use strict';
+(function () {
+  // JSON Patch (RFC 6902) and JSON Merge Patch (RFC 7386): creating a patch that turns one document
+  // into another, and applying a patch to a document. Values are kept lossless, so 64-bit IDs in a
+  // document or a patch come out exactly as written.
+  const FORMATS = ['json-patch', 'merge-patch'];
+  const OPERATIONS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+  const ARRAY_INDEX = /^(?:0|[1-9]\d*)$/;
+
+  function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof window.JSONParser.LosslessNumber);
+  }
+
+  function hasOwn(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+  }
+
+  function clone(value) {
+    if (Array.isArray(value)) return value.map(clone);
+    if (isObject(value)) {
+      const copy = {};
+      Object.keys(value).forEach(key => {
+        window.JSONParser.setMember(copy, key, clone(value[key]));
+      });
+      return copy;
+    }
+    return value;
+  }
+
+  // `test` equality (RFC 6902 section 4.6) is the diff's: key order does not matter and numbers compare by value
+  function same(a, b) {
+    return window.JSONDiff.equal(a, b);
+  }
+
+  /**
+   * A failed patch. `code` is PATCH_INVALID (a malformed operation), PATCH_PATH (a location that does
+   * not exist) or PATCH_TEST (a `test` that did not match); `index` is the operation's position in the
+   * patch and `field` the member at fault ("path", "from", "value" or "op").
+   */
+  class PatchError extends Error {
+    constructor(code, message, index, field, pointer) {
+      super(message);
+      this.name = 'PatchError';
+      this.code = code;
+      this.index = index;
+      this.field = field;
+      this.pointer = pointer;
+    }
+  }
+
+  /**
+   * Creates a JSON Patch from a structural diff. Removals come first, from the end of each array,
+   * then every array is rebuilt in the changed document's order, so elements matched by id that
+   * moved become `move` operations.
+   * @param {*} left - Original value
+   * @param {*} right - Changed value
+   * @param {Object} options - JSONDiff.compare() options (arrays, idKey)
+   * @returns {Array} Operations that turn `left` into `right`
+   */
+  function create(left, right, options = {}) {
+    const ops = [];
+    const toPointer = window.JSONParser.toPointer;
+
+    function walk(delta, path) {
+      switch (delta.type) {
+        case 'change':
+          ops.push({ op: 'replace', path: toPointer(path), value: delta.right });
+          break;
+        case 'object':
+          delta.entries.forEach(({ key, delta: child }) => {
+            if (child.type === 'remove') ops.push({ op: 'remove', path: toPointer(path.concat([key])) });
+            else if (child.type === 'add') ops.push({ op: 'add', path: toPointer(path.concat([key])), value: child.right });
+            else walk(child, path.concat([key]));
+          });
+          break;
+        case 'array': {
+          // Left indexes still in the array, in their current order
+          const current = [];
+          delta.items.forEach(item => {
+            if (item.type !== 'add') current.push(item.leftPath[item.leftPath.length - 1]);
+          });
+          current.sort((a, b) => a - b);
+          const removed = delta.items.filter(item => item.type === 'remove').map(item => item.leftPath[item.leftPath.length - 1]);
+          removed.sort((a, b) => b - a).forEach(i => {
+            ops.push({ op: 'remove', path: toPointer(path.concat([current.indexOf(i)])) });
+            current.splice(current.indexOf(i), 1);
+          });
+          delta.items.filter(item => item.type !== 'remove').forEach((item, j) => {
+            if (item.type === 'add') {
+              ops.push({ op: 'add', path: toPointer(path.concat([j])), value: item.right });
+              current.splice(j, 0, -1);
+              return;
+            }
+            const i = item.leftPath[item.leftPath.length - 1];
+            const from = current.indexOf(i);
+            if (from !== j) {
+              ops.push({ op: 'move', from: toPointer(path.concat([from])), path: toPointer(path.concat([j])) });
+              current.splice(from, 1);
+              current.splice(j, 0, i);
+            }
+            walk(item, path.concat([j]));
+          });
+          break;
+        }
+        default:
+          break;
+      }
+    }
+
+    walk(window.JSONDiff.compare(left, right, options), []);
+    return ops;
+  }
+
+  /**
+   * Creates a JSON Merge Patch. A merge patch cannot set a member to null (null means "remove") and
+   * replaces arrays whole, so members that become null are reported in `lossy`.
+   * @param {*} left - Original value
+   * @param {*} right - Changed value
+   * @returns {Object} { patch, lossy: JSON Pointers in `right` of null members the patch would drop }
+   */
+  function createMerge(left, right) {
+    const lossy = [];
+    const toPointer = window.JSONParser.toPointer;
+
+    // Applying an object to a missing member drops its nulls too, at any depth outside arrays
+    function findNulls(value, path) {
+      if (!isObject(value)) return;
+      Object.keys(value).forEach(key => {
+        if (value[key] === null) lossy.push(toPointer(path.concat([key])));
+        else findNulls(value[key], path.concat([key]));
+      });
+    }
+
+    function diff(a, b, path) {
+      if (!isObject(a) || !isObject(b)) {
+        findNulls(b, path);
+        return b;
+      }
+      const patch = {};
+      Object.keys(a).forEach(key => {
+        if (!hasOwn(b, key)) window.JSONParser.setMember(patch, key, null);
+      });
+      Object.keys(b).forEach(key => {
+        if (hasOwn(a, key) && same(a[key], b[key])) return;
+        if (b[key] === null) {
+          lossy.push(toPointer(path.concat([key])));
+          return;
+        }
+        window.JSONParser.setMember(patch, key, diff(hasOwn(a, key) ? a[key] : undefined, b[key], path.concat([key])));
+      });
+      return patch;
+    }
+
+    return { patch: diff(left, right, []), lossy };
+  }
+
+  function checkPointer(op, field, index) {
+    const pointer = op[field];
+    if (typeof pointer !== 'string') {
+      throw new PatchError('PATCH_INVALID', `Operation ${index} ("${op.op}") needs a "${field}" string`, index, hasOwn(op, field) ? field : 'op', null);
+    }
+    if (pointer !== '' && pointer[0] !== '/') {
+      throw new PatchError('PATCH_INVALID', `"${field}" ${JSON.stringify(pointer)} of operation ${index} is not a JSON Pointer; it must be empty or start with "/"`, index, field, pointer);
+    }
+    return window.JSONParser.parsePointer(pointer);
+  }
+
+  // The container holding a location and the key within it; the parent must exist
+  function resolveParent(document, segments, index, field, pointer) {
+    let parent = document;
+    for (let k = 0; k < segments.length - 1; k++) {
+      const segment = segments[k];
+      const exists = Array.isArray(parent)
+        ? ARRAY_INDEX.test(segment) && Number(segment) < parent.length
+        : isObject(parent) && hasOwn(parent, segment);
+      if (!exists) {
+        const missing = window.JSONParser.toPointer(segments.slice(0, k + 1));
+        throw new PatchError('PATCH_PATH', `Operation ${index}: ${missing} does not exist, so ${field} ${pointer} cannot be reached`, index, field, pointer);
+      }
+      parent = parent[segment];
+    }
+    if (!Array.isArray(parent) && !isObject(parent)) {
+      throw new PatchError('PATCH_PATH', `Operation ${index}: ${field} ${pointer} points inside a value that is not an object or array`, index, field, pointer);
+    }
+    return { parent, key: segments[segments.length - 1] };
+  }
+
+  // The existing value at a location
+  function resolve(document, segments, index, field, pointer) {
+    if (!segments.length) return document;
+    const { parent, key } = resolveParent(document, segments, index, field, pointer);
+    const exists = Array.isArray(parent) ? ARRAY_INDEX.test(key) && Number(key) < parent.length : hasOwn(parent, key);
+    if (!exists) {
+      const where = Array.isArray(parent) ? `index ${key} is outside the array of ${parent.length}` : `there is no "${key}" member`;
+      throw new PatchError('PATCH_PATH', `Operation ${index}: ${field} ${pointer} does not exist (${where})`, index, field, pointer);
+    }
+    return parent[key];
+  }
+
+  // Adds or replaces; returns the new document, which changes when the location is the root
+  function put(document, segments, value, index, field, pointer, insert) {
+    if (!segments.length) return value;
+    const { parent, key } = resolveParent(document, segments, index, field, pointer);
+    if (!Array.isArray(parent)) {
+      window.JSONParser.setMember(parent, key, value);
+      return document;
+    }
+    const last = insert ? parent.length : parent.length - 1;
+    if (insert && key === '-') {
+      parent.push(value);
+      return document;
+    }
+    if (!ARRAY_INDEX.test(key) || Number(key) > last) {
+      throw new PatchError('PATCH_PATH', `Operation ${index}: ${field} ${pointer} is not a valid index in an array of ${parent.length}`, index, field, pointer);
+    }
+    if (insert) parent.splice(Number(key), 0, value);
+    else parent[Number(key)] = value;
+    return document;
+  }
+
+  function take(document, segments, index, field, pointer) {
+    const value = resolve(document, segments, index, field, pointer);
+    const { parent, key } = resolveParent(document, segments, index, field, pointer);
+    if (Array.isArray(parent)) parent.splice(Number(key), 1);
+    else delete parent[key];
+    return value;
+  }
+
+  /**
+   * Applies a JSON Patch. Operations run in order on a copy, so a failure leaves the document untouched.
+   * @param {*} document - Value to patch
+   * @param {Array} patch - Operations
+   * @returns {*} The patched value
+   * @throws {PatchError} When the patch is malformed, a location does not exist or a `test` fails
+   */
+  function apply(document, patch) {
+    if (!Array.isArray(patch)) {
+      const hint = isObject(patch) ? '; an object like this one is a merge patch' : '';
+      throw new PatchError('PATCH_INVALID', 'A JSON Patch is an array of operations' + hint, null, null, null);
+    }
+    let result = clone(document);
+    patch.forEach((op, index) => {
+      if (!isObject(op)) {
+        throw new PatchError('PATCH_INVALID', `Operation ${index} is not an object`, index, null, null);
+      }
+      if (!OPERATIONS.includes(op.op)) {
+        const shown = op.op === undefined ? 'has no "op"' : `has an unknown "op" ${JSON.stringify(op.op)}`;
+        throw new PatchError('PATCH_INVALID', `Operation ${index} ${shown}; use ${OPERATIONS.join(', ')}`, index, 'op', null);
+      }
+      const path = checkPointer(op, 'path', index);
+      if (['add', 'replace', 'test'].includes(op.op) && !hasOwn(op, 'value')) {
+        throw new PatchError('PATCH_INVALID', `Operation ${index} ("${op.op}") needs a "value"`, index, 'op', op.path);
+      }
+
+      switch (op.op) {
+        case 'add':
+          result = put(result, path, clone(op.value), index, 'path', op.path, true);
+          break;
+        case 'remove':
+          if (!path.length) throw new PatchError('PATCH_PATH', `Operation ${index}: the whole document cannot be removed`, index, 'path', op.path);
+          take(result, path, index, 'path', op.path);
+          break;
+        case 'replace':
+          resolve(result, path, index, 'path', op.path);
+          result = put(result, path, clone(op.value), index, 'path', op.path, false);
+          break;
+        case 'move': {
+          const from = checkPointer(op, 'from', index);
+          if (op.path === op.from) break;
+          if (op.path.startsWith(op.from + '/')) {
+            throw new PatchError('PATCH_INVALID', `Operation ${index}: ${op.from} cannot be moved into its own child ${op.path}`, index, 'path', op.path);
+          }
+          const value = from.length ? take(result, from, index, 'from', op.from) : result;
+          result = put(result, path, value, index, 'path', op.path, true);
+          break;
+        }
+        case 'copy': {
+          const from = checkPointer(op, 'from', index);
+          result = put(result, path, clone(resolve(result, from, index, 'from', op.from)), index, 'path', op.path, true);
+          break;
+        }
+        case 'test': {
+          const actual = resolve(result, path, index, 'path', op.path);
+          if (!same(actual, op.value)) {
+            const found = window.JSONParser.stringify(actual);
+            const shown = found.length > 80 ? found.slice(0, 77) + '...' : found;
+            throw new PatchError('PATCH_TEST', `Operation ${index}: test failed at ${op.path || 'the root'}; the document has ${shown}`, index, 'value', op.path);
+          }
+          break;
+        }
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Applies a JSON Merge Patch: members set to null are removed, objects merge recursively and
+   * anything else, arrays included, replaces the target
+   * @param {*} document - Value to patch
+   * @param {*} patch - Merge patch
+   * @returns {*} The patched value (the document itself is not changed)
+   */
+  function applyMerge(document, patch) {
+    if (!isObject(patch)) return clone(patch);
+    const result = isObject(document) ? clone(document) : {};
+    Object.keys(patch).forEach(key => {
+      if (patch[key] === null) delete result[key];
+      else window.JSONParser.setMember(result, key, applyMerge(hasOwn(result, key) ? result[key] : undefined, patch[key]));
+    });
+    return result;
+  }
+
+  // Parses like the rest of the app; values keep their numbers exactly
+  function read(text, options) {
+    try {
+      window.JSONValidator.parse(text, options);
+    } catch (error) {
+      return {
+        failure: {
+          isValid: false,
+          error: error.message,
+          errorInfo: error.errorInfo || window.JSONValidator.parseJSONError(error.message, text, options),
+          errors: error.errors || []
+        }
+      };
+    }
+    const doc = window.JSONParser.parse(text, { dialect: options.dialect, limits: options.limits, maxErrors: 1 });
+    // JSON.parse goes deeper than the recursive parser, which then stops with DEPTH_LIMIT
+    if (!doc.ast) return { failure: window.JSONValidator.syntaxFailure(doc.errors) };
+    return { doc, value: window.JSONParser.toValue(doc.ast, { lossless: true }) };
+  }
+
+  function parseOptionsOf(options) {
+    // NDJSON has no single document to patch; each text is read as one document
+    return options.dialect === 'ndjson' ? { ...options, dialect: 'json' } : options;
+  }
+
+  /**
+   * Creates a patch that turns one document into another
+   * @param {string} leftText - Original document
+   * @param {string} rightText - Changed document
+   * @param {Object} options - { format: 'json-patch' (default) | 'merge-patch', arrays, idKey, indentation,
+   *   plus parse options (dialect, limits, ...) for both texts }
+   * @returns {Object} { isValid: false, side: 'left'|'right', error, errorInfo, errors } when a text does not
+   *   parse, otherwise { isValid: true, format, output, operations: count of JSON Patch operations or
+   *   changed merge patch members, lossy: pointers a merge patch cannot express }
+   */
+  function createText(leftText, rightText, options = {}) {
+    const parseOptions = parseOptionsOf(options);
+    const left = read(leftText, parseOptions);
+    if (left.failure) return { ...left.failure, side: 'left' };
+    const right = read(rightText, parseOptions);
+    if (right.failure) return { ...right.failure, side: 'right' };
+
+    const format = FORMATS.includes(options.format) ? options.format : 'json-patch';
+    const indent = window.JSONValidator.getIndentString(options.indentation);
+    if (format === 'merge-patch') {
+      const { patch, lossy } = createMerge(left.value, right.value);
+      const count = (value) => isObject(value) ? Object.keys(value).reduce((sum, key) => sum + count(value[key]), 0) : 1;
+      const operations = same(left.value, right.value) ? 0 : count(patch);
+      return { isValid: true, format, output: window.JSONParser.stringify(patch, null, indent), operations, lossy };
+    }
+    const ops = create(left.value, right.value, { arrays: options.arrays, idKey: options.idKey });
+    return { isValid: true, format, output: window.JSONParser.stringify(ops, null, indent), operations: ops.length, lossy: [] };
+  }
+
+  /**
+   * Applies a patch to a document
+   * @param {string} documentText - Document to patch
+   * @param {string} patchText - JSON Patch or merge patch
+   * @param {Object} options - { format: 'json-patch' (default) | 'merge-patch', indentation, plus parse options }
+   * @returns {Object} { isValid: false, side: 'document'|'patch', error, errorInfo, errors } when a text does
+   *   not parse; { isValid: false, side: 'patch', problem: { code, message, index, field, pointer, offset,
+   *   length, line, column } } when the patch fails, located in the patch text; otherwise
+   *   { isValid: true, format, output, operations }
+   */
+  function applyText(documentText, patchText, options = {}) {
+    const parseOptions = parseOptionsOf(options);
+    const target = read(documentText, parseOptions);
+    if (target.failure) return { ...target.failure, side: 'document' };
+    const patch = read(patchText, parseOptions);
+    if (patch.failure) return { ...patch.failure, side: 'patch' };
+
+    const format = FORMATS.includes(options.format) ? options.format : 'json-patch';
+    const indent = window.JSONValidator.getIndentString(options.indentation);
+    if (format === 'merge-patch') {
+      const output = window.JSONParser.stringify(applyMerge(target.value, patch.value), null, indent);
+      return { isValid: true, format, output, operations: isObject(patch.value) ? Object.keys(patch.value).length : 1 };
+    }
+    try {
+      const output = window.JSONParser.stringify(apply(target.value, patch.value), null, indent);
+      return { isValid: true, format, output, operations: patch.value.length };
+    } catch (error) {
+      if (!(error instanceof PatchError)) throw error;
+      // Point at the member at fault, else the whole operation, else the whole patch
+      const segments = error.index === null ? [] : error.field ? [error.index, error.field] : [error.index];
+      const found = window.JSONParser.findNode(patch.doc.ast, segments) || window.JSONParser.findNode(patch.doc.ast, segments.slice(0, 1));
+      const node = found ? found.node : patch.doc.ast;
+      const { line, column } = window.JSONParser.positionAt(patch.doc.lineStarts, node.start);
+      return {
+        isValid: false,
+        side: 'patch',
+        problem: {
+          code: error.code,
+          message: error.message,
+          index: error.index,
+          field: error.field,
+          pointer: error.pointer,
+          offset: node.start,
+          length: node.end - node.start,
+          line,
+          column
+        }
+      };
+    }
+  }
+
+  // Expose API
+  window.JSONPatch = { create, createMerge, apply, applyMerge, createText, applyText, same, PatchError, FORMATS, OPERATIONS };
+})();
@@ -0,0 +1,389 @@
+'use strict';
+(function () {
+  // Non-JSON literals seen in Python reprs, JavaScript console output and YAML-ish configs
+  const LITERALS = {
+    true: 'true', false: 'false', null: 'null',
+    True: 'true', False: 'false', None: 'null',
+    TRUE: 'true', FALSE: 'false', NULL: 'null', Null: 'null',
+    undefined: 'null', NaN: 'null', Infinity: 'null'
+  };
+  const SMART_DOUBLE = '“”„‟″«»';
+  const SMART_SINGLE = '‘’‚‛′';
+  // Invisible characters that break parsing outside strings
+  const INVISIBLE = '\u00A0\uFEFF\u200B\u200C\u200D\u2060\u2028\u2029';
+
+  const NUMBER = /[+-]?(?:0[xX][0-9a-fA-F]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?|Infinity|NaN)/y;
+  const STRICT_NUMBER = /^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?$/;
+  const BARE_KEY = /[^:,{}[\]"'\s“”‘’]+(?:[ \t]+[^:,{}[\]"'\s“”‘’]+)*/y;
+  const BARE_VALUE = /[^,{}[\]\r\n]+/y;
+  const WORD = /[\p{L}_$][\p{L}\p{N}_$]*/uy;
+  // "[INFO]", "[2024-01-01 10:00:00]" and similar tags in front of logged JSON
+  const LOG_TAG = /\[[^\]"{[,]*[A-Za-z:][^\]"{[,]*\]/y;
+  const CODE_FENCE = /```[\w-]*[^\S\r\n]*\r?\n([\s\S]*?)(?:\r?\n)?```/;
+
+  function truncate(text) {
+    const single = text.replace(/\s+/g, ' ').trim();
+    return single.length > 30 ? single.slice(0, 27) + '...' : single;
+  }
+
+  function escapeControl(ch) {
+    switch (ch) {
+      case '\n': return '\\n';
+      case '\r': return '\\r';
+      case '\t': return '\\t';
+      case '\b': return '\\b';
+      case '\f': return '\\f';
+      default: return '\\u' + ch.charCodeAt(0).toString(16).padStart(4, '0');
+    }
+  }
+
+  function codepoint(ch) {
+    return 'U+' + ch.charCodeAt(0).toString(16).toUpperCase().padStart(4, '0');
+  }
+
+  /**
+   * Repairs common damage in almost-JSON text and lists every change it made
+   * @param {string} input - Damaged JSON text
+   * @param {Object} options - { indent: string used for the repaired output ('' for minified),
+   *   limits: safety limits as for JSONParser.parse }
+   * @returns {Object} { isValid, output, changes: [{ code, message, offset, line, column }], errors }
+   */
+  function repair(input, options = {}) {
+    const indent = options.indent === undefined ? '  ' : options.indent;
+    const maxDepth = (options.limits && options.limits.maxDepth) || window.JSONParser.DEFAULT_LIMITS.maxDepth;
+    const lineStarts = window.JSONParser.computeLineStarts(input);
+    const changes = [];
+    const openers = [];
+    // Wrapper text is blanked out rather than sliced off so offsets still point into the input
+    let text = input;
+    let pos = 0;
+
+    function record(code, offset, message) {
+      const { line, column } = window.JSONParser.positionAt(lineStarts, offset);
+      changes.push({ code, message, offset, line, column });
+    }
+
+    function blank(start, end) {
+      text = text.slice(0, start) + text.slice(start, end).replace(/[^\n]/g, ' ') + text.slice(end);
+    }
+
+    function skipWhitespace() {
+      while (pos < text.length) {
+        const ch = text[pos];
+        if (ch === ' ' || ch === '\t' || ch === '\n' || ch === '\r') {
+          pos++;
+        } else if (INVISIBLE.includes(ch)) {
+          record('REMOVED_INVISIBLE', pos, `Removed invisible character ${codepoint(ch)}`);
+          pos++;
+        } else if (ch === '/' && text[pos + 1] === '/') {
+          record('REMOVED_COMMENT', pos, 'Removed line comment');
+          const end = text.indexOf('\n', pos);
+          pos = end === -1 ? text.length : end;
+        } else if (ch === '/' && text[pos + 1] === '*') {
+          record('REMOVED_COMMENT', pos, 'Removed block comment');
+          const end = text.indexOf('*/', pos + 2);
+          pos = end === -1 ? text.length : end + 2;
+        } else if (ch === '#' && /^[ \t]*$/.test(text.slice(text.lastIndexOf('\n', pos - 1) + 1, pos))) {
+          record('REMOVED_COMMENT', pos, 'Removed # comment');
+          const end = text.indexOf('\n', pos);
+          pos = end === -1 ? text.length : end;
+        } else {
+          break;
+        }
+      }
+    }
+
+    function isQuote(ch) {
+      return ch === '"' || ch === "'" || SMART_DOUBLE.includes(ch) || SMART_SINGLE.includes(ch);
+    }
+
+    function parseString() {
+      const start = pos;
+      const quote = text[pos];
+      let closers = quote;
+      if (quote === "'") {
+        record('SINGLE_QUOTES', start, 'Replaced single quotes with double quotes');
+      } else if (SMART_DOUBLE.includes(quote)) {
+        closers = SMART_DOUBLE + '"';
+        record('SMART_QUOTES', start, 'Replaced curly quotes with straight double quotes');
+      } else if (SMART_SINGLE.includes(quote)) {
+        closers = SMART_SINGLE + "'";
+        record('SMART_QUOTES', start, 'Replaced curly single quotes with straight double quotes');
+      }
+      pos++;
+      let value = '';
+      while (true) {
+        if (pos >= text.length) {
+          record('CLOSED_STRING', start, 'Closed string truncated at end of input');
+          break;
+        }
+        const ch = text[pos];
+        if (closers.includes(ch)) {
+          pos++;
+          break;
+        }
+        if (ch === '\\') {
+          const next = text[pos + 1];
+          if (next === undefined) {
+            pos++;
+          } else if ('"\\/bfnrt'.includes(next)) {
+            value += ch + next;
+            pos += 2;
+          } else if (next === 'u' && /^[0-9a-fA-F]{4}$/.test(text.substr(pos + 2, 4))) {
+            value += text.substr(pos, 6);
+            pos += 6;
+          } else if (next === "'") {
+            value += "'";
+            pos += 2;
+          } else {
+            record('ESCAPED_BACKSLASH', pos, `Escaped stray backslash before ${JSON.stringify(next)}`);
+            value += '\\\\';
+            pos++;
+          }
+          continue;
+        }
+        if (ch === '"') {
+          value += '\\"';
+        } else if (ch < ' ') {
+          record('ESCAPED_CONTROL', pos, `Escaped control character ${codepoint(ch)} inside string`);
+          value += escapeControl(ch);
+        } else {
+          value += ch;
+        }
+        pos++;
+      }
+      return '"' + value + '"';
+    }
+
+    function parseNumber(raw, start) {
+      pos = start + raw.length;
+      const sign = raw[0] === '-' ? '-' : '';
+      const body = raw.replace(/^[+-]/, '');
+      if (body === 'Infinity' || body === 'NaN') {
+        record('REPLACED_LITERAL', start, `Replaced ${raw} with null`);
+        return 'null';
+      }
+      if (STRICT_NUMBER.test(raw)) {
+        return raw;
+      }
+      let fixed;
+      if (/^0[xX]/.test(body)) {
+        fixed = sign + BigInt(body).toString();
+      } else {
+        const [mantissa, exponent] = body.split(/[eE]/);
+        const [whole, fraction = ''] = mantissa.split('.');
+        fixed = sign + (whole.replace(/^0+(?=\d)/, '') || '0') + (fraction ? '.' + fraction : '') +
+          (exponent !== undefined ? 'e' + exponent : '');
+      }
+      record('FIXED_NUMBER', start, `Rewrote number ${raw} as ${fixed}`);
+      return fixed;
+    }
+
+    // Unquoted words: known literals are mapped, anything else becomes a string
+    function parseBareValue() {
+      const start = pos;
+      WORD.lastIndex = pos;
+      const word = WORD.exec(text);
+      if (word && Object.prototype.hasOwnProperty.call(LITERALS, word[0])) {
+        pos += word[0].length;
+        if (LITERALS[word[0]] !== word[0]) {
+          record('REPLACED_LITERAL', start, `Replaced ${word[0]} with ${LITERALS[word[0]]}`);
+        }
+        return LITERALS[word[0]];
+      }
+      BARE_VALUE.lastIndex = pos;
+      let raw = BARE_VALUE.exec(text)[0];
+      const comment = raw.search(/\/\/|\/\*/);
+      if (comment > 0) raw = raw.slice(0, comment);
+      raw = raw.trimEnd();
+      pos = start + raw.length;
+      record('QUOTED_VALUE', start, `Quoted bare value ${truncate(raw)}`);
+      return JSON.stringify(raw);
+    }
+
+    // Returns null when no value starts here (a closer, a comma or end of input)
+    function parseValue() {
+      while (true) {
+        skipWhitespace();
+        const ch = text[pos];
+        if (ch === undefined || ch === ',' || ch === '}' || ch === ']' || ch === ':') return null;
+        if (ch === '{') return parseContainer('{');
+        if (ch === '[') return parseContainer('[');
+        if (isQuote(ch)) return parseString();
+        NUMBER.lastIndex = pos;
+        const number = NUMBER.exec(text);
+        if (number && number[0] !== '+' && number[0] !== '-') {
+          // "2024-01-01" or "12px" are bare strings, not numbers
+          const after = text[pos + number[0].length];
+          if (after === undefined || /[\s,}\]:/]/.test(after)) {
+            return parseNumber(number[0], pos);
+          }
+        }
+        if (/[\p{L}\p{N}_$#-]/u.test(ch)) return parseBareValue();
+        record('REMOVED_CHARACTER', pos, `Removed unexpected character ${JSON.stringify(ch)}`);
+        pos++;
+      }
+    }
+
+    function parseKey() {
+      const ch = text[pos];
+      if (isQuote(ch)) return parseString();
+      BARE_KEY.lastIndex = pos;
+      const match = BARE_KEY.exec(text);
+      if (!match) return null;
+      record('QUOTED_KEY', pos, `Quoted property name ${truncate(match[0])}`);
+      pos += match[0].length;
+      return JSON.stringify(match[0]);
+    }
+
+    function parseContainer(open) {
+      const isObject = open === '{';
+      const close = isObject ? '}' : ']';
+      const other = isObject ? ']' : '}';
+      if (openers.length >= maxDepth) {
+        throw new RangeError(`Nesting depth exceeds the limit of ${maxDepth}`);
+      }
+      const start = pos++;
+      const members = [];
+      let lastComma = -1;
+      openers.push(open);
+
+      while (true) {
+        skipWhitespace();
+        const ch = text[pos];
+        if (ch === close) {
+          if (lastComma !== -1) record('REMOVED_TRAILING_COMMA', lastComma, 'Removed trailing comma');
+          pos++;
+          break;
+        }
+        if (ch === undefined || (ch === other && openers.includes(other === '}' ? '{' : '['))) {
+          if (lastComma !== -1) record('REMOVED_TRAILING_COMMA', lastComma, 'Removed trailing comma');
+          const { line } = window.JSONParser.positionAt(lineStarts, start);
+          record(isObject ? 'CLOSED_OBJECT' : 'CLOSED_ARRAY', pos, `Added missing '${close}' for the ${isObject ? 'object' : 'array'} opened on line ${line}`);
+          break;
+        }
+        if (ch === other) {
+          record('REPLACED_CLOSER', pos, `Replaced '${other}' with '${close}'`);
+          pos++;
+          break;
+        }
+        if (ch === ':') {
+          record('REMOVED_CHARACTER', pos, "Removed unexpected ':'");
+          pos++;
+          continue;
+        }
+        if (ch === ',') {
+          if (lastComma !== -1 || !members.length) record('REMOVED_COMMA', pos, 'Removed extra comma');
+          lastComma = pos++;
+          continue;
+        }
+        if (members.length && lastComma === -1) {
+          record('INSERTED_COMMA', pos, 'Inserted missing comma');
+        }
+        const comma = lastComma;
+        lastComma = -1;
+
+        if (!isObject) {
+          const value = parseValue();
+          if (value === null) {
+            lastComma = comma;
+          } else {
+            members.push(value);
+          }
+          continue;
+        }
+
+        const key = parseKey();
+        if (key === null) {
+          record('REMOVED_CHARACTER', pos, `Removed unexpected character ${JSON.stringify(ch)}`);
+          pos++;
+          continue;
+        }
+        skipWhitespace();
+        if (text[pos] === ':') {
+          pos++;
+        } else if (text[pos] === '=') {
+          record('REPLACED_SEPARATOR', pos, "Replaced '=' with ':'");
+          pos++;
+        } else {
+          record('INSERTED_COLON', pos, "Inserted missing ':'");
+        }
+        let value = parseValue();
+        if (value === null) {
+          record('INSERTED_VALUE', pos, 'Inserted null for a missing value');
+          value = 'null';
+        }
+        members.push(key + ':' + value);
+      }
+
+      openers.pop();
+      return open + members.join(',') + close;
+    }
+
+    // Strip markdown code fences, log prefixes and JSONP wrappers around the document
+    function unwrap() {
+      const fence = CODE_FENCE.exec(text);
+      if (fence) {
+        const bodyStart = fence.index + fence[0].indexOf(fence[1]);
+        record('REMOVED_WRAPPER', fence.index, 'Removed markdown code fence');
+        blank(0, bodyStart);
+        blank(bodyStart + fence[1].length, text.length);
+      }
+      skipWhitespace();
+      const first = pos;
+      if (isQuote(text[pos])) return;
+      while (pos < text.length && text[pos] !== '{') {
+        if (text[pos] === '[') {
+          LOG_TAG.lastIndex = pos;
+          const tag = LOG_TAG.exec(text);
+          if (!tag || Object.prototype.hasOwnProperty.call(LITERALS, tag[0].slice(1, -1).trim())) break;
+          pos += tag[0].length;
+        } else {
+          pos++;
+        }
+      }
+      if (pos > first && pos < text.length) {
+        record('REMOVED_PREFIX', first, `Removed leading text ${JSON.stringify(truncate(text.slice(first, pos)))}`);
+        blank(first, pos);
+      } else {
+        pos = first;
+      }
+    }
+
+    unwrap();
+    let output;
+    try {
+      output = parseValue();
+    } catch (error) {
+      // Too deep to rebuild: report it like the parser would instead of overflowing the stack
+      if (!(error instanceof RangeError)) throw error;
+      const { line, column } = window.JSONParser.positionAt(lineStarts, pos);
+      const message = error.message.startsWith('Nesting') ? error.message : `Nesting depth of ${openers.length} is too deep to process`;
+      return { isValid: false, output: input, changes, errors: [{ code: 'DEPTH_LIMIT', message, offset: pos, length: 1, line, column, expected: [] }] };
+    }
+    if (output === null) {
+      record('INSERTED_VALUE', pos, 'Input has no JSON value; inserted null');
+      output = 'null';
+    }
+    skipWhitespace();
+    if (pos < text.length) {
+      const rest = text.slice(pos);
+      record('REMOVED_SUFFIX', pos, `Removed trailing text ${JSON.stringify(truncate(rest))}`);
+    }
+
+    changes.sort((a, b) => a.offset - b.offset);
+    const result = window.JSONParser.parse(output, { limits: options.limits });
+    if (result.errors.length) {
+      return { isValid: false, output, changes, errors: result.errors };
+    }
+    return {
+      isValid: true,
+      output: window.JSONParser.print(result.ast, { indent }),
+      changes,
+      errors: []
+    };
+  }
+
+  // Expose API
+  window.JSONRepair = { repair };
+})();
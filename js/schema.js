@@ -0,0 +1,933 @@
+'use strict';
+(function () {
+  // JSON Schema validation for Draft-07, 2019-09 and 2020-12. Nothing is fetched: $ref resolves
+  // within the schema itself or within documents passed in options.schemas.
+  const DRAFTS = {
+    'draft-07': { name: 'Draft-07', uri: 'http://json-schema.org/draft-07/schema#' },
+    '2019-09': { name: '2019-09', uri: 'https://json-schema.org/draft/2019-09/schema' },
+    '2020-12': { name: '2020-12', uri: 'https://json-schema.org/draft/2020-12/schema' }
+  };
+  const DEFAULT_DRAFT = '2020-12';
+  // Relative $id and $ref values resolve against this when the root schema has no absolute $id
+  const DEFAULT_BASE = 'https://jsonlintplus.local/schema.json';
+  const MAX_ERRORS = 100;
+
+  // Keywords whose values are subschemas, so $id, $anchor and locations can be indexed up front
+  const SCHEMA_KEYWORDS = ['additionalItems', 'additionalProperties', 'contains', 'propertyNames', 'not', 'if', 'then', 'else',
+    'items', 'unevaluatedItems', 'unevaluatedProperties', 'contentSchema'];
+  const SCHEMA_LIST_KEYWORDS = ['allOf', 'anyOf', 'oneOf', 'prefixItems', 'items'];
+  const SCHEMA_MAP_KEYWORDS = ['properties', 'patternProperties', '$defs', 'definitions', 'dependentSchemas', 'dependencies'];
+  // Errors from these keywords are about a member's name, so the editor highlights the key
+  const KEY_KEYWORDS = new Set(['additionalProperties', 'unevaluatedProperties', 'propertyNames']);
+
+  const DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+  const TIME = /^(\d{2}):(\d{2}):(\d{2})(?:\.\d+)?(?:z|([+-])(\d{2}):(\d{2}))$/i;
+  const DURATION = /^P(?!$)(?:\d+W|(?:\d+Y)?(?:\d+M)?(?:\d+D)?(?:T(?=\d)(?:\d+H)?(?:\d+M)?(?:\d+S)?)?)$/;
+  const EMAIL = /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(?:\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*@(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/i;
+  const HOST_LABEL = /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/i;
+  const IPV4 = /^(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/;
+  const URI = /^[a-z][a-z0-9+.-]*:[^\s"<>\\^`{|}]*$/i;
+  const URI_REFERENCE = /^[^\s"<>\\^`{|}]*$/;
+  const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  const JSON_POINTER = /^(?:\/(?:[^~/]|~[01])*)*$/;
+  const RELATIVE_JSON_POINTER = /^(?:0|[1-9]\d*)(?:#|(?:\/(?:[^~/]|~[01])*)*)$/;
+
+  function isDate(text) {
+    const match = DATE.exec(text);
+    if (!match) return false;
+    const year = Number(match[1]);
+    const month = Number(match[2]);
+    const day = Number(match[3]);
+    const leap = year % 4 === 0 && (year % 100 !== 0 || year % 400 === 0);
+    const days = [31, leap ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31][month - 1];
+    return month >= 1 && month <= 12 && day >= 1 && day <= days;
+  }
+
+  function isTime(text) {
+    const match = TIME.exec(text);
+    if (!match) return false;
+    // Second 60 is a leap second; its exact validity depends on the date and is not checked
+    return Number(match[1]) <= 23 && Number(match[2]) <= 59 && Number(match[3]) <= 60 &&
+      (match[4] === undefined || (Number(match[5]) <= 23 && Number(match[6]) <= 59));
+  }
+
+  function isHostname(text) {
+    return text.length > 0 && text.length <= 253 && text.replace(/\.$/, '').split('.').every(label => HOST_LABEL.test(label));
+  }
+
+  function isIPv6(text) {
+    if (!/^[0-9a-f:.]+$/i.test(text) || !text.includes(':')) return false;
+    try {
+      new URL('http://[' + text + ']/');
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  function isRegex(text) {
+    try {
+      new RegExp(text, 'u');
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Checked when a schema uses `format`; names not listed here are accepted as annotations
+  const FORMATS = {
+    'date-time': text => {
+      const parts = text.split(/t/i);
+      return parts.length === 2 && isDate(parts[0]) && isTime(parts[1]);
+    },
+    date: isDate,
+    time: isTime,
+    duration: text => DURATION.test(text),
+    email: text => EMAIL.test(text),
+    hostname: isHostname,
+    ipv4: text => IPV4.test(text),
+    ipv6: isIPv6,
+    uri: text => URI.test(text),
+    'uri-reference': text => URI_REFERENCE.test(text),
+    uuid: text => UUID.test(text),
+    regex: isRegex,
+    'json-pointer': text => JSON_POINTER.test(text),
+    'relative-json-pointer': text => RELATIVE_JSON_POINTER.test(text)
+  };
+
+  function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  function hasOwn(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+  }
+
+  function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+  }
+
+  function hasType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+  }
+
+  function equal(a, b) {
+    if (a === b) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+    if (Array.isArray(a)) return a.length === b.length && a.every((item, i) => equal(item, b[i]));
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => hasOwn(b, key) && equal(a[key], b[key]));
+  }
+
+  // Same text for equal values whatever their key order, so uniqueItems can use a Map
+  function canonical(value) {
+    if (Array.isArray(value)) return '[' + value.map(canonical).join(',') + ']';
+    if (isObject(value)) {
+      return '{' + Object.keys(value).sort().map(key => JSON.stringify(key) + ':' + canonical(value[key])).join(',') + '}';
+    }
+    return JSON.stringify(value);
+  }
+
+  function decimalPlaces(number) {
+    const [mantissa, exponent] = String(number).split('e');
+    const fraction = (mantissa.split('.')[1] || '').length;
+    return Math.max(0, fraction - Number(exponent || 0));
+  }
+
+  // 0.3 / 0.1 is 2.9999999999999996, so decimals are scaled to integers first when that is exact
+  function isMultipleOf(value, divisor) {
+    const scale = 10 ** Math.max(decimalPlaces(value), decimalPlaces(divisor));
+    const scaledValue = Math.round(value * scale);
+    const scaledDivisor = Math.round(divisor * scale);
+    if (Number.isSafeInteger(scaledValue) && Number.isSafeInteger(scaledDivisor) && scaledDivisor !== 0) {
+      return scaledValue % scaledDivisor === 0;
+    }
+    const quotient = value / divisor;
+    return Number.isFinite(quotient) && Number.isInteger(quotient);
+  }
+
+  function codePointLength(text) {
+    let length = 0;
+    for (let i = 0; i < text.length; i++) {
+      const code = text.charCodeAt(i);
+      if (code >= 0xD800 && code <= 0xDBFF && i + 1 < text.length) {
+        const next = text.charCodeAt(i + 1);
+        if (next >= 0xDC00 && next <= 0xDFFF) i++;
+      }
+      length++;
+    }
+    return length;
+  }
+
+  function preview(value) {
+    const text = JSON.stringify(value);
+    return text !== undefined && text.length > 40 ? text.slice(0, 37) + '...' : String(text);
+  }
+
+  function describeTypes(types) {
+    return types.length === 1 ? types[0] : types.slice(0, -1).join(', ') + ' or ' + types[types.length - 1];
+  }
+
+  function plural(count, word, many = word + 's') {
+    return `${count} ${count === 1 ? word : many}`;
+  }
+
+  function resolveURI(reference, base) {
+    try {
+      return new URL(reference, base).href;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function stripFragment(uri) {
+    const hashAt = uri.indexOf('#');
+    return hashAt === -1 ? uri : uri.slice(0, hashAt);
+  }
+
+  /**
+   * Picks the draft a schema is written for from its $schema keyword
+   * @param {*} schema - Schema value
+   * @returns {string|null} 'draft-07' (also used for drafts 04 and 06), '2019-09', '2020-12',
+   *   or null when $schema is missing or not a known draft
+   */
+  function detectDraft(schema) {
+    const uri = isObject(schema) && typeof schema.$schema === 'string' ? schema.$schema : '';
+    if (/\/draft\/2020-12\/schema/.test(uri)) return '2020-12';
+    if (/\/draft\/2019-09\/schema/.test(uri)) return '2019-09';
+    if (/\/draft-0[4-7]\/schema/.test(uri)) return 'draft-07';
+    return null;
+  }
+
+  // Records where every schema object lives and which URIs ($id, $anchor, ...) name it
+  function createIndex(draft) {
+    const index = {
+      draft,
+      resources: new Map(),
+      anchors: new Map(),
+      dynamicAnchors: new Map(),
+      recursiveAnchors: new Set(),
+      locations: new WeakMap()
+    };
+
+    function walk(schema, base, pointer, documentURI, isRoot) {
+      if (!isObject(schema)) return;
+      let resource = isRoot;
+      // In Draft-07 every keyword next to $ref is ignored, $id included
+      const ignoresId = draft === 'draft-07' && typeof schema.$ref === 'string';
+      if (typeof schema.$id === 'string' && !ignoresId) {
+        if (draft === 'draft-07' && schema.$id[0] === '#') {
+          index.anchors.set(base + schema.$id, schema);
+        } else {
+          const id = resolveURI(schema.$id, base);
+          if (id !== null) {
+            base = stripFragment(id);
+            resource = true;
+            if (draft === 'draft-07' && id.length > base.length + 1) index.anchors.set(id, schema);
+          }
+        }
+      }
+      if (resource) index.resources.set(base, schema);
+      if (draft !== 'draft-07' && typeof schema.$anchor === 'string') {
+        index.anchors.set(base + '#' + schema.$anchor, schema);
+      }
+      if (draft === '2020-12' && typeof schema.$dynamicAnchor === 'string') {
+        index.anchors.set(base + '#' + schema.$dynamicAnchor, schema);
+        index.dynamicAnchors.set(base + '#' + schema.$dynamicAnchor, schema);
+      }
+      if (draft === '2019-09' && resource && schema.$recursiveAnchor === true) index.recursiveAnchors.add(base);
+      index.locations.set(schema, { base, pointer, documentURI, resource });
+
+      const at = (...segments) => pointer + window.JSONParser.toPointer(segments);
+      SCHEMA_KEYWORDS.forEach(keyword => {
+        if (hasOwn(schema, keyword) && !Array.isArray(schema[keyword])) walk(schema[keyword], base, at(keyword), documentURI, false);
+      });
+      SCHEMA_LIST_KEYWORDS.forEach(keyword => {
+        if (Array.isArray(schema[keyword])) {
+          schema[keyword].forEach((item, i) => walk(item, base, at(keyword, i), documentURI, false));
+        }
+      });
+      SCHEMA_MAP_KEYWORDS.forEach(keyword => {
+        if (hasOwn(schema, keyword) && isObject(schema[keyword])) {
+          Object.keys(schema[keyword]).forEach(name => walk(schema[keyword][name], base, at(keyword, name), documentURI, false));
+        }
+      });
+    }
+
+    index.addDocument = (schema, uri, isMain) => {
+      const base = stripFragment(uri);
+      // Reachable by the URI it was given as well as by its own $id
+      index.resources.set(base, schema);
+      walk(schema, base, '', isMain ? null : base, true);
+    };
+    return index;
+  }
+
+  function createEvaluator(index, options) {
+    const { draft } = index;
+    const modern = draft !== 'draft-07';
+    const assertFormats = options.formats !== false;
+    const regexCache = new Map();
+    // Reference + instance location pairs being evaluated; meeting one again means a loop
+    const active = new Set();
+    // Resource URIs entered so far, outermost first, for $dynamicRef and $recursiveRef
+    const scope = [];
+
+    function regex(pattern) {
+      if (!regexCache.has(pattern)) {
+        let compiled = null;
+        try {
+          compiled = new RegExp(pattern, 'u');
+        } catch (error) {
+          // Reported as a schema problem where the pattern is used
+        }
+        regexCache.set(pattern, compiled);
+      }
+      return regexCache.get(pattern);
+    }
+
+    function childLocation(location, ...segments) {
+      return { ...location, pointer: location.pointer + window.JSONParser.toPointer(segments), resource: false };
+    }
+
+    function resolve(reference, base) {
+      const uri = resolveURI(reference, base);
+      if (uri === null) return null;
+      const resourceURI = stripFragment(uri);
+      const fragment = uri.slice(resourceURI.length + 1);
+      try {
+        if (fragment !== '' && fragment[0] !== '/') {
+          const schema = index.anchors.get(resourceURI + '#' + decodeURIComponent(fragment));
+          return schema === undefined ? null : { schema, location: index.locations.get(schema), uri };
+        }
+        if (!index.resources.has(resourceURI)) return null;
+        const root = index.resources.get(resourceURI);
+        const segments = window.JSONParser.parsePointer('#' + fragment);
+        let schema = root;
+        for (const segment of segments) {
+          if (schema === null || typeof schema !== 'object' || !hasOwn(schema, segment)) return null;
+          schema = schema[segment];
+        }
+        const rootLocation = index.locations.get(root) || { base: resourceURI, pointer: '', documentURI: resourceURI };
+        const location = (isObject(schema) && index.locations.get(schema)) ||
+          { base: rootLocation.base, pointer: rootLocation.pointer + window.JSONParser.toPointer(segments), documentURI: rootLocation.documentURI };
+        return { schema, location, uri };
+      } catch (error) {
+        // Malformed percent-escapes or pointers are unresolvable references
+        return null;
+      }
+    }
+
+    // The outermost resource in the dynamic scope that declares the anchor wins
+    function resolveDynamic(target, fragment) {
+      if (!target || !isObject(target.schema) || target.schema.$dynamicAnchor !== fragment) return target;
+      for (const base of scope) {
+        const schema = index.dynamicAnchors.get(base + '#' + fragment);
+        if (schema !== undefined) return { schema, location: index.locations.get(schema), uri: base + '#' + fragment };
+      }
+      return target;
+    }
+
+    function resolveRecursive(target) {
+      if (!target || !isObject(target.schema) || target.schema.$recursiveAnchor !== true) return target;
+      const base = scope.find(uri => index.recursiveAnchors.has(uri));
+      if (base === undefined) return target;
+      const schema = index.resources.get(base);
+      return { schema, location: index.locations.get(schema), uri: base };
+    }
+
+    function createResult() {
+      return { valid: true, errors: [], props: new Set(), items: new Set() };
+    }
+
+    // Annotations of a failed subschema are kept too: the result is invalid either way, and dropping
+    // them would also report every property it described under unevaluatedProperties
+    function merge(result, sub, annotations = true) {
+      if (!sub.valid) {
+        result.valid = false;
+        for (const error of sub.errors) result.errors.push(error);
+      }
+      if (annotations) {
+        sub.props.forEach(name => result.props.add(name));
+        sub.items.forEach(i => result.items.add(i));
+      }
+    }
+
+    // Picks the branch of a failed anyOf/oneOf most likely meant, so its errors can be shown;
+    // a branch for the wrong type of value says little about what is wrong
+    function closestBranch(results, instancePath) {
+      let best = null;
+      let bestScore = Infinity;
+      results.forEach(result => {
+        if (result.valid) return;
+        const wrongType = result.errors.some(e => e.instancePath === instancePath && e.keyword === 'type');
+        const score = result.errors.length + (wrongType ? 1e6 : 0);
+        if (score < bestScore) {
+          best = result;
+          bestScore = score;
+        }
+      });
+      return best && bestScore < 1e6 ? best : null;
+    }
+
+    function followRef(result, target, reference, keyword, instance, instancePath, location) {
+      if (!target) {
+        result.valid = false;
+        const message = `Cannot resolve ${keyword} ${JSON.stringify(reference)}; only references within the schema are followed, remote schemas are not fetched`;
+        result.errors.push({ ...error(keyword, message, instancePath, location), unresolved: true });
+        return;
+      }
+      const key = (target.location ? (target.location.documentURI || '') + '#' + target.location.pointer : target.uri) + '|' + instancePath;
+      // The same schema at the same instance location again can only recurse forever
+      if (active.has(key)) return;
+      active.add(key);
+      try {
+        const targetLocation = target.location || { base: stripFragment(target.uri), pointer: '', documentURI: stripFragment(target.uri) };
+        merge(result, evaluate(target.schema, instance, instancePath, targetLocation));
+      } finally {
+        active.delete(key);
+      }
+    }
+
+    function error(keyword, message, instancePath, location, suffix = '') {
+      const result = {
+        keyword,
+        message,
+        instancePath,
+        schemaPath: location.pointer + '/' + keyword.replace(/~/g, '~0').replace(/\//g, '~1') + suffix
+      };
+      if (location.documentURI) result.schemaURI = location.documentURI;
+      return result;
+    }
+
+    /**
+     * Evaluates one schema against one value
+     * @returns {Object} { valid, errors, props, items } where props and items are the property
+     *   names and array indexes this schema evaluated, for unevaluatedProperties/unevaluatedItems
+     */
+    function evaluate(schema, instance, instancePath, location) {
+      const result = createResult();
+      if (schema === true) return result;
+      if (schema === false) {
+        result.valid = false;
+        result.errors.push({
+          keyword: 'false',
+          message: 'No value is allowed here; the schema is false',
+          instancePath,
+          schemaPath: location.pointer,
+          ...(location.documentURI ? { schemaURI: location.documentURI } : {})
+        });
+        return result;
+      }
+      if (!isObject(schema)) return result;
+
+      location = index.locations.get(schema) || location;
+      const entered = location.resource && scope[scope.length - 1] !== location.base;
+      if (entered) scope.push(location.base);
+      try {
+        evaluateKeywords(schema, instance, instancePath, location, result);
+      } finally {
+        if (entered) scope.pop();
+      }
+      return result;
+    }
+
+    function evaluateKeywords(schema, instance, instancePath, location, result) {
+      const fail = (keyword, message, path = instancePath, suffix = '') => {
+        result.valid = false;
+        result.errors.push(error(keyword, message, path, location, suffix));
+      };
+      const sub = (keyword, ...segments) => childLocation(location, keyword, ...segments);
+      const type = typeOf(instance);
+
+      if (typeof schema.$ref === 'string') {
+        followRef(result, resolve(schema.$ref, location.base), schema.$ref, '$ref', instance, instancePath, location);
+        if (!modern) return;
+      }
+      if (draft === '2019-09' && typeof schema.$recursiveRef === 'string') {
+        const target = resolveRecursive(resolve(schema.$recursiveRef, location.base));
+        followRef(result, target, schema.$recursiveRef, '$recursiveRef', instance, instancePath, location);
+      }
+      if (draft === '2020-12' && typeof schema.$dynamicRef === 'string') {
+        const fragment = schema.$dynamicRef.slice(schema.$dynamicRef.indexOf('#') + 1);
+        const target = resolveDynamic(resolve(schema.$dynamicRef, location.base), fragment);
+        followRef(result, target, schema.$dynamicRef, '$dynamicRef', instance, instancePath, location);
+      }
+
+      // Any value
+      if (hasOwn(schema, 'type')) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(t => hasType(instance, t))) {
+          fail('type', `Expected ${describeTypes(types)}, found ${type === 'integer' ? 'number' : type}`);
+        }
+      }
+      if (Array.isArray(schema.enum) && !schema.enum.some(option => equal(option, instance))) {
+        const shown = schema.enum.slice(0, 5).map(preview).join(', ');
+        fail('enum', `Value must be one of ${shown}${schema.enum.length > 5 ? ` (and ${schema.enum.length - 5} more)` : ''}`);
+      }
+      if (hasOwn(schema, 'const') && !equal(schema.const, instance)) {
+        fail('const', `Value must be ${preview(schema.const)}`);
+      }
+
+      if (typeof instance === 'number') evaluateNumber(schema, instance, fail);
+      if (typeof instance === 'string') evaluateString(schema, instance, fail);
+      if (type === 'array') evaluateArray(schema, instance, instancePath, result, fail, sub);
+      if (type === 'object') evaluateObject(schema, instance, instancePath, result, fail, sub);
+
+      // In-place applicators: their subschemas describe this same value
+      if (Array.isArray(schema.allOf)) {
+        schema.allOf.forEach((branch, i) => merge(result, evaluate(branch, instance, instancePath, sub('allOf', i))));
+      }
+      if (Array.isArray(schema.anyOf)) {
+        const results = schema.anyOf.map((branch, i) => evaluate(branch, instance, instancePath, sub('anyOf', i)));
+        const passed = results.filter(r => r.valid);
+        if (passed.length) {
+          passed.forEach(r => merge(result, r));
+        } else {
+          fail('anyOf', `Value does not match any of the ${plural(results.length, 'schema')} in anyOf`);
+          const closest = closestBranch(results, instancePath);
+          if (closest) merge(result, closest);
+        }
+      }
+      if (Array.isArray(schema.oneOf)) {
+        const results = schema.oneOf.map((branch, i) => evaluate(branch, instance, instancePath, sub('oneOf', i)));
+        const passed = results.map((r, i) => (r.valid ? i : -1)).filter(i => i !== -1);
+        if (passed.length === 1) {
+          merge(result, results[passed[0]]);
+        } else if (passed.length > 1) {
+          fail('oneOf', `Value matches more than one schema in oneOf (${passed.map(i => '#' + i).join(', ')}); it must match exactly one`);
+        } else {
+          fail('oneOf', `Value does not match any of the ${plural(results.length, 'schema')} in oneOf`);
+          const closest = closestBranch(results, instancePath);
+          if (closest) merge(result, closest);
+        }
+      }
+      if (hasOwn(schema, 'not') && evaluate(schema.not, instance, instancePath, sub('not')).valid) {
+        fail('not', 'Value must not match the schema in not');
+      }
+      if (hasOwn(schema, 'if')) {
+        const condition = evaluate(schema.if, instance, instancePath, sub('if'));
+        if (condition.valid) {
+          merge(result, condition);
+          if (hasOwn(schema, 'then')) merge(result, evaluate(schema.then, instance, instancePath, sub('then')));
+        } else if (hasOwn(schema, 'else')) {
+          merge(result, evaluate(schema.else, instance, instancePath, sub('else')));
+        }
+      }
+      if (modern && type === 'object' && isObject(schema.dependentSchemas)) {
+        Object.keys(schema.dependentSchemas).forEach(name => {
+          if (hasOwn(instance, name)) merge(result, evaluate(schema.dependentSchemas[name], instance, instancePath, sub('dependentSchemas', name)));
+        });
+      }
+
+      // Last, because they depend on what every other keyword evaluated
+      if (modern && type === 'array' && hasOwn(schema, 'unevaluatedItems')) {
+        instance.forEach((item, i) => {
+          if (result.items.has(i)) return;
+          const checked = evaluate(schema.unevaluatedItems, item, instancePath + '/' + i, sub('unevaluatedItems'));
+          if (!checked.valid && schema.unevaluatedItems === false) {
+            fail('unevaluatedItems', `Item ${i} is not allowed; no other keyword in the schema describes it`, instancePath + '/' + i);
+          } else {
+            merge(result, checked, false);
+          }
+          result.items.add(i);
+        });
+      }
+      if (modern && type === 'object' && hasOwn(schema, 'unevaluatedProperties')) {
+        Object.keys(instance).forEach(name => {
+          if (result.props.has(name)) return;
+          const path = instancePath + window.JSONParser.toPointer([name]);
+          const checked = evaluate(schema.unevaluatedProperties, instance[name], path, sub('unevaluatedProperties'));
+          if (!checked.valid && schema.unevaluatedProperties === false) {
+            fail('unevaluatedProperties', `Property "${name}" is not allowed; no other keyword in the schema describes it`, path);
+          } else {
+            merge(result, checked, false);
+          }
+          result.props.add(name);
+        });
+      }
+    }
+
+    function evaluateNumber(schema, value, fail) {
+      if (typeof schema.multipleOf === 'number' && schema.multipleOf > 0 && !isMultipleOf(value, schema.multipleOf)) {
+        fail('multipleOf', `Number must be a multiple of ${schema.multipleOf}`);
+      }
+      if (typeof schema.maximum === 'number' && value > schema.maximum) {
+        fail('maximum', `Number must be at most ${schema.maximum}`);
+      }
+      if (typeof schema.minimum === 'number' && value < schema.minimum) {
+        fail('minimum', `Number must be at least ${schema.minimum}`);
+      }
+      if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+        fail('exclusiveMaximum', `Number must be less than ${schema.exclusiveMaximum}`);
+      }
+      if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+        fail('exclusiveMinimum', `Number must be greater than ${schema.exclusiveMinimum}`);
+      }
+    }
+
+    function evaluateString(schema, value, fail) {
+      if (typeof schema.maxLength === 'number' || typeof schema.minLength === 'number') {
+        // Lengths count code points, so an emoji is one character
+        const length = codePointLength(value);
+        if (typeof schema.maxLength === 'number' && length > schema.maxLength) {
+          fail('maxLength', `String must be at most ${plural(schema.maxLength, 'character')} long; it has ${length}`);
+        }
+        if (typeof schema.minLength === 'number' && length < schema.minLength) {
+          fail('minLength', `String must be at least ${plural(schema.minLength, 'character')} long; it has ${length}`);
+        }
+      }
+      if (typeof schema.pattern === 'string') {
+        const compiled = regex(schema.pattern);
+        if (!compiled) {
+          fail('pattern', `The schema's pattern ${JSON.stringify(schema.pattern)} is not a valid regular expression`);
+        } else if (!compiled.test(value)) {
+          fail('pattern', `String does not match the pattern ${JSON.stringify(schema.pattern)}`);
+        }
+      }
+      if (assertFormats && typeof schema.format === 'string' && hasOwn(FORMATS, schema.format) && !FORMATS[schema.format](value)) {
+        fail('format', `String is not a valid ${schema.format}`);
+      }
+    }
+
+    function evaluateArray(schema, items, instancePath, result, fail, sub) {
+      const itemPath = i => instancePath + '/' + i;
+      // Draft-07 and 2019-09 spell prefixItems as an array-valued items, followed by additionalItems
+      let prefix;
+      let prefixKeyword = 'prefixItems';
+      let restKeyword = 'items';
+      if (draft === '2020-12') {
+        prefix = schema.prefixItems;
+      } else if (Array.isArray(schema.items)) {
+        prefix = schema.items;
+        prefixKeyword = 'items';
+        restKeyword = 'additionalItems';
+      }
+      let start = 0;
+      if (Array.isArray(prefix)) {
+        start = Math.min(prefix.length, items.length);
+        for (let i = 0; i < start; i++) {
+          merge(result, evaluate(prefix[i], items[i], itemPath(i), sub(prefixKeyword, i)), false);
+          result.items.add(i);
+        }
+      }
+      if (hasOwn(schema, restKeyword) && !Array.isArray(schema[restKeyword])) {
+        const rest = schema[restKeyword];
+        for (let i = start; i < items.length; i++) {
+          const checked = evaluate(rest, items[i], itemPath(i), sub(restKeyword));
+          if (!checked.valid && rest === false) {
+            fail(restKeyword, `Array must have at most ${plural(start, 'item')}; item ${i} is not allowed`, itemPath(i));
+          } else {
+            merge(result, checked, false);
+          }
+          result.items.add(i);
+        }
+      }
+
+      if (hasOwn(schema, 'contains')) {
+        let matches = 0;
+        items.forEach((item, i) => {
+          if (evaluate(schema.contains, item, itemPath(i), sub('contains')).valid) {
+            matches++;
+            if (modern) result.items.add(i);
+          }
+        });
+        const min = modern && typeof schema.minContains === 'number' ? schema.minContains : 1;
+        if (matches < min) {
+          fail(min === 1 || !modern ? 'contains' : 'minContains',
+            `Array must contain at least ${plural(min, 'item')} matching contains; ${matches === 0 ? 'none do' : `${matches} ${matches === 1 ? 'does' : 'do'}`}`);
+        }
+        if (modern && typeof schema.maxContains === 'number' && matches > schema.maxContains) {
+          fail('maxContains', `Array must contain at most ${plural(schema.maxContains, 'item')} matching contains; ${matches} do`);
+        }
+      }
+      if (typeof schema.maxItems === 'number' && items.length > schema.maxItems) {
+        fail('maxItems', `Array must have at most ${plural(schema.maxItems, 'item')}; it has ${items.length}`);
+      }
+      if (typeof schema.minItems === 'number' && items.length < schema.minItems) {
+        fail('minItems', `Array must have at least ${plural(schema.minItems, 'item')}; it has ${items.length}`);
+      }
+      if (schema.uniqueItems === true) {
+        const seen = new Map();
+        for (let i = 0; i < items.length; i++) {
+          const key = canonical(items[i]);
+          if (seen.has(key)) {
+            fail('uniqueItems', `Array items must be unique; item ${i} equals item ${seen.get(key)}`, itemPath(i));
+            break;
+          }
+          seen.set(key, i);
+        }
+      }
+    }
+
+    function evaluateObject(schema, object, instancePath, result, fail, sub) {
+      const names = Object.keys(object);
+      const memberPath = name => instancePath + window.JSONParser.toPointer([name]);
+      const described = new Set();
+
+      if (isObject(schema.properties)) {
+        Object.keys(schema.properties).forEach(name => {
+          described.add(name);
+          if (!hasOwn(object, name)) return;
+          merge(result, evaluate(schema.properties[name], object[name], memberPath(name), sub('properties', name)), false);
+          result.props.add(name);
+        });
+      }
+      if (isObject(schema.patternProperties)) {
+        Object.keys(schema.patternProperties).forEach(pattern => {
+          const compiled = regex(pattern);
+          if (!compiled) {
+            fail('patternProperties', `The schema's pattern ${JSON.stringify(pattern)} is not a valid regular expression`, instancePath, window.JSONParser.toPointer([pattern]));
+            return;
+          }
+          names.forEach(name => {
+            if (!compiled.test(name)) return;
+            described.add(name);
+            merge(result, evaluate(schema.patternProperties[pattern], object[name], memberPath(name), sub('patternProperties', pattern)), false);
+            result.props.add(name);
+          });
+        });
+      }
+      if (hasOwn(schema, 'additionalProperties')) {
+        names.forEach(name => {
+          if (described.has(name)) return;
+          const checked = evaluate(schema.additionalProperties, object[name], memberPath(name), sub('additionalProperties'));
+          if (!checked.valid && schema.additionalProperties === false) {
+            fail('additionalProperties', `Property "${name}" is not allowed`, memberPath(name));
+          } else {
+            merge(result, checked, false);
+          }
+          result.props.add(name);
+        });
+      }
+      if (hasOwn(schema, 'propertyNames')) {
+        names.forEach(name => {
+          const checked = evaluate(schema.propertyNames, name, memberPath(name), sub('propertyNames'));
+          if (!checked.valid) {
+            const reason = checked.errors.length ? checked.errors[0].message : 'the schema is false';
+            fail('propertyNames', `Property name "${name}" is not allowed: ${reason}`, memberPath(name));
+          }
+        });
+      }
+      if (Array.isArray(schema.required)) {
+        schema.required.forEach((name, i) => {
+          if (typeof name === 'string' && !hasOwn(object, name)) {
+            fail('required', `Missing required property "${name}"`, instancePath, '/' + i);
+          }
+        });
+      }
+      if (typeof schema.maxProperties === 'number' && names.length > schema.maxProperties) {
+        fail('maxProperties', `Object must have at most ${plural(schema.maxProperties, 'property', 'properties')}; it has ${names.length}`);
+      }
+      if (typeof schema.minProperties === 'number' && names.length < schema.minProperties) {
+        fail('minProperties', `Object must have at least ${plural(schema.minProperties, 'property', 'properties')}; it has ${names.length}`);
+      }
+
+      // Draft-07 `dependencies` is split into dependentRequired and dependentSchemas from 2019-09 on
+      const dependentRequired = modern ? schema.dependentRequired : schema.dependencies;
+      const dependentKeyword = modern ? 'dependentRequired' : 'dependencies';
+      if (isObject(dependentRequired)) {
+        Object.keys(dependentRequired).forEach(name => {
+          const dependency = dependentRequired[name];
+          if (!hasOwn(object, name)) return;
+          if (Array.isArray(dependency)) {
+            dependency.forEach(required => {
+              if (!hasOwn(object, required)) {
+                fail(dependentKeyword, `Property "${required}" is required when "${name}" is present`, instancePath, window.JSONParser.toPointer([name]));
+              }
+            });
+          } else if (!modern) {
+            merge(result, evaluate(dependency, object, instancePath, sub('dependencies', name)));
+          }
+        });
+      }
+    }
+
+    return { evaluate, resolve, regex };
+  }
+
+  // Schema objects that describe the value at a path, whatever the instance holds: references
+  // and combinators are followed, and both branches of if/then/else count. Editors use this
+  // for completions and hover documentation, so nothing here decides validity
+  function subschemasAt(index, evaluator, schema, path) {
+    const { draft } = index;
+    const expand = (schemas) => {
+      const found = [];
+      const seen = new Set();
+      const stack = schemas.slice().reverse();
+      while (stack.length) {
+        const current = stack.pop();
+        if (!isObject(current) || seen.has(current)) continue;
+        seen.add(current);
+        found.push(current);
+        const location = index.locations.get(current);
+        const base = location ? location.base : DEFAULT_BASE;
+        const next = [];
+        ['$ref', '$dynamicRef', '$recursiveRef'].forEach(keyword => {
+          if (typeof current[keyword] !== 'string') return;
+          const target = evaluator.resolve(current[keyword], base);
+          if (target) next.push(target.schema);
+        });
+        ['allOf', 'anyOf', 'oneOf'].forEach(keyword => {
+          if (Array.isArray(current[keyword])) next.push(...current[keyword]);
+        });
+        ['then', 'else'].forEach(keyword => {
+          if (hasOwn(current, keyword)) next.push(current[keyword]);
+        });
+        if (isObject(current.dependentSchemas)) next.push(...Object.values(current.dependentSchemas));
+        for (let i = next.length - 1; i >= 0; i--) stack.push(next[i]);
+      }
+      return found;
+    };
+
+    let schemas = expand([schema]);
+    for (const segment of path) {
+      const children = [];
+      schemas.forEach(current => {
+        if (typeof segment === 'number') {
+          const prefix = draft === '2020-12' ? current.prefixItems : (Array.isArray(current.items) ? current.items : null);
+          if (Array.isArray(prefix) && segment < prefix.length) {
+            children.push(prefix[segment]);
+          } else if (draft === '2020-12' || !Array.isArray(current.items)) {
+            if (hasOwn(current, 'items')) children.push(current.items);
+          } else if (hasOwn(current, 'additionalItems')) {
+            children.push(current.additionalItems);
+          }
+          return;
+        }
+        let described = false;
+        if (isObject(current.properties) && hasOwn(current.properties, segment)) {
+          children.push(current.properties[segment]);
+          described = true;
+        }
+        if (isObject(current.patternProperties)) {
+          Object.keys(current.patternProperties).forEach(pattern => {
+            const compiled = evaluator.regex(pattern);
+            if (compiled && compiled.test(segment)) {
+              children.push(current.patternProperties[pattern]);
+              described = true;
+            }
+          });
+        }
+        if (!described && hasOwn(current, 'additionalProperties')) children.push(current.additionalProperties);
+      });
+      schemas = expand(children);
+    }
+    return schemas;
+  }
+
+  /**
+   * Prepares a schema for validating any number of values
+   * @param {*} schema - Schema value (an object or a boolean)
+   * @param {Object} options - { draft: 'draft-07'|'2019-09'|'2020-12' to override $schema,
+   *   schemas: { uri: schema } other documents $ref may point to, formats: false to skip format checks }
+   * @returns {Object} { draft, validate(instance) => { valid, errors }, subschemasAt(path) => Array,
+   *   resolveRef(subschema) => schema|null } where subschemasAt lists the schema objects describing the
+   *   value at a path of keys and (numeric) array indexes, resolveRef follows a subschema's $ref,
+   *   $dynamicRef or $recursiveRef (statically, from where the subschema sits), and each validation error is
+   *   { keyword, message, instancePath, schemaPath, schemaURI?, unresolved? }; both paths are JSON Pointers,
+   *   schemaPath into the schema document (or into options.schemas[schemaURI] when set).
+   *   unresolved marks a $ref that points outside the known documents
+   */
+  function compile(schema, options = {}) {
+    const draft = DRAFTS[options.draft] ? options.draft : (detectDraft(schema) || DEFAULT_DRAFT);
+    const index = createIndex(draft);
+    Object.keys(options.schemas || {}).forEach(uri => index.addDocument(options.schemas[uri], uri, false));
+    index.addDocument(schema, DEFAULT_BASE, true);
+    const root = index.locations.get(schema) || { base: DEFAULT_BASE, pointer: '', documentURI: null, resource: true };
+
+    return {
+      draft,
+      validate(instance) {
+        const { evaluate } = createEvaluator(index, options);
+        const result = evaluate(schema, instance, '', root);
+        return { valid: result.valid, errors: result.errors };
+      },
+      subschemasAt(path) {
+        return subschemasAt(index, createEvaluator(index, options), schema, path);
+      },
+      resolveRef(subschema) {
+        const keyword = ['$ref', '$dynamicRef', '$recursiveRef'].find(name => isObject(subschema) && typeof subschema[name] === 'string');
+        if (!keyword) return null;
+        const location = index.locations.get(subschema);
+        const target = createEvaluator(index, options).resolve(subschema[keyword], location ? location.base : DEFAULT_BASE);
+        return target ? target.schema : null;
+      }
+    };
+  }
+
+  /**
+   * Validates a value against a schema in one call
+   * @param {*} instance - Value to check
+   * @param {*} schema - Schema value
+   * @param {Object} options - Same as compile()
+   * @returns {Object} { valid, draft, errors } as from compile().validate()
+   */
+  function validate(instance, schema, options = {}) {
+    const compiled = compile(schema, options);
+    return { draft: compiled.draft, ...compiled.validate(instance) };
+  }
+
+  function locate(ast, lineStarts, pointer, preferKey) {
+    const found = ast ? window.JSONParser.findNode(ast, pointer) : null;
+    if (!found) return null;
+    const start = preferKey && found.key ? found.key : found.node;
+    const { line, column } = window.JSONParser.positionAt(lineStarts, start.start);
+    return { offset: start.start, length: found.node.end - start.start, line, column };
+  }
+
+  /**
+   * Validates JSON text against schema text and locates each error in both documents
+   * @param {string} text - Instance text
+   * @param {string} schemaText - Schema text (strict JSON)
+   * @param {Object} options - compile() options plus the instance's parse options (dialect, limits, ...)
+   * @returns {Object} { valid, draft, errors, total }; when the schema itself cannot be used,
+   *   { valid: false, schemaError: { code, message, offset, line, column } }, and when the instance does
+   *   not parse, { valid: false, instanceError } with its first syntax error in the same form.
+   *   Errors add a code (SCHEMA_VIOLATION, or SCHEMA_REF for unresolvable references),
+   *   offset/length/line/column in the instance and schemaOffset/schemaLength/schemaLine/schemaColumn
+   *   in the schema text; total counts errors beyond the first MAX_ERRORS
+   */
+  function validateText(text, schemaText, options = {}) {
+    const schemaDoc = window.JSONParser.parse(schemaText, { dialect: 'json', limits: options.limits, maxErrors: 1 });
+    if (schemaDoc.errors.length) {
+      const { message, offset, line, column } = schemaDoc.errors[0];
+      return { valid: false, schemaError: { code: 'SCHEMA_INVALID', message: 'The schema is not valid JSON: ' + message, offset, line, column } };
+    }
+    const schema = window.JSONParser.toValue(schemaDoc.ast);
+    if (!isObject(schema) && typeof schema !== 'boolean') {
+      return { valid: false, schemaError: { code: 'SCHEMA_INVALID', message: 'A schema must be an object or a boolean', offset: 0, line: 1, column: 1 } };
+    }
+
+    const instanceDoc = window.JSONParser.parse(text, { dialect: options.dialect, limits: options.limits, maxErrors: 1 });
+    if (instanceDoc.errors.length || !instanceDoc.ast) {
+      const { code, message, offset, line, column } = instanceDoc.errors[0] || { code: 'UNEXPECTED_END', message: 'Expected a value', offset: 0, line: 1, column: 1 };
+      return { valid: false, instanceError: { code, message, offset, line, column } };
+    }
+    const compiled = compile(schema, options);
+    const outcome = compiled.validate(window.JSONParser.toValue(instanceDoc.ast));
+    const errors = outcome.errors.slice(0, MAX_ERRORS).map(error => {
+      const located = { code: error.unresolved ? 'SCHEMA_REF' : 'SCHEMA_VIOLATION', ...error, offset: 0, length: 0, line: 1, column: 1 };
+      const inInstance = locate(instanceDoc.ast, instanceDoc.lineStarts, error.instancePath, KEY_KEYWORDS.has(error.keyword));
+      if (inInstance) Object.assign(located, inInstance);
+      const inSchema = error.schemaURI ? null : locate(schemaDoc.ast, schemaDoc.lineStarts, error.schemaPath, true);
+      if (inSchema) {
+        located.schemaOffset = inSchema.offset;
+        located.schemaLength = inSchema.length;
+        located.schemaLine = inSchema.line;
+        located.schemaColumn = inSchema.column;
+      }
+      return located;
+    });
+    errors.sort((a, b) => a.offset - b.offset);
+    return { valid: outcome.valid, draft: compiled.draft, errors, total: outcome.errors.length };
+  }
+
+  // Expose API
+  window.JSONSchema = { compile, validate, validateText, detectDraft, DRAFTS, DEFAULT_DRAFT, FORMATS, MAX_ERRORS };
+})();
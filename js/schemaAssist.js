@@ -0,0 +1,295 @@
+'use strict';
+(function () {
+  // Schema-aware editing help: what can be typed at the cursor and what a value means.
+  // Works on incomplete text, since completions are asked for while the user is still typing.
+  const MAX_VALUE_OPTIONS = 100;
+
+  function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  function decodeString(raw) {
+    try {
+      return JSON.parse('"' + raw + '"');
+    } catch (error) {
+      return raw;
+    }
+  }
+
+  /**
+   * Works out what is being typed at an offset by scanning the text up to it. Unlike the parser
+   * this never gives up: unclosed strings, missing values and trailing commas are expected.
+   * @param {string} text - Document text, JSON, JSONC or JSON5
+   * @param {number} offset - Cursor offset
+   * @returns {Object|null} { kind: 'key'|'value', path, from, to, prefix, quoted, closed, keys } where
+   *   path is the object (for keys) or the value's location as keys and numeric indexes, from..to is the
+   *   text a completion replaces (inside the quotes for strings) and keys holds the object's keys seen so far;
+   *   null where nothing can be typed, such as between a key and its colon
+   */
+  function contextAt(text, offset) {
+    const stack = [];
+    let rootDone = false;
+    const top = () => stack[stack.length - 1];
+    const childPath = () => {
+      const container = top();
+      if (!container) return [];
+      return container.path.concat([container.type === 'object' ? container.key : container.index]);
+    };
+    const valueDone = () => {
+      const container = top();
+      if (container) {
+        container.expect = 'comma';
+      } else {
+        rootDone = true;
+      }
+    };
+    const expectsKey = () => {
+      const container = top();
+      return Boolean(container && container.type === 'object' && container.expect === 'key');
+    };
+
+    let i = 0;
+    while (i < offset) {
+      const ch = text[i];
+      if (ch === '"' || ch === "'") {
+        let end = i + 1;
+        while (end < text.length && text[end] !== ch && text[end] !== '\n') end += text[end] === '\\' ? 2 : 1;
+        const closed = end < text.length && text[end] === ch;
+        if (!closed || end >= offset) {
+          const kind = expectsKey() ? 'key' : 'value';
+          return {
+            kind,
+            path: kind === 'key' ? top().path : childPath(),
+            from: i + 1,
+            to: closed ? end : offset,
+            prefix: text.slice(i + 1, offset),
+            quoted: true,
+            closed,
+            keys: kind === 'key' ? top().keys : new Set()
+          };
+        }
+        const value = decodeString(text.slice(i + 1, end));
+        if (expectsKey()) {
+          top().key = value;
+          top().keys.add(value);
+          top().expect = 'colon';
+        } else {
+          valueDone();
+        }
+        i = end + 1;
+      } else if (ch === '/' && text[i + 1] === '/') {
+        const end = text.indexOf('\n', i);
+        i = end === -1 ? text.length : end;
+      } else if (ch === '/' && text[i + 1] === '*') {
+        const end = text.indexOf('*/', i + 2);
+        i = end === -1 ? text.length : end + 2;
+      } else if (ch === '{' || ch === '[') {
+        const path = childPath();
+        stack.push(ch === '{'
+          ? { type: 'object', path, expect: 'key', key: null, keys: new Set() }
+          : { type: 'array', path, expect: 'value', index: 0 });
+        i++;
+      } else if (ch === '}' || ch === ']') {
+        stack.pop();
+        valueDone();
+        i++;
+      } else if (ch === ':') {
+        if (top() && top().type === 'object') top().expect = 'value';
+        i++;
+      } else if (ch === ',') {
+        const container = top();
+        if (container && container.type === 'object') {
+          container.expect = 'key';
+          container.key = null;
+        } else if (container) {
+          container.expect = 'value';
+          container.index++;
+        }
+        i++;
+      } else if (/\s/.test(ch)) {
+        i++;
+      } else {
+        // Literals, numbers and JSON5 unquoted keys
+        let end = i;
+        while (end < text.length && !/[\s,:[\]{}"'/]/.test(text[end])) end++;
+        if (end >= offset) {
+          const kind = expectsKey() ? 'key' : 'value';
+          return {
+            kind,
+            path: kind === 'key' ? top().path : childPath(),
+            from: i,
+            to: end,
+            prefix: text.slice(i, offset),
+            quoted: false,
+            closed: false,
+            keys: kind === 'key' ? top().keys : new Set()
+          };
+        }
+        if (expectsKey()) {
+          top().key = text.slice(i, end);
+          top().keys.add(top().key);
+          top().expect = 'colon';
+        } else {
+          valueDone();
+        }
+        i = end;
+      }
+    }
+
+    const container = top();
+    if (!container) {
+      return rootDone ? null : { kind: 'value', path: [], from: offset, to: offset, prefix: '', quoted: false, closed: false, keys: new Set() };
+    }
+    if (container.expect === 'key' || container.expect === 'value') {
+      const kind = container.expect;
+      return {
+        kind,
+        path: kind === 'key' ? container.path : childPath(),
+        from: offset,
+        to: offset,
+        prefix: '',
+        quoted: false,
+        closed: false,
+        keys: kind === 'key' ? container.keys : new Set()
+      };
+    }
+    return null;
+  }
+
+  // "string (email)", "integer or null", ... for every schema describing a location
+  function describeType(schemas) {
+    const types = [];
+    const formats = [];
+    schemas.forEach(schema => {
+      [].concat(schema.type || []).forEach(type => {
+        if (!types.includes(type)) types.push(type);
+      });
+      if (typeof schema.format === 'string' && !formats.includes(schema.format)) formats.push(schema.format);
+      if (types.length === 0 && Array.isArray(schema.enum)) types.push('enum');
+    });
+    if (!types.length) return '';
+    const text = types.length === 1 ? types[0] : types.slice(0, -1).join(', ') + ' or ' + types[types.length - 1];
+    return formats.length ? `${text} (${formats.join(', ')})` : text;
+  }
+
+  function firstOf(schemas, keyword) {
+    const found = schemas.find(schema => typeof schema[keyword] === 'string' && schema[keyword].trim());
+    return found ? found[keyword] : '';
+  }
+
+  function keyOptions(compiled, schemas, context) {
+    const options = new Map();
+    const required = new Set();
+    schemas.forEach(schema => {
+      if (Array.isArray(schema.required)) schema.required.forEach(name => required.add(name));
+    });
+    schemas.forEach(schema => {
+      if (!isObject(schema.properties)) return;
+      Object.keys(schema.properties).forEach(name => {
+        if (options.has(name) || context.keys.has(name)) return;
+        const described = compiled.subschemasAt(context.path.concat([name]));
+        const escaped = JSON.stringify(name).slice(1, -1);
+        options.set(name, {
+          label: name,
+          type: 'property',
+          detail: [describeType(described), required.has(name) ? 'required' : ''].filter(Boolean).join(', '),
+          info: firstOf(described, 'description') || firstOf(described, 'title'),
+          // Inside quotes only the name is typed; the closing quote is added if missing
+          apply: context.quoted ? escaped + (context.closed ? '' : '": ') : `"${escaped}": `,
+          boost: required.has(name) ? 1 : 0
+        });
+      });
+    });
+    return Array.from(options.values());
+  }
+
+  function valueOptions(schemas, context) {
+    const values = new Map();
+    const add = (value, detail) => {
+      const key = JSON.stringify(value);
+      if (key !== undefined && !values.has(key) && values.size < MAX_VALUE_OPTIONS) values.set(key, { value, detail });
+    };
+    schemas.forEach(schema => {
+      if (Array.isArray(schema.enum)) schema.enum.forEach(value => add(value, 'enum'));
+      if (Object.prototype.hasOwnProperty.call(schema, 'const')) add(schema.const, 'const');
+      if (Object.prototype.hasOwnProperty.call(schema, 'default')) add(schema.default, 'default');
+      const types = [].concat(schema.type || []);
+      if (types.includes('boolean')) {
+        add(true, 'boolean');
+        add(false, 'boolean');
+      }
+      if (types.includes('null')) add(null, 'null');
+      if (types.includes('object')) add({}, 'object');
+      if (types.includes('array')) add([], 'array');
+    });
+    const options = [];
+    values.forEach(({ value, detail }, key) => {
+      if (context.quoted) {
+        // Inside quotes only strings fit
+        if (typeof value !== 'string') return;
+        const escaped = key.slice(1, -1);
+        options.push({ label: value, type: 'enum', detail, apply: escaped + (context.closed ? '' : '"') });
+      } else {
+        options.push({ label: key, type: typeof value === 'string' ? 'enum' : 'constant', detail, apply: key });
+      }
+    });
+    return options;
+  }
+
+  /**
+   * Completions for property names and values at the cursor, from a compiled schema
+   * @param {string} text - Document text
+   * @param {number} offset - Cursor offset
+   * @param {Object} compiled - Result of JSONSchema.compile()
+   * @returns {Object|null} { from, to, kind, options: [{ label, apply, type, detail, info, boost }] },
+   *   shaped like a CodeMirror completion result, or null when the schema has nothing to offer
+   */
+  function completionsAt(text, offset, compiled) {
+    const context = contextAt(text, offset);
+    if (!context) return null;
+    const schemas = compiled.subschemasAt(context.path);
+    if (!schemas.length) return null;
+    const options = context.kind === 'key' ? keyOptions(compiled, schemas, context) : valueOptions(schemas, context);
+    return options.length ? { from: context.from, to: context.to, kind: context.kind, options } : null;
+  }
+
+  /**
+   * Documentation for the key or value under the cursor
+   * @param {string} text - Document text
+   * @param {number} offset - Offset being hovered
+   * @param {Object} compiled - Result of JSONSchema.compile()
+   * @param {Object} options - Parse options (dialect), and `ast`, the tree of an earlier parse of the same text
+   * @returns {Object|null} { from, to, pointer, title, description, type, values, deprecated } where values
+   *   lists allowed enum values, or null when the schema says nothing about that location
+   */
+  function hoverAt(text, offset, compiled, options = {}) {
+    const ast = options.ast !== undefined
+      ? options.ast
+      : window.JSONParser.parse(text, { dialect: options.dialect, limits: options.limits, maxErrors: 1 }).ast;
+    const path = ast ? window.JSONParser.pathAt(ast, offset) : null;
+    if (!path) return null;
+    const found = window.JSONParser.findNode(ast, path);
+    if (!found) return null;
+    const onKey = found.key && offset >= found.key.start && offset <= found.key.end;
+    const target = onKey ? found.key : found.node;
+    const schemas = compiled.subschemasAt(path);
+    const title = firstOf(schemas, 'title');
+    const description = firstOf(schemas, 'description');
+    const type = describeType(schemas);
+    const withEnum = schemas.find(schema => Array.isArray(schema.enum));
+    if (!title && !description && !type && !withEnum) return null;
+    return {
+      from: target.start,
+      to: target.end,
+      pointer: window.JSONParser.toPointer(path),
+      title,
+      description,
+      type,
+      values: withEnum ? withEnum.enum.slice(0, 20) : null,
+      deprecated: schemas.some(schema => schema.deprecated === true)
+    };
+  }
+
+  // Expose API
+  window.JSONSchemaAssist = { contextAt, completionsAt, hoverAt, describeType };
+})();
@@ -0,0 +1,213 @@
+'use strict';
+(function () {
+  // Builds a JSON Schema that every sample satisfies. Samples are merged into one profile
+  // of the types, properties and string values seen, which is then written out as a schema.
+  // Strings become an enum when they repeat and have at most this many distinct values
+  const MAX_ENUM_VALUES = 8;
+  // Tried in order; a format is used when every string seen at that location matches it
+  const FORMAT_CANDIDATES = ['date-time', 'date', 'time', 'email', 'uuid', 'uri', 'ipv4', 'ipv6'];
+  // JSONSchema.FORMATS accepts any "scheme:rest" as a URI; inferring one needs something more URL-like
+  const URI_LIKE = /^(?:[a-z][a-z0-9+.-]*:\/\/\S+|urn:\S+|mailto:\S+)$/i;
+
+  function createProfile() {
+    return { count: 0, types: new Map() };
+  }
+
+  function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+  }
+
+  function matchesFormat(format, text) {
+    if (format === 'uri' && !URI_LIKE.test(text)) return false;
+    return window.JSONSchema.FORMATS[format](text);
+  }
+
+  // Iterative, so documents as deep as the parser's limits allow do not overflow the stack
+  function addSample(root, sample) {
+    const stack = [{ profile: root, value: sample }];
+    while (stack.length) {
+      const { profile, value } = stack.pop();
+      const type = typeOf(value);
+      profile.count++;
+      let stats = profile.types.get(type);
+      if (!stats) {
+        stats = { count: 0 };
+        if (type === 'object') {
+          stats.properties = new Map();
+        } else if (type === 'array') {
+          stats.items = createProfile();
+        } else if (type === 'string') {
+          stats.values = new Map();
+          stats.formats = FORMAT_CANDIDATES.slice();
+        }
+        profile.types.set(type, stats);
+      }
+      stats.count++;
+      if (type === 'object') {
+        Object.keys(value).forEach(name => {
+          if (!stats.properties.has(name)) stats.properties.set(name, createProfile());
+          stack.push({ profile: stats.properties.get(name), value: value[name] });
+        });
+      } else if (type === 'array') {
+        value.forEach(item => stack.push({ profile: stats.items, value: item }));
+      } else if (type === 'string') {
+        // One value past the limit is enough to know an enum is out
+        if (stats.values.size <= MAX_ENUM_VALUES) stats.values.set(value, (stats.values.get(value) || 0) + 1);
+        if (stats.formats.length) stats.formats = stats.formats.filter(format => matchesFormat(format, value));
+      }
+    }
+  }
+
+  function stringSchema(stats) {
+    const schema = { type: 'string' };
+    if (stats.formats.length) {
+      schema.format = stats.formats[0];
+    } else if (stats.values.size <= MAX_ENUM_VALUES && stats.count > stats.values.size) {
+      schema.enum = Array.from(stats.values.keys());
+    }
+    return schema;
+  }
+
+  // Iterative like addSample(): profiles are listed parents first, then written out in
+  // reverse so every child's schema is ready before its parent's
+  function toSchema(root) {
+    const order = [];
+    const stack = [root];
+    while (stack.length) {
+      const profile = stack.pop();
+      order.push(profile);
+      profile.types.forEach(stats => {
+        if (stats.properties) stats.properties.forEach(child => stack.push(child));
+        if (stats.items) stack.push(stats.items);
+      });
+    }
+    const written = new Map();
+    for (let i = order.length - 1; i >= 0; i--) {
+      written.set(order[i], profileSchema(order[i], written));
+    }
+    return written.get(root);
+  }
+
+  // The schema for one profile; `written` holds those of its children
+  function profileSchema(profile, written) {
+    const types = profile.types;
+    // Integers are numbers too, so a location holding both is just a number
+    if (types.has('integer') && types.has('number')) {
+      types.get('number').count += types.get('integer').count;
+      types.delete('integer');
+    }
+    const schemas = [];
+    types.forEach((stats, type) => {
+      if (type === 'object') {
+        const schema = { type: 'object', properties: {} };
+        const required = [];
+        stats.properties.forEach((child, name) => {
+          window.JSONParser.setMember(schema.properties, name, written.get(child));
+          if (child.count === stats.count) required.push(name);
+        });
+        if (required.length) schema.required = required;
+        schemas.push(schema);
+      } else if (type === 'array') {
+        const schema = { type: 'array' };
+        if (stats.items.count) schema.items = written.get(stats.items);
+        schemas.push(schema);
+      } else if (type === 'string') {
+        schemas.push(stringSchema(stats));
+      } else {
+        schemas.push({ type });
+      }
+    });
+    if (schemas.length === 0) return {};
+    if (schemas.length === 1) return schemas[0];
+    // Scalar alternatives read best as a type list; structures need one branch each
+    if (schemas.every(schema => Object.keys(schema).length === 1)) {
+      return { type: schemas.map(schema => schema.type).sort((a, b) => (a === 'null') - (b === 'null')) };
+    }
+    // A nullable value keeps its details: ["string", "null"] with the string's format or enum
+    if (schemas.length === 2 && types.has('null')) {
+      const other = schemas.find(schema => schema.type !== 'null');
+      const merged = { ...other, type: [other.type, 'null'] };
+      if (merged.enum) merged.enum = merged.enum.concat([null]);
+      return merged;
+    }
+    return { anyOf: schemas };
+  }
+
+  /**
+   * Infers a schema from sample values
+   * @param {Array} samples - Values to describe; the schema accepts every one of them
+   * @param {Object} options - { draft: 'draft-07', '2019-09' or '2020-12' (default) for $schema }
+   * @returns {Object} Schema with $schema first
+   */
+  function infer(samples, options = {}) {
+    const root = createProfile();
+    samples.forEach(sample => addSample(root, sample));
+    const draft = window.JSONSchema.DRAFTS[options.draft] || window.JSONSchema.DRAFTS[window.JSONSchema.DEFAULT_DRAFT];
+    return { $schema: draft.uri, ...toSchema(root) };
+  }
+
+  /**
+   * Infers a schema from JSON text. With `options.dialect` 'ndjson' every line is a sample;
+   * otherwise the document is the only one.
+   * @param {string} text - JSON or NDJSON text
+   * @param {Object} options - Parse options plus draft and indentation
+   * @returns {Object} { isValid: true, output, samples } or, for input that does not parse or nests
+   *   too deeply to print a schema for, { isValid: false, error, errorInfo, errors } as from a minify job
+   */
+  function inferText(text, options = {}) {
+    let samples;
+    if (options.dialect === 'ndjson') {
+      const checked = window.JSONLines.validate(text, options);
+      if (!checked.isValid) {
+        return { isValid: false, error: checked.error, errorInfo: checked.errorInfo, errors: checked.errors, lines: checked.lines };
+      }
+      // Every line parsed as strict JSON above
+      samples = text.split(/\r?\n/).filter(line => line.trim()).map(line => JSON.parse(line));
+    } else {
+      try {
+        samples = [window.JSONValidator.parse(text, options)];
+      } catch (error) {
+        return {
+          isValid: false,
+          error: error.message,
+          errorInfo: error.errorInfo || window.JSONValidator.parseJSONError(error.message, text, options),
+          errors: error.errors || []
+        };
+      }
+    }
+    const schema = infer(samples, options);
+    let output;
+    try {
+      output = JSON.stringify(schema, null, window.JSONValidator.getIndentString(options.indentation));
+    } catch (error) {
+      // The schema nests deeper than the document, so printing it can exhaust the stack
+      if (!(error instanceof RangeError)) throw error;
+      const message = `Nesting depth of ${Math.max(...samples.map(depthOf))} is too deep to process`;
+      return {
+        isValid: false,
+        error: message,
+        errorInfo: { code: 'DEPTH_LIMIT', message, line: 1, column: 1, position: 0 },
+        errors: []
+      };
+    }
+    return { isValid: true, output, samples: samples.length };
+  }
+
+  function depthOf(value) {
+    let deepest = 0;
+    const stack = [{ value, depth: 0 }];
+    while (stack.length) {
+      const entry = stack.pop();
+      if (entry.value === null || typeof entry.value !== 'object') continue;
+      deepest = Math.max(deepest, entry.depth + 1);
+      Object.values(entry.value).forEach(child => stack.push({ value: child, depth: entry.depth + 1 }));
+    }
+    return deepest;
+  }
+
+  // Expose API
+  window.JSONSchemaInfer = { infer, inferText, MAX_ENUM_VALUES };
+})();
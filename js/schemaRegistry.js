@@ -0,0 +1,226 @@
+'use strict';
+(function () {
+  // Named schemas kept in IndexedDB and matched to files by glob, plus the bundled starter set.
+  // A saved schema with the same id as a starter replaces it; deleting it brings the starter back.
+  const DB_NAME = 'jsonlintplus-schemas';
+  const STORE = 'schemas';
+
+  let saved = null; // id -> entry, once loaded
+  let loading = null;
+  let db = null;
+
+  function starters() {
+    const list = window.JSONSchemaStarters ? window.JSONSchemaStarters.STARTER_SCHEMAS : [];
+    return list.map(starter => ({
+      id: starter.id,
+      name: starter.name,
+      fileMatch: starter.fileMatch.slice(),
+      uris: starter.uris.slice(),
+      schema: JSON.stringify(starter.schema, null, 2),
+      builtIn: true
+    }));
+  }
+
+  function request(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  function openDatabase() {
+    if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: 'id' });
+    // Private browsing can refuse storage; the registry then lasts for the session only
+    return request(req).catch(() => null);
+  }
+
+  function load() {
+    if (!loading) {
+      loading = openDatabase()
+        .then(database => {
+          db = database;
+          return db ? request(db.transaction(STORE, 'readonly').objectStore(STORE).getAll()) : [];
+        })
+        .catch(() => [])
+        .then(entries => {
+          saved = new Map(entries.map(entry => [entry.id, entry]));
+        });
+    }
+    return loading;
+  }
+
+  function write(method, value) {
+    if (!db) return Promise.resolve();
+    return request(db.transaction(STORE, 'readwrite').objectStore(STORE)[method](value));
+  }
+
+  function slug(name) {
+    return name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'schema';
+  }
+
+  /**
+   * Converts a file name glob to a regular expression. `*` matches any run of characters,
+   * `?` one character and `{a,b}` either alternative.
+   * @param {string} glob - Pattern such as *.tsconfig.json
+   * @returns {RegExp} Anchored, case-insensitive expression
+   */
+  function globToRegExp(glob) {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+      const ch = glob[i];
+      if (ch === '*') {
+        source += '[^/]*';
+      } else if (ch === '?') {
+        source += '[^/]';
+      } else if (ch === '{') {
+        const end = glob.indexOf('}', i);
+        if (end === -1) {
+          source += '\\{';
+        } else {
+          source += '(?:' + glob.slice(i + 1, end).split(',').map(part => part.replace(/[.+^$()|[\]\\]/g, '\\$&')).join('|') + ')';
+          i = end;
+        }
+      } else {
+        source += ch.replace(/[.+^$(){}|[\]\\]/g, '\\$&');
+      }
+    }
+    return new RegExp('^' + source + '$', 'i');
+  }
+
+  /**
+   * Whether a file name matches a glob. Only the name is compared, since browsers do not say
+   * which folder an opened file is in; a path is reduced to its last part.
+   * @param {string} glob - Pattern
+   * @param {string} name - File name
+   * @returns {boolean} Whether it matches
+   */
+  function matchGlob(glob, name) {
+    const normalized = name.replace(/\\/g, '/');
+    return globToRegExp(glob).test(normalized.slice(normalized.lastIndexOf('/') + 1));
+  }
+
+  /**
+   * Every schema: saved ones first, replacing starters with the same id, then by name
+   * @returns {Promise<Array>} Entries { id, name, fileMatch, uris, schema (text), builtIn, updated }
+   */
+  async function list() {
+    await load();
+    const entries = starters().filter(starter => !saved.has(starter.id));
+    const own = Array.from(saved.values()).sort((a, b) => a.name.localeCompare(b.name));
+    return own.concat(entries.sort((a, b) => a.name.localeCompare(b.name)));
+  }
+
+  /**
+   * @param {string} id - Entry id
+   * @returns {Promise<Object|null>} Entry, see list()
+   */
+  async function get(id) {
+    return (await list()).find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * Saves a schema under its name. Saving a starter's name keeps its $schema URLs unless new ones are given.
+   * @param {Object} entry - { name, schema (text), fileMatch: file name globs, uris: $schema URLs }
+   * @returns {Promise<Object>} The stored entry
+   */
+  async function save(entry) {
+    const name = (entry.name || '').trim();
+    if (!name) throw new Error('Give the schema a name');
+    const fileMatch = (entry.fileMatch || []).map(glob => glob.trim()).filter(Boolean);
+    const withFolder = fileMatch.find(glob => /[/\\]/.test(glob));
+    if (withFolder) {
+      throw new Error(`${withFolder} names a folder, but the browser does not say which folder an opened file is in; use a file name pattern`);
+    }
+    let value;
+    try {
+      value = JSON.parse(entry.schema);
+    } catch (error) {
+      throw new Error(`The schema is not valid JSON: ${error.message}`);
+    }
+    if (typeof value !== 'boolean' && (value === null || typeof value !== 'object' || Array.isArray(value))) {
+      throw new Error('A schema must be an object or a boolean');
+    }
+    const id = slug(name);
+    const previous = await get(id);
+    const stored = {
+      id,
+      name,
+      fileMatch,
+      uris: entry.uris || (previous ? previous.uris : []),
+      schema: entry.schema,
+      updated: Date.now()
+    };
+    await write('put', stored);
+    saved.set(id, stored);
+    return stored;
+  }
+
+  /**
+   * Deletes a saved schema; a starter it replaced comes back
+   * @param {string} id - Entry id
+   * @returns {Promise<boolean>} False when there was nothing saved under that id
+   */
+  async function remove(id) {
+    await load();
+    if (!saved.has(id)) return false;
+    await write('delete', id);
+    saved.delete(id);
+    return true;
+  }
+
+  /**
+   * The schema mapped to a file. When several globs match, the most literal one wins.
+   * @param {string} name - File name
+   * @returns {Promise<Object|null>} Entry, see list()
+   */
+  async function findForFile(name) {
+    let best = null;
+    let bestScore = -1;
+    (await list()).forEach(entry => {
+      entry.fileMatch.forEach(glob => {
+        const score = glob.replace(/[*?{}]/g, '').length;
+        if (score > bestScore && matchGlob(glob, name)) {
+          best = entry;
+          bestScore = score;
+        }
+      });
+    });
+    return best;
+  }
+
+  /**
+   * The schema registered for a $schema URL; a trailing "#" is ignored
+   * @param {string} uri - $schema value
+   * @returns {Promise<Object|null>} Entry, see list()
+   */
+  async function findByURI(uri) {
+    const bare = uri.replace(/#$/, '');
+    return (await list()).find(entry => entry.uris.some(known => known.replace(/#$/, '') === bare)) || null;
+  }
+
+  /**
+   * The top-level "$schema" of a document, unless it names a draft meta-schema, which only
+   * says that the document is itself a schema
+   * @param {string} text - Document text
+   * @param {Object} options - Parse options (dialect, limits), and `ast`, the tree of an earlier parse of the same text
+   * @returns {string|null} $schema value
+   */
+  function documentSchemaURI(text, options = {}) {
+    const root = options.ast !== undefined
+      ? options.ast
+      : window.JSONParser.parse(text, { dialect: options.dialect, limits: options.limits, maxErrors: 1 }).ast;
+    if (!root || root.type !== 'object') return null;
+    // Wherever it appears among the members; like JSON.parse, the last of repeated keys wins
+    const member = root.properties.filter(property => property.key && property.key.value === '$schema').pop();
+    if (!member || !member.value || member.value.type !== 'string') return null;
+    const uri = member.value.value;
+    const bare = uri.replace(/#$/, '');
+    const isMetaSchema = Object.values(window.JSONSchema.DRAFTS).some(draft => draft.uri.replace(/#$/, '') === bare);
+    return isMetaSchema ? null : uri;
+  }
+
+  // Expose API
+  window.JSONSchemaRegistry = { list, get, save, remove, findForFile, findByURI, documentSchemaURI, matchGlob, globToRegExp };
+})();
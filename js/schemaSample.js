@@ -0,0 +1,666 @@
+'use strict';
+(function () {
+  // Fake documents that satisfy a schema, for fixtures and mock services. Values come from a
+  // seeded generator, so the same schema and seed always give the same documents. Each document
+  // is checked with JSONSchema before it is returned; keywords that are hard to satisfy directly
+  // (not, oneOf exclusivity, uniqueness) are handled by trying again with fresh random choices.
+  const MAX_COUNT = 1000;
+  const ATTEMPTS = 25;
+  // Below this depth optional properties and extra array items are no longer added
+  const SOFT_DEPTH = 6;
+  const MAX_DEPTH = 40;
+
+  const WORDS = ['alpha', 'amber', 'apex', 'atlas', 'beacon', 'birch', 'cedar', 'cobalt', 'comet', 'coral', 'delta',
+    'ember', 'falcon', 'fern', 'harbor', 'indigo', 'jade', 'lumen', 'maple', 'meadow', 'nova', 'orbit', 'pearl',
+    'pine', 'prism', 'quartz', 'raven', 'river', 'sage', 'sierra', 'summit', 'tide', 'vale', 'willow', 'zephyr'];
+  const FIRST_NAMES = ['Ada', 'Alan', 'Grace', 'Linus', 'Margaret', 'Dennis', 'Barbara', 'Ken', 'Radia', 'Tim', 'Frances', 'Guido'];
+  const LAST_NAMES = ['Lovelace', 'Turing', 'Hopper', 'Torvalds', 'Hamilton', 'Ritchie', 'Liskov', 'Thompson', 'Perlman', 'Berners-Lee', 'Allen', 'van Rossum'];
+  const CITIES = ['Amsterdam', 'Austin', 'Berlin', 'Lisbon', 'Melbourne', 'Montreal', 'Nairobi', 'Osaka', 'Oslo', 'Seoul'];
+  const COUNTRIES = ['Australia', 'Brazil', 'Canada', 'Germany', 'India', 'Japan', 'Kenya', 'Norway', 'Portugal', 'Spain'];
+  const STREETS = ['Main St', 'Oak Ave', 'Harbor Rd', 'Elm St', 'Park Lane', 'Station Rd'];
+  const PRINTABLE = ' !"#$%&\'()*+,-./0123456789:;<=>?@ABCDEFGHIJKLMNOPQRSTUVWXYZ[\\]^_`abcdefghijklmnopqrstuvwxyz{|}~';
+  const DIGITS = '0123456789';
+  const WORD_CHARS = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789_';
+  const HEX = '0123456789abcdef';
+
+  // Keywords that choose or point to other schemas; flatten() replaces them with what they lead to
+  const APPLICATORS = new Set(['$ref', '$dynamicRef', '$recursiveRef', 'allOf', 'anyOf', 'oneOf', 'if', 'then', 'else',
+    '$id', '$schema', '$defs', 'definitions', '$anchor', '$dynamicAnchor', '$recursiveAnchor', '$comment', '$vocabulary']);
+  const LOWER_BOUNDS = new Set(['minimum', 'exclusiveMinimum', 'minLength', 'minItems', 'minProperties', 'minContains']);
+  const UPPER_BOUNDS = new Set(['maximum', 'exclusiveMaximum', 'maxLength', 'maxItems', 'maxProperties', 'maxContains']);
+  const SUBSCHEMA_KEYWORDS = new Set(['items', 'additionalItems', 'additionalProperties', 'contains', 'propertyNames',
+    'unevaluatedItems', 'unevaluatedProperties']);
+
+  // Thrown for schemas that no value can satisfy, such as `false` or an empty enum
+  class SampleError extends Error {
+    constructor(message) {
+      super(message);
+      this.name = 'SampleError';
+    }
+  }
+
+  function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  function hasOwn(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+  }
+
+  function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  }
+
+  // Key-order independent JSON text, for enum intersection and uniqueItems
+  function canonical(value) {
+    if (Array.isArray(value)) return '[' + value.map(canonical).join(',') + ']';
+    if (isObject(value)) return '{' + Object.keys(value).sort().map(key => JSON.stringify(key) + ':' + canonical(value[key])).join(',') + '}';
+    return JSON.stringify(value);
+  }
+
+  // Seeds may be numbers or any text; text is hashed (FNV-1a) to 32 bits
+  function seedToNumber(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) return seed >>> 0;
+    const text = String(seed);
+    if (/^\d+$/.test(text)) return Number(text) >>> 0;
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  // mulberry32: small, fast and good enough for fake data
+  function createRandom(seed) {
+    let state = seed >>> 0;
+    const next = () => {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+    const pick = (list) => list[Math.floor(next() * list.length)];
+    const chars = (alphabet, length) => {
+      let text = '';
+      for (let i = 0; i < length; i++) text += alphabet[Math.floor(next() * alphabet.length)];
+      return text;
+    };
+    return { next, int, pick, chars };
+  }
+
+  // Combines two schemas that must both hold into one, keeping the tighter bound of each pair
+  function mergeInto(target, source) {
+    Object.keys(source).forEach(key => {
+      if (APPLICATORS.has(key)) return;
+      const next = source[key];
+      if (!hasOwn(target, key)) {
+        target[key] = next;
+        return;
+      }
+      const current = target[key];
+      if (key === 'properties' || key === 'patternProperties' || key === 'dependentSchemas') {
+        const merged = { ...current };
+        Object.keys(next).forEach(name => {
+          merged[name] = hasOwn(current, name) ? { allOf: [current[name], next[name]] } : next[name];
+        });
+        target[key] = merged;
+      } else if (key === 'required') {
+        target[key] = Array.from(new Set(current.concat(next)));
+      } else if (key === 'type') {
+        const allowed = [].concat(next);
+        target[key] = [].concat(current).filter(type => allowed.includes(type) || (type === 'integer' && allowed.includes('number')));
+        if ([].concat(current).includes('number') && allowed.includes('integer')) target[key].push('integer');
+      } else if (key === 'enum') {
+        const allowed = new Set(next.map(canonical));
+        target[key] = current.filter(value => allowed.has(canonical(value)));
+      } else if (LOWER_BOUNDS.has(key)) {
+        target[key] = Math.max(current, next);
+      } else if (UPPER_BOUNDS.has(key)) {
+        target[key] = Math.min(current, next);
+      } else if (key === 'dependentRequired') {
+        const merged = { ...current };
+        Object.keys(next).forEach(name => {
+          merged[name] = Array.from(new Set((merged[name] || []).concat(next[name])));
+        });
+        target[key] = merged;
+      } else if (SUBSCHEMA_KEYWORDS.has(key) && !Array.isArray(current) && !Array.isArray(next)) {
+        target[key] = current === false || next === false ? false : { allOf: [current, next] };
+      }
+    });
+  }
+
+  function createGenerator(compiled, random) {
+    const draft = compiled.draft;
+
+    // One schema object for a location: references followed and one branch of each choice taken
+    function flatten(schema) {
+      const result = {};
+      let hops = 0;
+      const visit = (current) => {
+        if (current === true || current === undefined) return;
+        if (current === false) throw new SampleError('The schema allows no value here (false)');
+        if (!isObject(current)) return;
+        if (++hops > 200) throw new SampleError('The schema references itself without end');
+        if (['$ref', '$dynamicRef', '$recursiveRef'].some(keyword => typeof current[keyword] === 'string')) {
+          const target = compiled.resolveRef(current);
+          if (target === null) throw new SampleError(`Cannot resolve ${current.$ref || current.$dynamicRef || current.$recursiveRef}`);
+          visit(target);
+        }
+        mergeInto(result, current);
+        if (Array.isArray(current.allOf)) current.allOf.forEach(visit);
+        if (Array.isArray(current.anyOf) && current.anyOf.length) visit(random.pick(current.anyOf));
+        if (Array.isArray(current.oneOf) && current.oneOf.length) visit(random.pick(current.oneOf));
+        if (hasOwn(current, 'if')) {
+          // Taking "then" means also matching "if"; "else" is taken as is and checked afterwards
+          const useElse = hasOwn(current, 'else') && (!hasOwn(current, 'then') || random.next() < 0.5);
+          if (useElse) {
+            visit(current.else);
+          } else {
+            visit(current.if);
+            visit(current.then);
+          }
+        }
+      };
+      visit(schema);
+      return result;
+    }
+
+    function chooseType(schema) {
+      let types = schema.type === undefined ? null : [].concat(schema.type);
+      if (types && types.length === 0) throw new SampleError('The schema\'s types exclude each other');
+      if (!types) {
+        if (['properties', 'required', 'patternProperties', 'additionalProperties', 'minProperties', 'dependentRequired'].some(key => hasOwn(schema, key))) return 'object';
+        if (['items', 'prefixItems', 'minItems', 'maxItems', 'contains', 'uniqueItems'].some(key => hasOwn(schema, key))) return 'array';
+        if (['minLength', 'maxLength', 'pattern', 'format'].some(key => hasOwn(schema, key))) return 'string';
+        if (['minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf'].some(key => hasOwn(schema, key))) return 'number';
+        types = ['string', 'integer', 'boolean'];
+      }
+      // Nullable values are usually present in real data
+      const present = types.filter(type => type !== 'null');
+      if (present.length && (present.length === types.length || random.next() < 0.85)) types = present;
+      if (types.includes('integer') && types.includes('number')) types = types.filter(type => type !== 'integer');
+      return random.pick(types);
+    }
+
+    function generate(schema, depth, key) {
+      if (depth > MAX_DEPTH) throw new SampleError(`The schema requires values nested more than ${MAX_DEPTH} levels deep`);
+      const flat = flatten(schema);
+      if (hasOwn(flat, 'const')) return clone(flat.const);
+      if (Array.isArray(flat.enum)) {
+        if (!flat.enum.length) throw new SampleError('No enum value satisfies every part of the schema');
+        return clone(random.pick(flat.enum));
+      }
+      if (hasOwn(flat, 'default') && random.next() < 0.2) return clone(flat.default);
+      if (Array.isArray(flat.examples) && flat.examples.length && random.next() < 0.5) return clone(random.pick(flat.examples));
+      switch (chooseType(flat)) {
+        case 'object': return generateObject(flat, depth);
+        case 'array': return generateArray(flat, depth, key);
+        case 'string': return generateString(flat, key);
+        case 'integer': return generateNumber(flat, true);
+        case 'number': return generateNumber(flat, false);
+        case 'boolean': return random.next() < 0.5;
+        default: return null;
+      }
+    }
+
+    function generateObject(schema, depth) {
+      const value = {};
+      const properties = isObject(schema.properties) ? schema.properties : {};
+      const required = Array.isArray(schema.required) ? schema.required.slice() : [];
+      const maxProperties = typeof schema.maxProperties === 'number' ? schema.maxProperties : Infinity;
+      const minProperties = typeof schema.minProperties === 'number' ? schema.minProperties : 0;
+      const names = required.slice();
+      const optional = Object.keys(properties).filter(name => !required.includes(name) && properties[name] !== false);
+      optional.forEach(name => {
+        if (depth < SOFT_DEPTH && names.length < maxProperties && random.next() < 0.6) names.push(name);
+      });
+      // dependentRequired: a present property brings its companions
+      const dependent = isObject(schema.dependentRequired) ? schema.dependentRequired : {};
+      for (let i = 0; i < names.length; i++) {
+        (dependent[names[i]] || []).forEach(name => {
+          if (!names.includes(name)) names.push(name);
+        });
+      }
+      optional.forEach(name => {
+        if (names.length < minProperties && !names.includes(name)) names.push(name);
+      });
+      names.forEach(name => {
+        value[name] = generate(propertySchema(schema, name), depth + 1, name);
+      });
+      // Still short of minProperties: invent keys for patternProperties or additionalProperties
+      let guard = 0;
+      while (Object.keys(value).length < minProperties && guard++ < minProperties * 5) {
+        const patterns = isObject(schema.patternProperties) ? Object.keys(schema.patternProperties) : [];
+        let name;
+        if (patterns.length && (schema.additionalProperties === false || random.next() < 0.5)) {
+          name = fromPattern(random.pick(patterns));
+        } else if (schema.additionalProperties !== false) {
+          name = `${random.pick(WORDS)}${random.int(1, 99)}`;
+        } else {
+          break;
+        }
+        if (!hasOwn(value, name)) value[name] = generate(propertySchema(schema, name), depth + 1, name);
+      }
+      return value;
+    }
+
+    // Every schema the value of property `name` must satisfy
+    function propertySchema(schema, name) {
+      const parts = [];
+      if (isObject(schema.properties) && hasOwn(schema.properties, name)) parts.push(schema.properties[name]);
+      if (isObject(schema.patternProperties)) {
+        Object.keys(schema.patternProperties).forEach(pattern => {
+          if (safeRegExp(pattern).test(name)) parts.push(schema.patternProperties[pattern]);
+        });
+      }
+      if (!parts.length && hasOwn(schema, 'additionalProperties')) parts.push(schema.additionalProperties);
+      if (isObject(schema.dependentSchemas) && hasOwn(schema.dependentSchemas, name)) parts.push(schema.dependentSchemas[name]);
+      return parts.length === 1 ? parts[0] : { allOf: parts };
+    }
+
+    function generateArray(schema, depth, key) {
+      const prefix = draft === '2020-12'
+        ? (Array.isArray(schema.prefixItems) ? schema.prefixItems : [])
+        : (Array.isArray(schema.items) ? schema.items : []);
+      const rest = draft === '2020-12' || !Array.isArray(schema.items) ? schema.items : schema.additionalItems;
+      const minItems = typeof schema.minItems === 'number' ? schema.minItems : 0;
+      const maxItems = typeof schema.maxItems === 'number' ? schema.maxItems : Infinity;
+      const minContains = hasOwn(schema, 'contains') ? (typeof schema.minContains === 'number' ? schema.minContains : 1) : 0;
+      const floor = Math.max(minItems, minContains, rest === false ? prefix.length : 0);
+      let length = depth < SOFT_DEPTH ? random.int(floor, floor + 3) : floor;
+      if (rest === false) length = Math.min(length, prefix.length);
+      length = Math.max(Math.min(length, maxItems), Math.min(floor, maxItems));
+
+      const items = [];
+      const seen = new Set();
+      const singular = key && key.endsWith('s') ? key.slice(0, -1) : key;
+      for (let index = 0; index < length; index++) {
+        const itemSchema = index < prefix.length ? prefix[index] : rest;
+        const parts = [itemSchema];
+        // The first minContains items after any tuple prefix are made to match `contains`
+        if (index >= prefix.length && index - prefix.length < minContains) parts.push(schema.contains);
+        const combined = { allOf: parts.filter(part => part !== undefined) };
+        let item = generate(combined, depth + 1, singular);
+        for (let retry = 0; schema.uniqueItems && seen.has(canonical(item)) && retry < 10; retry++) {
+          item = generate(combined, depth + 1, singular);
+        }
+        seen.add(canonical(item));
+        items.push(item);
+      }
+      return items;
+    }
+
+    function generateNumber(schema, integer) {
+      let low = typeof schema.minimum === 'number' ? schema.minimum : -Infinity;
+      let high = typeof schema.maximum === 'number' ? schema.maximum : Infinity;
+      const step = integer ? 1 : 0.01;
+      if (typeof schema.exclusiveMinimum === 'number') low = Math.max(low, schema.exclusiveMinimum + step);
+      if (typeof schema.exclusiveMaximum === 'number') high = Math.min(high, schema.exclusiveMaximum - step);
+      if (low === -Infinity && high === Infinity) {
+        low = integer ? 1 : 0;
+        high = 1000;
+      } else if (low === -Infinity) {
+        low = high >= 1 ? Math.min(integer ? 1 : 0, high) : high - 1000;
+      } else if (high === Infinity) {
+        high = low + 1000;
+      }
+      if (low > high) throw new SampleError(`No number lies between ${low} and ${high}`);
+      const multipleOf = typeof schema.multipleOf === 'number' && schema.multipleOf > 0 ? schema.multipleOf : null;
+      if (multipleOf) {
+        const first = Math.ceil(low / multipleOf);
+        const last = Math.floor(high / multipleOf);
+        if (first > last) throw new SampleError(`No multiple of ${multipleOf} lies between ${low} and ${high}`);
+        // Rounded through toPrecision so 3 * 0.1 comes out as 0.3
+        return Number((random.int(first, last) * multipleOf).toPrecision(12));
+      }
+      if (integer) return random.int(Math.ceil(low), Math.floor(high));
+      const value = Math.round((low + random.next() * (high - low)) * 100) / 100;
+      return Math.min(Math.max(value, low), high);
+    }
+
+    function generateString(schema, key) {
+      const minLength = typeof schema.minLength === 'number' ? schema.minLength : 0;
+      const maxLength = typeof schema.maxLength === 'number' ? schema.maxLength : Infinity;
+      let text;
+      if (typeof schema.pattern === 'string') {
+        text = fromPattern(schema.pattern);
+      } else if (typeof schema.format === 'string' && FORMAT_GENERATORS[schema.format]) {
+        text = FORMAT_GENERATORS[schema.format]();
+      } else {
+        text = fromKeyName(key);
+      }
+      // Patterns and formats decide the content; their length cannot be adjusted
+      if (typeof schema.pattern === 'string' || (typeof schema.format === 'string' && FORMAT_GENERATORS[schema.format])) return text;
+      const length = [...text].length;
+      if (length > maxLength || length < minLength) {
+        const target = Math.min(maxLength, Math.max(minLength, Math.min(length, 12)));
+        text = fitLength(text, target);
+      }
+      return text;
+    }
+
+    function fitLength(text, length) {
+      let result = text;
+      while ([...result].length < length) result += ' ' + random.pick(WORDS);
+      return [...result].slice(0, length).join('').replace(/\s$/, 'x');
+    }
+
+    // Plausible text for well-known property names, otherwise a couple of words
+    function fromKeyName(key) {
+      const name = (key || '').toLowerCase().replace(/[_-]/g, '');
+      const first = () => random.pick(FIRST_NAMES);
+      const last = () => random.pick(LAST_NAMES);
+      if (name.includes('email')) return FORMAT_GENERATORS.email();
+      if (/(url|uri|website|homepage|link)$/.test(name)) return FORMAT_GENERATORS.uri();
+      if (name === 'firstname' || name === 'givenname') return first();
+      if (name === 'lastname' || name === 'surname' || name === 'familyname') return last();
+      if (name === 'username' || name === 'login' || name === 'handle') return `${first().toLowerCase()}${random.int(1, 999)}`;
+      if (name === 'name' || name === 'fullname' || name === 'author' || name === 'owner') return `${first()} ${last()}`;
+      if (name.includes('city')) return random.pick(CITIES);
+      if (name.includes('country')) return random.pick(COUNTRIES);
+      if (name.includes('street') || name === 'address') return `${random.int(1, 999)} ${random.pick(STREETS)}`;
+      if (name.includes('zip') || name.includes('postal')) return random.chars(DIGITS, 5);
+      if (name.includes('phone')) return `+1-555-${random.chars(DIGITS, 4)}`;
+      if (name.includes('date') || name.endsWith('at')) return FORMAT_GENERATORS['date-time']();
+      if (name === 'id' || name.endsWith('id')) return random.chars(HEX, 12);
+      if (name.includes('color') || name.includes('colour')) return '#' + random.chars(HEX, 6);
+      if (name === 'description' || name === 'summary' || name === 'comment') {
+        const words = Array.from({ length: random.int(5, 10) }, () => random.pick(WORDS)).join(' ');
+        return words[0].toUpperCase() + words.slice(1) + '.';
+      }
+      if (name === 'title') return Array.from({ length: random.int(2, 4) }, () => {
+        const word = random.pick(WORDS);
+        return word[0].toUpperCase() + word.slice(1);
+      }).join(' ');
+      return Array.from({ length: random.int(1, 2) }, () => random.pick(WORDS)).join(' ');
+    }
+
+    const pad = (number, width = 2) => String(number).padStart(width, '0');
+    const date = () => `${random.int(2000, 2030)}-${pad(random.int(1, 12))}-${pad(random.int(1, 28))}`;
+    const time = () => `${pad(random.int(0, 23))}:${pad(random.int(0, 59))}:${pad(random.int(0, 59))}Z`;
+    const host = () => `${random.pick(WORDS)}.example.${random.pick(['com', 'org', 'net'])}`;
+    const FORMAT_GENERATORS = {
+      'date-time': () => `${date()}T${time()}`,
+      date,
+      time,
+      duration: () => random.pick([`P${random.int(1, 30)}D`, `PT${random.int(1, 23)}H${random.int(1, 59)}M`, `P${random.int(1, 12)}M`]),
+      email: () => `${random.pick(FIRST_NAMES).toLowerCase()}.${random.pick(LAST_NAMES).toLowerCase().replace(/[^a-z]/g, '')}@example.com`,
+      'idn-email': () => FORMAT_GENERATORS.email(),
+      hostname: host,
+      'idn-hostname': host,
+      ipv4: () => [random.int(1, 223), random.int(0, 255), random.int(0, 255), random.int(1, 254)].join('.'),
+      ipv6: () => Array.from({ length: 8 }, () => random.chars(HEX, 4)).join(':'),
+      uri: () => `https://${host()}/${random.pick(WORDS)}/${random.int(1, 999)}`,
+      iri: () => FORMAT_GENERATORS.uri(),
+      'uri-reference': () => `/${random.pick(WORDS)}/${random.int(1, 999)}`,
+      'iri-reference': () => FORMAT_GENERATORS['uri-reference'](),
+      'uri-template': () => `https://${host()}/${random.pick(WORDS)}/{id}`,
+      uuid: () => {
+        const hex = random.chars(HEX, 32).split('');
+        hex[12] = '4';
+        hex[16] = '89ab'[random.int(0, 3)];
+        const text = hex.join('');
+        return `${text.slice(0, 8)}-${text.slice(8, 12)}-${text.slice(12, 16)}-${text.slice(16, 20)}-${text.slice(20)}`;
+      },
+      regex: () => `^${random.pick(WORDS)}[0-9]+$`,
+      'json-pointer': () => `/${random.pick(WORDS)}/${random.int(0, 9)}`,
+      'relative-json-pointer': () => `${random.int(0, 3)}/${random.pick(WORDS)}`
+    };
+
+    // A string matching a regular expression: literals, classes, groups, alternation and quantifiers.
+    // Lookarounds and backreferences add nothing; the final check catches what that gets wrong.
+    function fromPattern(pattern) {
+      let pos = 0;
+      const peek = () => pattern[pos];
+
+      function alternation() {
+        const branches = [sequence()];
+        while (peek() === '|') {
+          pos++;
+          branches.push(sequence());
+        }
+        return random.pick(branches);
+      }
+
+      function sequence() {
+        let text = '';
+        while (pos < pattern.length && peek() !== '|' && peek() !== ')') {
+          const start = pos;
+          let piece = atom();
+          const [min, max] = quantifier();
+          const end = pos;
+          const count = random.int(min, max);
+          // Each repetition is drawn again, so [a-z]{3} gives three different letters
+          for (let i = 0; i < count; i++) {
+            if (i > 0) {
+              pos = start;
+              piece = atom();
+            }
+            text += piece;
+          }
+          pos = end;
+        }
+        return text;
+      }
+
+      function quantifier() {
+        let range = [1, 1];
+        const ch = peek();
+        if (ch === '*') range = [0, 3];
+        else if (ch === '+') range = [1, 4];
+        else if (ch === '?') range = [0, 1];
+        else if (ch === '{') {
+          const match = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(pos));
+          if (!match) return range;
+          const min = Number(match[1]);
+          const max = match[2] ? (match[3] ? Number(match[3]) : min + 3) : min;
+          pos += match[0].length;
+          if (peek() === '?') pos++;
+          return [min, max];
+        } else {
+          return range;
+        }
+        pos++;
+        if (peek() === '?') pos++;
+        return range;
+      }
+
+      function atom() {
+        const ch = pattern[pos++];
+        if (ch === '^' || ch === '$') return '';
+        if (ch === '.') return random.pick(WORD_CHARS);
+        if (ch === '(') {
+          let lookaround = false;
+          if (peek() === '?') {
+            const kind = pattern.slice(pos, pos + 3);
+            if (kind.startsWith('?:')) {
+              pos += 2;
+            } else if (kind.startsWith('?=') || kind.startsWith('?!') || kind.startsWith('?<=') || kind.startsWith('?<!')) {
+              lookaround = true;
+              pos += kind.startsWith('?<') ? 3 : 2;
+            } else if (kind.startsWith('?<')) {
+              pos = pattern.indexOf('>', pos) + 1;
+            }
+          }
+          const text = alternation();
+          if (peek() === ')') pos++;
+          return lookaround ? '' : text;
+        }
+        if (ch === '[') return characterClass();
+        if (ch === '\\') return escape(pattern[pos++]);
+        return ch;
+      }
+
+      function escape(ch) {
+        switch (ch) {
+          case 'd': return random.pick(DIGITS);
+          case 'w': return random.pick(WORD_CHARS);
+          case 's': return ' ';
+          case 'D': return random.pick('abcdefghij');
+          case 'W': return random.pick('-.!@ ');
+          case 'S': return random.pick(WORD_CHARS);
+          case 'b': case 'B': return '';
+          case 'n': return '\n';
+          case 't': return '\t';
+          case 'r': return '\r';
+          case 'u': {
+            const hex = pattern.slice(pos, pos + 4);
+            pos += 4;
+            return String.fromCharCode(parseInt(hex, 16));
+          }
+          case 'x': {
+            const hex = pattern.slice(pos, pos + 2);
+            pos += 2;
+            return String.fromCharCode(parseInt(hex, 16));
+          }
+          default: return /\d/.test(ch) ? '' : ch;
+        }
+      }
+
+      function classChar() {
+        const ch = pattern[pos++];
+        if (ch !== '\\') return { ch };
+        const next = pattern[pos++];
+        if ('dwsDWS'.includes(next)) return { set: next };
+        return { ch: escape(next) };
+      }
+
+      function characterClass() {
+        const negated = peek() === '^';
+        if (negated) pos++;
+        const options = [];
+        let first = true;
+        while (pos < pattern.length && (peek() !== ']' || first)) {
+          first = false;
+          const item = classChar();
+          if (item.set) {
+            options.push(() => escape(item.set));
+          } else if (peek() === '-' && pattern[pos + 1] !== ']' && pos + 1 < pattern.length) {
+            pos++;
+            const end = classChar();
+            const from = item.ch.charCodeAt(0);
+            const to = (end.ch || item.ch).charCodeAt(0);
+            options.push(() => String.fromCharCode(random.int(from, Math.max(from, to))));
+          } else {
+            options.push(() => item.ch);
+          }
+        }
+        pos++;
+        if (negated) {
+          // Printable ASCII that none of the listed characters could be; sets are sampled to find them
+          const excluded = new Set();
+          options.forEach(option => {
+            for (let i = 0; i < 40; i++) excluded.add(option());
+          });
+          const allowed = PRINTABLE.split('').filter(ch => !excluded.has(ch));
+          return allowed.length ? random.pick(allowed) : '';
+        }
+        return options.length ? random.pick(options)() : '';
+      }
+
+      return alternation();
+    }
+
+    return { generate };
+  }
+
+  // new RegExp for schema patterns, with the `u` flag when it accepts them
+  function safeRegExp(pattern) {
+    try {
+      return new RegExp(pattern, 'u');
+    } catch (error) {
+      try {
+        return new RegExp(pattern);
+      } catch (inner) {
+        return /$^/;
+      }
+    }
+  }
+
+  /**
+   * Generates documents that are valid against a schema
+   * @param {*} schema - Schema value (an object or a boolean)
+   * @param {Object} options - { count (default 1, at most 1000), seed (number or text; random when
+   *   omitted), draft, schemas } where draft and schemas are passed to JSONSchema.compile()
+   * @returns {Object} { documents, seed } where seed reproduces the same documents
+   * @throws {SampleError} When no valid document turned up, with the last validation error
+   */
+  function generate(schema, options = {}) {
+    const count = Math.min(Math.max(1, Math.floor(options.count || 1)), MAX_COUNT);
+    const seed = options.seed === undefined || options.seed === null || options.seed === ''
+      ? Math.floor(Math.random() * 4294967296)
+      : seedToNumber(options.seed);
+    const compiled = window.JSONSchema.compile(schema, options);
+    const random = createRandom(seed);
+    const generator = createGenerator(compiled, random);
+    const documents = [];
+    for (let n = 0; n < count; n++) {
+      let problem = null;
+      let document;
+      for (let attempt = 0; attempt < ATTEMPTS; attempt++) {
+        try {
+          document = generator.generate(schema, 0, '');
+        } catch (error) {
+          // Another branch of an anyOf or oneOf may still work
+          if (error.name !== 'SampleError') throw error;
+          problem = error.message;
+          continue;
+        }
+        const result = compiled.validate(document);
+        if (result.valid) {
+          problem = null;
+          break;
+        }
+        const first = result.errors[0];
+        problem = `${first.message} at ${first.instancePath || 'the root'} (rule ${first.schemaPath || '/'})`;
+      }
+      if (problem) throw new SampleError(`Could not generate a valid document after ${ATTEMPTS} attempts: ${problem}`);
+      documents.push(document);
+    }
+    return { documents, seed };
+  }
+
+  /**
+   * Generates documents from schema text; output is one document, an array of them, or one per
+   * line with `options.dialect` 'ndjson'
+   * @param {string} schemaText - JSON Schema text
+   * @param {Object} options - generate() options plus indentation and dialect
+   * @returns {Object} { isValid: true, output, count, seed } or
+   *   { isValid: false, error, errorInfo: { code, message, line, column, offset } }
+   */
+  function generateText(schemaText, options = {}) {
+    const doc = window.JSONParser.parse(schemaText, { dialect: 'json', limits: options.limits, maxErrors: 1 });
+    if (doc.errors.length) {
+      const { message, offset, line, column } = doc.errors[0];
+      const text = 'The schema is not valid JSON: ' + message;
+      return { isValid: false, error: text, errorInfo: { code: 'SCHEMA_INVALID', message: text, offset, line, column } };
+    }
+    const schema = window.JSONParser.toValue(doc.ast);
+    if (!isObject(schema) && typeof schema !== 'boolean') {
+      const text = 'A schema must be an object or a boolean';
+      return { isValid: false, error: text, errorInfo: { code: 'SCHEMA_INVALID', message: text, offset: 0, line: 1, column: 1 } };
+    }
+    let generated;
+    try {
+      generated = generate(schema, { ...options, draft: options.schemaDraft || options.draft });
+    } catch (error) {
+      if (error.name !== 'SampleError') throw error;
+      return { isValid: false, error: error.message, errorInfo: { code: 'SCHEMA_UNSATISFIABLE', message: error.message, offset: 0, line: 1, column: 1 } };
+    }
+    const indent = window.JSONValidator.getIndentString(options.indentation);
+    const { documents, seed } = generated;
+    let output;
+    if (options.dialect === 'ndjson') {
+      output = documents.map(document => JSON.stringify(document)).join('\n') + '\n';
+    } else {
+      output = JSON.stringify(documents.length === 1 && !options.alwaysArray ? documents[0] : documents, null, indent);
+    }
+    return { isValid: true, output, count: documents.length, seed };
+  }
+
+  // Expose API
+  window.JSONSchemaSample = { generate, generateText, MAX_COUNT };
+})();
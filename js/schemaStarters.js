@@ -0,0 +1,508 @@
+'use strict';
+(function () {
+  // Schemas bundled with the site so common files are checked offline. They cover the fields
+  // people edit by hand; the full upstream schemas (linked by `uris`) go further.
+  const stringMap = (description) => ({
+    type: 'object',
+    description,
+    additionalProperties: { type: 'string' }
+  });
+
+  const person = {
+    description: 'A person: "Name <email> (url)" or an object',
+    oneOf: [
+      { type: 'string' },
+      {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string' },
+          email: { type: 'string', format: 'email' },
+          url: { type: 'string', format: 'uri' }
+        }
+      }
+    ]
+  };
+
+  const packageJSON = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'package.json',
+    description: 'npm package manifest',
+    type: 'object',
+    properties: {
+      name: {
+        type: 'string',
+        description: 'Package name: lowercase, URL-safe, optionally scoped as @scope/name',
+        maxLength: 214,
+        pattern: '^(?:@[a-z0-9-*~][a-z0-9-*._~]*/)?[a-z0-9-~][a-z0-9-._~]*$'
+      },
+      version: {
+        type: 'string',
+        description: 'Semantic version of the package, such as 1.2.3',
+        pattern: '^\\d+\\.\\d+\\.\\d+(?:-[0-9A-Za-z.-]+)?(?:\\+[0-9A-Za-z.-]+)?$'
+      },
+      description: { type: 'string', description: 'Shown in npm search results' },
+      keywords: { type: 'array', description: 'Search keywords', items: { type: 'string' } },
+      homepage: { type: 'string', description: 'Project home page URL' },
+      bugs: {
+        description: 'Where to report issues: a URL or { url, email }',
+        anyOf: [
+          { type: 'string' },
+          { type: 'object', properties: { url: { type: 'string', format: 'uri' }, email: { type: 'string', format: 'email' } } }
+        ]
+      },
+      license: { type: 'string', description: 'SPDX license expression, such as MIT or (MIT OR Apache-2.0)' },
+      author: person,
+      contributors: { type: 'array', description: 'People who contributed', items: person },
+      funding: { description: 'Where to support the project financially', type: ['string', 'object', 'array'] },
+      files: { type: 'array', description: 'Files included when the package is published', items: { type: 'string' } },
+      main: { type: 'string', description: 'Entry point for require() and bare imports' },
+      module: { type: 'string', description: 'ES module entry point used by bundlers' },
+      browser: { type: ['string', 'object'], description: 'Browser replacement for main, or a map of replaced files' },
+      types: { type: 'string', description: 'TypeScript declaration file for the main entry point' },
+      type: {
+        type: 'string',
+        description: 'How .js files in the package are loaded',
+        enum: ['commonjs', 'module'],
+        default: 'commonjs'
+      },
+      exports: { type: ['string', 'object', 'array', 'null'], description: 'Entry points by subpath and condition; takes precedence over main' },
+      imports: { type: 'object', description: 'Private "#name" import mappings' },
+      bin: { type: ['string', 'object'], description: 'Executables to install: a path, or a map of command names to paths' },
+      man: { type: ['string', 'array'], description: 'Man pages to install' },
+      directories: { type: 'object', description: 'Layout of the package: bin, lib, man, doc, example, test' },
+      repository: {
+        description: 'Where the code lives: "github:user/repo" or { type, url, directory }',
+        anyOf: [
+          { type: 'string' },
+          {
+            type: 'object',
+            properties: {
+              type: { type: 'string', description: 'Version control system', enum: ['git', 'svn'] },
+              url: { type: 'string' },
+              directory: { type: 'string', description: 'Package folder in a monorepo' }
+            }
+          }
+        ]
+      },
+      scripts: stringMap('Commands run with npm run <name>; pre and post prefixes run around another script'),
+      config: { type: 'object', description: 'Values exposed to scripts as npm_package_config_*' },
+      dependencies: stringMap('Packages needed at run time, by version range'),
+      devDependencies: stringMap('Packages needed only for development and tests'),
+      peerDependencies: stringMap('Packages the host project must provide'),
+      peerDependenciesMeta: {
+        type: 'object',
+        description: 'Extra information about peer dependencies',
+        additionalProperties: { type: 'object', properties: { optional: { type: 'boolean' } } }
+      },
+      optionalDependencies: stringMap('Packages installed when possible; failures are ignored'),
+      bundleDependencies: { type: ['array', 'boolean'], description: 'Packages bundled into the published tarball', items: { type: 'string' } },
+      overrides: { type: 'object', description: 'Replacements for versions anywhere in the dependency tree' },
+      engines: stringMap('Versions of node or npm the package works with'),
+      os: { type: 'array', description: 'Operating systems the package runs on; prefix with ! to exclude', items: { type: 'string' } },
+      cpu: { type: 'array', description: 'CPU architectures the package runs on; prefix with ! to exclude', items: { type: 'string' } },
+      private: { type: 'boolean', description: 'When true, npm refuses to publish the package' },
+      publishConfig: { type: 'object', description: 'Settings used when publishing, such as registry, access or tag' },
+      workspaces: {
+        description: 'Folders of the packages in this monorepo',
+        anyOf: [
+          { type: 'array', items: { type: 'string' } },
+          { type: 'object', properties: { packages: { type: 'array', items: { type: 'string' } } } }
+        ]
+      },
+      packageManager: {
+        type: 'string',
+        description: 'Package manager and version for Corepack, such as pnpm@9.0.0',
+        pattern: '^(npm|pnpm|yarn|bun)@\\d+\\.\\d+\\.\\d+(?:[-+][0-9A-Za-z.+-]*)?$'
+      }
+    }
+  };
+
+  const tsconfig = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'tsconfig',
+    description: 'TypeScript compiler configuration',
+    type: 'object',
+    properties: {
+      extends: { type: ['string', 'array'], description: 'Configuration files to inherit from', items: { type: 'string' } },
+      files: { type: 'array', description: 'Files to compile, listed one by one', items: { type: 'string' } },
+      include: { type: 'array', description: 'Glob patterns of files to compile', items: { type: 'string' } },
+      exclude: { type: 'array', description: 'Glob patterns removed from include', items: { type: 'string' } },
+      references: {
+        type: 'array',
+        description: 'Projects this one depends on, for build mode',
+        items: { type: 'object', required: ['path'], properties: { path: { type: 'string' }, prepend: { type: 'boolean' } } }
+      },
+      compileOnSave: { type: 'boolean', description: 'Ask the editor to emit files on save' },
+      compilerOptions: {
+        type: 'object',
+        description: 'Options passed to the compiler',
+        properties: {
+          target: {
+            type: 'string',
+            description: 'Language version of the emitted JavaScript',
+            enum: ['ES3', 'ES5', 'ES6', 'ES2015', 'ES2016', 'ES2017', 'ES2018', 'ES2019', 'ES2020', 'ES2021', 'ES2022', 'ES2023', 'ESNext']
+          },
+          module: {
+            type: 'string',
+            description: 'Module system of the emitted JavaScript',
+            enum: ['None', 'CommonJS', 'AMD', 'UMD', 'System', 'ES6', 'ES2015', 'ES2020', 'ES2022', 'ESNext', 'Node16', 'NodeNext', 'Preserve']
+          },
+          moduleResolution: {
+            type: 'string',
+            description: 'How import specifiers are looked up',
+            enum: ['Classic', 'Node', 'Node10', 'Node16', 'NodeNext', 'Bundler']
+          },
+          lib: { type: 'array', description: 'Built-in declaration sets, such as ES2022 or DOM', items: { type: 'string' } },
+          jsx: {
+            type: 'string',
+            description: 'How JSX is emitted',
+            enum: ['preserve', 'react', 'react-native', 'react-jsx', 'react-jsxdev']
+          },
+          strict: { type: 'boolean', description: 'Turn on every strict type-checking option' },
+          noImplicitAny: { type: 'boolean', description: 'Report values whose type falls back to any' },
+          strictNullChecks: { type: 'boolean', description: 'Keep null and undefined out of other types' },
+          noUnusedLocals: { type: 'boolean', description: 'Report unused local variables' },
+          noUnusedParameters: { type: 'boolean', description: 'Report unused function parameters' },
+          noImplicitReturns: { type: 'boolean', description: 'Report code paths that do not return a value' },
+          noFallthroughCasesInSwitch: { type: 'boolean', description: 'Report switch cases that fall through' },
+          noUncheckedIndexedAccess: { type: 'boolean', description: 'Add undefined to types read through an index signature' },
+          outDir: { type: 'string', description: 'Folder for emitted files' },
+          rootDir: { type: 'string', description: 'Root of the source files, mirrored in outDir' },
+          outFile: { type: 'string', description: 'Concatenate the output into one file' },
+          baseUrl: { type: 'string', description: 'Base folder for non-relative module names' },
+          paths: {
+            type: 'object',
+            description: 'Module name patterns mapped to lookup locations, relative to baseUrl',
+            additionalProperties: { type: 'array', items: { type: 'string' } }
+          },
+          rootDirs: { type: 'array', description: 'Folders merged into one virtual root', items: { type: 'string' } },
+          types: { type: 'array', description: 'Type packages included without an import', items: { type: 'string' } },
+          typeRoots: { type: 'array', description: 'Folders searched for type packages', items: { type: 'string' } },
+          declaration: { type: 'boolean', description: 'Emit .d.ts files' },
+          declarationMap: { type: 'boolean', description: 'Emit source maps for .d.ts files' },
+          emitDeclarationOnly: { type: 'boolean', description: 'Emit only .d.ts files' },
+          sourceMap: { type: 'boolean', description: 'Emit .map files' },
+          inlineSourceMap: { type: 'boolean', description: 'Embed source maps in the emitted files' },
+          noEmit: { type: 'boolean', description: 'Type-check without emitting files' },
+          allowJs: { type: 'boolean', description: 'Compile JavaScript files too' },
+          checkJs: { type: 'boolean', description: 'Report errors in JavaScript files' },
+          esModuleInterop: { type: 'boolean', description: 'Emit helpers so CommonJS modules can be default-imported' },
+          allowSyntheticDefaultImports: { type: 'boolean', description: 'Allow default imports from modules without a default export' },
+          resolveJsonModule: { type: 'boolean', description: 'Allow importing .json files' },
+          isolatedModules: { type: 'boolean', description: 'Report code that single-file transpilers cannot handle' },
+          verbatimModuleSyntax: { type: 'boolean', description: 'Keep imports and exports exactly as written, except type-only ones' },
+          skipLibCheck: { type: 'boolean', description: 'Skip type-checking .d.ts files' },
+          forceConsistentCasingInFileNames: { type: 'boolean', description: 'Report imports whose casing differs from the file name' },
+          experimentalDecorators: { type: 'boolean', description: 'Enable legacy decorators' },
+          emitDecoratorMetadata: { type: 'boolean', description: 'Emit type metadata for decorators' },
+          incremental: { type: 'boolean', description: 'Save build information to speed up later builds' },
+          composite: { type: 'boolean', description: 'Allow the project to be referenced by others' },
+          tsBuildInfoFile: { type: 'string', description: 'Where incremental build information is saved' },
+          newLine: { type: 'string', description: 'Line endings of emitted files', enum: ['crlf', 'lf'] },
+          removeComments: { type: 'boolean', description: 'Drop comments from the output' },
+          importHelpers: { type: 'boolean', description: 'Import emit helpers from tslib' },
+          downlevelIteration: { type: 'boolean', description: 'Emit exact iteration semantics for older targets' }
+        }
+      }
+    }
+  };
+
+  const position = {
+    type: 'array',
+    description: 'Longitude, latitude and optional altitude',
+    minItems: 2,
+    items: { type: 'number' }
+  };
+  const bbox = { type: 'array', description: 'Bounding box: minimums then maximums for each axis', minItems: 4, items: { type: 'number' } };
+  const geometry = (type, coordinates, description) => ({
+    type: 'object',
+    description,
+    required: ['type', 'coordinates'],
+    properties: { type: { type: 'string', enum: [type] }, coordinates, bbox }
+  });
+  const linearRing = { type: 'array', description: 'Closed ring: four or more positions, the last equal to the first', minItems: 4, items: position };
+
+  const geoJSON = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'GeoJSON',
+    description: 'Geographic data structure (RFC 7946)',
+    definitions: {
+      Point: geometry('Point', position, 'A single position'),
+      MultiPoint: geometry('MultiPoint', { type: 'array', items: position }, 'Several positions'),
+      LineString: geometry('LineString', { type: 'array', minItems: 2, items: position }, 'A line through two or more positions'),
+      MultiLineString: geometry('MultiLineString', { type: 'array', items: { type: 'array', minItems: 2, items: position } }, 'Several lines'),
+      Polygon: geometry('Polygon', { type: 'array', items: linearRing }, 'An outer ring followed by any holes'),
+      MultiPolygon: geometry('MultiPolygon', { type: 'array', items: { type: 'array', items: linearRing } }, 'Several polygons'),
+      GeometryCollection: {
+        type: 'object',
+        description: 'Several geometries of any type',
+        required: ['type', 'geometries'],
+        properties: {
+          type: { type: 'string', enum: ['GeometryCollection'] },
+          geometries: { type: 'array', items: { $ref: '#/definitions/Geometry' } },
+          bbox
+        }
+      },
+      Geometry: {
+        oneOf: [
+          { $ref: '#/definitions/Point' },
+          { $ref: '#/definitions/MultiPoint' },
+          { $ref: '#/definitions/LineString' },
+          { $ref: '#/definitions/MultiLineString' },
+          { $ref: '#/definitions/Polygon' },
+          { $ref: '#/definitions/MultiPolygon' },
+          { $ref: '#/definitions/GeometryCollection' }
+        ]
+      },
+      Feature: {
+        type: 'object',
+        description: 'A geometry with properties',
+        required: ['type', 'geometry', 'properties'],
+        properties: {
+          type: { type: 'string', enum: ['Feature'] },
+          id: { type: ['string', 'number'], description: 'Identifier of the feature' },
+          geometry: { description: 'Shape of the feature, or null when unlocated', oneOf: [{ type: 'null' }, { $ref: '#/definitions/Geometry' }] },
+          properties: { type: ['object', 'null'], description: 'Any data about the feature' },
+          bbox
+        }
+      },
+      FeatureCollection: {
+        type: 'object',
+        description: 'A list of features',
+        required: ['type', 'features'],
+        properties: {
+          type: { type: 'string', enum: ['FeatureCollection'] },
+          features: { type: 'array', items: { $ref: '#/definitions/Feature' } },
+          bbox
+        }
+      }
+    },
+    oneOf: [
+      { $ref: '#/definitions/FeatureCollection' },
+      { $ref: '#/definitions/Feature' },
+      { $ref: '#/definitions/Geometry' }
+    ]
+  };
+
+  const reference = {
+    type: 'object',
+    description: 'Reference to a definition elsewhere, such as #/components/schemas/Pet',
+    required: ['$ref'],
+    properties: { $ref: { type: 'string', format: 'uri-reference' } }
+  };
+  const orReference = (schema) => ({ anyOf: [reference, schema] });
+  const mapOf = (schema, description) => ({
+    type: 'object',
+    description,
+    patternProperties: { '^[a-zA-Z0-9._-]+$': orReference(schema) }
+  });
+  const parameter = {
+    type: 'object',
+    description: 'A single operation parameter',
+    required: ['name', 'in'],
+    properties: {
+      name: { type: 'string', description: 'Parameter name; case-sensitive except for headers' },
+      in: { type: 'string', description: 'Where the parameter is sent', enum: ['query', 'header', 'path', 'cookie'] },
+      description: { type: 'string' },
+      required: { type: 'boolean', description: 'Must be true for path parameters' },
+      deprecated: { type: 'boolean' },
+      schema: { type: ['object', 'boolean'], description: 'Type of the parameter' },
+      style: { type: 'string', enum: ['matrix', 'label', 'form', 'simple', 'spaceDelimited', 'pipeDelimited', 'deepObject'] },
+      explode: { type: 'boolean' },
+      example: {},
+      examples: { type: 'object' }
+    }
+  };
+  const mediaTypes = {
+    type: 'object',
+    description: 'Bodies by media type, such as application/json',
+    additionalProperties: {
+      type: 'object',
+      properties: {
+        schema: { type: ['object', 'boolean'], description: 'Shape of the body' },
+        example: {},
+        examples: { type: 'object' },
+        encoding: { type: 'object' }
+      }
+    }
+  };
+  const requestBody = {
+    type: 'object',
+    description: 'Body the operation accepts',
+    required: ['content'],
+    properties: { description: { type: 'string' }, content: mediaTypes, required: { type: 'boolean' } }
+  };
+  const response = {
+    type: 'object',
+    description: 'A response the operation can return',
+    required: ['description'],
+    properties: {
+      description: { type: 'string', description: 'Required; short text about the response' },
+      headers: { type: 'object' },
+      content: mediaTypes,
+      links: { type: 'object' }
+    }
+  };
+  const operation = {
+    type: 'object',
+    description: 'One HTTP method on a path',
+    required: ['responses'],
+    properties: {
+      tags: { type: 'array', items: { type: 'string' } },
+      summary: { type: 'string', description: 'One-line description' },
+      description: { type: 'string' },
+      operationId: { type: 'string', description: 'Unique name of the operation, used by code generators' },
+      parameters: { type: 'array', items: orReference(parameter) },
+      requestBody: orReference(requestBody),
+      responses: {
+        type: 'object',
+        description: 'Responses by HTTP status code (such as 200 or 4XX) or "default"',
+        minProperties: 1,
+        patternProperties: { '^(?:[1-5](?:\\d\\d|XX)|default)$': orReference(response) },
+        additionalProperties: false
+      },
+      callbacks: { type: 'object' },
+      deprecated: { type: 'boolean' },
+      security: { type: 'array', items: { type: 'object' } },
+      servers: { type: 'array', items: { type: 'object' } }
+    }
+  };
+  const pathItem = {
+    type: 'object',
+    description: 'Operations available on one path',
+    properties: {
+      $ref: { type: 'string' },
+      summary: { type: 'string' },
+      description: { type: 'string' },
+      get: operation,
+      put: operation,
+      post: operation,
+      delete: operation,
+      options: operation,
+      head: operation,
+      patch: operation,
+      trace: operation,
+      parameters: { type: 'array', items: orReference(parameter) },
+      servers: { type: 'array', items: { type: 'object' } }
+    }
+  };
+
+  const openAPI = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'OpenAPI 3',
+    description: 'OpenAPI 3.0 / 3.1 API description',
+    type: 'object',
+    required: ['openapi', 'info'],
+    properties: {
+      openapi: { type: 'string', description: 'OpenAPI version of this document', pattern: '^3\\.\\d+\\.\\d+(-.+)?$' },
+      info: {
+        type: 'object',
+        description: 'About the API',
+        required: ['title', 'version'],
+        properties: {
+          title: { type: 'string' },
+          summary: { type: 'string' },
+          description: { type: 'string' },
+          termsOfService: { type: 'string' },
+          contact: {
+            type: 'object',
+            properties: { name: { type: 'string' }, url: { type: 'string' }, email: { type: 'string', format: 'email' } }
+          },
+          license: {
+            type: 'object',
+            required: ['name'],
+            properties: { name: { type: 'string' }, identifier: { type: 'string' }, url: { type: 'string' } }
+          },
+          version: { type: 'string', description: 'Version of the API, not of OpenAPI' }
+        }
+      },
+      jsonSchemaDialect: { type: 'string', description: 'Default $schema for schemas in this document (3.1)' },
+      servers: {
+        type: 'array',
+        description: 'Base URLs of the API',
+        items: {
+          type: 'object',
+          required: ['url'],
+          properties: { url: { type: 'string' }, description: { type: 'string' }, variables: { type: 'object' } }
+        }
+      },
+      paths: {
+        type: 'object',
+        description: 'Operations by path; every path starts with /',
+        patternProperties: { '^/': pathItem, '^x-': {} },
+        additionalProperties: false
+      },
+      webhooks: { type: 'object', description: 'Requests the API sends (3.1)', additionalProperties: orReference(pathItem) },
+      components: {
+        type: 'object',
+        description: 'Definitions reused through $ref',
+        properties: {
+          schemas: { type: 'object', description: 'Data models', additionalProperties: { type: ['object', 'boolean'] } },
+          responses: mapOf(response, 'Reusable responses'),
+          parameters: mapOf(parameter, 'Reusable parameters'),
+          examples: { type: 'object' },
+          requestBodies: mapOf(requestBody, 'Reusable request bodies'),
+          headers: { type: 'object' },
+          securitySchemes: {
+            type: 'object',
+            description: 'Ways to authenticate',
+            additionalProperties: {
+              type: 'object',
+              properties: { type: { type: 'string', enum: ['apiKey', 'http', 'mutualTLS', 'oauth2', 'openIdConnect'] } }
+            }
+          },
+          links: { type: 'object' },
+          callbacks: { type: 'object' },
+          pathItems: { type: 'object' }
+        }
+      },
+      security: { type: 'array', description: 'Security requirements applied to every operation', items: { type: 'object' } },
+      tags: {
+        type: 'array',
+        items: { type: 'object', required: ['name'], properties: { name: { type: 'string' }, description: { type: 'string' } } }
+      },
+      externalDocs: { type: 'object', required: ['url'], properties: { url: { type: 'string' }, description: { type: 'string' } } }
+    },
+    patternProperties: { '^x-': {} },
+    additionalProperties: false
+  };
+
+  // id, name, file globs and the $schema URLs each one answers for
+  const STARTER_SCHEMAS = [
+    {
+      id: 'package-json',
+      name: 'package.json',
+      fileMatch: ['package.json'],
+      uris: ['https://json.schemastore.org/package.json', 'https://json.schemastore.org/package'],
+      schema: packageJSON
+    },
+    {
+      id: 'tsconfig',
+      name: 'tsconfig',
+      fileMatch: ['tsconfig.json', 'tsconfig.*.json', '*.tsconfig.json', 'jsconfig.json'],
+      uris: ['https://json.schemastore.org/tsconfig.json', 'https://json.schemastore.org/tsconfig'],
+      schema: tsconfig
+    },
+    {
+      id: 'geojson',
+      name: 'GeoJSON',
+      fileMatch: ['*.geojson', '*.geo.json'],
+      uris: ['https://geojson.org/schema/GeoJSON.json'],
+      schema: geoJSON
+    },
+    {
+      id: 'openapi-3',
+      name: 'OpenAPI 3',
+      fileMatch: ['openapi.json', '*.openapi.json', 'openapi-*.json'],
+      uris: [
+        'https://spec.openapis.org/oas/3.0/schema/2021-09-28',
+        'https://spec.openapis.org/oas/3.1/schema/2022-10-07'
+      ],
+      schema: openAPI
+    }
+  ];
+
+  // Expose API
+  window.JSONSchemaStarters = { STARTER_SCHEMAS };
+})();
@@ -0,0 +1,510 @@
+'use strict';
+(function () {
+  // Tokenizer states. The parser keeps the whole text and AST; this state machine keeps
+  // only the open-container stack so files of hundreds of megabytes can be checked.
+  const VALUE = 0;          // a value must follow (document start, after ':' or ',' in an array)
+  const ARRAY_FIRST = 1;    // just after '[': a value or ']'
+  const OBJECT_FIRST = 2;   // just after '{': a key or '}'
+  const KEY = 3;            // after ',' in an object: a key
+  const COLON = 4;          // after a key
+  const AFTER_VALUE = 5;    // ',' or the closer of the enclosing container
+  const STRING = 6;
+  const ESCAPE = 7;
+  const UNICODE = 8;
+  const NUMBER = 9;
+  const LITERAL = 10;
+  const DONE = 11;          // root value complete: only whitespace may follow
+  const FAILED = 12;
+
+  const DEFAULT_PREVIEW_NODES = 500;
+  const DEFAULT_PREVIEW_STRING = 200;
+  // Longest key kept for error pointers; longer keys are cut with an ellipsis
+  const MAX_POINTER_KEY = 1000;
+  const NUMBER_PATTERN = /^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?$/;
+  const LITERALS = { t: 'true', f: 'false', n: 'null' };
+  const LITERAL_VALUES = { true: true, false: false, null: null };
+  const END_EXPECTED = {
+    [VALUE]: ['value'],
+    [ARRAY_FIRST]: ['value', ']'],
+    [OBJECT_FIRST]: ['property name', '}'],
+    [KEY]: ['property name'],
+    [COLON]: [':']
+  };
+  const ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+  function isWhitespace(code) {
+    return code === 0x20 || code === 0x0A || code === 0x0D || code === 0x09;
+  }
+
+  function isNumberChar(code) {
+    return (code >= 0x30 && code <= 0x39) || code === 0x2D || code === 0x2B || code === 0x2E || code === 0x65 || code === 0x45;
+  }
+
+  function isHex(code) {
+    return (code >= 0x30 && code <= 0x39) || (code >= 0x41 && code <= 0x46) || (code >= 0x61 && code <= 0x66);
+  }
+
+  function describeChar(ch) {
+    return /^[{}[\]:,]$/.test(ch) ? "'" + ch + "'" : 'character ' + JSON.stringify(ch);
+  }
+
+  function escapePointerToken(token) {
+    return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+  }
+
+  /**
+   * Creates an incremental strict-JSON checker. Feed text with write() in any chunk sizes,
+   * then call end() for the summary. Only the open-container path and the preview are kept.
+   * Duplicate keys are reported as DUPLICATE_KEY warnings within the preview only, where the
+   * later value replaces the earlier one; finding them everywhere would mean keeping every key.
+   * Safety limits apply only when `limits` is given; unlike parse(), there are no defaults,
+   * because nothing here grows with the document except the container stack.
+   * @param {Object} options - { previewNodes, previewStringLength, limits: { maxDepth, maxStringLength, maxObjectKeys, maxNodes } }
+   * @returns {Object} { write(chunk) => boolean, end() => Object, failed }
+   */
+  function createStreamParser(options = {}) {
+    const previewLimit = options.previewNodes !== undefined ? options.previewNodes : DEFAULT_PREVIEW_NODES;
+    const previewStringLength = options.previewStringLength || DEFAULT_PREVIEW_STRING;
+    const LosslessNumber = window.JSONParser ? window.JSONParser.LosslessNumber : null;
+    const limits = { maxDepth: Infinity, maxStringLength: Infinity, maxObjectKeys: Infinity, maxNodes: Infinity, ...options.limits };
+
+    let state = VALUE;
+    let line = 1;
+    let column = 1;
+    let offset = 0;
+    let error = null;
+
+    // One entry per open container: { object, key, index, keys, preview, seen, line }, where
+    // seen maps the keys of a previewed object to where they first appeared
+    const stack = [];
+    let maxDepth = 0;
+    const counts = { objects: 0, arrays: 0, strings: 0, numbers: 0, booleans: 0, nulls: 0, properties: 0 };
+    let nodes = 0;
+
+    let stringIsKey = false;
+    let stringText = '';
+    let stringLength = 0;
+    let stringLimit = 0;
+    let stringStart = null;
+    let unicodeLeft = 0;
+    let unicodeText = '';
+    let numberText = '';
+    let numberStart = null;
+    let literal = '';
+    let literalIndex = 0;
+    let literalStart = null;
+
+    let preview;
+    let previewCount = 0;
+    let previewTruncated = false;
+    const warnings = [];
+
+    function position() {
+      return { line, column, offset };
+    }
+
+    function fail(code, message, expected, at = position()) {
+      error = { code, message, offset: at.offset, length: 1, line: at.line, column: at.column, expected: expected || [], pointer: currentPointer() };
+      state = FAILED;
+    }
+
+    function unexpected(ch, expected, code) {
+      fail(code, 'Unexpected ' + describeChar(ch) + '; expected ' + window.JSONParser.formatExpected(expected), expected);
+    }
+
+    function currentPointer() {
+      let pointer = '';
+      for (const frame of stack) {
+        if (frame.object) {
+          if (frame.key === null) break;
+          pointer += '/' + escapePointerToken(frame.key);
+        } else {
+          pointer += '/' + frame.index;
+        }
+      }
+      return pointer;
+    }
+
+    // Attach a finished value to the preview while the node budget lasts
+    function addPreview(value) {
+      if (previewCount >= previewLimit) {
+        previewTruncated = true;
+        return false;
+      }
+      const parent = stack[stack.length - 1];
+      if (!parent) {
+        preview = value;
+      } else if (!parent.preview) {
+        return false;
+      } else if (parent.object) {
+        window.JSONParser.setMember(parent.preview, parent.key, value);
+      } else {
+        parent.preview.push(value);
+      }
+      previewCount++;
+      return true;
+    }
+
+    function countNode() {
+      if (++nodes > limits.maxNodes) {
+        const pointer = currentPointer();
+        fail('NODE_LIMIT', `Document has more than ${limits.maxNodes} values; stopped at ${pointer || 'the document root'}`);
+        return false;
+      }
+      return true;
+    }
+
+    function valueDone(kind, value) {
+      if (!countNode()) return;
+      counts[kind]++;
+      addPreview(value);
+      state = stack.length ? AFTER_VALUE : DONE;
+    }
+
+    function openContainer(object) {
+      if (stack.length >= limits.maxDepth) {
+        const pointer = currentPointer();
+        fail('DEPTH_LIMIT', `Nesting depth exceeds the limit of ${limits.maxDepth} at ${pointer || 'the document root'}`);
+        return;
+      }
+      if (!countNode()) return;
+      counts[object ? 'objects' : 'arrays']++;
+      const container = object ? {} : [];
+      const frame = { object, key: null, index: 0, keys: 0, preview: null, seen: null, line };
+      if (addPreview(container)) {
+        frame.preview = container;
+        if (object) frame.seen = new Map();
+      }
+      stack.push(frame);
+      if (stack.length > maxDepth) maxDepth = stack.length;
+      state = object ? OBJECT_FIRST : ARRAY_FIRST;
+    }
+
+    function closeContainer(ch) {
+      const frame = stack[stack.length - 1];
+      if ((ch === '}') !== frame.object) {
+        fail(frame.object ? 'UNCLOSED_OBJECT' : 'UNCLOSED_ARRAY',
+          `Expected '${frame.object ? '}' : ']'}' to close ${frame.object ? 'object' : 'array'} opened at line ${frame.line}; found '${ch}'`,
+          [frame.object ? '}' : ']']);
+        return;
+      }
+      stack.pop();
+      state = stack.length ? AFTER_VALUE : DONE;
+    }
+
+    function startString(isKey) {
+      stringIsKey = isKey;
+      stringText = '';
+      stringLength = 0;
+      // Keys are kept in full for pointers; values only as far as the preview shows them
+      stringLimit = isKey ? MAX_POINTER_KEY : (previewCount < previewLimit ? previewStringLength : 0);
+      stringStart = position();
+      state = STRING;
+    }
+
+    function appendString(text) {
+      stringLength += text.length;
+      if (stringText.length < stringLimit) stringText += text;
+      if (stringLength > limits.maxStringLength) {
+        const pointer = currentPointer();
+        fail('STRING_LIMIT', `${stringIsKey ? 'Key' : 'String'} at ${pointer || 'the document root'} exceeds the limit of ${limits.maxStringLength} characters`, [], stringStart);
+      }
+    }
+
+    function finishString() {
+      let text = stringText;
+      if (stringLength > stringLimit) text = text.slice(0, stringLimit) + '…';
+      if (stringIsKey) {
+        const frame = stack[stack.length - 1];
+        if (++frame.keys > limits.maxObjectKeys) {
+          const pointer = currentPointer();
+          fail('KEY_LIMIT', `Object at ${pointer || 'the document root'} has more than ${limits.maxObjectKeys} keys`, [], stringStart);
+          return;
+        }
+        frame.key = text;
+        // A shortened key could match another one that only shares its start
+        if (frame.seen && stringLength <= stringLimit) checkDuplicate(frame, text);
+        counts.properties++;
+        state = COLON;
+      } else {
+        valueDone('strings', text);
+      }
+    }
+
+    // Same warning as JSONParser.parse() gives for a repeated key
+    function checkDuplicate(frame, key) {
+      const first = frame.seen.get(key);
+      if (!first) {
+        frame.seen.set(key, stringStart);
+        return;
+      }
+      const pointer = currentPointer();
+      warnings.push({
+        code: 'DUPLICATE_KEY',
+        message: `Duplicate key ${JSON.stringify(key)} at ${pointer}; first defined at line ${first.line}, column ${first.column}`,
+        offset: stringStart.offset,
+        length: 1,
+        line: stringStart.line,
+        column: stringStart.column,
+        expected: [],
+        pointer,
+        firstOccurrence: { offset: first.offset, line: first.line, column: first.column }
+      });
+    }
+
+    function finishNumber() {
+      if (!NUMBER_PATTERN.test(numberText)) {
+        fail('INVALID_NUMBER', 'Invalid number ' + JSON.stringify(numberText.length > 40 ? numberText.slice(0, 40) + '…' : numberText), ['number'], numberStart);
+        return false;
+      }
+      valueDone('numbers', LosslessNumber ? new LosslessNumber(numberText) : Number(numberText));
+      return true;
+    }
+
+    // Handles a character outside strings, numbers and literals
+    function structural(ch, code) {
+      if (isWhitespace(code)) return;
+      switch (state) {
+        case VALUE:
+        case ARRAY_FIRST:
+          if (ch === ']' && state === ARRAY_FIRST) {
+            closeContainer(ch);
+          } else if (ch === '{' || ch === '[') {
+            openContainer(ch === '{');
+          } else if (ch === '"') {
+            startString(false);
+          } else if (code === 0x2D || (code >= 0x30 && code <= 0x39)) {
+            numberText = ch;
+            numberStart = position();
+            state = NUMBER;
+          } else if (LITERALS[ch]) {
+            literal = LITERALS[ch];
+            literalIndex = 1;
+            literalStart = position();
+            state = LITERAL;
+          } else if (ch === ']' && state === VALUE && stack.length && !stack[stack.length - 1].object) {
+            fail('TRAILING_COMMA', 'Trailing comma before closing bracket', ['value']);
+          } else {
+            unexpected(ch, state === ARRAY_FIRST ? ['value', ']'] : ['value'], 'VALUE_EXPECTED');
+          }
+          return;
+        case OBJECT_FIRST:
+        case KEY:
+          if (ch === '"') {
+            startString(true);
+          } else if (ch === '}' && state === OBJECT_FIRST) {
+            closeContainer(ch);
+          } else if (ch === '}') {
+            fail('TRAILING_COMMA', 'Trailing comma before closing brace', ['property name']);
+          } else {
+            unexpected(ch, state === OBJECT_FIRST ? ['property name', '}'] : ['property name'], 'PROPERTY_NAME_EXPECTED');
+          }
+          return;
+        case COLON:
+          if (ch === ':') {
+            state = VALUE;
+          } else {
+            unexpected(ch, [':'], 'MISSING_COLON');
+          }
+          return;
+        case AFTER_VALUE: {
+          const frame = stack[stack.length - 1];
+          if (ch === ',') {
+            if (frame.object) {
+              frame.key = null;
+              state = KEY;
+            } else {
+              frame.index++;
+              state = VALUE;
+            }
+          } else if (ch === '}' || ch === ']') {
+            closeContainer(ch);
+          } else {
+            unexpected(ch, [',', frame.object ? '}' : ']'], 'MISSING_COMMA');
+          }
+          return;
+        }
+        case DONE:
+          fail('EXTRA_DATA', 'Unexpected ' + describeChar(ch) + ' after the root value; expected end of input', ['end of input']);
+          return;
+      }
+    }
+
+    function step(ch, code) {
+      switch (state) {
+        case STRING:
+          if (ch === '"') {
+            finishString();
+          } else if (ch === '\\') {
+            state = ESCAPE;
+          } else if (code < 0x20) {
+            fail('CONTROL_CHARACTER', 'Control character U+' + code.toString(16).toUpperCase().padStart(4, '0') + ' must be escaped in string', ['escaped character']);
+          } else {
+            appendString(ch);
+          }
+          return;
+        case ESCAPE:
+          if (ch === 'u') {
+            unicodeLeft = 4;
+            unicodeText = '';
+            state = UNICODE;
+          } else if (ESCAPES[ch] !== undefined) {
+            appendString(ESCAPES[ch]);
+            state = STRING;
+          } else {
+            fail('INVALID_ESCAPE', 'Invalid escape character ' + JSON.stringify('\\' + ch) + ' in string', ['valid escape sequence']);
+          }
+          return;
+        case UNICODE:
+          if (!isHex(code)) {
+            fail('INVALID_ESCAPE', 'Invalid unicode escape sequence; expected four hex digits after \\u', ['hex digit']);
+            return;
+          }
+          unicodeText += ch;
+          if (--unicodeLeft === 0) {
+            appendString(String.fromCharCode(parseInt(unicodeText, 16)));
+            state = STRING;
+          }
+          return;
+        case NUMBER:
+          if (isNumberChar(code)) {
+            numberText += ch;
+            return;
+          }
+          if (finishNumber()) structural(ch, code);
+          return;
+        case LITERAL:
+          if (ch !== literal[literalIndex]) {
+            fail('INVALID_LITERAL', 'Unknown literal; expected ' + JSON.stringify(literal), ['value'], literalStart);
+            return;
+          }
+          if (++literalIndex === literal.length) {
+            valueDone(literal === 'null' ? 'nulls' : 'booleans', LITERAL_VALUES[literal]);
+          }
+          return;
+        default:
+          structural(ch, code);
+      }
+    }
+
+    /**
+     * Feeds the next piece of text.
+     * @param {string} chunk - Decoded text
+     * @returns {boolean} false once an error was found; later input is ignored
+     */
+    function write(chunk) {
+      if (state === FAILED) return false;
+      for (let i = 0; i < chunk.length; i++) {
+        const code = chunk.charCodeAt(i);
+        step(chunk[i], code);
+        if (state === FAILED) return false;
+        offset++;
+        if (code === 0x0A) {
+          line++;
+          column = 1;
+        } else {
+          column++;
+        }
+      }
+      return true;
+    }
+
+    /**
+     * Finishes the document and reports the first error, if any.
+     * @returns {Object} { isValid, error, warnings, maxDepth, nodes, counts, characters, lines, preview, previewNodes, previewTruncated }
+     */
+    function end() {
+      if (state === NUMBER) finishNumber();
+      if (state === STRING || state === ESCAPE || state === UNICODE) {
+        fail('UNTERMINATED_STRING', 'Unterminated string; missing closing quote', ['"'], stringStart);
+      } else if (state === LITERAL) {
+        fail('INVALID_LITERAL', 'Unknown literal; expected ' + JSON.stringify(literal), ['value'], literalStart);
+      } else if (state === VALUE && !stack.length && offset === 0) {
+        fail('UNEXPECTED_END', 'Empty input; expected a JSON value', ['value']);
+      } else if (state !== DONE && state !== FAILED) {
+        const frame = stack[stack.length - 1];
+        if (frame && state === AFTER_VALUE) {
+          fail(frame.object ? 'UNCLOSED_OBJECT' : 'UNCLOSED_ARRAY',
+            `Expected '${frame.object ? '}' : ']'}' to close ${frame.object ? 'object' : 'array'} opened at line ${frame.line}`,
+            [frame.object ? '}' : ']']);
+        } else {
+          const expected = END_EXPECTED[state];
+          fail('UNEXPECTED_END', 'Unexpected end of input; expected ' + window.JSONParser.formatExpected(expected), expected);
+        }
+      }
+      return {
+        isValid: error === null,
+        error,
+        warnings,
+        maxDepth,
+        nodes,
+        counts: { ...counts },
+        characters: offset,
+        lines: line,
+        preview,
+        previewNodes: previewCount,
+        previewTruncated
+      };
+    }
+
+    return {
+      write,
+      end,
+      get failed() {
+        return state === FAILED;
+      }
+    };
+  }
+
+  /**
+   * Validates a File or Blob by reading it as a stream, so the text is never held in memory.
+   * Reading stops at the first error.
+   * @param {Blob} blob - File to check; UTF-8 or UTF-16, detected from the first bytes
+   * @param {Object} options - { previewNodes, previewStringLength, limits, signal }
+   * @param {Function} onProgress - Called with the fraction of bytes read
+   * @returns {Promise<Object>} The parser summary plus bytes read, the detected encoding and the preview as JSON text;
+   *   encoding.malformed is true when bytes that are not valid in that encoding were replaced with U+FFFD
+   */
+  async function validateBlob(blob, options = {}, onProgress) {
+    const parser = createStreamParser(options);
+    const encoding = window.JSONUnicode.detectEncoding(new Uint8Array(await blob.slice(0, 4).arrayBuffer()));
+    if (encoding.encoding.startsWith('utf-32')) {
+      // TextDecoder cannot decode UTF-32 incrementally; JSONUnicode.decode needs the whole file
+      throw new Error(`${window.JSONUnicode.describeEncoding(encoding)} files are too large to stream; convert the file to UTF-8 first`);
+    }
+    // The decoder drops a leading BOM itself
+    const decoder = window.JSONUnicode.createStreamDecoder(encoding.encoding);
+    const reader = blob.stream().getReader();
+    const signal = options.signal;
+    let bytes = 0;
+    // Browsers deliver chunks of about 64 KB; report roughly every 1% instead
+    const progressStep = Math.max(65536, Math.ceil(blob.size / 100));
+    let nextProgress = progressStep;
+    try {
+      for (;;) {
+        if (signal && signal.aborted) throw new DOMException('Job cancelled', 'AbortError');
+        const { done, value } = await reader.read();
+        if (done) break;
+        bytes += value.byteLength;
+        if (!parser.write(decoder.decode(value, { stream: true }))) break;
+        if (onProgress && bytes >= nextProgress) {
+          nextProgress = bytes + progressStep;
+          onProgress(bytes / blob.size);
+        }
+      }
+      if (!parser.failed) parser.write(decoder.decode());
+    } finally {
+      reader.cancel().catch(() => {});
+    }
+    const summary = parser.end();
+    summary.bytes = blob.size;
+    summary.bytesRead = bytes;
+    summary.encoding = { encoding: encoding.encoding, bom: encoding.bom > 0, malformed: decoder.malformed };
+    summary.previewText = summary.preview === undefined ? '' : window.JSONParser.stringify(summary.preview, null, 2);
+    delete summary.preview;
+    return summary;
+  }
+
+  // Expose API
+  window.JSONStreamValidator = { createStreamParser, validateBlob, DEFAULT_PREVIEW_NODES };
+})();
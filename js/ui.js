@@ -6,20 +6,109 @@
       validateBtn: document.getElementById('validate-btn'),
       formatBtn: document.getElementById('format-btn'),
       minifyBtn: document.getElementById('minify-btn'),
+      generateSchemaBtn: document.getElementById('generate-schema-btn'),
+      downloadBtn: document.getElementById('download-btn'),
+      repairBtn: document.getElementById('repair-btn'),
+      normalizeBtn: document.getElementById('normalize-btn'),
+      convertLinesBtn: document.getElementById('convert-lines-btn'),
+      schemaToggleBtn: document.getElementById('schema-toggle-btn'),
+      schemaValidateBtn: document.getElementById('schema-validate-btn'),
       clearBtn: document.getElementById('clear-btn'),
       copyBtn: document.getElementById('copy-btn'),
       sampleBtn: document.getElementById('sample-btn'),
+      openFileBtn: document.getElementById('open-file-btn'),
+      openFileInput: document.getElementById('open-file-input'),
       themeToggle: document.getElementById('theme-toggle'),
       jsonInput: document.getElementById('json-input'),
       jsonOutput: document.getElementById('json-output'),
+      contentArea: document.getElementById('content-area'),
+      schemaPane: document.getElementById('schema-pane'),
+      schemaInput: document.getElementById('schema-input'),
+      schemaDraft: document.getElementById('schema-draft'),
+      schemaRegistrySelect: document.getElementById('schema-registry-select'),
+      schemaRegistryName: document.getElementById('schema-registry-name'),
+      schemaRegistryGlobs: document.getElementById('schema-registry-globs'),
+      schemaSaveBtn: document.getElementById('schema-save-btn'),
+      schemaDeleteBtn: document.getElementById('schema-delete-btn'),
+      sampleCount: document.getElementById('sample-count'),
+      sampleSeed: document.getElementById('sample-seed'),
+      generateSampleBtn: document.getElementById('generate-sample-btn'),
+      openapiToggleBtn: document.getElementById('openapi-toggle-btn'),
+      openapiPane: document.getElementById('openapi-pane'),
+      openapiTitle: document.getElementById('openapi-title'),
+      openapiCheckBtn: document.getElementById('openapi-check-btn'),
+      openapiOperations: document.getElementById('openapi-operations'),
+      openapiStatus: document.getElementById('openapi-status'),
+      openapiValidateBtn: document.getElementById('openapi-validate-btn'),
+      openapiResponse: document.getElementById('openapi-response'),
+      diffToggleBtn: document.getElementById('diff-toggle-btn'),
+      diffPane: document.getElementById('diff-pane'),
+      diffCompareBtn: document.getElementById('diff-compare-btn'),
+      diffArrays: document.getElementById('diff-arrays'),
+      diffIdKey: document.getElementById('diff-id-key'),
+      diffViewMode: document.getElementById('diff-view-mode'),
+      diffInput: document.getElementById('diff-input'),
+      diffView: document.getElementById('diff-view'),
+      diffSummary: document.getElementById('diff-summary'),
+      diffPosition: document.getElementById('diff-position'),
+      diffPrevBtn: document.getElementById('diff-prev-btn'),
+      diffNextBtn: document.getElementById('diff-next-btn'),
+      diffCloseBtn: document.getElementById('diff-close-btn'),
+      diffBody: document.getElementById('diff-body'),
+      patchFormat: document.getElementById('patch-format'),
+      patchCreateBtn: document.getElementById('patch-create-btn'),
+      patchApplyBtn: document.getElementById('patch-apply-btn'),
+      mergeToggleBtn: document.getElementById('merge-toggle-btn'),
+      mergePane: document.getElementById('merge-pane'),
+      mergeRunBtn: document.getElementById('merge-run-btn'),
+      mergeArrays: document.getElementById('merge-arrays'),
+      mergeIdKey: document.getElementById('merge-id-key'),
+      mergeStatus: document.getElementById('merge-status'),
+      mergeConflicts: document.getElementById('merge-conflicts'),
+      mergeBase: document.getElementById('merge-base'),
+      mergeTheirs: document.getElementById('merge-theirs'),
+      csvToggleBtn: document.getElementById('csv-toggle-btn'),
+      csvPane: document.getElementById('csv-pane'),
+      csvExportBtn: document.getElementById('csv-export-btn'),
+      csvImportBtn: document.getElementById('csv-import-btn'),
+      csvDelimiter: document.getElementById('csv-delimiter'),
+      csvQuoting: document.getElementById('csv-quoting'),
+      csvIncludeHeader: document.getElementById('csv-include-header'),
+      csvArrays: document.getElementById('csv-arrays'),
+      csvJoinWith: document.getElementById('csv-join-with'),
+      csvHeader: document.getElementById('csv-header'),
+      csvColumns: document.getElementById('csv-columns'),
+      csvColumnList: document.getElementById('csv-column-list'),
+      yamlToggleBtn: document.getElementById('yaml-toggle-btn'),
+      yamlPane: document.getElementById('yaml-pane'),
+      yamlExportBtn: document.getElementById('yaml-export-btn'),
+      yamlImportBtn: document.getElementById('yaml-import-btn'),
+      yamlDocuments: document.getElementById('yaml-documents'),
       editorWrapper: document.getElementById('editor-wrapper'),
+      lintMarks: document.getElementById('lint-marks'),
+      completionList: document.getElementById('completion-list'),
+      schemaHover: document.getElementById('schema-hover'),
       outputWrapper: document.getElementById('output-wrapper'),
       lineCount: document.getElementById('line-count'),
       charCount: document.getElementById('char-count'),
       currentMode: document.getElementById('current-mode'),
       validationStatus: document.getElementById('validation-status'),
+      errorHelpLink: document.getElementById('error-help-link'),
       jsonSize: document.getElementById('json-size'),
-      parseTime: document.getElementById('parse-time')
+      parseTime: document.getElementById('parse-time'),
+      errorList: document.getElementById('error-list'),
+      streamSummary: document.getElementById('stream-summary'),
+      inputDialect: document.getElementById('input-dialect'),
+      keepComments: document.getElementById('keep-comments'),
+      showWarnings: document.getElementById('show-warnings'),
+      strictDuplicateKeys: document.getElementById('strict-duplicate-keys'),
+      interopProfile: document.getElementById('interop-profile'),
+      limitInputs: {
+        maxDepth: document.getElementById('limit-max-depth'),
+        maxStringLength: document.getElementById('limit-max-string-length'),
+        maxObjectKeys: document.getElementById('limit-max-object-keys'),
+        maxNodes: document.getElementById('limit-max-nodes')
+      }
     };
 
     // State
@@ -27,6 +116,61 @@
     let isHighlighting = false;
     let currentError = null;
     let isPartialMode = false;
+    let errorListSource = '';
+    // Text and encoding of the last opened file; the I-JSON check reports non-UTF-8 sources
+    let loadedFile = null;
+    // File name the Download button gives the output, when it is not the document itself
+    let outputFilename = null;
+    // OpenAPI mode: the description last checked, its operations and the one chosen for responses
+    let openapiSource = '';
+    let openapiOperations = [];
+    let selectedOperation = null;
+    // Set while the output view holds a response body rather than the description
+    let showingResponse = false;
+    // Compare mode: the last result, the two texts it came from and the first row of each change
+    let diffResult = null;
+    let diffSources = null;
+    let diffAnchors = [];
+    let diffCurrent = -1;
+    // Three-way merge: the chosen resolution of each conflict, by index, for the texts they were made on
+    let mergeResolutions = [];
+    let mergeSources = null;
+    // The exact text of the last table shown, so Download keeps its CRLF line ends, and the records it came from
+    let tableOutput = null;
+    let tableSource = '';
+    // The JSON the YAML in the output view was made from, so converting again does not read the YAML
+    let yamlSource = null;
+    const jobRunner = JSONJobs.createRunner();
+    // Schema assist in the input editor lints and looks up completions and hover on runners of its own,
+    // so it never cancels a job the user started and never parses on the main thread
+    const lintRunner = JSONJobs.createRunner();
+    const assistRunner = JSONJobs.createRunner();
+    const LINT_DELAY = 500;
+    const HOVER_DELAY = 350;
+    const MAX_COMPLETIONS = 50;
+    let lintTimer = null;
+    let hoverTimer = null;
+    // Problems found by the last lint and the text they were found in
+    let lintProblems = [];
+    let lintedText = null;
+    // Schema options of the last lint: the pane's schema, or the registry's for the document's $schema
+    let assistSchemaOptions = {};
+    // { from, to, options, selected } while the completion list is open
+    let completion = null;
+    // Bumped whenever a completion list or hover card is asked for or closed, so late answers are dropped
+    let completionRequest = 0;
+    let hoverRequest = 0;
+    let assistQueue = Promise.resolve();
+    let charMetrics = null;
+    // Files above this size are validated as a stream instead of loaded into the editor
+    const STREAM_THRESHOLD = 20 * 1024 * 1024;
+    // Files that are read whole, because they are tables, YAML or the browser cannot stream them, stop here
+    const MAX_FILE_SIZE = 100 * 1024 * 1024;
+    // Unchanged lines shown around each change; longer unchanged stretches are folded
+    const DIFF_CONTEXT = 3;
+    // NDJSON summaries list this many invalid line numbers and draw this many lines in the map
+    const MAX_LISTED_LINES = 50;
+    const LINE_MAP_CELLS = 1000;
 
     // Sample JSON - array of different samples
     const sampleJSONs = [
@@ -107,23 +251,174 @@
     if (elements.validateBtn) elements.validateBtn.addEventListener('click', validateJSON);
     if (elements.formatBtn) elements.formatBtn.addEventListener('click', formatJSON);
     if (elements.minifyBtn) elements.minifyBtn.addEventListener('click', minifyJSON);
+    if (elements.generateSchemaBtn) elements.generateSchemaBtn.addEventListener('click', generateSchema);
+    if (elements.downloadBtn) elements.downloadBtn.addEventListener('click', downloadContent);
+    if (elements.repairBtn) elements.repairBtn.addEventListener('click', repairJSON);
+    if (elements.normalizeBtn) elements.normalizeBtn.addEventListener('click', normalizeInput);
+    if (elements.convertLinesBtn) elements.convertLinesBtn.addEventListener('click', convertLines);
+    if (elements.schemaToggleBtn) elements.schemaToggleBtn.addEventListener('click', () => toggleSchemaPane());
+    if (elements.schemaValidateBtn) elements.schemaValidateBtn.addEventListener('click', validateJSON);
+    // A changed schema makes a running validation stale, like a changed document
+    if (elements.schemaInput) {
+      elements.schemaInput.addEventListener('input', cancelRunningJob);
+      elements.schemaInput.addEventListener('input', scheduleSchemaLint);
+    }
+    if (elements.schemaDraft) elements.schemaDraft.addEventListener('change', scheduleSchemaLint);
+    if (elements.schemaRegistrySelect) {
+      elements.schemaRegistrySelect.addEventListener('change', (e) => selectRegistrySchema(e.target.value));
+      refreshSchemaRegistry();
+    }
+    if (elements.schemaSaveBtn) elements.schemaSaveBtn.addEventListener('click', saveRegistrySchema);
+    if (elements.schemaDeleteBtn) elements.schemaDeleteBtn.addEventListener('click', deleteRegistrySchema);
+    if (elements.generateSampleBtn) elements.generateSampleBtn.addEventListener('click', generateSamples);
+    if (elements.openapiToggleBtn) elements.openapiToggleBtn.addEventListener('click', () => toggleOpenAPIPane());
+    if (elements.openapiCheckBtn) elements.openapiCheckBtn.addEventListener('click', checkOpenAPI);
+    if (elements.openapiValidateBtn) elements.openapiValidateBtn.addEventListener('click', validateOpenAPIResponse);
+    if (elements.openapiResponse) elements.openapiResponse.addEventListener('input', cancelRunningJob);
+    if (elements.diffToggleBtn) elements.diffToggleBtn.addEventListener('click', () => toggleDiffPane());
+    if (elements.diffCompareBtn) elements.diffCompareBtn.addEventListener('click', compareDocuments);
+    if (elements.diffInput) elements.diffInput.addEventListener('input', cancelRunningJob);
+    if (elements.diffArrays) {
+      elements.diffArrays.value = getSetting('diffArrays', 'lcs');
+      elements.diffIdKey.hidden = elements.diffArrays.value !== 'id';
+      elements.diffArrays.addEventListener('change', (e) => {
+        saveSetting('diffArrays', e.target.value);
+        elements.diffIdKey.hidden = e.target.value !== 'id';
+        if (diffResult) compareDocuments();
+      });
+    }
+    if (elements.diffViewMode) {
+      elements.diffViewMode.value = getSetting('diffView', 'split');
+      elements.diffViewMode.addEventListener('change', (e) => {
+        saveSetting('diffView', e.target.value);
+        if (diffResult) renderDiff(diffResult);
+      });
+    }
+    if (elements.diffPrevBtn) elements.diffPrevBtn.addEventListener('click', () => goToChange(diffCurrent - 1));
+    if (elements.diffNextBtn) elements.diffNextBtn.addEventListener('click', () => goToChange(diffCurrent + 1));
+    if (elements.diffCloseBtn) elements.diffCloseBtn.addEventListener('click', closeDiffView);
+    if (elements.patchFormat) {
+      elements.patchFormat.value = getSetting('patchFormat', 'json-patch');
+      elements.patchFormat.addEventListener('change', (e) => saveSetting('patchFormat', e.target.value));
+    }
+    if (elements.patchCreateBtn) elements.patchCreateBtn.addEventListener('click', createPatch);
+    if (elements.patchApplyBtn) elements.patchApplyBtn.addEventListener('click', applyPatch);
+    if (elements.mergeToggleBtn) elements.mergeToggleBtn.addEventListener('click', () => toggleMergePane());
+    if (elements.mergeRunBtn) elements.mergeRunBtn.addEventListener('click', () => mergeDocuments());
+    if (elements.mergeBase) elements.mergeBase.addEventListener('input', cancelRunningJob);
+    if (elements.mergeTheirs) elements.mergeTheirs.addEventListener('input', cancelRunningJob);
+    if (elements.mergeArrays) {
+      elements.mergeArrays.value = getSetting('mergeArrays', 'lcs');
+      elements.mergeIdKey.hidden = elements.mergeArrays.value !== 'id';
+      elements.mergeArrays.addEventListener('change', (e) => {
+        saveSetting('mergeArrays', e.target.value);
+        elements.mergeIdKey.hidden = e.target.value !== 'id';
+      });
+    }
+    if (elements.csvToggleBtn) elements.csvToggleBtn.addEventListener('click', () => toggleCSVPane());
+    if (elements.csvExportBtn) elements.csvExportBtn.addEventListener('click', exportCSV);
+    if (elements.csvImportBtn) elements.csvImportBtn.addEventListener('click', () => importCSV(currentInput()));
+    if (elements.csvPane) {
+      // Every table option is remembered; the join separator and custom order only show when they apply
+      [
+        ['csvDelimiter', ','],
+        ['csvQuoting', 'minimal'],
+        ['csvArrays', 'join'],
+        ['csvJoinWith', '|'],
+        ['csvHeader', 'first-seen'],
+        ['csvColumns', '']
+      ].forEach(([name, fallback]) => {
+        elements[name].value = getSetting(name, fallback);
+        elements[name].addEventListener('change', (e) => {
+          saveSetting(name, e.target.value);
+          showCSVOptions();
+        });
+      });
+      elements.csvIncludeHeader.checked = getSetting('csvIncludeHeader', true);
+      elements.csvIncludeHeader.addEventListener('change', (e) => saveSetting('csvIncludeHeader', e.target.checked));
+      showCSVOptions();
+    }
+    if (elements.yamlToggleBtn) elements.yamlToggleBtn.addEventListener('click', () => toggleYAMLPane());
+    if (elements.yamlExportBtn) elements.yamlExportBtn.addEventListener('click', exportYAML);
+    if (elements.yamlImportBtn) elements.yamlImportBtn.addEventListener('click', () => importYAML(currentInput()));
+    if (elements.yamlDocuments) {
+      elements.yamlDocuments.value = getSetting('yamlDocuments', 'array');
+      elements.yamlDocuments.addEventListener('change', (e) => saveSetting('yamlDocuments', e.target.value));
+    }
+    // F7 and Shift+F7 step through changes, as in most diff viewers
+    document.addEventListener('keydown', (e) => {
+      if (e.key !== 'F7' || !elements.diffView || elements.diffView.hidden) return;
+      e.preventDefault();
+      goToChange(diffCurrent + (e.shiftKey ? -1 : 1));
+    });
     if (elements.clearBtn) elements.clearBtn.addEventListener('click', clearAll);
     if (elements.copyBtn) elements.copyBtn.addEventListener('click', copyToClipboard);
     if (elements.sampleBtn) elements.sampleBtn.addEventListener('click', loadSampleJSON);
     if (elements.themeToggle) elements.themeToggle.addEventListener('click', toggleTheme);
+    if (elements.openFileBtn && elements.openFileInput) {
+      elements.openFileBtn.addEventListener('click', () => elements.openFileInput.click());
+      elements.openFileInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        // Reset so the same file can be chosen again
+        e.target.value = '';
+        if (file) openFile(file);
+      });
+    }
+    // A file dropped anywhere on the editors opens as if it were picked; dragged text is left to the textareas
+    if (elements.contentArea) {
+      const area = elements.contentArea;
+      const hasFiles = (e) => Array.from(e.dataTransfer.types).includes('Files');
+      // dragenter and dragleave fire for every child crossed, so only the outermost pair toggles the highlight
+      let dragDepth = 0;
+      area.addEventListener('dragenter', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        dragDepth++;
+        area.classList.add('drag-over');
+      });
+      area.addEventListener('dragover', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+      });
+      area.addEventListener('dragleave', (e) => {
+        if (!hasFiles(e)) return;
+        dragDepth = Math.max(0, dragDepth - 1);
+        if (!dragDepth) area.classList.remove('drag-over');
+      });
+      area.addEventListener('drop', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        dragDepth = 0;
+        area.classList.remove('drag-over');
+        const file = e.dataTransfer.files[0];
+        if (file) openFile(file);
+      });
+    }
 
     // Input mode updates
     if (elements.jsonInput) {
-      elements.jsonInput.addEventListener('input', () => {
+      elements.jsonInput.addEventListener('input', (e) => {
+        cancelRunningJob();
         updateInfoPanel();
         updateLineNumbers();
+        // Typing a name or a quote offers completions; other edits only refresh an open list
+        if ((elements.completionList && !elements.completionList.hidden) || (e.inputType === 'insertText' && /^["\w$-]$/.test(e.data || ''))) {
+          updateCompletions();
+        }
       });
+      elements.jsonInput.addEventListener('keydown', handleAssistKey);
+      elements.jsonInput.addEventListener('blur', closeCompletions);
+      elements.jsonInput.addEventListener('click', closeCompletions);
+      elements.jsonInput.addEventListener('mousemove', scheduleSchemaHover);
+      elements.jsonInput.addEventListener('mouseleave', hideSchemaHover);
     }
 
     // Output mode updates with caret preservation and syntax highlighting
     if (elements.jsonOutput) {
       elements.jsonOutput.addEventListener('input', () => {
         if (isHighlighting) return;
+        cancelRunningJob();
         updateLineNumbers(currentError ? currentError.line : null);
         updateInfoPanel();
         requestAnimationFrame(() => {
@@ -197,121 +492,1813 @@
       });
     }
 
-    // Theme initialization is handled by SettingsManager in main.js
+    // Theme initialization is handled by SettingsManager in main.js
+
+    // Dialect controls
+    if (elements.inputDialect) {
+      elements.inputDialect.value = getSetting('inputDialect', 'json');
+      elements.inputDialect.addEventListener('change', (e) => saveSetting('inputDialect', e.target.value));
+    }
+    if (elements.keepComments) {
+      elements.keepComments.checked = getSetting('keepComments', true);
+      elements.keepComments.addEventListener('change', (e) => saveSetting('keepComments', e.target.checked));
+    }
+    if (elements.showWarnings) {
+      elements.showWarnings.checked = getSetting('showWarnings', true);
+      elements.showWarnings.addEventListener('change', (e) => saveSetting('showWarnings', e.target.checked));
+    }
+    if (elements.strictDuplicateKeys) {
+      elements.strictDuplicateKeys.checked = getSetting('strictDuplicateKeys', false);
+      elements.strictDuplicateKeys.addEventListener('change', (e) => saveSetting('strictDuplicateKeys', e.target.checked));
+    }
+    if (elements.interopProfile) {
+      elements.interopProfile.checked = getSetting('interopProfile', false);
+      elements.interopProfile.addEventListener('change', (e) => saveSetting('interopProfile', e.target.checked));
+    }
+    if (elements.schemaDraft) {
+      elements.schemaDraft.value = getSetting('schemaDraft', 'auto');
+      elements.schemaDraft.addEventListener('change', (e) => saveSetting('schemaDraft', e.target.value));
+    }
+    Object.keys(elements.limitInputs).forEach(key => {
+      const input = elements.limitInputs[key];
+      if (!input) return;
+      input.value = getLimits()[key];
+      input.addEventListener('change', () => {
+        // Out-of-range entries (min/max on the input) snap back to the saved limit
+        const value = Number(input.value);
+        if (Number.isInteger(value) && input.checkValidity()) {
+          saveSetting(key, value);
+        } else {
+          input.value = getLimits()[key];
+        }
+      });
+    });
+
+    // The convert button goes the other way in NDJSON mode
+    if (elements.inputDialect) {
+      elements.inputDialect.addEventListener('change', updateConvertButton);
+      elements.inputDialect.addEventListener('change', scheduleSchemaLint);
+    }
+    updateConvertButton();
+
+    // Initialize line numbers and scroll sync
+    updateLineNumbers();
+    initializeScrollSync();
+    loadSchemaParameter();
+
+    // Actions
+    async function validateJSON() {
+      const input = currentMode === 'input' ? elements.jsonInput.value : getPlainTextFromEditor();
+  
+      if (!input.trim()) {
+        showNotification('Please enter JSON data to validate', 'error');
+        return;
+      }
+  
+      clearErrorHighlights();
+  
+      const job = await runJob('validate', input, { indentation: 2, ...getParseOptions(), ...await resolveSchemaOptions(input) }, 'Validating');
+      if (!job) return;
+      const { result, parseTime, html } = job;
+      updateNormalizeButton(result.unicode);
+      // NDJSON results count lines as well; each line was checked as its own document
+      const kind = result.lines ? 'NDJSON' : 'JSON';
+      const lineText = result.lines ? `: ${describeLines(result.lines)}` : '';
+      if (result.isValid) {
+        const warnings = withUnicodeIssues(withInteropIssues(result.warnings || [], result.interop), result.unicode);
+        const warningText = warnings.length ? ` (${warnings.length} warning${warnings.length !== 1 ? 's' : ''})` : '';
+        showOutput(result.formattedFull, html);
+        if (result.schema && !result.schema.valid) {
+          reportSchemaErrors(result.schema, input, parseTime);
+          return;
+        }
+        renderErrorList(warnings, input, 'warning');
+        renderLineSummary(result.lines, input);
+        const schemaText = result.schema ? `, matches the ${JSONSchema.DRAFTS[result.schema.draft].name} schema` : '';
+        // Valid JSON that breaks a MUST rule of I-JSON may still be rejected by strict consumers
+        const broken = result.interop && !result.interop.isValid
+          ? result.interop.issues.find(issue => issue.requirement === 'MUST')
+          : null;
+        if (broken) {
+          showNotification(`✓ Valid ${kind}, but not ${result.interop.profile}: ${broken.message}`, 'warning', errorHelp(broken.code));
+        } else if (warnings.length) {
+          showNotification(`✓ Valid ${kind}${warningText}: ${warnings[0].message}`, 'warning', errorHelp(warnings[0].code));
+        } else {
+          showNotification(`✓ Valid ${kind}${schemaText}${lineText}`, 'success');
+        }
+        const interopText = broken ? ' — not I-JSON' : '';
+        const schemaStatus = result.schema ? ' — matches schema' : '';
+        updateStatusBar({ type: 'valid', text: `✓ Valid ${kind}${warningText}${interopText}${schemaStatus}`, size: new Blob([input]).size, parseTime });
+      } else {
+        // Incremental validation with partial formatting until error
+        const errorCount = (result.errors || []).length;
+        const formattedPrefix = result.formattedPrefix || '';
+        const suffix = result.suffix || '';
+        const errorForDisplay = {
+          ...result.errorInfo,
+          ...endPosition(formattedPrefix),
+          absoluteOffset: result.formattedErrorOffset
+        };
+        currentError = errorForDisplay;
+        showPartialOutput(formattedPrefix, suffix, errorForDisplay, html);
+        renderErrorList(withUnicodeIssues(result.errors || [], result.unicode), input);
+        renderLineSummary(result.lines, input);
+        const more = result.lines ? ` — ${describeLines(result.lines)}` : errorCount > 1 ? ` — ${errorCount} errors found` : '';
+        showNotification(`${errorHeading(result.errorInfo.code)} [${result.errorInfo.code}]: ${result.error} (Line ${errorForDisplay.line}, Column ${errorForDisplay.column})${more}`, 'error', errorHelp(result.errorInfo.code));
+        updateStatusBar({ type: 'invalid', text: errorCount > 1 ? `✗ Invalid ${kind} (${errorCount} errors)` : `✗ ${errorHeading(result.errorInfo.code)}`, code: result.errorInfo.code, size: new Blob([input]).size, parseTime });
+      }
+    }
+
+    async function formatJSON() {
+      const input = currentMode === 'input' ? elements.jsonInput.value : getPlainTextFromEditor();
+  
+      if (!input.trim()) {
+        showNotification('Please enter JSON data to format', 'error');
+        return;
+      }
+  
+      clearErrorHighlights();
+  
+      const job = await runJob('format', input, { indentation: 2, ...getParseOptions() }, 'Formatting');
+      if (!job) return;
+      const { result, parseTime, html } = job;
+      updateNormalizeButton(result.unicode);
+      const kind = result.lines ? 'NDJSON' : 'JSON';
+      if (result.isValid) {
+        showOutput(result.formattedFull, html);
+        renderErrorList(withUnicodeIssues(result.warnings || [], result.unicode), input, 'warning');
+        renderLineSummary(result.lines, input);
+        const lossy = (result.warnings || []).filter(warning => warning.code === 'NON_FINITE_NUMBER');
+        if (lossy.length) {
+          showNotification(lossyNumbersMessage('formatted', lossy, input), 'warning', errorHelp('NON_FINITE_NUMBER'));
+        } else {
+          // Records stay on one line each, otherwise the output would no longer be NDJSON
+          showNotification(result.lines ? 'NDJSON formatted with one record per line' : 'JSON formatted successfully', 'success');
+        }
+        updateStatusBar({ type: 'valid', text: `✓ ${kind} formatted`, size: new Blob([input]).size, parseTime });
+      } else {
+        // Partial formatting until error point
+        const formattedPrefix = result.formattedPrefix || '';
+        const suffix = result.suffix || '';
+        // Compute display line/column from formatted prefix
+        const errorForDisplay = {
+          ...result.errorInfo,
+          ...endPosition(formattedPrefix),
+          absoluteOffset: result.formattedErrorOffset
+        };
+        currentError = errorForDisplay;
+        showPartialOutput(formattedPrefix, suffix, errorForDisplay, html);
+        renderErrorList(withUnicodeIssues(result.errors || [], result.unicode), input);
+        renderLineSummary(result.lines, input);
+        showNotification(`${errorHeading(result.errorInfo.code)} [${result.errorInfo.code}]: ${result.error} (Line ${errorForDisplay.line}, Column ${errorForDisplay.column})`, 'error', errorHelp(result.errorInfo.code));
+        updateStatusBar({ type: 'invalid', text: `✗ ${errorHeading(result.errorInfo.code)} (partial formatted)`, code: result.errorInfo.code, size: new Blob([input]).size, parseTime });
+      }
+    }
+
+    async function minifyJSON() {
+      const input = currentMode === 'input' ? elements.jsonInput.value : getPlainTextFromEditor();
+
+      if (!input.trim()) {
+        showNotification('Please enter JSON data to minify', 'error');
+        return;
+      }
+
+      clearErrorHighlights();
+
+      const job = await runJob('minify', input, getParseOptions(), 'Minifying');
+      if (!job) return;
+      const { result, parseTime, html } = job;
+      const kind = result.lines ? 'NDJSON' : 'JSON';
+      if (result.isValid) {
+        showOutput(result.output, html);
+        renderErrorList(result.warnings || [], input, 'warning');
+        const lossy = (result.warnings || []).filter(warning => warning.code === 'NON_FINITE_NUMBER');
+        if (lossy.length) {
+          showNotification(lossyNumbersMessage('minified', lossy, input), 'warning', errorHelp('NON_FINITE_NUMBER'));
+        } else {
+          showNotification(`${kind} minified successfully`, 'success');
+        }
+        updateStatusBar({ type: 'valid', text: `✓ ${kind} minified`, size: new Blob([input]).size, parseTime });
+      } else {
+        const errorInfo = result.errorInfo;
+        currentError = errorInfo;
+        if (result.lines) {
+          renderErrorList(result.errors, input);
+          renderLineSummary(result.lines, input);
+        }
+        showNotification(`${errorHeading(errorInfo.code)} [${errorInfo.code}]: ${result.error} (Line ${errorInfo.line}, Column ${errorInfo.column})`, 'error', errorHelp(errorInfo.code));
+        if (currentMode === 'output') {
+          navigateToError(errorInfo);
+        } else {
+          navigateTextareaToError(errorInfo);
+        }
+        updateLineNumbers(errorInfo.line);
+        updateStatusBar({ type: 'invalid', text: `✗ ${errorHeading(errorInfo.code)}`, code: errorInfo.code, size: new Blob([input]).size, parseTime });
+      }
+    }
+
+    async function repairJSON() {
+      const input = currentMode === 'input' ? elements.jsonInput.value : getPlainTextFromEditor();
+
+      if (!input.trim()) {
+        showNotification('Please enter JSON data to repair', 'error');
+        return;
+      }
+
+      clearErrorHighlights();
+
+      const job = await runJob('repair', input, { limits: getLimits() }, 'Repairing');
+      if (!job) return;
+      const { result, parseTime, html } = job;
+      if (!result.isValid) {
+        renderErrorList(result.errors, input);
+        showNotification(`Could not repair JSON [${result.errors[0].code}]: ${result.errors[0].message}`, 'error', errorHelp(result.errors[0].code));
+        updateStatusBar({ type: 'invalid', text: '✗ Repair failed', code: result.errors[0].code, size: new Blob([input]).size });
+        return;
+      }
+      const count = result.changes.length;
+      showOutput(result.output, html);
+      // Each change links back to its location in the original input for review
+      renderErrorList(result.changes, input, 'repair');
+      if (count) {
+        showNotification(`JSON repaired with ${count} change${count !== 1 ? 's' : ''} — review them below`, 'warning');
+      } else {
+        showNotification('Nothing to repair — input is already valid JSON', 'success');
+      }
+      updateStatusBar({ type: 'valid', text: count ? `✓ JSON repaired (${count} change${count !== 1 ? 's' : ''})` : '✓ Valid JSON', size: new Blob([input]).size, parseTime });
+    }
+
+    async function openFile(file) {
+      const table = JSONCSV.isTableFile(file.name);
+      const yaml = JSONYAML.isYAMLFile(file.name);
+      // .jsonl/.ndjson files switch to NDJSON mode; a .json file switches back
+      if (JSONLines.isLinesFile(file.name)) {
+        setInputDialect('ndjson');
+      } else if (/\.(geo)?json$/i.test(file.name) && currentDialect() === 'ndjson') {
+        setInputDialect('json');
+      }
+      // Tables and YAML are converted rather than validated, so they are never streamed
+      if (!table && !yaml && file.size > STREAM_THRESHOLD && typeof file.stream === 'function') {
+        await validateLargeFile(file);
+        return;
+      }
+      if (file.size > MAX_FILE_SIZE) {
+        const size = (file.size / (1024 * 1024)).toFixed(1);
+        showNotification(`${file.name} is too large to open (${size} MB); the limit is ${MAX_FILE_SIZE / (1024 * 1024)} MB`, 'error');
+        return;
+      }
+      let decoded;
+      try {
+        decoded = JSONUnicode.decode(await file.arrayBuffer());
+      } catch (error) {
+        showNotification(`Failed to read ${file.name}: ${error.message}`, 'error');
+        return;
+      }
+      if (table) {
+        await importCSV(decoded.text, file.name);
+        return;
+      }
+      if (yaml) {
+        await importYAML(decoded.text, file.name);
+        return;
+      }
+      jobRunner.cancel();
+      elements.jsonInput.value = decoded.text;
+      loadedFile = { text: decoded.text, encoding: { encoding: decoded.encoding, bom: decoded.bom, malformed: decoded.malformed } };
+      currentError = null;
+      clearErrorList();
+      switchToInputMode();
+      updateInfoPanel();
+      updateLineNumbers();
+      updateStatusBar({ text: 'Ready', size: file.size });
+      const encoding = JSONUnicode.describeEncoding(decoded);
+      // A schema mapped to the file name in the registry is applied through the schema pane
+      const schema = window.JSONSchemaRegistry ? await JSONSchemaRegistry.findForFile(file.name) : null;
+      if (schema) applyRegistrySchema(schema);
+      if (decoded.malformed) {
+        showNotification(`Loaded ${file.name} as ${encoding}; bytes that are not valid ${decoded.encoding.toUpperCase()} were replaced with U+FFFD`, 'warning', errorHelp('REPLACEMENT_CHARACTER'));
+      } else {
+        showNotification(`Loaded ${file.name} (${encoding})${schema ? `, validating with the ${schema.name} schema` : ''}`, 'success');
+      }
+    }
+
+    // One click fixes every invisible or look-alike character the last check reported
+    async function normalizeInput() {
+      const input = currentMode === 'input' ? elements.jsonInput.value : getPlainTextFromEditor();
+      const { text, changes, remaining } = JSONUnicode.normalize(input);
+      if (!changes) {
+        updateNormalizeButton(null);
+        showNotification('No characters to normalize', 'success');
+        return;
+      }
+      jobRunner.cancel();
+      elements.jsonInput.value = text;
+      currentError = null;
+      clearErrorList();
+      switchToInputMode();
+      updateInfoPanel();
+      updateLineNumbers();
+      const left = remaining ? `; ${remaining} replacement character${remaining !== 1 ? 's' : ''} (U+FFFD) could not be restored` : '';
+      showNotification(`Normalized ${changes} character${changes !== 1 ? 's' : ''}${left}`, remaining ? 'warning' : 'success');
+      await validateJSON();
+    }
+
+    // Infers a schema from the document, or from every line together in NDJSON mode
+    async function generateSchema() {
+      const input = currentMode === 'input' ? elements.jsonInput.value : getPlainTextFromEditor();
+
+      if (!input.trim()) {
+        showNotification('Please enter JSON data to generate a schema from', 'error');
+        return;
+      }
+
+      clearErrorHighlights();
+
+      const draft = getSetting('schemaDraft', 'auto');
+      const options = { indentation: 2, ...getParseOptions(), schemaDraft: draft === 'auto' ? undefined : draft };
+      const job = await runJob('inferSchema', input, options, 'Generating schema');
+      if (!job) return;
+      const { result, parseTime, html } = job;
+      if (!result.isValid) {
+        const { code, message, line, column, position } = result.errorInfo;
+        renderErrorList(result.errors.length ? result.errors : [{ code, message, line, column, offset: position }], input);
+        renderLineSummary(result.lines, input);
+        showNotification(`Could not generate a schema [${code}]: ${message} (Line ${line}, Column ${column})`, 'error', errorHelp(code));
+        updateStatusBar({ type: 'invalid', text: '✗ Schema generation failed', code, size: new Blob([input]).size, parseTime });
+        return;
+      }
+      showOutput(result.output, html);
+      outputFilename = 'schema.json';
+      const source = result.samples > 1 ? `${result.samples.toLocaleString()} NDJSON records` : 'the document';
+      showNotification(`Schema generated from ${source}; Download saves it as ${outputFilename}`, 'success');
+      updateStatusBar({ type: 'valid', text: '✓ Schema generated', size: new Blob([input]).size, parseTime });
+    }
+
+    // Fake documents valid against the schema pane, for fixtures; NDJSON mode writes one per line.
+    // The seed is reported so the same documents can be generated again.
+    async function generateSamples() {
+      const schemaText = elements.schemaInput.value;
+
+      if (!schemaText.trim()) {
+        showNotification('Please enter a JSON Schema to generate sample data from', 'error');
+        return;
+      }
+
+      clearErrorHighlights();
+
+      const count = Math.min(Math.max(parseInt(elements.sampleCount.value, 10) || 1, 1), JSONSchemaSample.MAX_COUNT);
+      const draft = getSetting('schemaDraft', 'auto');
+      const options = {
+        indentation: 2,
+        ...getParseOptions(),
+        count,
+        seed: elements.sampleSeed.value.trim(),
+        schemaDraft: draft === 'auto' ? undefined : draft
+      };
+      const job = await runJob('sample', schemaText, options, 'Generating sample data');
+      if (!job) return;
+      const { result, parseTime, html } = job;
+      if (!result.isValid) {
+        const { code, message, line, offset } = result.errorInfo;
+        if (code === 'SCHEMA_INVALID') revealSchemaLocation(offset, 0, line, true);
+        showNotification(`${errorHeading(code)} [${code}]: ${message}`, 'error', errorHelp(code));
+        updateStatusBar({ type: 'invalid', text: '✗ Sample generation failed', code, size: new Blob([schemaText]).size, parseTime });
+        return;
+      }
+      showOutput(result.output, html);
+      outputFilename = currentDialect() === 'ndjson' ? 'samples.ndjson' : 'samples.json';
+      const documents = `${result.count} document${result.count !== 1 ? 's' : ''}`;
+      showNotification(`Generated ${documents} with seed ${result.seed}; Download saves them as ${outputFilename}`, 'success');
+      updateStatusBar({ type: 'valid', text: `✓ Generated ${documents}`, size: new Blob([result.output]).size, parseTime });
+    }
+
+    // The description is the document being edited, unless the output view is showing a response body
+    function openAPIDescription() {
+      return showingResponse || currentMode === 'input' ? elements.jsonInput.value : getPlainTextFromEditor();
+    }
+
+    // Structure, internal $ref links, operationIds and path parameters of the description;
+    // problems are listed like syntax errors and its operations fill the OpenAPI pane
+    async function checkOpenAPI() {
+      const input = openAPIDescription();
+
+      if (!input.trim()) {
+        showNotification('Please enter an OpenAPI description to check', 'error');
+        return;
+      }
+
+      clearErrorHighlights();
+
+      const job = await runJob('openapi', input, getParseOptions(), 'Checking OpenAPI description');
+      if (!job) return;
+      const { result, parseTime } = job;
+      const size = new Blob([input]).size;
+      openapiSource = input;
+      if (!result.isValid) {
+        const { code, line, column, position } = result.errorInfo;
+        renderOperations(null);
+        renderErrorList(result.errors || [], input);
+        jumpToSourceError({ line, column, offset: position });
+        showNotification(`${errorHeading(code)} [${code}]: ${result.error} (Line ${line}, Column ${column})`, 'error', errorHelp(code));
+        updateStatusBar({ type: 'invalid', text: `✗ ${errorHeading(code)}`, code, size, parseTime });
+        return;
+      }
+      renderOperations(result);
+      renderErrorList(result.errors, input, 'openapi');
+      const count = result.operations.length;
+      const operations = `${count} operation${count !== 1 ? 's' : ''}`;
+      if (result.valid) {
+        const { checked, external } = result.refs;
+        const refs = `${checked} $ref link${checked !== 1 ? 's' : ''}`;
+        const unchecked = external ? `; ${external} $ref${external !== 1 ? 's' : ''} to other files not followed` : '';
+        showNotification(`✓ Valid OpenAPI ${result.version}: ${operations}, structure and ${refs} OK${unchecked}`, 'success');
+        updateStatusBar({ type: 'valid', text: `✓ Valid OpenAPI ${result.version} (${operations})`, size, parseTime });
+        return;
+      }
+      const first = result.errors[0];
+      const more = result.errors.length > 1 ? ` — ${result.errors.length} problems found` : '';
+      jumpToSourceError(first, true);
+      showNotification(`${errorHeading(first.code)} [${first.code}]: ${first.message} (Line ${first.line}, Column ${first.column})${more}`, 'error', errorHelp(first.code));
+      updateStatusBar({ type: 'invalid', text: `✗ Invalid OpenAPI (${result.errors.length} problem${result.errors.length !== 1 ? 's' : ''})`, code: first.code, size, parseTime });
+    }
+
+    function operationKey(operation) {
+      return `${operation.method} ${operation.path}`;
+    }
+
+    function renderOperations(result) {
+      const list = elements.openapiOperations;
+      if (!list) return;
+      openapiOperations = result ? result.operations : [];
+      elements.openapiTitle.textContent = result && result.version
+        ? `OpenAPI ${result.version}${result.title ? ` — ${result.title}` : ''}`
+        : 'OpenAPI';
+      list.innerHTML = '';
+      openapiOperations.forEach(operation => {
+        const li = document.createElement('li');
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = operation.deprecated ? 'openapi-operation deprecated' : 'openapi-operation';
+        btn.dataset.operation = operationKey(operation);
+        btn.title = `${operation.operationId || operationKey(operation)} — line ${operation.line}${operation.deprecated ? ' (deprecated)' : ''}`;
+        const method = document.createElement('span');
+        method.className = 'openapi-method';
+        method.textContent = operation.method;
+        const path = document.createElement('span');
+        path.className = 'openapi-path';
+        path.textContent = operation.path;
+        const summary = document.createElement('span');
+        summary.className = 'openapi-summary';
+        summary.textContent = operation.summary || operation.operationId;
+        btn.append(method, path, summary);
+        btn.addEventListener('click', () => {
+          selectOperation(operation);
+          revealInDescription(operation);
+        });
+        li.appendChild(btn);
+        list.appendChild(li);
+      });
+      // The chosen operation survives a re-check as long as the description still has it
+      const kept = openapiOperations.find(operation => operationKey(operation) === selectedOperation);
+      selectOperation(kept || openapiOperations[0] || null);
+    }
+
+    // Responses are checked against the chosen operation; its status codes fill the status list
+    function selectOperation(operation) {
+      selectedOperation = operation ? operationKey(operation) : null;
+      elements.openapiOperations.querySelectorAll('.openapi-operation').forEach(btn => {
+        btn.setAttribute('aria-current', String(btn.dataset.operation === selectedOperation));
+      });
+      const select = elements.openapiStatus;
+      const previous = select.value;
+      select.length = 0;
+      const statuses = operation ? operation.statuses : [];
+      statuses.forEach(status => select.add(new Option(status, status)));
+      if (statuses.includes(previous)) select.value = previous;
+      select.disabled = statuses.length === 0;
+      elements.openapiValidateBtn.disabled = statuses.length === 0;
+    }
+
+    // Operations and the rules behind response errors are located in the description that was checked
+    function revealInDescription({ line, column, offset, length = 0 }) {
+      if (elements.jsonInput.value !== openapiSource) {
+        elements.jsonInput.value = openapiSource;
+      }
+      switchToInputMode();
+      updateInfoPanel();
+      navigateTextareaToError({ line, column, position: offset, selectLength: length });
+      updateLineNumbers(line);
+    }
+
+    // The body pasted in the OpenAPI pane against the chosen operation and status. It is shown formatted
+    // in the output view, where its errors are navigated like syntax errors.
+    async function validateOpenAPIResponse() {
+      const body = elements.openapiResponse.value;
+
+      if (!selectedOperation) {
+        showNotification('Check an OpenAPI description and choose one of its operations first', 'error');
+        return;
+      }
+      if (!body.trim()) {
+        showNotification('Please paste a response body to validate', 'error');
+        return;
+      }
+
+      clearErrorHighlights();
+
+      const spec = openAPIDescription();
+      const options = { indentation: 2, ...getParseOptions(), spec, operation: selectedOperation, status: elements.openapiStatus.value };
+      const job = await runJob('openapiResponse', body, options, 'Validating response');
+      if (!job) return;
+      const { result, parseTime, html } = job;
+      const size = new Blob([body]).size;
+      openapiSource = spec;
+      if (!result.isValid) {
+        const { code, line, column, position } = result.errorInfo;
+        revealPaneLocation(elements.openapiResponse, position, 0, line, true);
+        showNotification(`${errorHeading(code)} [${code}]: ${result.error} (Response line ${line}, Column ${column})`, 'error', errorHelp(code));
+        updateStatusBar({ type: 'invalid', text: `✗ ${errorHeading(code)} in the response`, code, size, parseTime });
+        return;
+      }
+      const { response } = result;
+      if (response.problem) {
+        const { code, message } = response.problem;
+        showNotification(`${errorHeading(code)} [${code}]: ${message}`, 'error', errorHelp(code));
+        updateStatusBar({ type: 'invalid', text: `✗ ${errorHeading(code)}`, code, size, parseTime });
+        return;
+      }
+      showOutput(result.output, html);
+      showingResponse = true;
+      outputFilename = 'response.json';
+      const status = response.matched === response.status ? response.status : `${response.status} (as ${response.matched})`;
+      const target = `${response.operation} ${status}, ${response.mediaType}`;
+      if (response.valid) {
+        showNotification(`✓ The response matches ${target}`, 'success');
+        updateStatusBar({ type: 'valid', text: '✓ Response matches the description', size, parseTime });
+        return;
+      }
+      const first = response.errors[0];
+      const more = response.total > 1 ? ` — ${response.total} errors found` : '';
+      renderErrorList(response.errors, result.output, 'response');
+      currentError = { ...first, position: first.offset };
+      navigateToError(currentError);
+      showNotification(`${errorHeading(first.code)} [${first.code}]: ${first.message} at ${first.instancePath || 'the root'} (Line ${first.line}, Column ${first.column}) for ${target}${more}`, 'error', errorHelp(first.code));
+      updateStatusBar({ type: 'invalid', text: `✗ Response does not match (${response.total} error${response.total !== 1 ? 's' : ''})`, code: first.code, size, parseTime });
+    }
+
+    // Structural diff of the editor (the original) against the compare pane (the changed document).
+    // Key order and formatting are ignored; arrays are matched as chosen in the pane.
+    async function compareDocuments() {
+      const left = currentInput();
+      const right = elements.diffInput.value;
+
+      if (!left.trim() || !right.trim()) {
+        showNotification('Please enter the original document in the editor and the changed one in the compare pane', 'error');
+        return;
+      }
+
+      clearErrorHighlights();
+
+      const options = {
+        ...getParseOptions(),
+        other: right,
+        arrays: elements.diffArrays.value,
+        idKey: elements.diffIdKey.value.trim() || JSONDiff.DEFAULT_ID_KEY
+      };
+      const job = await runJob('diff', left, options, 'Comparing');
+      if (!job) return;
+      const { result, parseTime } = job;
+      const size = new Blob([left]).size + new Blob([right]).size;
+      if (!result.isValid) {
+        showPairInputError(result, left, 'Original', 'Compared document', size, parseTime);
+        return;
+      }
+      diffSources = { left, right };
+      renderDiff(result);
+      if (result.equal) {
+        showNotification('✓ No differences: both documents hold the same data', 'success');
+        updateStatusBar({ type: 'valid', text: '✓ No differences', size, parseTime });
+        return;
+      }
+      showNotification(`${describeDiff(result.counts)} — F7 goes to the next change`, 'success');
+      updateStatusBar({ type: '', text: `≠ ${describeDiff(result.counts)}`, size, parseTime });
+      goToChange(0);
+    }
+
+    function describeDiff({ added, removed, changed }) {
+      const parts = [];
+      if (added) parts.push(`${added} added`);
+      if (removed) parts.push(`${removed} removed`);
+      if (changed) parts.push(`${changed} changed`);
+      return parts.join(', ');
+    }
+
+    function renderDiff(result) {
+      diffResult = result;
+      const unified = elements.diffViewMode.value === 'unified';
+      const rows = unified ? JSONDiff.toUnified(result.rows) : result.rows;
+      const body = elements.diffBody;
+      body.innerHTML = '';
+      body.classList.toggle('unified', unified);
+      const matching = { index: 'by position', id: 'by id key', lcs: 'by common subsequence' }[result.arrays];
+      elements.diffSummary.textContent = result.equal
+        ? 'No differences (key order and formatting ignored)'
+        : `${describeDiff(result.counts)} — arrays matched ${matching}`;
+
+      // Unchanged stretches longer than the context on both sides are folded behind a button
+      const near = new Array(rows.length).fill(false);
+      rows.forEach((row, k) => {
+        if (row.type === 'same') return;
+        for (let i = Math.max(0, k - DIFF_CONTEXT); i <= Math.min(rows.length - 1, k + DIFF_CONTEXT); i++) near[i] = true;
+      });
+      // Continuation lines of a value take the line where that value starts
+      const lines = { left: 0, right: 0 };
+      const elementsFor = rows.map(row => {
+        if (unified) {
+          if (row.line) lines[row.side] = row.line;
+          return diffRowElement(row, [[row.side, row.text, { same: ' ', add: '+', remove: '-' }[row.type], row.line, lines[row.side]]]);
+        }
+        if (row.leftLine) lines.left = row.leftLine;
+        if (row.rightLine) lines.right = row.rightLine;
+        return diffRowElement(row, [['left', row.left, null, row.leftLine, lines.left], ['right', row.right, null, row.rightLine, lines.right]]);
+      });
+      for (let k = 0; k < rows.length;) {
+        let end = k;
+        while (end < rows.length && !near[end]) end++;
+        if (end - k > 1) {
+          const hidden = elementsFor.slice(k, end);
+          const fold = document.createElement('button');
+          fold.type = 'button';
+          fold.className = 'diff-fold';
+          fold.textContent = `⋯ ${hidden.length} unchanged lines`;
+          fold.addEventListener('click', () => fold.replaceWith(...hidden));
+          body.appendChild(fold);
+          k = end;
+        } else {
+          body.appendChild(elementsFor[k]);
+          k++;
+        }
+      }
+
+      diffAnchors = Array.from(body.querySelectorAll('.diff-row[data-change]'));
+      diffCurrent = -1;
+      elements.diffPosition.textContent = '';
+      elements.diffPrevBtn.disabled = diffAnchors.length === 0;
+      elements.diffNextBtn.disabled = diffAnchors.length === 0;
+      elements.diffView.hidden = false;
+    }
+
+    // cells: [side, text, marker, line number shown, line a click goes to]
+    function diffRowElement(row, cells) {
+      const element = document.createElement('div');
+      element.className = `diff-row diff-${row.type}`;
+      if (row.change !== undefined) element.dataset.change = row.change;
+      cells.forEach(([side, text, marker, shownLine, targetLine]) => {
+        const cell = document.createElement('div');
+        cell.className = text === null ? `diff-cell diff-${side} empty` : `diff-cell diff-${side}`;
+        const number = document.createElement('span');
+        number.className = 'diff-line-no';
+        number.textContent = shownLine || '';
+        cell.appendChild(number);
+        if (marker) {
+          const sign = document.createElement('span');
+          sign.className = 'diff-marker';
+          sign.textContent = marker;
+          cell.appendChild(sign);
+        }
+        const code = document.createElement('span');
+        code.className = 'diff-text';
+        code.textContent = text === null ? '' : text;
+        cell.appendChild(code);
+        if (text !== null && targetLine) {
+          cell.title = `Line ${targetLine} of the ${side === 'left' ? 'original' : 'compared'} document`;
+          cell.addEventListener('click', () => revealDiffLine(side, targetLine));
+        }
+        element.appendChild(cell);
+      });
+      return element;
+    }
+
+    function goToChange(index) {
+      if (!diffAnchors.length) return;
+      diffCurrent = (index + diffAnchors.length) % diffAnchors.length;
+      diffAnchors.forEach((anchor, k) => anchor.classList.toggle('current', k === diffCurrent));
+      const anchor = diffAnchors[diffCurrent];
+      const body = elements.diffBody;
+      body.scrollTop = Math.max(0, anchor.offsetTop - body.clientHeight / 2);
+      elements.diffPosition.textContent = `Change ${diffCurrent + 1} of ${diffAnchors.length}`;
+    }
+
+    // The original is shown in the editor and the changed document in the compare pane
+    function revealDiffLine(side, line) {
+      const source = side === 'left' ? diffSources.left : diffSources.right;
+      const offset = JSONParser.computeLineStarts(source)[line - 1] || 0;
+      if (side === 'right') {
+        if (!isDiffPaneOpen()) toggleDiffPane(true);
+        if (elements.diffInput.value !== source) elements.diffInput.value = source;
+        revealPaneLocation(elements.diffInput, offset, 0, line, true);
+        return;
+      }
+      if (elements.jsonInput.value !== source) {
+        elements.jsonInput.value = source;
+      }
+      switchToInputMode();
+      updateInfoPanel();
+      navigateTextareaToError({ line, column: 1, position: offset });
+      updateLineNumbers(line);
+    }
+
+    const PATCH_NAMES = { 'json-patch': 'JSON Patch', 'merge-patch': 'Merge Patch' };
+
+    // A patch that turns the editor's document into the compare pane's; arrays are matched as for Compare
+    async function createPatch() {
+      const left = currentInput();
+      const right = elements.diffInput.value;
+
+      if (!left.trim() || !right.trim()) {
+        showNotification('Please enter the original document in the editor and the changed one in the compare pane', 'error');
+        return;
+      }
+
+      clearErrorHighlights();
+
+      const format = elements.patchFormat.value;
+      const options = {
+        indentation: 2,
+        ...getParseOptions(),
+        other: right,
+        format,
+        arrays: elements.diffArrays.value,
+        idKey: elements.diffIdKey.value.trim() || JSONDiff.DEFAULT_ID_KEY
+      };
+      const job = await runJob('createPatch', left, options, 'Creating patch');
+      if (!job) return;
+      const { result, parseTime, html } = job;
+      const size = new Blob([left]).size + new Blob([right]).size;
+      if (!result.isValid) {
+        showPairInputError(result, left, 'Original', 'Compared document', size, parseTime);
+        return;
+      }
+      showOutput(result.output, html);
+      outputFilename = format === 'merge-patch' ? 'merge-patch.json' : 'patch.json';
+      const name = PATCH_NAMES[format];
+      const count = `${result.operations} ${format === 'merge-patch' ? 'change' : 'operation'}${result.operations !== 1 ? 's' : ''}`;
+      if (result.lossy.length) {
+        const shown = result.lossy.slice(0, 3).join(', ') + (result.lossy.length > 3 ? ', …' : '');
+        showNotification(`${name} created (${count}), but a merge patch cannot set members to null: ${shown}. Use a JSON Patch to keep them.`, 'warning');
+      } else {
+        showNotification(`${name} created with ${count}; Download saves it as ${outputFilename}`, 'success');
+      }
+      updateStatusBar({ type: 'valid', text: `✓ ${name} created`, size, parseTime });
+    }
+
+    // Applies the patch in the compare pane to the editor's document; the result replaces nothing
+    // until it is copied or downloaded, so a failed test leaves both texts as they were
+    async function applyPatch() {
+      const input = currentInput();
+      const patchText = elements.diffInput.value;
+
+      if (!input.trim() || !patchText.trim()) {
+        showNotification('Please enter a document in the editor and the patch to apply in the compare pane', 'error');
+        return;
+      }
+
+      clearErrorHighlights();
+
+      const format = elements.patchFormat.value;
+      const options = { indentation: 2, ...getParseOptions(), patch: patchText, format };
+      const job = await runJob('applyPatch', input, options, 'Applying patch');
+      if (!job) return;
+      const { result, parseTime, html } = job;
+      const size = new Blob([input]).size + new Blob([patchText]).size;
+      if (!result.isValid && !result.problem) {
+        showPairInputError(result, input, 'Document', 'Patch', size, parseTime);
+        return;
+      }
+      if (!result.isValid) {
+        const { code, message, offset, length, line, column } = result.problem;
+        if (!isDiffPaneOpen()) toggleDiffPane(true);
+        revealPaneLocation(elements.diffInput, offset, length, line, true);
+        showNotification(`${errorHeading(code)} [${code}]: ${message} (patch line ${line}, column ${column}). Nothing was applied.`, 'error', errorHelp(code));
+        updateStatusBar({ type: 'invalid', text: `✗ ${errorHeading(code)}`, code, size, parseTime });
+        return;
+      }
+      showOutput(result.output, html);
+      outputFilename = 'patched.json';
+      const name = PATCH_NAMES[format];
+      showNotification(`${name} applied; Download saves the result as ${outputFilename}`, 'success');
+      updateStatusBar({ type: 'valid', text: `✓ ${name} applied`, size: new Blob([input]).size, parseTime });
+    }
+
+    // A syntax error in the editor's text or in the compare pane's
+    function showPairInputError(result, source, editorName, paneName, size, parseTime) {
+      const { code, line, column, position } = result.errorInfo;
+      const inEditor = result.side === 'left' || result.side === 'document';
+      const which = inEditor ? editorName : paneName;
+      if (inEditor) {
+        renderErrorList(result.errors || [], source);
+        jumpToSourceError({ line, column, offset: position });
+      } else {
+        revealPaneLocation(elements.diffInput, position, 0, line, true);
+      }
+      showNotification(`${which}: ${errorHeading(code)} [${code}]: ${result.error} (Line ${line}, Column ${column})`, 'error', errorHelp(code));
+      updateStatusBar({ type: 'invalid', text: `✗ ${which} is not valid`, code, size, parseTime });
+    }
+
+    // Merges their changes since the base into the editor's document (ours). Conflicts are listed in the
+    // pane with a picker each; until one is picked, ours is used, so the output is always a document.
+    // Pickers merge the same texts again, since the output view now shows the merged result.
+    async function mergeDocuments(sources = readMergeSources()) {
+      if (!sources.base.trim() || !sources.ours.trim() || !sources.theirs.trim()) {
+        showNotification('Please enter our version in the editor, and the base and their version in the merge pane', 'error');
+        return;
+      }
+
+      // Picks belong to the conflicts of the texts they were made on
+      const same = mergeSources && Object.keys(sources).every(key => sources[key] === mergeSources[key]);
+      if (!same) mergeResolutions = [];
+
+      clearErrorHighlights();
+
+      const options = {
+        indentation: 2,
+        ...getParseOptions(),
+        base: sources.base,
+        theirs: sources.theirs,
+        arrays: sources.arrays,
+        idKey: sources.idKey,
+        resolutions: mergeResolutions
+      };
+      const job = await runJob('merge', sources.ours, options, 'Merging');
+      if (!job) return;
+      const { result, parseTime, html } = job;
+      const size = new Blob([sources.base]).size + new Blob([sources.ours]).size + new Blob([sources.theirs]).size;
+      if (!result.isValid) {
+        const { code, line, column, position } = result.errorInfo;
+        const which = { base: 'Base', ours: 'Our version', theirs: 'Their version' }[result.side];
+        if (result.side === 'ours') {
+          renderErrorList(result.errors || [], sources.ours);
+          jumpToSourceError({ line, column, offset: position });
+        } else {
+          revealPaneLocation(result.side === 'base' ? elements.mergeBase : elements.mergeTheirs, position, 0, line, true);
+        }
+        showNotification(`${which}: ${errorHeading(code)} [${code}]: ${result.error} (Line ${line}, Column ${column})`, 'error', errorHelp(code));
+        updateStatusBar({ type: 'invalid', text: `✗ ${which} is not valid`, code, size, parseTime });
+        return;
+      }
+
+      mergeSources = sources;
+      showOutput(result.output, html);
+      outputFilename = 'merged.json';
+      renderConflicts(result.conflicts);
+      const total = result.conflicts.length;
+      if (!total) {
+        elements.mergeStatus.textContent = 'No conflicts';
+        showNotification(`✓ Merged without conflicts; Download saves the result as ${outputFilename}`, 'success');
+        updateStatusBar({ type: 'valid', text: '✓ Merged', size, parseTime });
+        return;
+      }
+      const count = `${total} conflict${total !== 1 ? 's' : ''}`;
+      elements.mergeStatus.textContent = result.open ? `${count}, ${result.open} using ours` : `${count}, all resolved`;
+      if (result.open) {
+        showNotification(`Merged with ${count}; until you pick a side in the merge pane, ours is used`, 'warning');
+        updateStatusBar({ type: '', text: `⚠ ${count} (${result.open} open)`, size, parseTime });
+      } else {
+        showNotification(`✓ Merged; all ${count} resolved`, 'success');
+        updateStatusBar({ type: 'valid', text: `✓ Merged, ${count} resolved`, size, parseTime });
+      }
+    }
+
+    function readMergeSources() {
+      return {
+        base: elements.mergeBase.value,
+        ours: currentInput(),
+        theirs: elements.mergeTheirs.value,
+        arrays: elements.mergeArrays.value,
+        idKey: elements.mergeIdKey.value.trim() || JSONDiff.DEFAULT_ID_KEY
+      };
+    }
+
+    const CHOICE_LABELS = [['ours', 'Ours'], ['theirs', 'Theirs'], ['manual', 'Manual']];
+
+    function renderConflicts(conflicts) {
+      const list = elements.mergeConflicts;
+      list.innerHTML = '';
+      conflicts.forEach(conflict => {
+        const item = document.createElement('li');
+        item.className = mergeResolutions[conflict.index] ? 'merge-conflict' : 'merge-conflict open';
+
+        const pointer = document.createElement('button');
+        pointer.type = 'button';
+        pointer.className = 'merge-pointer';
+        pointer.textContent = conflict.pointer || '(root)';
+        pointer.title = 'Show in our version';
+        pointer.addEventListener('click', () => revealMergeLocation('ours', conflict.oursLocation));
+        const message = document.createElement('span');
+        message.className = 'merge-message';
+        message.textContent = conflict.message;
+        item.append(pointer, message);
+
+        ['base', 'ours', 'theirs'].forEach(side => {
+          const row = document.createElement('button');
+          row.type = 'button';
+          row.className = 'merge-side';
+          const name = document.createElement('span');
+          name.className = 'merge-side-name';
+          name.textContent = side;
+          const value = document.createElement('span');
+          value.className = 'merge-side-value';
+          value.textContent = conflict[side] === null ? '(missing)' : conflict[side];
+          row.append(name, value);
+          row.title = conflict[side] === null ? '' : conflict[side];
+          row.addEventListener('click', () => revealMergeLocation(side, conflict[`${side}Location`]));
+          item.appendChild(row);
+        });
+
+        const choices = document.createElement('div');
+        choices.className = 'merge-choice';
+        choices.setAttribute('role', 'radiogroup');
+        choices.setAttribute('aria-label', `Resolution for ${conflict.pointer || 'the root'}`);
+        const manual = document.createElement('textarea');
+        manual.className = 'merge-manual';
+        manual.spellcheck = false;
+        manual.setAttribute('aria-label', 'Manual value');
+        manual.hidden = conflict.choice !== 'manual';
+        const picked = mergeResolutions[conflict.index];
+        manual.value = picked && picked.choice === 'manual' ? picked.value : manualStart(conflict);
+        CHOICE_LABELS.forEach(([choice, label]) => {
+          const option = document.createElement('label');
+          const radio = document.createElement('input');
+          radio.type = 'radio';
+          radio.name = `merge-choice-${conflict.index}`;
+          radio.value = choice;
+          radio.checked = conflict.choice === choice;
+          radio.addEventListener('change', () => {
+            manual.hidden = choice !== 'manual';
+            // A manual value is merged once it has been edited
+            if (choice === 'manual') {
+              manual.focus();
+              return;
+            }
+            mergeResolutions[conflict.index] = { choice };
+            mergeDocuments(mergeSources);
+          });
+          option.append(radio, ` ${label}`);
+          choices.appendChild(option);
+        });
+        manual.addEventListener('change', () => {
+          mergeResolutions[conflict.index] = { choice: 'manual', value: manual.value };
+          mergeDocuments(mergeSources);
+        });
+        item.append(choices, manual);
+
+        if (conflict.error) {
+          const error = document.createElement('span');
+          error.className = 'merge-error';
+          error.textContent = conflict.error;
+          item.appendChild(error);
+        }
+        list.appendChild(item);
+      });
+    }
+
+    function clearMerge() {
+      if (!elements.mergeConflicts) return;
+      elements.mergeConflicts.innerHTML = '';
+      elements.mergeStatus.textContent = '';
+      mergeResolutions = [];
+      mergeSources = null;
+    }
+
+    // A manual value starts from both sides' insertions, or from ours
+    function manualStart(conflict) {
+      if (conflict.kind === 'items') return `[${conflict.ours.slice(1, -1)},${conflict.theirs.slice(1, -1)}]`;
+      return conflict.ours === null ? conflict.theirs : conflict.ours;
+    }
+
+    // Our version is the editor; the base and theirs are in the merge pane
+    function revealMergeLocation(side, location) {
+      if (!location) return;
+      if (side !== 'ours') {
+        if (!isMergePaneOpen()) toggleMergePane(true);
+        revealPaneLocation(side === 'base' ? elements.mergeBase : elements.mergeTheirs, location.offset, location.length, location.line, true);
+        return;
+      }
+      if (mergeSources && elements.jsonInput.value !== mergeSources.ours) elements.jsonInput.value = mergeSources.ours;
+      switchToInputMode();
+      updateInfoPanel();
+      navigateTextareaToError({ line: location.line, column: location.column, position: location.offset });
+      updateLineNumbers(location.line);
+    }
+
+    // A table of the records in the editor for spreadsheets: an array's elements, or every NDJSON line.
+    // While the output view shows the table, converting again (with other options) reads the same records.
+    async function exportCSV() {
+      const input = currentMode === 'output' && tableOutput !== null ? tableSource : currentInput();
+
+      if (!input.trim()) {
+        showNotification('Please enter JSON records to convert to CSV', 'error');
+        return;
+      }
+
+      clearErrorHighlights();
+
+      const delimiter = elements.csvDelimiter.value === 'tab' ? '\t' : elements.csvDelimiter.value;
+      const options = {
+        ...getParseOptions(),
+        delimiter,
+        quoting: elements.csvQuoting.value,
+        arrays: elements.csvArrays.value,
+        joinWith: elements.csvJoinWith.value,
+        header: elements.csvHeader.value,
+        columns: elements.csvColumns.value.split(',').map(column => column.trim()),
+        includeHeader: elements.csvIncludeHeader.checked
+      };
+      const job = await runJob('toCSV', input, options, 'Converting to CSV');
+      if (!job) return;
+      const { result, parseTime, html } = job;
+      const size = new Blob([input]).size;
+      if (!result.isValid && !result.errorInfo) {
+        showNotification(result.error, 'error');
+        updateStatusBar({ type: 'invalid', text: '✗ CSV conversion failed', size, parseTime });
+        return;
+      }
+      if (!result.isValid) {
+        const { code, message, line, column, position } = result.errorInfo;
+        renderErrorList(result.errors.length ? result.errors : [{ code, message, line, column, offset: position }], input);
+        renderLineSummary(result.lines, input);
+        showNotification(`Could not convert to CSV [${code}]: ${message} (Line ${line}, Column ${column})`, 'error', errorHelp(code));
+        updateStatusBar({ type: 'invalid', text: '✗ CSV conversion failed', code, size, parseTime });
+        return;
+      }
+      renderCSVColumns(result.columns);
+      if (!result.output) {
+        showNotification('The records have no values to put in columns', 'warning');
+        return;
+      }
+      showOutput(result.output, html);
+      tableOutput = result.output;
+      tableSource = input;
+      outputFilename = delimiter === '\t' ? 'data.tsv' : 'data.csv';
+      const table = `${result.rows.toLocaleString()} row${result.rows !== 1 ? 's' : ''} × ${result.columns.length} column${result.columns.length !== 1 ? 's' : ''}`;
+      showNotification(`Converted to a table of ${table}; Download saves it as ${outputFilename}`, 'success');
+      updateStatusBar({ type: 'valid', text: `✓ ${table}`, size, parseTime });
+    }
+
+    // Rows of a CSV or TSV table become a JSON array in the editor. A table that cannot be read is put
+    // in the editor as it is, with the error marked, so it can be fixed and imported again.
+    async function importCSV(text, name = null) {
+      if (!text.trim()) {
+        showNotification('Please enter a CSV or TSV table to import', 'error');
+        return;
+      }
+
+      clearErrorHighlights();
+
+      const options = { indentation: 2, limits: getLimits(), delimiter: name && /\.tsv$/i.test(name) ? '\t' : undefined };
+      const job = await runJob('fromCSV', text, options, 'Importing CSV');
+      if (!job) return;
+      const { result, parseTime } = job;
+      const size = new Blob([text]).size;
+      elements.jsonInput.value = result.isValid ? result.output : text;
+      loadedFile = null;
+      currentError = null;
+      clearErrorList();
+      switchToInputMode();
+      updateInfoPanel();
+      if (!result.isValid) {
+        const { code, message, line, column } = result.errorInfo;
+        navigateTextareaToError(result.errorInfo);
+        updateLineNumbers(line);
+        showNotification(`${errorHeading(code)} [${code}]: ${message} (Line ${line}, Column ${column})`, 'error', errorHelp(code));
+        updateStatusBar({ type: 'invalid', text: '✗ CSV import failed', code, size, parseTime });
+        return;
+      }
+      // The rows come back as one JSON array
+      if (currentDialect() === 'ndjson') setInputDialect('json');
+      updateLineNumbers();
+      const table = `${result.rows.toLocaleString()} row${result.rows !== 1 ? 's' : ''} × ${result.columns} column${result.columns !== 1 ? 's' : ''}`;
+      showNotification(name ? `Imported ${table} from ${name}` : `Imported ${table}`, 'success');
+      updateStatusBar({ type: 'valid', text: `✓ ${table} imported`, size, parseTime });
+    }
+
+    function showCSVOptions() {
+      elements.csvJoinWith.hidden = elements.csvArrays.value !== 'join';
+      elements.csvColumns.hidden = elements.csvHeader.value !== 'custom';
+    }
+
+    // Clicking a column adds it to the custom order, so a few clicks put the important ones first
+    function renderCSVColumns(columns) {
+      const list = elements.csvColumnList;
+      list.innerHTML = '';
+      columns.forEach(column => {
+        const item = document.createElement('li');
+        const name = document.createElement('button');
+        name.type = 'button';
+        name.className = 'csv-column';
+        name.textContent = column;
+        name.title = 'Add to the custom column order';
+        name.addEventListener('click', () => {
+          const chosen = elements.csvColumns.value.split(',').map(entry => entry.trim()).filter(Boolean);
+          if (!chosen.includes(column)) chosen.push(column);
+          elements.csvColumns.value = chosen.join(', ');
+          elements.csvHeader.value = 'custom';
+          saveSetting('csvColumns', elements.csvColumns.value);
+          saveSetting('csvHeader', 'custom');
+          showCSVOptions();
+        });
+        item.appendChild(name);
+        list.appendChild(item);
+      });
+    }
+
+    // YAML of the JSON in the editor; NDJSON lines become a stream of "---" documents
+    async function exportYAML() {
+      const input = currentMode === 'output' && yamlSource !== null ? yamlSource : currentInput();
+
+      if (!input.trim()) {
+        showNotification('Please enter JSON to convert to YAML', 'error');
+        return;
+      }
+
+      clearErrorHighlights();
+
+      const job = await runJob('toYAML', input, { indentation: 2, ...getParseOptions() }, 'Converting to YAML');
+      if (!job) return;
+      const { result, parseTime, html } = job;
+      const size = new Blob([input]).size;
+      if (!result.isValid) {
+        const { code, message, line, column, position } = result.errorInfo;
+        renderErrorList(result.errors.length ? result.errors : [{ code, message, line, column, offset: position }], input);
+        if (result.lines) renderLineSummary(result.lines, input);
+        showNotification(`Could not convert to YAML [${code}]: ${message} (Line ${line}, Column ${column})`, 'error', errorHelp(code));
+        updateStatusBar({ type: 'invalid', text: '✗ YAML conversion failed', code, size, parseTime });
+        return;
+      }
+      showOutput(result.output, html);
+      yamlSource = input;
+      outputFilename = 'data.yaml';
+      const documents = result.documents === 1 ? 'one document' : `${result.documents.toLocaleString()} documents`;
+      showNotification(`Converted to YAML (${documents}); Download saves it as ${outputFilename}`, 'success');
+      updateStatusBar({ type: 'valid', text: '✓ Converted to YAML', size, parseTime });
+    }
+
+    // YAML becomes JSON in the editor, with anchors and aliases expanded. Like a table, YAML that cannot be
+    // read is put in the editor as it is, with the error marked.
+    async function importYAML(text, name = null) {
+      if (!text.trim()) {
+        showNotification('Please enter YAML to import', 'error');
+        return;
+      }
+
+      clearErrorHighlights();
+
+      const lines = elements.yamlDocuments && elements.yamlDocuments.value === 'lines';
+      const options = { indentation: 2, limits: getLimits(), dialect: lines ? 'ndjson' : 'json' };
+      const job = await runJob('fromYAML', text, options, 'Importing YAML');
+      if (!job) return;
+      const { result, parseTime } = job;
+      const size = new Blob([text]).size;
+      elements.jsonInput.value = result.isValid ? result.output : text;
+      loadedFile = null;
+      currentError = null;
+      clearErrorList();
+      switchToInputMode();
+      updateInfoPanel();
+      if (!result.isValid) {
+        const { code, message, line, column } = result.errorInfo;
+        navigateTextareaToError(result.errorInfo);
+        updateLineNumbers(line);
+        showNotification(`${errorHeading(code)} [${code}]: ${message} (Line ${line}, Column ${column})`, 'error', errorHelp(code));
+        updateStatusBar({ type: 'invalid', text: '✗ YAML import failed', code, size, parseTime });
+        return;
+      }
+      // Several documents as lines only make sense in NDJSON mode; anything else is one JSON value
+      const dialect = lines && result.documents > 1 ? 'ndjson' : 'json';
+      if (currentDialect() !== dialect) setInputDialect(dialect);
+      updateLineNumbers();
+      const documents = result.documents === 1 ? 'one document' : `${result.documents.toLocaleString()} documents`;
+      showNotification(name ? `Imported ${documents} from ${name}` : `Imported ${documents} of YAML`, 'success');
+      updateStatusBar({ type: 'valid', text: '✓ YAML imported', size, parseTime });
+    }
+
+    function closeDiffView() {
+      if (!elements.diffView) return;
+      elements.diffView.hidden = true;
+      elements.diffBody.innerHTML = '';
+      diffResult = null;
+      diffAnchors = [];
+      diffCurrent = -1;
+    }
+
+    // NDJSON mode joins the lines into one JSON array; the other modes split an array into lines.
+    // The result is shown in the matching mode so it can be validated straight away.
+    async function convertLines() {
+      const input = currentMode === 'input' ? elements.jsonInput.value : getPlainTextFromEditor();
+
+      if (!input.trim()) {
+        showNotification('Please enter JSON data to convert', 'error');
+        return;
+      }
+
+      clearErrorHighlights();
+
+      const toArray = currentDialect() === 'ndjson';
+      const job = await runJob(toArray ? 'toArray' : 'toNDJSON', input, { indentation: 2, ...getParseOptions() }, 'Converting');
+      if (!job) return;
+      const { result, parseTime, html } = job;
+      if (!result.isValid) {
+        const { code, message, line, column, position } = result.errorInfo;
+        renderErrorList(result.errors.length ? result.errors : [{ code, message, line, column, offset: position }], input);
+        renderLineSummary(result.lines, input);
+        showNotification(`Could not convert [${code}]: ${message} (Line ${line}, Column ${column})`, 'error', errorHelp(code));
+        updateStatusBar({ type: 'invalid', text: '✗ Conversion failed', code, size: new Blob([input]).size, parseTime });
+        return;
+      }
+      showOutput(result.output, html);
+      setInputDialect(toArray ? 'json' : 'ndjson');
+      const count = result.count.toLocaleString();
+      showNotification(toArray
+        ? `Converted ${count} NDJSON record${result.count !== 1 ? 's' : ''} to a JSON array`
+        : `Converted ${count} array element${result.count !== 1 ? 's' : ''} to NDJSON`, 'success');
+      updateStatusBar({ type: 'valid', text: toArray ? '✓ Converted to JSON array' : '✓ Converted to NDJSON', size: new Blob([input]).size, parseTime });
+    }
+
+    function currentDialect() {
+      return elements.inputDialect ? elements.inputDialect.value : getSetting('inputDialect', 'json');
+    }
+
+    function setInputDialect(dialect) {
+      if (elements.inputDialect) elements.inputDialect.value = dialect;
+      saveSetting('inputDialect', dialect);
+      updateConvertButton();
+    }
+
+    function updateConvertButton() {
+      const button = elements.convertLinesBtn;
+      if (!button) return;
+      const toArray = currentDialect() === 'ndjson';
+      const label = button.querySelector('.btn-label');
+      if (label) label.textContent = toArray ? 'To Array' : 'To NDJSON';
+      button.title = toArray
+        ? 'Convert NDJSON to a JSON array holding one element per line'
+        : 'Convert a JSON array to NDJSON, one element per line';
+    }
+
+    function updateNormalizeButton(unicode) {
+      if (!elements.normalizeBtn) return;
+      const fixable = unicode ? unicode.issues.filter(issue => issue.replacement !== null).length : 0;
+      elements.normalizeBtn.hidden = fixable === 0;
+      const more = unicode && unicode.total > unicode.issues.length ? '+' : '';
+      elements.normalizeBtn.title = fixable
+        ? `Fix ${fixable}${more} invisible or look-alike character${fixable !== 1 ? 's' : ''}`
+        : 'Remove invisible characters and replace look-alike quotes and spaces';
+    }
+
+    // Suspicious characters join the list in source order. The parser already reports
+    // control characters in strings, so those are not listed twice.
+    function withUnicodeIssues(list, unicode) {
+      if (!unicode || !unicode.issues.length) return list;
+      const taken = new Set(list.map(item => item.code + '@' + item.offset));
+      return list.concat(unicode.issues.filter(issue => !taken.has(issue.code + '@' + issue.offset)))
+        .sort((a, b) => a.offset - b.offset);
+    }
+
+    // I-JSON issues replace the parser's own warning for the same problem (duplicate keys,
+    // unsafe integers), since they also carry the RFC section and requirement level
+    function withInteropIssues(list, interop) {
+      if (!interop || !interop.issues.length) return list;
+      const taken = new Set(interop.issues.map(issue => issue.code + '@' + issue.offset));
+      return list.filter(item => !taken.has(item.code + '@' + item.offset)).concat(interop.issues)
+        .sort((a, b) => a.offset - b.offset);
+    }
+
+    // Checks the file chunk by chunk in the worker; the editor only gets a read-only preview
+    async function validateLargeFile(file) {
+      clearErrorHighlights();
+      const options = {
+        ...getParseOptions(),
+        previewNodes: getSetting('streamPreviewNodes', JSONStreamValidator.DEFAULT_PREVIEW_NODES)
+      };
+      const job = await runJob('stream', file, options, `Streaming ${file.name}`);
+      if (!job) return;
+      const { result, parseTime, html } = job;
+      currentError = null;
+      showOutput(result.previewText, html);
+      elements.jsonOutput.removeAttribute('contenteditable');
+      if (result.lines) {
+        validatedLargeLinesFile(file, result, parseTime);
+        return;
+      }
+      // Only keys inside the preview are checked for duplicates
+      const warnings = options.showWarnings ? result.warnings : [];
+      renderStreamSummary(file, result, warnings);
+      if (result.isValid && result.encoding.malformed) {
+        showNotification(`✓ Valid JSON: ${file.name}, but ${replacedBytes(result.encoding)}`, 'warning', errorHelp('REPLACEMENT_CHARACTER'));
+      } else if (result.isValid && warnings.length) {
+        showNotification(`✓ Valid JSON: ${file.name}, but the preview has ${warnings.length} duplicate key${warnings.length !== 1 ? 's' : ''}: ${warnings[0].message}`, 'warning', errorHelp(warnings[0].code));
+      } else if (result.isValid) {
+        showNotification(`✓ Valid JSON: ${file.name} (${result.nodes.toLocaleString()} nodes, depth ${result.maxDepth})`, 'success');
+      } else {
+        const { code, message, line, column } = result.error;
+        showNotification(`${errorHeading(code)} [${code}]: ${message} (Line ${line}, Column ${column})`, 'error', errorHelp(code));
+      }
+      updateStatusBar({
+        type: result.isValid ? 'valid' : 'invalid',
+        text: result.isValid ? '✓ Valid JSON (streamed)' : '✗ Invalid JSON (streamed)',
+        code: result.isValid ? undefined : result.error.code,
+        size: file.size,
+        parseTime
+      });
+    }
+
+    function renderStreamSummary(file, result, warnings) {
+      const panel = elements.streamSummary;
+      if (!panel) return;
+      const { counts } = result;
+      const n = (value) => value.toLocaleString();
+      const rows = [['Size', `${n(file.size)} bytes, ${n(result.lines)} lines`]];
+      rows.push(['Encoding', JSONUnicode.describeEncoding(result.encoding) +
+        (result.encoding.malformed ? `; ${replacedBytes(result.encoding)} [REPLACEMENT_CHARACTER]` : '')]);
+      if (result.error) {
+        const { code, message, line, column, pointer } = result.error;
+        rows.push(['Error', `Line ${line}, Column ${column}${pointer ? ` (at ${pointer})` : ''}: [${code}] ${message}`]);
+      }
+      rows.push(
+        [result.isValid ? 'Nodes' : 'Nodes before error', `${n(result.nodes)} — ${n(counts.objects)} objects, ${n(counts.arrays)} arrays, ` +
+          `${n(counts.strings)} strings, ${n(counts.numbers)} numbers, ${n(counts.booleans)} booleans, ${n(counts.nulls)} nulls`],
+        ['Properties', n(counts.properties)],
+        ['Max depth', n(result.maxDepth)],
+        ['Preview', result.previewTruncated
+          ? `First ${n(result.previewNodes)} nodes (read-only)`
+          : `All ${n(result.previewNodes)} nodes (read-only)`]
+      );
+      warnings.slice(0, 5).forEach(warning => {
+        rows.push(['Warning', `Line ${warning.line}, Column ${warning.column}: [${warning.code}] ${warning.message}; the preview shows the later value`]);
+      });
+      if (warnings.length > 5) rows.push(['Warnings', `${n(warnings.length - 5)} more duplicate keys in the preview`]);
+
+      panel.innerHTML = '';
+      panel.classList.toggle('invalid', !result.isValid);
+      const heading = document.createElement('div');
+      heading.className = 'stream-summary-header';
+      heading.textContent = `${file.name}: ${result.isValid ? 'valid JSON' : 'invalid JSON'} (strict JSON, validated as a stream)`;
+      panel.appendChild(heading);
+      const dl = document.createElement('dl');
+      rows.forEach(([term, detail]) => {
+        const dt = document.createElement('dt');
+        dt.textContent = term;
+        const dd = document.createElement('dd');
+        dd.textContent = detail;
+        dl.append(dt, dd);
+      });
+      panel.appendChild(dl);
+      panel.hidden = false;
+    }
+
+    // NDJSON files are streamed line by line; every invalid line is counted, the first ones listed
+    // Well-formed JSON that the schema rejects, or a schema that cannot be used
+    function reportSchemaErrors(schema, input, parseTime) {
+      const size = new Blob([input]).size;
+      if (schema.schemaError) {
+        const problem = schema.schemaError;
+        clearErrorList();
+        showNotification(`${errorHeading(problem.code)} [${problem.code}]: ${problem.message} (Schema line ${problem.line}, Column ${problem.column})`, 'error', errorHelp(problem.code));
+        revealSchemaLocation(problem.offset, 0, problem.line, true);
+        updateStatusBar({ type: 'invalid', text: `✗ ${errorHeading(problem.code)}`, code: problem.code, size, parseTime });
+        return;
+      }
+      const first = schema.errors[0];
+      const more = schema.total > 1 ? ` — ${schema.total} errors found` : '';
+      renderErrorList(schema.errors, input, 'schema');
+      showNotification(`${errorHeading(first.code)} [${first.code}]: ${first.message} at ${first.instancePath || 'the root'} (Line ${first.line}, Column ${first.column})${more}`, 'error', errorHelp(first.code));
+      updateStatusBar({ type: 'invalid', text: `✗ Valid JSON, ${schema.total} schema error${schema.total !== 1 ? 's' : ''}`, code: first.code, size, parseTime });
+    }
+
+    function validatedLargeLinesFile(file, result, parseTime) {
+      renderLineSummary(result.lines, null, {
+        title: `${file.name}: ${describeLines(result.lines)} (NDJSON, validated as a stream)`,
+        error: result.error
+      });
+      if (result.isValid && result.encoding.malformed) {
+        showNotification(`✓ Valid NDJSON: ${file.name}, but ${replacedBytes(result.encoding)}`, 'warning', errorHelp('REPLACEMENT_CHARACTER'));
+      } else if (result.isValid) {
+        showNotification(`✓ Valid NDJSON: ${file.name} (${result.lines.valid.toLocaleString()} records)`, 'success');
+      } else {
+        const { code, message, line, column } = result.error;
+        showNotification(`${errorHeading(code)} [${code}]: ${message} (Line ${line}, Column ${column}) — ${describeLines(result.lines)}`, 'error', errorHelp(code));
+      }
+      updateStatusBar({
+        type: result.isValid ? 'valid' : 'invalid',
+        text: result.isValid ? '✓ Valid NDJSON (streamed)' : '✗ Invalid NDJSON (streamed)',
+        code: result.isValid ? undefined : result.error.code,
+        size: file.size,
+        parseTime
+      });
+    }
+
+    // A streamed file keeps no text to normalize, so the replaced bytes are only reported
+    function replacedBytes(encoding) {
+      return `bytes that are not valid ${encoding.encoding.toUpperCase()} were replaced with U+FFFD`;
+    }
+
+    function describeLines(lines) {
+      const n = (value) => value.toLocaleString();
+      const records = lines.valid + lines.invalid;
+      return lines.invalid
+        ? `${n(lines.invalid)} of ${n(records)} line${records !== 1 ? 's' : ''} invalid`
+        : `${n(records)} valid line${records !== 1 ? 's' : ''}`;
+    }
+
+    // Per-line result of an NDJSON check: counts plus a map of the first lines, one cell each.
+    // With the source text, clicking a cell shows that line in the input.
+    function renderLineSummary(lines, source, { title, error } = {}) {
+      const panel = elements.streamSummary;
+      if (!panel || !lines) return;
+      const n = (value) => value.toLocaleString();
+      const invalidLines = [];
+      for (let i = lines.statuses.indexOf('x'); i !== -1 && invalidLines.length < MAX_LISTED_LINES; i = lines.statuses.indexOf('x', i + 1)) {
+        invalidLines.push(i + 1);
+      }
+      const rows = [
+        ['Lines', `${n(lines.total)} (${n(lines.valid)} valid, ${n(lines.invalid)} invalid, ${n(lines.blank)} blank)`]
+      ];
+      if (invalidLines.length) {
+        rows.push(['Invalid lines', invalidLines.join(', ') + (lines.invalid > invalidLines.length ? ', …' : '')]);
+      }
+      if (error) {
+        rows.push(['First error', `Line ${error.line}, Column ${error.column}: [${error.code}] ${error.message}`]);
+      }
+
+      panel.innerHTML = '';
+      panel.classList.toggle('invalid', lines.invalid > 0);
+      const heading = document.createElement('div');
+      heading.className = 'stream-summary-header';
+      heading.textContent = title || `NDJSON: ${describeLines(lines)} (each line checked separately)`;
+      panel.appendChild(heading);
+      const dl = document.createElement('dl');
+      rows.forEach(([term, detail]) => {
+        const dt = document.createElement('dt');
+        dt.textContent = term;
+        const dd = document.createElement('dd');
+        dd.textContent = detail;
+        dl.append(dt, dd);
+      });
+      panel.appendChild(dl);
+
+      const shown = Math.min(lines.total, LINE_MAP_CELLS);
+      const map = document.createElement('div');
+      map.className = 'line-map';
+      map.setAttribute('aria-label', shown < lines.total ? `First ${n(shown)} lines` : 'Lines');
+      const lineStarts = source ? JSONParser.computeLineStarts(source) : null;
+      const labels = { v: 'valid', x: 'invalid', b: 'blank' };
+      for (let i = 0; i < shown; i++) {
+        const status = labels[lines.statuses[i]];
+        const cell = document.createElement(lineStarts ? 'button' : 'span');
+        cell.className = `line-map-cell ${status}`;
+        cell.title = `Line ${i + 1}: ${status}`;
+        if (lineStarts) {
+          cell.type = 'button';
+          cell.addEventListener('click', () => jumpToSourceError({ line: i + 1, column: 1, offset: lineStarts[i] }));
+        }
+        map.appendChild(cell);
+      }
+      panel.appendChild(map);
+      panel.hidden = false;
+    }
+
+    function clearStreamSummary() {
+      if (!elements.streamSummary) return;
+      elements.streamSummary.innerHTML = '';
+      elements.streamSummary.hidden = true;
+    }
 
-    // Initialize line numbers and scroll sync
-    updateLineNumbers();
-    initializeScrollSync();
+    // Runs a parse job off the main thread and shows progress in the status bar.
+    // Resolves to null when the job was cancelled or failed (already reported).
+    // For 'stream' jobs the input is a File.
+    async function runJob(type, input, options, label) {
+      updateStatusBar({ type: 'running', text: `${label}…`, size: new Blob([input]).size, parseTime: NaN });
+      try {
+        return await jobRunner.run(type, input, options, (progress) => {
+          updateStatusBar({ type: 'running', text: `${label}… ${Math.round(progress * 100)}%` });
+        });
+      } catch (error) {
+        if (error.name !== 'AbortError') {
+          // Limit errors carry a code, like the ones a parse reports
+          const code = error.code ? ` [${error.code}]` : '';
+          showNotification(`${label} failed${code}: ${error.message}`, 'error', errorHelp(error.code));
+          updateStatusBar({ type: 'invalid', text: `✗ ${label} failed${code}` });
+        }
+        return null;
+      }
+    }
 
-    // Actions
-    function validateJSON() {
-      const startTime = performance.now();
-      const input = currentMode === 'input' ? elements.jsonInput.value : getPlainTextFromEditor();
-  
-      if (!input.trim()) {
-        showNotification('Please enter JSON data to validate', 'error');
-        return;
+    // Editing the input makes a running job's result stale
+    function cancelRunningJob() {
+      if (jobRunner.cancel()) {
+        updateStatusBar({ type: '', text: 'Cancelled — input changed' });
       }
-  
-      clearErrorHighlights();
-  
+    }
+
+    // Settings share SettingsManager's storage key
+    function getSetting(key, fallback) {
+      try {
+        const saved = JSON.parse(localStorage.getItem('jsonValidatorSettings') || '{}');
+        return saved[key] !== undefined ? saved[key] : fallback;
+      } catch (e) {
+        return fallback;
+      }
+    }
+
+    function saveSetting(key, value) {
+      try {
+        const saved = JSON.parse(localStorage.getItem('jsonValidatorSettings') || '{}');
+        saved[key] = value;
+        localStorage.setItem('jsonValidatorSettings', JSON.stringify(saved));
+      } catch (e) {
+        // Storage unavailable (private mode); the control still works for this session
+      }
+    }
+
+    // Safety limits for untrusted input, applied by every job
+    function getLimits() {
+      const limits = {};
+      Object.keys(JSONParser.DEFAULT_LIMITS).forEach(key => {
+        limits[key] = getSetting(key, JSONParser.DEFAULT_LIMITS[key]);
+      });
+      return limits;
+    }
+
+    function getParseOptions() {
+      return {
+        dialect: getSetting('inputDialect', 'json'),
+        limits: getLimits(),
+        keepComments: getSetting('keepComments', true),
+        showWarnings: getSetting('showWarnings', true),
+        strictDuplicateKeys: getSetting('strictDuplicateKeys', false),
+        interop: getSetting('interopProfile', false),
+        encoding: loadedFile && loadedFile.text === currentInput() ? loadedFile.encoding : null
+      };
+    }
+
+    // The schema pane takes part in validation while it is open and holds a schema
+    function getSchemaOptions() {
+      if (!isSchemaPaneOpen() || !elements.schemaInput.value.trim()) return {};
+      const draft = getSetting('schemaDraft', 'auto');
+      return { schema: elements.schemaInput.value, schemaDraft: draft === 'auto' ? undefined : draft };
+    }
+
+    // Without a schema in the pane, a document's $schema is looked up in the schema registry
+    async function resolveSchemaOptions(input) {
+      const options = getSchemaOptions();
+      if (options.schema || !window.JSONSchemaRegistry) return options;
+      return registrySchemaOptions(JSONSchemaRegistry.documentSchemaURI(input, getParseOptions()));
+    }
+
+    async function registrySchemaOptions(uri) {
+      const entry = uri ? await JSONSchemaRegistry.findByURI(uri) : null;
+      if (!entry) return {};
+      const draft = getSetting('schemaDraft', 'auto');
+      return { schema: entry.schema, schemaDraft: draft === 'auto' ? undefined : draft };
+    }
+
+    async function refreshSchemaRegistry(selectedId = '') {
+      if (!window.JSONSchemaRegistry) return;
+      const select = elements.schemaRegistrySelect;
+      const entries = await JSONSchemaRegistry.list();
+      select.length = 1;
+      entries.forEach(entry => {
+        const option = new Option(entry.builtIn ? `${entry.name} (built-in)` : entry.name, entry.id);
+        option.title = entry.fileMatch.join(', ');
+        select.add(option);
+      });
+      select.value = entries.some(entry => entry.id === selectedId) ? selectedId : '';
+    }
+
+    function applyRegistrySchema(entry) {
+      elements.schemaInput.value = entry.schema;
+      elements.schemaRegistrySelect.value = entry.id;
+      elements.schemaRegistryName.value = entry.name;
+      elements.schemaRegistryGlobs.value = entry.fileMatch.join(', ');
+      if (!isSchemaPaneOpen()) toggleSchemaPane(true);
+      scheduleSchemaLint();
+    }
+
+    async function selectRegistrySchema(id) {
+      if (!id || !window.JSONSchemaRegistry) return;
+      const entry = await JSONSchemaRegistry.get(id);
+      if (entry) {
+        cancelRunningJob();
+        applyRegistrySchema(entry);
+      }
+    }
+
+    async function saveRegistrySchema() {
+      if (!window.JSONSchemaRegistry) return;
       try {
-        const parsed = JSON.parse(input);
-        const parseTime = performance.now() - startTime;
-        showOutput(JSON.stringify(parsed, null, 2));
-        showNotification('✓ Valid JSON', 'success');
-        updateStatusBar({ type: 'valid', text: '✓ Valid JSON', size: new Blob([input]).size, parseTime });
+        const entry = await JSONSchemaRegistry.save({
+          name: elements.schemaRegistryName.value,
+          schema: elements.schemaInput.value,
+          fileMatch: elements.schemaRegistryGlobs.value.split(',')
+        });
+        await refreshSchemaRegistry(entry.id);
+        showNotification(entry.fileMatch.length
+          ? `Saved the ${entry.name} schema for ${entry.fileMatch.join(', ')}`
+          : `Saved the ${entry.name} schema`, 'success');
       } catch (error) {
-        // Incremental validation with partial formatting until error
-        const result = JSONValidator.validateIncremental(input, { indentation: 2 });
-        const formattedPrefix = result.formattedPrefix || '';
-        const suffix = result.suffix || '';
-        const linesBefore = formattedPrefix.split('\n');
-        const displayLine = linesBefore.length;
-        const displayColumn = (linesBefore[linesBefore.length - 1] || '').length + 1;
-        const errorForDisplay = {
-          ...result.errorInfo,
-          line: displayLine,
-          column: displayColumn,
-          absoluteOffset: result.formattedErrorOffset
-        };
-        currentError = errorForDisplay;
-        showPartialOutput(formattedPrefix, suffix, errorForDisplay);
-        showNotification(`Invalid JSON: ${result.error} (Line ${errorForDisplay.line}, Column ${errorForDisplay.column})`, 'error');
-        updateStatusBar({ type: 'invalid', text: '✗ Invalid JSON', size: new Blob([input]).size });
+        showNotification(`Failed to save schema: ${error.message}`, 'error');
       }
     }
 
-    function formatJSON() {
-      const startTime = performance.now();
-      const input = currentMode === 'input' ? elements.jsonInput.value : getPlainTextFromEditor();
-  
-      if (!input.trim()) {
-        showNotification('Please enter JSON data to format', 'error');
+    // Built-in schemas can only be replaced by saving one with the same name
+    async function deleteRegistrySchema() {
+      const id = elements.schemaRegistrySelect.value;
+      if (!id || !window.JSONSchemaRegistry) {
+        showNotification('Choose a saved schema to delete', 'warning');
         return;
       }
-  
-      clearErrorHighlights();
-  
+      if (!await JSONSchemaRegistry.remove(id)) {
+        showNotification('Built-in schemas cannot be deleted; save one with the same name to replace it', 'warning');
+        return;
+      }
+      await refreshSchemaRegistry(id);
+      showNotification('Deleted the saved schema', 'success');
+    }
+
+    // ?schema= holds a schema as JSON or base64 JSON; it opens in the schema pane. URLs are not
+    // fetched, since nothing leaves the browser unless the user asks
+    function loadSchemaParameter() {
+      const value = new URLSearchParams(window.location.search).get('schema');
+      if (!value || !elements.schemaInput) return;
       try {
-        const parsed = JSON.parse(input);
-        const formatted = JSON.stringify(parsed, null, 2);
-        const parseTime = performance.now() - startTime;
-        showOutput(formatted);
-        showNotification('JSON formatted successfully', 'success');
-        updateStatusBar({ type: 'valid', text: '✓ JSON formatted', size: new Blob([input]).size, parseTime });
+        if (/^https?:\/\//i.test(value)) {
+          throw new Error('schemas are not fetched from URLs; paste the schema, or link it as JSON or base64');
+        }
+        let text = value;
+        if (!/^\s*[{[]|^\s*(true|false)\s*$/.test(value)) {
+          const bytes = Uint8Array.from(atob(value.replace(/-/g, '+').replace(/_/g, '/')), c => c.charCodeAt(0));
+          text = new TextDecoder().decode(bytes);
+        }
+        JSON.parse(text);
+        elements.schemaInput.value = text;
+        toggleSchemaPane(true);
+        showNotification('Loaded the schema from the link', 'success');
       } catch (error) {
-        // Partial formatting until error point
-        const result = JSONValidator.formatUntilError(input, { indentation: 2 });
-        const formattedPrefix = result.formattedPrefix || '';
-        const suffix = result.suffix || '';
-        // Compute display line/column from formatted prefix
-        const linesBefore = formattedPrefix.split('\n');
-        const displayLine = linesBefore.length;
-        const displayColumn = (linesBefore[linesBefore.length - 1] || '').length + 1;
-        const errorForDisplay = {
-          ...result.errorInfo,
-          line: displayLine,
-          column: displayColumn,
-          absoluteOffset: result.formattedErrorOffset
-        };
-        currentError = errorForDisplay;
-        showPartialOutput(formattedPrefix, suffix, errorForDisplay);
-        showNotification(`Invalid JSON: ${result.error} (Line ${errorForDisplay.line}, Column ${errorForDisplay.column})`, 'error');
-        updateStatusBar({ type: 'invalid', text: '✗ Invalid JSON (partial formatted)', size: new Blob([input]).size });
+        showNotification(`Failed to load the schema from the link: ${error.message}`, 'error');
       }
     }
 
-    function minifyJSON() {
-      const startTime = performance.now();
-      const input = currentMode === 'input' ? elements.jsonInput.value : getPlainTextFromEditor();
+    function isSchemaPaneOpen() {
+      return Boolean(elements.schemaPane && !elements.schemaPane.hidden);
+    }
 
-      if (!input.trim()) {
-        showNotification('Please enter JSON data to minify', 'error');
-        return;
+    function toggleSchemaPane(open = !isSchemaPaneOpen()) {
+      if (!elements.schemaPane) return;
+      if (open) closeSidePanes('schema');
+      elements.schemaPane.hidden = !open;
+      elements.contentArea.classList.toggle('with-schema', open);
+      if (elements.schemaToggleBtn) {
+        elements.schemaToggleBtn.setAttribute('aria-pressed', String(open));
+        elements.schemaToggleBtn.setAttribute('aria-label', open ? 'Hide the schema pane' : 'Show the schema pane');
       }
+      if (open) elements.schemaInput.focus();
+      scheduleSchemaLint();
+    }
 
-      clearErrorHighlights();
+    function isOpenAPIPaneOpen() {
+      return Boolean(elements.openapiPane && !elements.openapiPane.hidden);
+    }
 
-      try {
-        const parsed = JSON.parse(input);
-        const minified = JSON.stringify(parsed);
-        const parseTime = performance.now() - startTime;
-        showOutput(minified);
-        showNotification('JSON minified successfully', 'success');
-        updateStatusBar({ type: 'valid', text: '✓ JSON minified', size: new Blob([input]).size, parseTime });
-      } catch (error) {
-        const errorInfo = JSONValidator.parseJSONError(error.message, input);
-        currentError = errorInfo;
-        showNotification(`Invalid JSON: ${error.message} (Line ${errorInfo.line}, Column ${errorInfo.column})`, 'error');
-        if (currentMode === 'output') {
-          navigateToError(errorInfo);
-        } else {
-          navigateTextareaToError(errorInfo);
-        }
-        updateLineNumbers(errorInfo.line);
-        updateStatusBar({ type: 'invalid', text: '✗ Invalid JSON', size: new Blob([input]).size });
+    // Opening the pane checks the description already in the editor
+    function toggleOpenAPIPane(open = !isOpenAPIPaneOpen()) {
+      if (!elements.openapiPane) return;
+      if (open) closeSidePanes('openapi');
+      elements.openapiPane.hidden = !open;
+      elements.contentArea.classList.toggle('with-openapi', open);
+      if (elements.openapiToggleBtn) {
+        elements.openapiToggleBtn.setAttribute('aria-pressed', String(open));
+        elements.openapiToggleBtn.setAttribute('aria-label', open ? 'Hide the OpenAPI pane' : 'Show the OpenAPI pane');
+      }
+      if (open && openAPIDescription().trim()) checkOpenAPI();
+    }
+
+    function isMergePaneOpen() {
+      return Boolean(elements.mergePane && !elements.mergePane.hidden);
+    }
+
+    function toggleMergePane(open = !isMergePaneOpen()) {
+      if (!elements.mergePane) return;
+      if (open) closeSidePanes('merge');
+      elements.mergePane.hidden = !open;
+      elements.contentArea.classList.toggle('with-merge', open);
+      if (elements.mergeToggleBtn) {
+        elements.mergeToggleBtn.setAttribute('aria-pressed', String(open));
+        elements.mergeToggleBtn.setAttribute('aria-label', open ? 'Hide the merge pane' : 'Show the merge pane');
+      }
+      if (open) elements.mergeBase.focus();
+    }
+
+    function isCSVPaneOpen() {
+      return Boolean(elements.csvPane && !elements.csvPane.hidden);
+    }
+
+    function toggleCSVPane(open = !isCSVPaneOpen()) {
+      if (!elements.csvPane) return;
+      if (open) closeSidePanes('csv');
+      elements.csvPane.hidden = !open;
+      elements.contentArea.classList.toggle('with-csv', open);
+      if (elements.csvToggleBtn) {
+        elements.csvToggleBtn.setAttribute('aria-pressed', String(open));
+        elements.csvToggleBtn.setAttribute('aria-label', open ? 'Hide the CSV pane' : 'Show the CSV pane');
+      }
+      if (open) elements.csvExportBtn.focus();
+    }
+
+    function isYAMLPaneOpen() {
+      return Boolean(elements.yamlPane && !elements.yamlPane.hidden);
+    }
+
+    function toggleYAMLPane(open = !isYAMLPaneOpen()) {
+      if (!elements.yamlPane) return;
+      if (open) closeSidePanes('yaml');
+      elements.yamlPane.hidden = !open;
+      elements.contentArea.classList.toggle('with-yaml', open);
+      if (elements.yamlToggleBtn) {
+        elements.yamlToggleBtn.setAttribute('aria-pressed', String(open));
+        elements.yamlToggleBtn.setAttribute('aria-label', open ? 'Hide the YAML pane' : 'Show the YAML pane');
+      }
+      if (open) elements.yamlExportBtn.focus();
+    }
+
+    function isDiffPaneOpen() {
+      return Boolean(elements.diffPane && !elements.diffPane.hidden);
+    }
+
+    function toggleDiffPane(open = !isDiffPaneOpen()) {
+      if (!elements.diffPane) return;
+      if (open) closeSidePanes('diff');
+      elements.diffPane.hidden = !open;
+      elements.contentArea.classList.toggle('with-diff', open);
+      if (elements.diffToggleBtn) {
+        elements.diffToggleBtn.setAttribute('aria-pressed', String(open));
+        elements.diffToggleBtn.setAttribute('aria-label', open ? 'Hide the compare pane' : 'Show the compare pane');
       }
+      if (open) elements.diffInput.focus();
+    }
+
+    // One side pane at a time
+    function closeSidePanes(except) {
+      if (except !== 'schema' && isSchemaPaneOpen()) toggleSchemaPane(false);
+      if (except !== 'openapi' && isOpenAPIPaneOpen()) toggleOpenAPIPane(false);
+      if (except !== 'diff' && isDiffPaneOpen()) toggleDiffPane(false);
+      if (except !== 'merge' && isMergePaneOpen()) toggleMergePane(false);
+      if (except !== 'csv' && isCSVPaneOpen()) toggleCSVPane(false);
+      if (except !== 'yaml' && isYAMLPaneOpen()) toggleYAMLPane(false);
+    }
+
+    // Scrolls the schema pane to a rule
+    function revealSchemaLocation(offset, length, line, focus) {
+      if (isSchemaPaneOpen()) revealPaneLocation(elements.schemaInput, offset, length, line, focus);
+    }
+
+    // Selecting text in a pane needs focus, which the main editor keeps otherwise
+    function revealPaneLocation(ta, offset, length, line, focus) {
+      if (!ta || typeof offset !== 'number') return;
+      if (focus) ta.focus();
+      ta.setSelectionRange(offset, offset + length);
+      const lineHeight = parseFloat(window.getComputedStyle(ta).lineHeight) || 21;
+      ta.scrollTop = Math.max(0, (line - 1) * lineHeight - ta.clientHeight / 2);
+    }
+
+    function currentInput() {
+      return currentMode === 'input' ? elements.jsonInput.value : getPlainTextFromEditor();
+    }
+
+    function errorHelp(code) {
+      return code && window.JSONErrorCodes ? JSONErrorCodes.describe(code) : null;
+    }
+
+    // Names every JSON5 Infinity or NaN that strict JSON output wrote as null
+    function lossyNumbersMessage(action, warnings, input) {
+      const values = warnings.map(warning => `${input.slice(warning.offset, warning.offset + warning.length)} at ${warning.pointer || 'the document root'}`);
+      return `JSON ${action}, but ${values.join(', ')} became null [NON_FINITE_NUMBER]`;
+    }
+
+    // "Invalid JSON" for syntax errors, "Limit exceeded" for safety limits
+    function errorHeading(code) {
+      const help = errorHelp(code);
+      return help ? help.heading : 'Invalid JSON';
+    }
+
+    function showStatusHelp(help) {
+      elements.validationStatus.title = help ? `${help.code}: ${help.explanation}` : '';
+      const link = elements.errorHelpLink;
+      if (!link) return;
+      link.hidden = !help;
+      if (!help) return;
+      link.href = help.docsURL;
+      link.textContent = `${help.title} — how to fix`;
+      link.title = help.explanation;
     }
 
     function clearAll() {
@@ -319,6 +2306,9 @@
       elements.jsonOutput.innerHTML = '';
       elements.jsonOutput.removeAttribute('contenteditable');
       currentError = null;
+      clearErrorList();
+      closeDiffView();
+      clearMerge();
       switchToInputMode();
       updateInfoPanel();
       updateLineNumbers();
@@ -347,6 +2337,47 @@
       });
     }
 
+    // MIME types of downloads by extension; anything else is JSON
+    const DOWNLOAD_TYPES = {
+      '.ndjson': 'application/x-ndjson',
+      '.csv': 'text/csv',
+      '.tsv': 'text/tab-separated-values',
+      '.yaml': 'application/yaml'
+    };
+
+    // Equal apart from the kind of line ends, and the last one
+    function sameLines(a, b) {
+      const lines = (text) => text.replace(/\r\n?/g, '\n').replace(/\n+$/, '');
+      return lines(a) === lines(b);
+    }
+
+    // Saves the output, or the input while there is none
+    function downloadContent() {
+      const output = currentMode === 'output';
+      let text = output ? getPlainTextFromEditor() : elements.jsonInput.value;
+      if (!text.trim()) {
+        showNotification('Nothing to download', 'warning');
+        return;
+      }
+      const lines = currentDialect() === 'ndjson';
+      const filename = (output && outputFilename) || (lines ? 'data.ndjson' : 'data.json');
+      // The view may turn CRLF into LF; an unedited table is saved exactly as it was made
+      if (output && tableOutput !== null && sameLines(text, tableOutput)) text = tableOutput;
+      const extension = filename.slice(filename.lastIndexOf('.'));
+      const mimeType = DOWNLOAD_TYPES[extension] || 'application/json';
+      const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      setTimeout(() => {
+        link.remove();
+        URL.revokeObjectURL(url);
+      }, 100);
+      showNotification(`Downloaded ${filename}`, 'success');
+    }
+
     function loadSampleJSON() {
       const randomIndex = Math.floor(Math.random() * sampleJSONs.length);
       const selectedSample = sampleJSONs[randomIndex];
@@ -383,6 +2414,332 @@
       }
     }
 
+    // Schema assist in the input editor: completions, the schema's documentation on hover and squiggles
+    // under problems. The textarea uses a monospace font and never wraps, so a character's place on screen
+    // follows from its line, its column and the width of one character.
+    function assistEnabled(text) {
+      const MAX = window.JSONHighlighter ? window.JSONHighlighter.MAX_HIGHLIGHT_CHARS : 300000;
+      return Boolean(window.JSONSchemaAssist) && currentMode === 'input' && currentDialect() !== 'ndjson' && text.length <= MAX;
+    }
+
+    // The pane's schema, else the registry's for the document's $schema as of the last lint
+    function assistSchema() {
+      const pane = getSchemaOptions();
+      return pane.schema ? pane : assistSchemaOptions;
+    }
+
+    function editorMetrics() {
+      const cs = window.getComputedStyle(elements.jsonInput);
+      const font = `${cs.fontStyle} ${cs.fontWeight} ${cs.fontSize} ${cs.fontFamily}`;
+      if (!charMetrics || charMetrics.font !== font) {
+        const context = document.createElement('canvas').getContext('2d');
+        context.font = font;
+        charMetrics = { font, width: context.measureText('0'.repeat(100)).width / 100 };
+      }
+      return {
+        charWidth: charMetrics.width,
+        lineHeight: parseFloat(cs.lineHeight) || 21,
+        paddingTop: parseFloat(cs.paddingTop) || 0,
+        paddingLeft: parseFloat(cs.paddingLeft) || 0,
+        tabSize: parseInt(cs.tabSize, 10) || 8
+      };
+    }
+
+    // Top left of the character at offset, in the textarea's content before scrolling
+    function pointAt(text, lineStarts, offset, metrics) {
+      const { line } = JSONParser.positionAt(lineStarts, offset);
+      let column = 0;
+      for (let i = lineStarts[line - 1]; i < offset; i++) {
+        column += text[i] === '\t' ? metrics.tabSize - (column % metrics.tabSize) : 1;
+      }
+      return {
+        x: metrics.paddingLeft + column * metrics.charWidth,
+        y: metrics.paddingTop + (line - 1) * metrics.lineHeight
+      };
+    }
+
+    // Offset of the character under the mouse, or -1 outside the text
+    function offsetAtPoint(text, lineStarts, clientX, clientY, metrics) {
+      const ta = elements.jsonInput;
+      const rect = ta.getBoundingClientRect();
+      const x = (clientX - rect.left - ta.clientLeft + ta.scrollLeft - metrics.paddingLeft) / metrics.charWidth;
+      const line = Math.floor((clientY - rect.top - ta.clientTop + ta.scrollTop - metrics.paddingTop) / metrics.lineHeight);
+      if (x < 0 || line < 0 || line >= lineStarts.length) return -1;
+      const end = line + 1 < lineStarts.length ? lineStarts[line + 1] - 1 : text.length;
+      let column = 0;
+      for (let i = lineStarts[line]; i < end; i++) {
+        column += text[i] === '\t' ? metrics.tabSize - (column % metrics.tabSize) : 1;
+        if (x < column) return i;
+      }
+      return -1;
+    }
+
+    // Shows a popup under a line of the editor, or above it when there is no room below
+    function placeEditorPopup(popup, x, lineTop, lineHeight) {
+      const ta = elements.jsonInput;
+      popup.hidden = false;
+      const top = lineTop - ta.scrollTop;
+      const below = top + lineHeight;
+      popup.style.left = `${Math.max(0, Math.min(x - ta.scrollLeft, ta.clientWidth - popup.offsetWidth))}px`;
+      popup.style.top = `${below + popup.offsetHeight > ta.clientHeight && top >= popup.offsetHeight ? top - popup.offsetHeight : below}px`;
+    }
+
+    // Squiggles go stale as soon as the text changes; the next lint runs once typing pauses
+    function scheduleSchemaLint() {
+      if (!elements.jsonInput || !elements.lintMarks) return;
+      if (elements.jsonInput.value !== lintedText) showLintMarks(null, []);
+      clearTimeout(lintTimer);
+      lintTimer = setTimeout(lintInput, LINT_DELAY);
+    }
+
+    // Completions and hover wait their turn: starting a job cancels the running one by restarting the worker,
+    // which would lose the schema and tree it keeps between jobs
+    function runAssistJob(type, text, options) {
+      const job = assistQueue.then(() => assistRunner.run(type, text, options));
+      assistQueue = job.catch(() => {});
+      return job;
+    }
+
+    async function lintInput() {
+      const text = elements.jsonInput.value;
+      if (!assistEnabled(text) || !text.trim()) {
+        assistSchemaOptions = {};
+        showLintMarks(text, []);
+        return;
+      }
+      let options = getSchemaOptions();
+      let result = await runLint(text, options);
+      if (!result) return;
+      // The worker found the document's $schema; only the page can read the registry
+      if (!options.schema && result.schemaURI && window.JSONSchemaRegistry) {
+        options = await registrySchemaOptions(result.schemaURI);
+        if (elements.jsonInput.value !== text) return;
+        if (options.schema) result = await runLint(text, options);
+        if (!result) return;
+      }
+      assistSchemaOptions = options;
+      showLintMarks(text, result.problems);
+    }
+
+    // Null when a newer lint replaced this one, the text changed meanwhile or it is past a limit that Validate reports
+    async function runLint(text, schemaOptions) {
+      let job;
+      try {
+        job = await lintRunner.run('lint', text, { ...getParseOptions(), ...schemaOptions });
+      } catch (error) {
+        return null;
+      }
+      return elements.jsonInput.value === text && job.result.problems ? job.result : null;
+    }
+
+    function showLintMarks(text, problems) {
+      lintedText = text;
+      lintProblems = problems
+        .filter(problem => typeof problem.offset === 'number')
+        .map(problem => ({ ...problem, end: problem.offset + Math.max(problem.length || 0, 1) }));
+      const layer = elements.lintMarks;
+      layer.textContent = '';
+      if (!lintProblems.length) return;
+      const lineStarts = JSONParser.computeLineStarts(text);
+      const metrics = editorMetrics();
+      const fragment = document.createDocumentFragment();
+      lintProblems.forEach(problem => {
+        // A value spanning several lines is underlined on its first
+        const lineEnd = text.indexOf('\n', problem.offset);
+        const end = Math.min(lineEnd === -1 ? problem.end : Math.min(problem.end, lineEnd), text.length);
+        const start = pointAt(text, lineStarts, problem.offset, metrics);
+        const width = pointAt(text, lineStarts, end, metrics).x - start.x;
+        const mark = document.createElement('div');
+        mark.className = 'lint-mark';
+        mark.style.left = `${start.x}px`;
+        mark.style.top = `${start.y + metrics.lineHeight - 3}px`;
+        mark.style.width = `${Math.max(width, metrics.charWidth)}px`;
+        fragment.appendChild(mark);
+      });
+      layer.appendChild(fragment);
+      syncLintScroll();
+    }
+
+    function syncLintScroll() {
+      if (!elements.lintMarks) return;
+      elements.lintMarks.style.transform = `translate(${-elements.jsonInput.scrollLeft}px, ${-elements.jsonInput.scrollTop}px)`;
+    }
+
+    function scheduleSchemaHover(e) {
+      clearTimeout(hoverTimer);
+      const { clientX, clientY } = e;
+      hoverTimer = setTimeout(() => showSchemaHover(clientX, clientY), HOVER_DELAY);
+    }
+
+    function hideSchemaHover() {
+      clearTimeout(hoverTimer);
+      hoverRequest++;
+      if (elements.schemaHover) elements.schemaHover.hidden = true;
+    }
+
+    // The card lists problems found at the spot, then what the schema says about it
+    async function showSchemaHover(clientX, clientY) {
+      const text = elements.jsonInput.value;
+      const schema = assistEnabled(text) ? assistSchema() : {};
+      if (!elements.schemaHover || completion || (!schema.schema && !lintProblems.length)) return hideSchemaHover();
+      const lineStarts = JSONParser.computeLineStarts(text);
+      const metrics = editorMetrics();
+      const offset = offsetAtPoint(text, lineStarts, clientX, clientY, metrics);
+      if (offset === -1) return hideSchemaHover();
+      const problems = text === lintedText ? lintProblems.filter(problem => offset >= problem.offset && offset < problem.end) : [];
+      let info = null;
+      if (schema.schema) {
+        const request = ++hoverRequest;
+        try {
+          info = (await runAssistJob('hover', text, { ...getParseOptions(), ...schema, offset })).result.hover;
+        } catch (error) {
+          // Past a limit that Validate reports
+          if (request === hoverRequest) hideSchemaHover();
+          return;
+        }
+        if (request !== hoverRequest || elements.jsonInput.value !== text || completion) return;
+      }
+      if (!problems.length && !info) return hideSchemaHover();
+
+      const card = elements.schemaHover;
+      card.textContent = '';
+      const paragraph = (className, content) => {
+        const p = document.createElement('p');
+        p.className = className;
+        p.textContent = content;
+        card.appendChild(p);
+      };
+      problems.forEach(problem => paragraph('schema-hover-problem', `${problem.message} [${problem.code}]`));
+      if (info) {
+        const heading = document.createElement('div');
+        heading.className = 'schema-hover-heading';
+        heading.textContent = info.title || info.pointer || '/';
+        if (info.type) {
+          const type = document.createElement('code');
+          type.textContent = info.type;
+          heading.appendChild(type);
+        }
+        card.appendChild(heading);
+        if (info.deprecated) paragraph('schema-hover-deprecated', 'Deprecated');
+        if (info.description) paragraph('schema-hover-description', info.description);
+        if (info.values) paragraph('schema-hover-values', `Allowed: ${info.values.map(value => JSON.stringify(value)).join(', ')}`);
+      }
+      const point = pointAt(text, lineStarts, offset, metrics);
+      placeEditorPopup(card, point.x, point.y, metrics.lineHeight);
+    }
+
+    // Completions at the caret that start with what has been typed of them; Ctrl+Space asks for them anywhere
+    async function updateCompletions() {
+      const ta = elements.jsonInput;
+      const text = ta.value;
+      const offset = ta.selectionStart;
+      const schema = assistEnabled(text) && ta.selectionEnd === offset ? assistSchema() : {};
+      if (!schema.schema) return closeCompletions();
+      // An open list stays on screen until the answer comes, but no longer matches the text
+      completion = null;
+      const request = ++completionRequest;
+      let found;
+      try {
+        found = (await runAssistJob('complete', text, { ...schema, offset })).result.completions;
+      } catch (error) {
+        found = null;
+      }
+      if (request !== completionRequest) return;
+      if (!found || ta.value !== text || ta.selectionStart !== offset || offset < found.from) return closeCompletions();
+      const typed = text.slice(found.from, offset).toLowerCase();
+      const options = found.options
+        .filter(option => option.label.toLowerCase().startsWith(typed))
+        .sort((a, b) => (b.boost || 0) - (a.boost || 0))
+        .slice(0, MAX_COMPLETIONS);
+      if (!options.length) return closeCompletions();
+      hideSchemaHover();
+      completion = { from: found.from, to: found.to, options, selected: 0 };
+
+      const list = elements.completionList;
+      list.textContent = '';
+      options.forEach((option, index) => {
+        const item = document.createElement('li');
+        item.id = `completion-${index}`;
+        item.className = 'completion-item';
+        item.setAttribute('role', 'option');
+        item.setAttribute('aria-selected', String(index === 0));
+        if (option.info) item.title = option.info;
+        const label = document.createElement('span');
+        label.className = 'completion-label';
+        label.textContent = option.label;
+        item.appendChild(label);
+        if (option.detail) {
+          const detail = document.createElement('span');
+          detail.className = 'completion-detail';
+          detail.textContent = option.detail;
+          item.appendChild(detail);
+        }
+        // mousedown, so the textarea keeps focus
+        item.addEventListener('mousedown', (e) => {
+          e.preventDefault();
+          acceptCompletion(index);
+        });
+        list.appendChild(item);
+      });
+      list.scrollTop = 0;
+      ta.setAttribute('aria-activedescendant', 'completion-0');
+      const metrics = editorMetrics();
+      const point = pointAt(text, JSONParser.computeLineStarts(text), found.from, metrics);
+      placeEditorPopup(list, point.x, point.y, metrics.lineHeight);
+    }
+
+    function closeCompletions() {
+      completion = null;
+      completionRequest++;
+      if (!elements.completionList) return;
+      elements.completionList.hidden = true;
+      elements.jsonInput.removeAttribute('aria-activedescendant');
+    }
+
+    function moveCompletion(step) {
+      const items = elements.completionList.children;
+      completion.selected = (completion.selected + step + items.length) % items.length;
+      Array.from(items).forEach((item, index) => item.setAttribute('aria-selected', String(index === completion.selected)));
+      items[completion.selected].scrollIntoView({ block: 'nearest' });
+      elements.jsonInput.setAttribute('aria-activedescendant', items[completion.selected].id);
+    }
+
+    function acceptCompletion(index) {
+      const { from, to, options } = completion;
+      const { apply } = options[index];
+      const ta = elements.jsonInput;
+      closeCompletions();
+      ta.focus();
+      ta.setSelectionRange(from, to);
+      // insertText keeps the edit on the undo stack; setRangeText is the fallback where it is not supported
+      if (!document.execCommand('insertText', false, apply)) {
+        ta.setRangeText(apply, from, to, 'end');
+        ta.dispatchEvent(new Event('input'));
+      }
+    }
+
+    function handleAssistKey(e) {
+      hideSchemaHover();
+      if (e.ctrlKey && e.code === 'Space') {
+        e.preventDefault();
+        updateCompletions();
+        return;
+      }
+      if (!completion) return;
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        moveCompletion(e.key === 'ArrowDown' ? 1 : -1);
+      } else if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault();
+        acceptCompletion(completion.selected);
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        closeCompletions();
+      } else if (e.key === 'ArrowLeft' || e.key === 'ArrowRight' || e.key === 'Home' || e.key === 'End') {
+        closeCompletions();
+      }
+    }
+
     // Line numbers
     function updateLineNumbers(errorLine = null) {
       const text = currentMode === 'input' ? elements.jsonInput.value : getPlainTextFromEditor();
@@ -415,6 +2772,9 @@
       if (elements.jsonInput) {
         elements.jsonInput.addEventListener('scroll', () => {
           lineNumbers.scrollTop = elements.jsonInput.scrollTop;
+          syncLintScroll();
+          closeCompletions();
+          hideSchemaHover();
         });
       }
       if (elements.jsonOutput) {
@@ -428,18 +2788,23 @@
     }
 
     // Output handling
-    function showOutput(content) {
+    function showOutput(content, html) {
+      outputFilename = null;
+      tableOutput = null;
+      yamlSource = null;
+      showingResponse = false;
       clearErrorHighlights();
+      clearErrorList();
       elements.jsonOutput.textContent = content;
       elements.jsonOutput.setAttribute('contenteditable', 'true');
       isPartialMode = false;
-      JSONHighlighter.applySyntaxHighlighting(elements.jsonOutput);
+      JSONHighlighter.applySyntaxHighlighting(elements.jsonOutput, html);
       switchToOutputMode();
       updateLineNumbers();
     }
 
     // Render formatted valid prefix + raw remainder, and decorate exact error
-    function showPartialOutput(formattedPrefix, rawSuffix, errorInfo) {
+    function showPartialOutput(formattedPrefix, rawSuffix, errorInfo, prefixHtml) {
       clearErrorHighlights();
       elements.jsonOutput.innerHTML = '';
       elements.jsonOutput.setAttribute('contenteditable', 'true');
@@ -457,7 +2822,7 @@
       elements.jsonOutput.appendChild(prefixEl);
       elements.jsonOutput.appendChild(suffixEl);
 
-      JSONHighlighter.applySyntaxHighlighting(prefixEl);
+      JSONHighlighter.applySyntaxHighlighting(prefixEl, prefixHtml);
       switchToOutputMode();
 
       currentError = errorInfo || null;
@@ -484,6 +2849,8 @@
 
     function switchToOutputMode() {
       currentMode = 'output';
+      closeCompletions();
+      hideSchemaHover();
       elements.editorWrapper.classList.add('hidden');
       elements.outputWrapper.classList.add('active');
       elements.currentMode.textContent = 'Output Mode';
@@ -498,19 +2865,25 @@
       const chars = text.length;
       elements.lineCount.textContent = `${lines} line${lines !== 1 ? 's' : ''}`;
       elements.charCount.textContent = `${chars} character${chars !== 1 ? 's' : ''}`;
+      // Every change to the input comes through here, typed or not
+      scheduleSchemaLint();
     }
 
     function updateStatusBar(status) {
       elements.validationStatus.textContent = status.text || 'Ready';
       elements.validationStatus.className = 'status-indicator';
+      showStatusHelp(status.code ? errorHelp(status.code) : null);
       if (status.type === 'valid') {
         elements.validationStatus.classList.add('valid');
       } else if (status.type === 'invalid') {
         elements.validationStatus.classList.add('invalid');
+      } else if (status.type === 'running') {
+        elements.validationStatus.classList.add('running');
       }
       if (status.size && elements.jsonSize) {
         let sizeText = `${status.size} bytes`;
-        if (status.size > 1024) sizeText = `${(status.size / 1024).toFixed(1)} KB`;
+        if (status.size > 1024 * 1024) sizeText = `${(status.size / (1024 * 1024)).toFixed(1)} MB`;
+        else if (status.size > 1024) sizeText = `${(status.size / 1024).toFixed(1)} KB`;
         elements.jsonSize.textContent = sizeText;
       }
       function formatDuration(ms) {
@@ -529,11 +2902,24 @@
       }
     }
 
-    function showNotification(message, type) {
+    // `help` from errorHelp() adds the plain-language explanation and a link to the guide
+    function showNotification(message, type, help) {
       const notification = document.createElement('div');
       notification.className = `notification notification-${type}`;
       notification.textContent = message;
       notification.setAttribute('role', 'alert');
+      if (help) {
+        const explanation = document.createElement('p');
+        explanation.className = 'notification-help';
+        explanation.textContent = help.explanation + ' ';
+        const link = document.createElement('a');
+        link.href = help.docsURL;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.textContent = 'How to fix';
+        explanation.appendChild(link);
+        notification.appendChild(explanation);
+      }
       Object.assign(notification.style, {
         position: 'fixed',
         top: '20px',
@@ -542,7 +2928,7 @@
         borderRadius: '4px',
         fontWeight: '500',
         zIndex: '3000',
-        maxWidth: '300px',
+        maxWidth: help ? '360px' : '300px',
         wordWrap: 'break-word',
         boxShadow: '0 4px 12px rgba(0, 0, 0, 0.15)',
         transform: 'translateX(100%)',
@@ -570,7 +2956,7 @@
       setTimeout(() => {
         notification.style.transform = 'translateX(100%)';
         setTimeout(() => { if (notification.parentNode) document.body.removeChild(notification); }, 300);
-      }, 3000);
+      }, help ? 8000 : 3000);
     }
 
     // Error decorations
@@ -615,7 +3001,7 @@
         contentArea.appendChild(marker);
       }
 
-      const offset = (typeof errorInfo.absoluteOffset === 'number') ? errorInfo.absoluteOffset : computeOffsetFromErrorInfo(errorInfo);
+      const offset = errorOffset(errorInfo, getPlainTextFromEditor);
       const rect = getClientRectForOffset(contentArea, offset);
       const containerRect = contentArea.getBoundingClientRect();
   
@@ -650,15 +3036,16 @@
       updateLineNumbers(lineNum);
     }
 
-    function computeOffsetFromErrorInfo(errorInfo) {
-      const content = elements.jsonOutput.innerText || elements.jsonOutput.textContent || '';
-      const lines = content.split('\n');
-      let offset = 0;
-      for (let i = 0; i < Math.max(0, errorInfo.line - 1) && i < lines.length; i++) {
-        offset += lines[i].length + 1;
-      }
-      offset += Math.max(0, errorInfo.column - 1);
-      return offset;
+    // Parser errors carry offsets; line/column is only mapped back for errors without one
+    function errorOffset(errorInfo, getText) {
+      if (typeof errorInfo.absoluteOffset === 'number') return errorInfo.absoluteOffset;
+      if (typeof errorInfo.position === 'number') return errorInfo.position;
+      return JSONParser.offsetAt(JSONParser.computeLineStarts(getText()), errorInfo.line, errorInfo.column);
+    }
+
+    // Line and column just past the end of text, where partial output stops at the error
+    function endPosition(text) {
+      return JSONParser.positionAt(JSONParser.computeLineStarts(text), text.length);
     }
 
     function getClientRectForOffset(el, targetOffset) {
@@ -690,14 +3077,8 @@
     function navigateTextareaToError(errorInfo) {
       const ta = elements.jsonInput;
       if (!ta || !errorInfo) return;
-      const text = ta.value || '';
-      const lines = text.split('\n');
-      let start = 0;
-      for (let i = 0; i < Math.max(0, errorInfo.line - 1) && i < lines.length; i++) {
-        start += lines[i].length + 1;
-      }
-      start += Math.max(0, errorInfo.column - 1);
-      const end = start;
+      const start = errorOffset(errorInfo, () => ta.value || '');
+      const end = start + (errorInfo.selectLength || 0);
       ta.focus();
       try {
         ta.setSelectionRange(start, end);
@@ -714,13 +3095,161 @@
 
     function navigateToError(errorInfo) {
       const contentArea = elements.jsonOutput;
-      const offset = (typeof errorInfo.absoluteOffset === 'number') ? errorInfo.absoluteOffset : computeOffsetFromErrorInfo(errorInfo);
+      const offset = errorOffset(errorInfo, getPlainTextFromEditor);
       JSONHighlighter.setCaretOffset(contentArea, offset);
       scrollToLine(errorInfo.line);
       setErrorDecorations(errorInfo);
       contentArea.focus();
     }
 
+    // Error list: every problem found by the recovering parser, in source order
+    function renderErrorList(errors, source, kind = 'error') {
+      clearStreamSummary();
+      const list = elements.errorList;
+      if (!list) return;
+      list.innerHTML = '';
+      list.classList.toggle('warning-list', kind === 'warning');
+      list.classList.toggle('repair-list', kind === 'repair');
+      errorListSource = source;
+      if (!errors.length) {
+        list.hidden = true;
+        return;
+      }
+      const heading = document.createElement('div');
+      heading.className = 'error-list-header';
+      const interopCount = errors.filter(err => err.requirement).length;
+      if (kind === 'warning' && interopCount) {
+        heading.textContent = `${errors.length} warning${errors.length !== 1 ? 's' : ''}, ${interopCount} from the I-JSON (RFC 7493) check`;
+      } else if (kind === 'warning') {
+        heading.textContent = `${errors.length} warning${errors.length !== 1 ? 's' : ''}`;
+      } else if (kind === 'schema') {
+        heading.textContent = `${errors.length} schema error${errors.length !== 1 ? 's' : ''} — click one to go to the value, or its schema path to see the rule`;
+      } else if (kind === 'openapi') {
+        heading.textContent = `${errors.length} problem${errors.length !== 1 ? 's' : ''} in the OpenAPI description — click one to go to it`;
+      } else if (kind === 'response') {
+        heading.textContent = `${errors.length} response error${errors.length !== 1 ? 's' : ''} — click one to go to the value, or its schema path to see the rule in the description`;
+      } else if (kind === 'repair') {
+        heading.textContent = `${errors.length} change${errors.length !== 1 ? 's' : ''} made — click one to see it in the original input`;
+      } else {
+        heading.textContent = `${errors.length} problem${errors.length !== 1 ? 's' : ''} found`;
+      }
+      list.appendChild(heading);
+      // Repair changes have their own codes; errors and warnings get an explanation
+      const help = kind === 'repair' ? null : document.createElement('div');
+      if (help) {
+        help.className = 'error-help';
+        list.appendChild(help);
+        renderErrorHelp(help, errorHelp(errors[0].code));
+      }
+      const ol = document.createElement('ol');
+      errors.forEach((err) => {
+        const li = document.createElement('li');
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'error-list-item';
+        const code = document.createElement('span');
+        code.className = 'error-code';
+        code.textContent = err.code;
+        btn.append(`Line ${err.line}, Column ${err.column}: `, code, ` ${err.message}`);
+        if (err.requirement) {
+          const rule = document.createElement('span');
+          rule.className = `interop-rule ${err.requirement.toLowerCase()}`;
+          rule.textContent = `RFC 7493 §${err.section} ${err.requirement}`;
+          btn.append(' ', rule);
+        }
+        btn.addEventListener('click', () => {
+          if (help) renderErrorHelp(help, errorHelp(err.code));
+          if (kind === 'response') {
+            // The body is in the output view, not in the input
+            switchToOutputMode();
+            navigateToError({ ...err, position: err.offset });
+            return;
+          }
+          if (kind === 'schema') revealSchemaLocation(err.schemaOffset, err.schemaLength, err.schemaLine, false);
+          jumpToSourceError(err, kind === 'schema' || kind === 'openapi');
+        });
+        li.appendChild(btn);
+        if (kind === 'response') {
+          code.after(` at ${err.instancePath || '/'}:`);
+          const ruleLink = document.createElement('button');
+          ruleLink.type = 'button';
+          ruleLink.className = 'schema-path-link';
+          ruleLink.textContent = `schema #${err.schemaPath}`;
+          ruleLink.addEventListener('click', () => revealInDescription({
+            line: err.schemaLine, column: err.schemaColumn, offset: err.schemaOffset, length: err.schemaLength
+          }));
+          li.classList.add('has-schema-path');
+          li.appendChild(ruleLink);
+        }
+        if (kind === 'schema') {
+          // JSON Pointers into both documents; the schema one leads to the rule that failed
+          code.after(` at ${err.instancePath || '/'}:`);
+          const schemaLink = document.createElement('button');
+          schemaLink.type = 'button';
+          schemaLink.className = 'schema-path-link';
+          schemaLink.textContent = `schema ${err.schemaURI ? err.schemaURI + '#' : ''}${err.schemaPath || '/'}`;
+          schemaLink.disabled = typeof err.schemaOffset !== 'number';
+          schemaLink.addEventListener('click', () => revealSchemaLocation(err.schemaOffset, err.schemaLength, err.schemaLine, true));
+          li.classList.add('has-schema-path');
+          li.appendChild(schemaLink);
+        }
+        ol.appendChild(li);
+      });
+      list.appendChild(ol);
+      list.hidden = false;
+    }
+
+    // Explanation, before/after example and guide link for one error code
+    function renderErrorHelp(container, help) {
+      container.innerHTML = '';
+      container.hidden = !help;
+      if (!help) return;
+      const title = document.createElement('div');
+      title.className = 'error-help-title';
+      title.textContent = `${help.code}: ${help.title}`;
+      const explanation = document.createElement('p');
+      explanation.textContent = help.explanation + ' ';
+      const link = document.createElement('a');
+      link.href = help.docsURL;
+      link.target = '_blank';
+      link.rel = 'noopener';
+      link.textContent = 'Read the guide';
+      explanation.appendChild(link);
+      const examples = document.createElement('div');
+      examples.className = 'error-help-examples';
+      [['Before', help.example.before], ['After', help.example.after]].forEach(([label, code]) => {
+        const figure = document.createElement('figure');
+        const caption = document.createElement('figcaption');
+        caption.textContent = label;
+        const pre = document.createElement('pre');
+        pre.textContent = code;
+        figure.append(caption, pre);
+        examples.appendChild(figure);
+      });
+      container.append(title, explanation, examples);
+    }
+
+    function clearErrorList() {
+      clearStreamSummary();
+      updateNormalizeButton(null);
+      if (!elements.errorList) return;
+      elements.errorList.innerHTML = '';
+      elements.errorList.hidden = true;
+      errorListSource = '';
+    }
+
+    // Errors refer to the raw input, so show that source in the textarea before navigating.
+    // `select` highlights the whole value instead of placing the caret at its start
+    function jumpToSourceError(err, select = false) {
+      if (elements.jsonInput.value !== errorListSource) {
+        elements.jsonInput.value = errorListSource;
+      }
+      switchToInputMode();
+      updateInfoPanel();
+      navigateTextareaToError({ line: err.line, column: err.column, position: err.offset, selectLength: select ? err.length : 0 });
+      updateLineNumbers(err.line);
+    }
+
     function clearErrorHighlights() {
       const contentArea = elements.jsonOutput;
       const overlay = contentArea.querySelector('#error-overlay');
@@ -739,6 +3268,26 @@
       validateJSON,
       formatJSON,
       minifyJSON,
+      generateSchema,
+      generateSamples,
+      repairJSON,
+      convertLines,
+      toggleSchemaPane,
+      toggleOpenAPIPane,
+      checkOpenAPI,
+      validateOpenAPIResponse,
+      toggleDiffPane,
+      compareDocuments,
+      createPatch,
+      applyPatch,
+      toggleMergePane,
+      mergeDocuments,
+      toggleCSVPane,
+      exportCSV,
+      importCSV,
+      toggleYAMLPane,
+      exportYAML,
+      importYAML,
       clearAll,
       copyToClipboard,
       loadSampleJSON,
@@ -0,0 +1,351 @@
+'use strict';
+(function () {
+  const MAX_ISSUES = 1000;
+
+  // Characters that render as nothing. ZWJ and ZWNJ are only flagged outside strings,
+  // where emoji sequences and scripts such as Persian legitimately use them.
+  const INVISIBLE = {
+    0x00AD: 'SOFT HYPHEN',
+    0x180E: 'MONGOLIAN VOWEL SEPARATOR',
+    0x200B: 'ZERO WIDTH SPACE',
+    0x200C: 'ZERO WIDTH NON-JOINER',
+    0x200D: 'ZERO WIDTH JOINER',
+    0x200E: 'LEFT-TO-RIGHT MARK',
+    0x200F: 'RIGHT-TO-LEFT MARK',
+    0x202A: 'LEFT-TO-RIGHT EMBEDDING',
+    0x202B: 'RIGHT-TO-LEFT EMBEDDING',
+    0x202C: 'POP DIRECTIONAL FORMATTING',
+    0x202D: 'LEFT-TO-RIGHT OVERRIDE',
+    0x202E: 'RIGHT-TO-LEFT OVERRIDE',
+    0x2060: 'WORD JOINER',
+    0x2066: 'LEFT-TO-RIGHT ISOLATE',
+    0x2067: 'RIGHT-TO-LEFT ISOLATE',
+    0x2068: 'FIRST STRONG ISOLATE',
+    0x2069: 'POP DIRECTIONAL ISOLATE'
+  };
+  const JOINERS = [0x200C, 0x200D];
+
+  // Spaces JSON does not accept between tokens; inside strings they are ordinary text
+  const SPACES = {
+    0x00A0: 'NO-BREAK SPACE',
+    0x1680: 'OGHAM SPACE MARK',
+    0x2000: 'EN QUAD',
+    0x2001: 'EM QUAD',
+    0x2002: 'EN SPACE',
+    0x2003: 'EM SPACE',
+    0x2004: 'THREE-PER-EM SPACE',
+    0x2005: 'FOUR-PER-EM SPACE',
+    0x2006: 'SIX-PER-EM SPACE',
+    0x2007: 'FIGURE SPACE',
+    0x2008: 'PUNCTUATION SPACE',
+    0x2009: 'THIN SPACE',
+    0x200A: 'HAIR SPACE',
+    0x202F: 'NARROW NO-BREAK SPACE',
+    0x205F: 'MEDIUM MATHEMATICAL SPACE',
+    0x3000: 'IDEOGRAPHIC SPACE'
+  };
+
+  // Look-alikes that word processors and chat tools substitute for JSON punctuation
+  const QUOTES = {
+    0x00AB: 'LEFT-POINTING DOUBLE ANGLE QUOTATION MARK',
+    0x00BB: 'RIGHT-POINTING DOUBLE ANGLE QUOTATION MARK',
+    0x2018: 'LEFT SINGLE QUOTATION MARK',
+    0x2019: 'RIGHT SINGLE QUOTATION MARK',
+    0x201A: 'SINGLE LOW-9 QUOTATION MARK',
+    0x201B: 'SINGLE HIGH-REVERSED-9 QUOTATION MARK',
+    0x201C: 'LEFT DOUBLE QUOTATION MARK',
+    0x201D: 'RIGHT DOUBLE QUOTATION MARK',
+    0x201E: 'DOUBLE LOW-9 QUOTATION MARK',
+    0x201F: 'DOUBLE HIGH-REVERSED-9 QUOTATION MARK',
+    0x2032: 'PRIME',
+    0x2033: 'DOUBLE PRIME',
+    0xFF02: 'FULLWIDTH QUOTATION MARK'
+  };
+  const PUNCTUATION = {
+    0xFF0C: [',', 'FULLWIDTH COMMA'],
+    0xFF1A: [':', 'FULLWIDTH COLON'],
+    0xFF3B: ['[', 'FULLWIDTH LEFT SQUARE BRACKET'],
+    0xFF3D: [']', 'FULLWIDTH RIGHT SQUARE BRACKET'],
+    0xFF5B: ['{', 'FULLWIDTH LEFT CURLY BRACKET'],
+    0xFF5D: ['}', 'FULLWIDTH RIGHT CURLY BRACKET']
+  };
+
+  const CONTROL_NAMES = { 0x00: 'NULL', 0x08: 'BACKSPACE', 0x09: 'CHARACTER TABULATION', 0x0A: 'LINE FEED', 0x0C: 'FORM FEED', 0x0D: 'CARRIAGE RETURN', 0x1B: 'ESCAPE', 0x7F: 'DELETE' };
+  const CONTROL_ESCAPES = { 0x08: '\\b', 0x09: '\\t', 0x0C: '\\f' };
+
+  function codepoint(code) {
+    return 'U+' + code.toString(16).toUpperCase().padStart(4, '0');
+  }
+
+  function isHigh(code) {
+    return code >= 0xD800 && code <= 0xDBFF;
+  }
+
+  function isLow(code) {
+    return code >= 0xDC00 && code <= 0xDFFF;
+  }
+
+  function unicodeEscape(code) {
+    return '\\u' + code.toString(16).toUpperCase().padStart(4, '0');
+  }
+
+  // Reads the \uXXXX escape starting at `i`, or returns -1
+  function escapedUnit(text, i) {
+    if (text[i] !== '\\' || text[i + 1] !== 'u') return -1;
+    const hex = text.substr(i + 2, 4);
+    return /^[0-9a-fA-F]{4}$/.test(hex) ? parseInt(hex, 16) : -1;
+  }
+
+  /**
+   * Walks the text once, tracking whether each character is inside a double-quoted string,
+   * and calls `report` for every suspicious character
+   * @param {string} text - Source text
+   * @param {Function} report - (code, offset, length, codeValue, name, inString, replacement) => boolean;
+   *   return false to stop the walk
+   */
+  function walk(text, report) {
+    let inString = false;
+    for (let i = 0; i < text.length; i++) {
+      const code = text.charCodeAt(i);
+
+      if (inString && code === 0x5C) {
+        // Escapes are skipped whole; only \u escapes can hide a lone surrogate
+        const unit = escapedUnit(text, i);
+        if (unit === -1) {
+          i++;
+          continue;
+        }
+        if (isHigh(unit) && isLow(escapedUnit(text, i + 6))) {
+          i += 11;
+          continue;
+        }
+        if ((isHigh(unit) || isLow(unit)) && report('LONE_SURROGATE', i, 6, unit, isHigh(unit) ? 'HIGH SURROGATE' : 'LOW SURROGATE', true, '\\uFFFD') === false) return;
+        i += 5;
+        continue;
+      }
+      if (code === 0x22) {
+        inString = !inString;
+        continue;
+      }
+      if (code < 0x80 && code >= 0x20 && code !== 0x7F) continue;
+      // Like the parser, end a string at a line break so one missing quote does not flip
+      // every later string; the parser reports the unterminated string itself
+      if (inString && (code === 0x0A || code === 0x0D)) {
+        inString = false;
+        continue;
+      }
+
+      let result;
+      if (code < 0x20 || code === 0x7F || (code >= 0x80 && code <= 0x9F)) {
+        // Tab, LF and CR are whitespace between tokens; a tab in a string must be escaped
+        if (!inString && (code === 0x09 || code === 0x0A || code === 0x0D)) continue;
+        const name = CONTROL_NAMES[code] || (code < 0x20 ? 'CONTROL CHARACTER' : 'C1 CONTROL CHARACTER');
+        const replacement = inString ? (CONTROL_ESCAPES[code] || unicodeEscape(code)) : '';
+        result = report('CONTROL_CHARACTER', i, 1, code, name, inString, replacement);
+      } else if (code === 0xFEFF) {
+        result = report(i === 0 ? 'BYTE_ORDER_MARK' : 'BOM_IN_TEXT', i, 1, code, 'ZERO WIDTH NO-BREAK SPACE (BOM)', inString, '');
+      } else if (INVISIBLE[code] && (!inString || !JOINERS.includes(code))) {
+        result = report('INVISIBLE_CHARACTER', i, 1, code, INVISIBLE[code], inString, '');
+      } else if (SPACES[code] && !inString) {
+        result = report('UNICODE_SPACE', i, 1, code, SPACES[code], false, ' ');
+      } else if (QUOTES[code] && !inString) {
+        result = report('CONFUSABLE_QUOTE', i, 1, code, QUOTES[code], false, '"');
+      } else if (PUNCTUATION[code] && !inString) {
+        result = report('CONFUSABLE_PUNCTUATION', i, 1, code, PUNCTUATION[code][1], false, PUNCTUATION[code][0]);
+      } else if (isHigh(code) && isLow(text.charCodeAt(i + 1))) {
+        i++;
+      } else if (isHigh(code) || isLow(code)) {
+        result = report('LONE_SURROGATE', i, 1, code, isHigh(code) ? 'HIGH SURROGATE' : 'LOW SURROGATE', inString, '\uFFFD');
+      } else if (code === 0xFFFD) {
+        // Bytes were lost when the file was decoded; there is nothing to restore them from
+        result = report('REPLACEMENT_CHARACTER', i, 1, code, 'REPLACEMENT CHARACTER', inString, null);
+      }
+      if (result === false) return;
+    }
+  }
+
+  const DESCRIPTIONS = {
+    BYTE_ORDER_MARK: 'Byte order mark at the start of the text; JSON parsers do not skip it',
+    BOM_IN_TEXT: 'Byte order mark in the middle of the text, usually from pasting or joining files',
+    INVISIBLE_CHARACTER: 'Invisible character',
+    UNICODE_SPACE: 'Non-ASCII space between tokens; JSON only allows space, tab and line breaks',
+    CONFUSABLE_QUOTE: 'Curly or look-alike quote where a straight double quote (") is needed',
+    CONFUSABLE_PUNCTUATION: 'Full-width look-alike of JSON punctuation',
+    CONTROL_CHARACTER: 'Control character',
+    LONE_SURROGATE: 'Unpaired surrogate; it is not a valid character on its own',
+    REPLACEMENT_CHARACTER: 'Replacement character; the original bytes could not be decoded'
+  };
+
+  /**
+   * Finds characters that break JSON or hide in it: control characters, invisible and
+   * bidirectional characters, non-ASCII spaces, look-alike quotes and punctuation,
+   * byte order marks, lone surrogates (raw or \u-escaped) and U+FFFD
+   * @param {string} text - Source text
+   * @param {Object} options - { maxIssues } (default 1000)
+   * @returns {Object} { issues: [{ code, message, offset, length, line, column, codepoint, name, inString, replacement }], total }
+   *   where replacement is the normalized text (null when it cannot be fixed) and total counts
+   *   issues beyond maxIssues too
+   */
+  function scan(text, options = {}) {
+    const maxIssues = options.maxIssues || MAX_ISSUES;
+    const lineStarts = window.JSONParser.computeLineStarts(text);
+    const issues = [];
+    let total = 0;
+    walk(text, (code, offset, length, unit, name, inString, replacement) => {
+      total++;
+      if (issues.length >= maxIssues) return true;
+      const { line, column } = window.JSONParser.positionAt(lineStarts, offset);
+      const where = inString ? 'inside a string' : 'outside strings';
+      issues.push({
+        code,
+        message: `${DESCRIPTIONS[code]}: ${codepoint(unit)} ${name} ${where}`,
+        offset,
+        length,
+        line,
+        column,
+        codepoint: codepoint(unit),
+        name,
+        inString,
+        replacement
+      });
+      return true;
+    });
+    return { issues, total };
+  }
+
+  /**
+   * Fixes everything scan() reports that has a safe replacement: invisible characters and
+   * BOMs are removed, spaces and look-alikes become their ASCII counterparts, control
+   * characters in strings are escaped and lone surrogates become U+FFFD
+   * @param {string} text - Source text
+   * @returns {Object} { text, changes: number of characters replaced or removed, remaining: issues left as they were }
+   */
+  function normalize(text) {
+    let output = '';
+    let last = 0;
+    let changes = 0;
+    let remaining = 0;
+    walk(text, (code, offset, length, unit, name, inString, replacement) => {
+      if (replacement === null) {
+        remaining++;
+        return true;
+      }
+      output += text.slice(last, offset) + replacement;
+      last = offset + length;
+      changes++;
+      return true;
+    });
+    return { text: changes ? output + text.slice(last) : text, changes, remaining };
+  }
+
+  /**
+   * Detects the encoding of JSON bytes from a byte order mark, or from the pattern of
+   * zero bytes in the first four bytes (the first character of JSON text is ASCII)
+   * @param {Uint8Array} bytes - Start of the file; four bytes are enough
+   * @returns {Object} { encoding: 'utf-8'|'utf-16le'|'utf-16be'|'utf-32le'|'utf-32be', bom: byte length of the BOM (0 if none) }
+   */
+  function detectEncoding(bytes) {
+    const [b0, b1, b2, b3] = bytes;
+    const length = bytes.length;
+    if (b0 === 0xEF && b1 === 0xBB && b2 === 0xBF) return { encoding: 'utf-8', bom: 3 };
+    if (b0 === 0xFF && b1 === 0xFE && b2 === 0 && b3 === 0 && length >= 4) return { encoding: 'utf-32le', bom: 4 };
+    if (b0 === 0 && b1 === 0 && b2 === 0xFE && b3 === 0xFF) return { encoding: 'utf-32be', bom: 4 };
+    if (b0 === 0xFF && b1 === 0xFE) return { encoding: 'utf-16le', bom: 2 };
+    if (b0 === 0xFE && b1 === 0xFF) return { encoding: 'utf-16be', bom: 2 };
+    if (length >= 4) {
+      if (b0 === 0 && b1 === 0 && b2 === 0 && b3 !== 0) return { encoding: 'utf-32be', bom: 0 };
+      if (b0 !== 0 && b1 === 0 && b2 === 0 && b3 === 0) return { encoding: 'utf-32le', bom: 0 };
+    }
+    if (length >= 2) {
+      if (b0 === 0 && b1 !== 0) return { encoding: 'utf-16be', bom: 0 };
+      if (b0 !== 0 && b1 === 0) return { encoding: 'utf-16le', bom: 0 };
+    }
+    return { encoding: 'utf-8', bom: 0 };
+  }
+
+  // TextDecoder has no UTF-32; invalid code points become U+FFFD like the built-in decoders
+  function decodeUTF32(bytes, littleEndian) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const parts = [];
+    let chunk = [];
+    let malformed = bytes.length % 4 !== 0;
+    for (let i = 0; i + 4 <= bytes.length; i += 4) {
+      let cp = view.getUint32(i, littleEndian);
+      if (cp > 0x10FFFF || (cp >= 0xD800 && cp <= 0xDFFF)) {
+        cp = 0xFFFD;
+        malformed = true;
+      }
+      chunk.push(cp);
+      if (chunk.length === 8192) {
+        parts.push(String.fromCodePoint(...chunk));
+        chunk = [];
+      }
+    }
+    parts.push(String.fromCodePoint(...chunk));
+    if (bytes.length % 4 !== 0) parts.push('\uFFFD');
+    return { text: parts.join(''), malformed };
+  }
+
+  /**
+   * Decodes file bytes in the detected encoding; the BOM is not part of the text
+   * @param {ArrayBuffer|Uint8Array} buffer - File contents
+   * @returns {Object} { text, encoding, bom: whether a BOM was present, malformed: whether invalid byte sequences were replaced with U+FFFD }
+   */
+  function decode(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const { encoding, bom } = detectEncoding(bytes);
+    const body = bytes.subarray(bom);
+    let text;
+    let malformed = false;
+    if (encoding === 'utf-32le' || encoding === 'utf-32be') {
+      ({ text, malformed } = decodeUTF32(body, encoding === 'utf-32le'));
+    } else {
+      try {
+        text = new TextDecoder(encoding, { fatal: true, ignoreBOM: true }).decode(body);
+      } catch (error) {
+        text = new TextDecoder(encoding, { ignoreBOM: true }).decode(body);
+        malformed = true;
+      }
+    }
+    return { text, encoding, bom: bom > 0, malformed };
+  }
+
+  /**
+   * Decodes a file chunk by chunk like TextDecoder, the BOM dropped, and notes whether any bytes were
+   * invalid and replaced with U+FFFD; a U+FFFD that is really in the file does not count
+   * @param {string} encoding - 'utf-8', 'utf-16le' or 'utf-16be', from detectEncoding()
+   * @returns {Object} { decode(bytes, options) => string, as TextDecoder.decode(), malformed }
+   */
+  function createStreamDecoder(encoding) {
+    const decoder = new TextDecoder(encoding);
+    // A fatal decoder only checks the bytes, up to the first invalid sequence
+    let checker = new TextDecoder(encoding, { fatal: true });
+    return {
+      decode(bytes, options) {
+        if (checker) {
+          try {
+            checker.decode(bytes, options);
+          } catch (error) {
+            checker = null;
+          }
+        }
+        return decoder.decode(bytes, options);
+      },
+      get malformed() {
+        return checker === null;
+      }
+    };
+  }
+
+  /**
+   * Human-readable encoding label such as "UTF-16LE with BOM"
+   * @param {Object} info - { encoding, bom } from decode() or detectEncoding()
+   * @returns {string} Label
+   */
+  function describeEncoding(info) {
+    return info.encoding.toUpperCase() + (info.bom ? ' with BOM' : '');
+  }
+
+  // Expose API
+  window.JSONUnicode = { scan, normalize, detectEncoding, decode, createStreamDecoder, describeEncoding, MAX_ISSUES };
+})();
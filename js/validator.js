@@ -1,201 +1,292 @@
 'use strict';
 (function () {
-  function parseJSONError(errorMessage, jsonString) {
-    let line = 1, column = 1, position = 0;
-    const lcMatch = errorMessage.match(/line\s+(\d+)\s*(?:[,]|)\s*column\s+(\d+)/i);
-    if (lcMatch) {
-      line = parseInt(lcMatch[1], 10);
-      column = parseInt(lcMatch[2], 10);
-      if (jsonString) {
-        const linesArr = jsonString.split('\n');
-        position = 0;
-        for (let i = 0; i < line - 1 && i < linesArr.length; i++) {
-          position += linesArr[i].length + 1; // +1 for newline
-        }
-        position += Math.max(0, column - 1);
+  // Engines word syntax errors differently (Firefox gives "line L column C", Chrome
+  // "position N", Safari neither), so the location always comes from our own parser
+  function parseJSONError(errorMessage, jsonString, options = {}) {
+    if (jsonString && window.JSONParser) {
+      const first = window.JSONParser.parse(jsonString, { dialect: options.dialect, limits: options.limits, maxErrors: 1 }).errors[0];
+      if (first) {
+        return { line: first.line, column: first.column, position: first.offset, message: errorMessage, code: first.code };
       }
-    } else {
-      const posMatch = errorMessage.match(/position\s+(\d+)/i);
-      if (posMatch) {
-        position = parseInt(posMatch[1], 10);
+    }
+    return { line: 1, column: 1, position: 0, message: errorMessage, code: 'INVALID_JSON' };
+  }
+
+  // Parse in the selected dialect. Strict JSON keeps the fast native path; JSONC/JSON5
+  // go through the recovering parser so comments survive for formatting. JSON.parse
+  // silently keeps the last duplicate key and rounds big numbers, so the parser also runs
+  // when warnings are wanted or `lossless` asks for LosslessNumber values.
+  // `options.limits` applies to both paths; a native result that breaks a limit is
+  // re-parsed so the error gets a source location.
+  function tryParse(jsonString, options = {}) {
+    const dialect = options.dialect || 'json';
+    const checkDuplicates = options.showWarnings || options.strictDuplicateKeys;
+    let parsed;
+    if (dialect === 'json' && !options.lossless) {
+      try {
+        parsed = JSON.parse(jsonString);
+      } catch (err) {
+        return { ok: false, engineError: err };
       }
-      if (position > 0 && jsonString) {
-        const before = jsonString.substring(0, position);
-        const linesArr = before.split('\n');
-        line = linesArr.length;
-        column = (linesArr[linesArr.length - 1] || '').length + 1;
+      if (!checkDuplicates && !window.JSONParser.checkLimits(parsed, options.limits)) {
+        return { ok: true, parsed, warnings: [] };
       }
     }
-    return { line, column, position, message: errorMessage };
+    const analysis = window.JSONParser.parse(jsonString, {
+      dialect,
+      duplicateKeys: options.strictDuplicateKeys ? 'error' : 'warning',
+      limits: options.limits,
+      onProgress: options.onProgress
+    });
+    if (analysis.errors.length) {
+      return { ok: false, analysis };
+    }
+    return {
+      ok: true,
+      parsed: parsed !== undefined ? parsed : window.JSONParser.toValue(analysis.ast, { lossless: options.lossless }),
+      analysis,
+      warnings: options.showWarnings ? analysis.warnings : []
+    };
+  }
+
+  // Formatting and the I-JSON profile need the AST. JSON.parse accepts nesting deeper than the
+  // recursive parser reaches, so a document it passed can still fail here with DEPTH_LIMIT.
+  function withAnalysis(jsonString, attempt, options) {
+    if (!attempt.ok) return attempt;
+    const analysis = attempt.analysis || window.JSONParser.parse(jsonString, { dialect: options.dialect, limits: options.limits, onProgress: options.onProgress });
+    return analysis.ast ? { ...attempt, analysis } : { ok: false, analysis };
+  }
+
+  // Print from the AST rather than the parsed value so numbers keep their source text
+  function formatParsed(jsonString, attempt, indentStr, options = {}) {
+    const analysis = attempt.analysis;
+    return window.JSONParser.print(analysis.ast, {
+      indent: indentStr,
+      keepComments: options.keepComments,
+      comments: analysis.comments,
+      text: jsonString
+    });
+  }
+
+  // 0 means minified output
+  function getIndentString(indentation) {
+    if (indentation === 'tab') return '\t';
+    const size = parseInt(indentation, 10);
+    return size === 0 ? '' : ' '.repeat(size || 2);
+  }
+
+  // A failed result for text that does not parse, located at the first of the parser's errors
+  function syntaxFailure(errors) {
+    const { code, message, offset, line, column } = errors[0];
+    return { isValid: false, error: message, errorInfo: { code, message, line, column, position: offset }, errors };
+  }
+
+  // Collect every syntax error with the recovering parser. Messages and positions are the
+  // parser's, never the engine's, so every browser reports the same location.
+  function collectErrors(jsonString, attempt, options = {}) {
+    const analysis = attempt.analysis || window.JSONParser.parse(jsonString, { dialect: options.dialect, limits: options.limits, onProgress: options.onProgress });
+    const errors = analysis.errors;
+    const first = errors[0];
+    const errorInfo = first
+      ? { line: first.line, column: first.column, position: first.offset, message: first.message, code: first.code }
+      : { line: 1, column: 1, position: 0, message: attempt.engineError ? attempt.engineError.message : 'Invalid JSON', code: 'INVALID_JSON' };
+    return { errors, errorInfo };
+  }
+
+  // Parse to a JavaScript value in the selected dialect; throws a SyntaxError carrying errorInfo
+  function parse(jsonString, options = {}) {
+    const attempt = tryParse(jsonString, options);
+    if (attempt.ok) return attempt.parsed;
+    const { errors, errorInfo } = collectErrors(jsonString, attempt, options);
+    const error = new SyntaxError(errorInfo.message);
+    error.errorInfo = errorInfo;
+    error.errors = errors;
+    throw error;
   }
 
   // Partial formatting until error
   function formatUntilError(jsonString, options = {}) {
     const indentation = options.indentation !== undefined ? options.indentation : 2;
-    const indentStr = indentation === 'tab' ? '\t' : ' '.repeat(parseInt(indentation, 10) || 2);
-    try {
-      const parsed = JSON.parse(jsonString);
-      const formattedFull = JSON.stringify(parsed, null, indentStr);
-      return { isValid: true, formattedFull };
-    } catch (err) {
-      const errorInfo = parseJSONError(err.message, jsonString);
-      const errorIndex = Math.max(0, Math.min((errorInfo.position || 0), jsonString.length));
-      const partial = computePartialFormatting(jsonString, errorIndex, indentStr);
-      const suffix = jsonString.slice(errorIndex);
-      return {
-        isValid: false,
-        error: err.message,
-        errorInfo,
-        errorIndex,
-        formattedPrefix: partial.formatted,
-        suffix,
-        formattedErrorOffset: partial.formattedErrorOffset,
-        formattedContent: partial.formatted + suffix
-      };
+    const indentStr = getIndentString(indentation);
+    const attempt = withAnalysis(jsonString, tryParse(jsonString, options), options);
+    if (attempt.ok) {
+      // The output is strict JSON, so values it cannot hold are reported even without showWarnings
+      const warnings = options.showWarnings ? attempt.warnings : attempt.analysis.warnings.filter(w => w.code === 'NON_FINITE_NUMBER');
+      return { isValid: true, formattedFull: formatParsed(jsonString, attempt, indentStr, options), warnings };
     }
+    const { errors, errorInfo } = collectErrors(jsonString, attempt, options);
+    const errorIndex = Math.max(0, Math.min((errorInfo.position || 0), jsonString.length));
+    const partial = computePartialFormatting(jsonString, errorIndex, indentStr);
+    const suffix = jsonString.slice(errorIndex);
+    return {
+      isValid: false,
+      error: errorInfo.message,
+      errorInfo,
+      errors,
+      errorIndex,
+      formattedPrefix: partial.formatted,
+      suffix,
+      formattedErrorOffset: partial.formattedErrorOffset,
+      formattedContent: partial.formatted + suffix
+    };
   }
 
   // Lightweight streaming formatter that formats up to endIndex without requiring valid JSON closure
   function computePartialFormatting(src, endIndex, indentStr) {
     let out = '';
+    // Whitespace after the last character written. It is only written once more content follows,
+    // so a closing bracket can trim it without scanning the output again.
+    let pending = '';
     let level = 0;
-    let inString = false;
-    let escape = false;
     const n = Math.max(0, Math.min(src.length, endIndex));
 
+    function write(text) {
+      out += pending + text;
+      pending = '';
+    }
+
     for (let i = 0; i < n; i++) {
       const ch = src[i];
 
-      if (inString) {
-        out += ch;
-        if (escape) {
-          escape = false;
-        } else if (ch === '\\') {
-          escape = true;
-        } else if (ch === '"') {
-          inString = false;
-        }
-        continue;
-      }
-
       if (ch === '"') {
-        inString = true;
-        out += ch;
+        // Copy the string as it is, up to its closing quote or the end of the prefix
+        let end = i + 1;
+        while (end < n && src[end] !== '"') end += src[end] === '\\' ? 2 : 1;
+        end = Math.min(end + 1, n);
+        write(src.slice(i, end));
+        i = end - 1;
         continue;
       }
 
       if (ch === '{' || ch === '[') {
-        out += ch + '\n' + indentStr.repeat(++level);
+        write(ch);
+        pending = '\n' + indentStr.repeat(++level);
         continue;
       }
 
       if (ch === '}' || ch === ']') {
         level = Math.max(0, level - 1);
         // Trim any trailing spaces on current line before closing bracket
-        out = out.replace(/[ \t]*$/, '');
-        out += '\n' + indentStr.repeat(level) + ch;
+        let keep = pending.length;
+        while (keep > 0 && (pending[keep - 1] === ' ' || pending[keep - 1] === '\t')) keep--;
+        pending = pending.slice(0, keep);
+        write('\n' + indentStr.repeat(level) + ch);
         continue;
       }
 
       if (ch === ',') {
-        out += ch + '\n' + indentStr.repeat(level);
+        write(ch);
+        pending = '\n' + indentStr.repeat(level);
         continue;
       }
 
       if (ch === ':') {
-        out += ': ';
+        write(':');
+        pending = ' ';
         continue;
       }
 
       if (/\s/.test(ch)) {
         // Collapse whitespace outside strings
-        const prev = out[out.length - 1];
-        if (prev && !/\s/.test(prev)) {
-          out += ' ';
-        }
+        if (!pending && out && !/\s/.test(out[out.length - 1])) pending = ' ';
         continue;
       }
 
-      out += ch;
+      write(ch);
     }
 
+    out += pending;
     return { formatted: out, formattedErrorOffset: out.length };
   }
 
-  // Incremental validation that returns first error position and partial formatted result
+  // Incremental validation that returns every error (first one drives the partial formatted result).
+  // With `options.interop`, valid documents also get `interop` from JSONInterop.check(): the
+  // I-JSON (RFC 7493) issues, judged separately from isValid. `options.encoding` is the source
+  // file's { encoding, malformed }, when known.
   function validateIncremental(jsonString, options = {}) {
     const indentation = options.indentation !== undefined ? options.indentation : 2;
-    const indentStr = indentation === 'tab' ? '\t' : ' '.repeat(parseInt(indentation, 10) || 2);
+    const indentStr = getIndentString(indentation);
 
-    try {
-      const parsed = JSON.parse(jsonString);
-      const formattedFull = JSON.stringify(parsed, null, indentStr);
+    const attempt = withAnalysis(jsonString, tryParse(jsonString, options), options);
+    if (attempt.ok) {
       return {
         isValid: true,
-        parsed,
-        formattedFull
+        parsed: attempt.parsed,
+        formattedFull: formatParsed(jsonString, attempt, indentStr, options),
+        warnings: attempt.warnings,
+        interop: options.interop
+          ? window.JSONInterop.check(attempt.analysis.ast, { lineStarts: attempt.analysis.lineStarts, encoding: options.encoding })
+          : null
       };
-    } catch (err) {
-      const errorInfo = parseJSONError(err.message, jsonString);
-      const errorIndex = Math.max(0, Math.min((errorInfo.position || 0), jsonString.length));
-
-      // Track tokenizer state up to errorIndex
-      let level = 0;
-      let inString = false;
-      let escape = false;
-      for (let i = 0; i < errorIndex; i++) {
-        const ch = jsonString[i];
-        if (inString) {
-          if (escape) {
-            escape = false;
-          } else if (ch === '\\') {
-            escape = true;
-          } else if (ch === '"') {
-            inString = false;
-          }
-          continue;
-        }
-        if (ch === '"') {
-          inString = true;
-          continue;
-        }
-        if (ch === '{' || ch === '[') {
-          level++;
-          continue;
-        }
-        if (ch === '}' || ch === ']') {
-          level = Math.max(0, level - 1);
-          continue;
-        }
-      }
+    }
 
-      const partial = computePartialFormatting(jsonString, errorIndex, indentStr);
-      const suffix = jsonString.slice(errorIndex);
+    const { errors, errorInfo } = collectErrors(jsonString, attempt, options);
+    const errorIndex = Math.max(0, Math.min((errorInfo.position || 0), jsonString.length));
 
-      let expected = '';
+    // Track tokenizer state up to errorIndex
+    let level = 0;
+    let inString = false;
+    let escape = false;
+    for (let i = 0; i < errorIndex; i++) {
+      const ch = jsonString[i];
       if (inString) {
-        expected = 'terminating quote " for string';
-      } else if (level > 0) {
-        expected = 'closing brace/bracket or next value';
-      } else {
-        expected = 'value or end of input';
+        if (escape) {
+          escape = false;
+        } else if (ch === '\\') {
+          escape = true;
+        } else if (ch === '"') {
+          inString = false;
+        }
+        continue;
       }
+      if (ch === '"') {
+        inString = true;
+        continue;
+      }
+      if (ch === '{' || ch === '[') {
+        level++;
+        continue;
+      }
+      if (ch === '}' || ch === ']') {
+        level = Math.max(0, level - 1);
+        continue;
+      }
+    }
 
-      return {
-        isValid: false,
-        error: err.message,
-        errorInfo,
-        errorIndex,
-        formattedPrefix: partial.formatted,
-        suffix,
-        formattedErrorOffset: partial.formattedErrorOffset,
-        formattedContent: partial.formatted + suffix,
-        tokenContext: { level, inString, escape },
-        expected
-      };
+    const partial = computePartialFormatting(jsonString, errorIndex, indentStr);
+    const suffix = jsonString.slice(errorIndex);
+
+    let expected = '';
+    if (errors.length && window.JSONParser.LIMIT_CODES.includes(errors[0].code)) {
+      // The input may be fine; it is just larger or deeper than allowed
+      expected = '';
+    } else if (errors.length && errors[0].expected.length) {
+      expected = window.JSONParser.formatExpected(errors[0].expected);
+    } else if (inString) {
+      expected = 'terminating quote " for string';
+    } else if (level > 0) {
+      expected = 'closing brace/bracket or next value';
+    } else {
+      expected = 'value or end of input';
     }
+
+    return {
+      isValid: false,
+      error: errorInfo.message,
+      errorInfo,
+      errors,
+      errorIndex,
+      formattedPrefix: partial.formatted,
+      suffix,
+      formattedErrorOffset: partial.formattedErrorOffset,
+      formattedContent: partial.formatted + suffix,
+      tokenContext: { level, inString, escape },
+      expected,
+      // Interoperability is only judged once the syntax is valid
+      interop: null
+    };
   }
 
   // Expose API
-  window.JSONValidator = { parseJSONError, formatUntilError, validateIncremental };
+  window.JSONValidator = { parseJSONError, parse, formatUntilError, validateIncremental, getIndentString, syntaxFailure };
   })();
\ No newline at end of file
@@ -0,0 +1,863 @@
+'use strict';
+(function () {
+  // YAML for config files: a reader for what Kubernetes manifests, CI pipelines and compose files use
+  // (block and flow collections, every scalar style, anchors, aliases and << merge keys, several
+  // documents in one stream) and a writer that turns JSON into block-style YAML. Plain scalars are
+  // typed by the YAML 1.2 core schema, so "yes" and "on" stay text; the writer quotes them anyway so
+  // YAML 1.1 tools read them back the same. Numbers keep their digits on the way to JSON.
+  const FILE_PATTERN = /\.ya?ml$/i;
+  const JSON_NUMBER = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/;
+  const INT = /^[-+]?\d+$/;
+  const RADIX_INT = /^(0o[0-7]+|0x[0-9a-fA-F]+)$/;
+  const FLOAT = /^[-+]?(\.\d+|\d+(\.\d*)?)([eE][-+]?\d+)?$/;
+  const SPECIAL_FLOAT = /^([-+]?\.(inf|Inf|INF)|\.(nan|NaN|NAN))$/;
+  const NULLS = ['', '~', 'null', 'Null', 'NULL'];
+  const BOOLEANS = { true: true, True: true, TRUE: true, false: false, False: false, FALSE: false };
+  const ESCAPES = {
+    '0': '\0', a: '\x07', b: '\b', t: '\t', '\t': '\t', n: '\n', v: '\v', f: '\f', r: '\r', e: '\x1b',
+    ' ': ' ', '"': '"', '/': '/', '\\': '\\', N: '\u0085', _: '\u00a0', L: '\u2028', P: '\u2029'
+  };
+  const HEX_ESCAPES = { x: 2, u: 4, U: 8 };
+  const FLOW_INDICATORS = ',[]{}';
+  const STRING_TAGS = ['!', '!!str', 'tag:yaml.org,2002:str'];
+  const NUMBER_TAGS = ['!!int', '!!float', 'tag:yaml.org,2002:int', 'tag:yaml.org,2002:float'];
+  // Strings the writer quotes because a YAML 1.2 or 1.1 reader would type them
+  const TYPED_WORD = /^(~|null|true|false|y|n|yes|no|on|off)$/i;
+  const NUMERIC_START = /^[-+]?(\d|\.\d|\.inf|\.nan)/i;
+
+  class YAMLError extends Error {
+    constructor(code, message, offset) {
+      super(message);
+      this.name = 'YAMLError';
+      this.code = code;
+      this.offset = offset;
+    }
+  }
+
+  function hasOwn(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+  }
+
+  function isMapping(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof window.JSONParser.LosslessNumber);
+  }
+
+  function setKey(object, key, value) {
+    // defineProperty, so that a "__proto__" key is an ordinary key
+    Object.defineProperty(object, key, { value, enumerable: true, writable: true, configurable: true });
+  }
+
+  function isBlank(ch) {
+    return ch === ' ' || ch === '\t';
+  }
+
+  // Whitespace, a line break or the end of the text
+  function isEnd(ch) {
+    return ch === undefined || ch === '\n' || isBlank(ch);
+  }
+
+  /**
+   * Reads every document of a YAML stream
+   * @param {string} text - YAML text with LF line ends
+   * @param {Object} options - { limits: { maxDepth } }
+   * @returns {Array<Object>} Documents { value, offset }
+   * @throws {YAMLError} With the offset of the problem
+   */
+  function parseStream(text, options = {}) {
+    const length = text.length;
+    const limits = options.limits || {};
+    const maxDepth = limits.maxDepth || window.JSONParser.DEFAULT_LIMITS.maxDepth;
+    let pos = text.charCodeAt(0) === 0xFEFF ? 1 : 0;
+    let anchors = new Map();
+
+    const fail = (code, message, offset = pos) => {
+      throw new YAMLError(code, message, offset);
+    };
+
+    function columnOf(offset) {
+      return offset - (text.lastIndexOf('\n', offset - 1) + 1);
+    }
+
+    function atMarker(marker, offset = pos) {
+      return columnOf(offset) === 0 && text.startsWith(marker, offset) && isEnd(text[offset + 3]);
+    }
+
+    function atDocumentMarker(offset = pos) {
+      return atMarker('---', offset) || atMarker('...', offset);
+    }
+
+    function failTab(offset) {
+      fail('YAML_INDENTATION', 'Tabs cannot be used to indent YAML; use spaces', offset);
+    }
+
+    // The start of the whitespace before `offset`, when only whitespace comes before it on its line
+    function indentationStart(offset) {
+      let start = offset;
+      while (start > 0 && isBlank(text[start - 1])) start--;
+      return start === 0 || text[start - 1] === '\n' ? start : -1;
+    }
+
+    function enter(depth) {
+      if (depth > maxDepth) fail('DEPTH_LIMIT', `Nesting depth exceeds the limit of ${maxDepth}`);
+    }
+
+    // Skips whitespace, comments and line breaks; returns whether a line break was crossed. Content
+    // that starts a line must be indented with spaces only.
+    function skipToContent() {
+      let crossed = false;
+      while (pos < length) {
+        const ch = text[pos];
+        if (isBlank(ch)) {
+          pos++;
+        } else if (ch === '#') {
+          while (pos < length && text[pos] !== '\n') pos++;
+        } else if (ch === '\n') {
+          pos++;
+          crossed = true;
+        } else {
+          break;
+        }
+      }
+      const start = pos < length ? indentationStart(pos) : -1;
+      if (start !== -1) {
+        const tab = text.slice(start, pos).indexOf('\t');
+        if (tab !== -1) failTab(start + tab);
+      }
+      return crossed;
+    }
+
+    // In flow collections line breaks and indentation do not matter
+    function skipFlow() {
+      while (pos < length) {
+        const ch = text[pos];
+        if (isBlank(ch) || ch === '\n') {
+          pos++;
+        } else if (ch === '#') {
+          while (pos < length && text[pos] !== '\n') pos++;
+        } else {
+          break;
+        }
+        if (atDocumentMarker()) fail('YAML_SYNTAX', 'A document marker cannot appear inside a flow collection');
+      }
+    }
+
+    // Only a comment may follow a value on its line
+    function expectLineEnd() {
+      while (isBlank(text[pos])) pos++;
+      if (text[pos] === '#') {
+        while (pos < length && text[pos] !== '\n') pos++;
+      }
+      if (pos >= length || text[pos] === '\n') return;
+      if (text[pos] === ':') {
+        fail('YAML_SYNTAX', 'A mapping value cannot start here; put the value on its own line, or quote text that contains ": "');
+      }
+      fail('YAML_SYNTAX', 'Unexpected text after the value');
+    }
+
+    function readProperties(flow) {
+      const properties = { anchor: null, tag: null, offset: pos };
+      while (text[pos] === '&' || text[pos] === '!') {
+        const kind = text[pos];
+        const start = pos;
+        pos++;
+        while (pos < length && !isEnd(text[pos]) && !(flow && FLOW_INDICATORS.includes(text[pos]))) pos++;
+        const name = text.slice(start + 1, pos);
+        if (kind === '&') {
+          if (!name) fail('YAML_SYNTAX', 'An anchor needs a name, as in &defaults', start);
+          properties.anchor = name;
+        } else {
+          properties.tag = '!' + name;
+        }
+        while (isBlank(text[pos])) pos++;
+      }
+      return properties;
+    }
+
+    function alias(properties) {
+      const start = pos;
+      pos++;
+      while (pos < length && !isEnd(text[pos]) && !FLOW_INDICATORS.includes(text[pos])) pos++;
+      const name = text.slice(start + 1, pos);
+      if (properties.anchor || properties.tag) fail('YAML_ALIAS', 'An alias cannot have an anchor or a tag', properties.offset);
+      if (!anchors.has(name)) fail('YAML_ALIAS', `The alias *${name} has no &${name} anchor before it`, start);
+      return anchors.get(name);
+    }
+
+    function finish(value, properties) {
+      if (properties.anchor) anchors.set(properties.anchor, value);
+      return value;
+    }
+
+    // A scalar's JSON value: quoted scalars are text, plain ones are typed, and tags can say otherwise
+    function resolve(scalar, tag, offset) {
+      if (tag && STRING_TAGS.includes(tag)) return scalar.text;
+      if (scalar.quoted && !(tag && tag.startsWith('!!'))) return scalar.text;
+      const text = scalar.text;
+      let value = text;
+      if (NULLS.includes(text)) {
+        value = null;
+      } else if (hasOwn(BOOLEANS, text)) {
+        value = BOOLEANS[text];
+      } else if (JSON_NUMBER.test(text)) {
+        value = new window.JSONParser.LosslessNumber(text);
+      } else if (INT.test(text) || RADIX_INT.test(text)) {
+        value = new window.JSONParser.LosslessNumber(BigInt(text).toString());
+      } else if (FLOAT.test(text)) {
+        value = new window.JSONParser.LosslessNumber(normalizeFloat(text));
+      } else if (SPECIAL_FLOAT.test(text)) {
+        fail('YAML_UNSUPPORTED', `JSON has no infinity or NaN; quote ${text} to keep it as text`, offset);
+      }
+      if (tag && NUMBER_TAGS.includes(tag) && !(value instanceof window.JSONParser.LosslessNumber)) {
+        fail('YAML_SYNTAX', `"${text}" is tagged ${tag} but is not a number`, offset);
+      }
+      return value;
+    }
+
+    // Single-quoted scalars double their quotes; double-quoted ones have backslash escapes
+    function quoted() {
+      const start = pos;
+      const double = text[pos] === '"';
+      let result = '';
+      pos++;
+      for (;;) {
+        if (pos >= length) fail('YAML_SYNTAX', 'This quoted scalar is never closed', start);
+        const ch = text[pos];
+        if (!double && ch === '\'') {
+          if (text[pos + 1] !== '\'') break;
+          result += '\'';
+          pos += 2;
+        } else if (double && ch === '"') {
+          break;
+        } else if (double && ch === '\\') {
+          const next = text[pos + 1];
+          if (next === '\n') {
+            // An escaped line break joins the lines without a space
+            pos += 2;
+            while (isBlank(text[pos])) pos++;
+          } else if (hasOwn(ESCAPES, next)) {
+            result += ESCAPES[next];
+            pos += 2;
+          } else if (hasOwn(HEX_ESCAPES, next)) {
+            const digits = text.substr(pos + 2, HEX_ESCAPES[next]);
+            if (digits.length !== HEX_ESCAPES[next] || !/^[0-9a-fA-F]+$/.test(digits)) {
+              fail('YAML_SYNTAX', `\\${next} must be followed by ${HEX_ESCAPES[next]} hexadecimal digits`);
+            }
+            const code = parseInt(digits, 16);
+            if (code > 0x10FFFF) fail('YAML_SYNTAX', `\\U${digits} is not a Unicode code point`);
+            result += next === 'U' ? String.fromCodePoint(code) : String.fromCharCode(code);
+            pos += 2 + digits.length;
+          } else {
+            fail('YAML_SYNTAX', `Unknown escape \\${next || ''}`);
+          }
+        } else if (ch === '\n') {
+          result = fold(result);
+        } else {
+          result += ch;
+          pos++;
+        }
+      }
+      pos++;
+      return { text: result, quoted: true };
+    }
+
+    // A line break inside a quoted scalar becomes a space; each empty line after it, a line break
+    function fold(result) {
+      let breaks = 0;
+      while (text[pos] === '\n') {
+        breaks++;
+        pos++;
+        while (isBlank(text[pos])) pos++;
+      }
+      if (atDocumentMarker()) fail('YAML_SYNTAX', 'A document marker cannot appear inside a quoted scalar');
+      return result.replace(/[ \t]+$/, '') + (breaks === 1 ? ' ' : '\n'.repeat(breaks - 1));
+    }
+
+    // One line of a plain scalar, up to ": ", " #" or the end of the line; in flow collections also
+    // up to a flow indicator
+    function plainLine(flow) {
+      const start = pos;
+      let end = pos;
+      while (pos < length) {
+        const ch = text[pos];
+        if (ch === '\n') break;
+        if (ch === ':' && (isEnd(text[pos + 1]) || (flow && FLOW_INDICATORS.includes(text[pos + 1])))) break;
+        if (ch === '#' && isBlank(text[pos - 1])) break;
+        if (flow && FLOW_INDICATORS.includes(ch)) break;
+        pos++;
+        if (!isBlank(ch)) end = pos;
+      }
+      pos = end;
+      return text.slice(start, end);
+    }
+
+    // Plain scalars continue on following lines indented more than their parent, folded like quoted ones.
+    // Tabs may follow that indentation, but cannot make it.
+    function plainMore(first, indent, flow) {
+      let result = first;
+      for (;;) {
+        const save = pos;
+        while (isBlank(text[pos])) pos++;
+        if (text[pos] !== '\n') {
+          pos = save;
+          break;
+        }
+        let breaks = 0;
+        let next = pos;
+        while (text[next] === '\n') {
+          breaks++;
+          next++;
+          while (isBlank(text[next])) next++;
+        }
+        const stop = next >= length || text[next] === '#' || atDocumentMarker(next) ||
+          (flow ? FLOW_INDICATORS.includes(text[next]) || text[next] === ':' : columnOf(next) <= indent);
+        if (stop) {
+          pos = save;
+          break;
+        }
+        if (!flow) {
+          let spaces = indentationStart(next);
+          while (text[spaces] === ' ') spaces++;
+          if (text[spaces] === '\t' && columnOf(spaces) <= indent) failTab(spaces);
+        }
+        pos = next;
+        const line = plainLine(flow);
+        if (!line) {
+          pos = save;
+          break;
+        }
+        result += (breaks === 1 ? ' ' : '\n'.repeat(breaks - 1)) + line;
+      }
+      return result;
+    }
+
+    function checkPlainStart() {
+      const ch = text[pos];
+      if ('%@`'.includes(ch) || ((ch === '-' || ch === '?' || ch === ':') && isEnd(text[pos + 1]))) {
+        fail('YAML_SYNTAX', `A plain scalar cannot start with "${ch}"; quote it`);
+      }
+    }
+
+    function plainScalar(indent, flow) {
+      checkPlainStart();
+      return { text: plainMore(plainLine(flow), indent, flow), quoted: false };
+    }
+
+    // | keeps line breaks and > folds lines into spaces; - strips the final line break, + keeps all of them
+    function blockScalar(indent) {
+      const start = pos;
+      const folded = text[pos] === '>';
+      let chomping = 'clip';
+      let explicit = 0;
+      pos++;
+      for (let i = 0; i < 2; i++) {
+        const ch = text[pos];
+        if ((ch === '+' || ch === '-') && chomping === 'clip') {
+          chomping = ch === '+' ? 'keep' : 'strip';
+          pos++;
+        } else if (/[1-9]/.test(ch) && !explicit) {
+          explicit = Number(ch);
+          pos++;
+        }
+      }
+      while (isBlank(text[pos])) pos++;
+      if (text[pos] === '#') {
+        while (pos < length && text[pos] !== '\n') pos++;
+      }
+      if (pos < length && text[pos] !== '\n') fail('YAML_SYNTAX', 'Only a comment can follow a block scalar indicator', start);
+      pos++;
+
+      // Found from the first line with content unless given; a document's content may start at column 0
+      let contentIndent = explicit ? Math.max(indent, 0) + explicit : null;
+      let result = '';
+      let emptyLines = 0;
+      let didReadContent = false;
+      let atMoreIndented = false;
+      while (pos < length) {
+        let content = pos;
+        while (text[content] === ' ' && (contentIndent === null || content - pos < contentIndent)) content++;
+        if (contentIndent === null) {
+          while (text[content] === ' ') content++;
+          if (text[content] === '\n') {
+            emptyLines++;
+            pos = content + 1;
+            continue;
+          }
+          if (content >= length || content - pos <= indent) break;
+          contentIndent = content - pos;
+        }
+        if (content - pos < contentIndent) {
+          let rest = content;
+          while (isBlank(text[rest])) rest++;
+          if (text[rest] === '\n') {
+            emptyLines++;
+            pos = rest + 1;
+            continue;
+          }
+          if (rest >= length) pos = rest;
+          break;
+        }
+        if (atDocumentMarker()) break;
+        let end = text.indexOf('\n', content);
+        if (end === -1) end = length;
+        const line = text.slice(content, end);
+        if (!line) {
+          emptyLines++;
+        } else {
+          if (!folded) {
+            result += '\n'.repeat(didReadContent ? 1 + emptyLines : emptyLines);
+          } else if (isBlank(line[0])) {
+            // More-indented lines of a folded scalar keep their line breaks
+            atMoreIndented = true;
+            result += '\n'.repeat(didReadContent ? 1 + emptyLines : emptyLines);
+          } else if (atMoreIndented) {
+            atMoreIndented = false;
+            result += '\n'.repeat(emptyLines + 1);
+          } else if (emptyLines === 0) {
+            if (didReadContent) result += ' ';
+          } else {
+            result += '\n'.repeat(emptyLines);
+          }
+          result += line;
+          didReadContent = true;
+          emptyLines = 0;
+        }
+        pos = end < length ? end + 1 : end;
+      }
+      if (chomping === 'keep') {
+        result += '\n'.repeat(didReadContent ? 1 + emptyLines : emptyLines);
+      } else if (chomping === 'clip' && didReadContent) {
+        result += '\n';
+      }
+      return { text: result, quoted: true };
+    }
+
+    // Adds one entry; a << key merges the keys of a mapping, or of a list of mappings, that the
+    // mapping does not set itself
+    function addEntry(result, explicit, key, value) {
+      if (key.text === '<<' && !key.quoted) {
+        const sources = Array.isArray(value) ? value : [value];
+        sources.forEach(source => {
+          if (!isMapping(source)) fail('YAML_SYNTAX', 'A merge key (<<) takes a mapping, or a list of mappings', key.offset);
+          Object.keys(source).forEach(name => {
+            if (!hasOwn(result, name)) setKey(result, name, source[name]);
+          });
+        });
+        return;
+      }
+      if (explicit.has(key.text)) fail('YAML_DUPLICATE_KEY', `The key "${key.text}" is repeated in this mapping`, key.offset);
+      explicit.add(key.text);
+      setKey(result, key.text, value);
+    }
+
+    // JSON keys are text, so a key is the scalar as written
+    function keyOf(scalar, offset) {
+      return { text: scalar.text, quoted: scalar.quoted, offset };
+    }
+
+    function blockMapping(indent, depth, first) {
+      const result = {};
+      const explicit = new Set();
+      let key = first;
+      for (;;) {
+        pos++;
+        addEntry(result, explicit, key, blockNode(indent, depth + 1, 'map'));
+        skipToContent();
+        if (pos >= length || atDocumentMarker() || columnOf(pos) < indent) break;
+        if (columnOf(pos) > indent) fail('YAML_INDENTATION', 'This line is indented more than the keys above it');
+        const offset = pos;
+        const ch = text[pos];
+        if (ch === '[' || ch === '{' || ch === '*' || (ch === '?' && isEnd(text[pos + 1]))) {
+          fail('YAML_UNSUPPORTED', 'JSON keys must be text; collections, aliases and ? keys cannot be converted');
+        }
+        if (ch === '-' && isEnd(text[pos + 1])) fail('YAML_SYNTAX', 'A sequence entry cannot appear among mapping keys');
+        const scalar = ch === '"' || ch === '\'' ? quoted() : { text: plainLine(false), quoted: false };
+        while (isBlank(text[pos])) pos++;
+        if (text[pos] !== ':' || !isEnd(text[pos + 1])) fail('YAML_SYNTAX', 'Expected "key: value"', offset);
+        key = keyOf(scalar, offset);
+      }
+      return result;
+    }
+
+    function blockSequence(indent, depth) {
+      const result = [];
+      for (;;) {
+        pos++;
+        result.push(blockNode(indent, depth + 1, 'seq'));
+        skipToContent();
+        if (pos >= length || atDocumentMarker() || columnOf(pos) < indent) break;
+        if (columnOf(pos) > indent) fail('YAML_INDENTATION', 'This line is indented more than the entries above it');
+        // At the indentation of the key that holds the sequence, the next key ends it
+        if (text[pos] !== '-' || !isEnd(text[pos + 1])) break;
+      }
+      return result;
+    }
+
+    /**
+     * Reads the node at the next content. `indent` is the parent's indentation (-1 for a document):
+     * a node on a following line must be indented further, except that a sequence may sit at the
+     * indentation of the key that holds it. `parent` is 'doc', 'map' or 'seq'.
+     */
+    function blockNode(indent, depth, parent) {
+      enter(depth);
+      const from = pos;
+      let crossed = skipToContent();
+      const properties = readProperties(false);
+      if (properties.anchor || properties.tag) {
+        if (text[pos] === '#' || text[pos] === '\n') crossed = skipToContent() || crossed;
+      }
+      const start = pos;
+      const column = columnOf(pos);
+      const ch = text[pos];
+      const entry = ch === '-' && isEnd(text[pos + 1]);
+      // A collection on the line of its "- " is indented by the spaces before it, so they cannot be tabs
+      const tab = crossed ? -1 : text.slice(from, start).indexOf('\t');
+      const tooShallow = crossed && (column < indent || (column === indent && !(parent === 'map' && entry)));
+      if (pos >= length || atDocumentMarker() || tooShallow) {
+        return finish(properties.tag && STRING_TAGS.includes(properties.tag) ? '' : null, properties);
+      }
+      if (entry) {
+        if (tab !== -1) failTab(from + tab);
+        if (!crossed && parent === 'map') fail('YAML_SYNTAX', 'A sequence cannot start on the same line as its key');
+        return finish(blockSequence(column, depth), properties);
+      }
+      if (ch === '|' || ch === '>') {
+        return finish(resolve(blockScalar(indent), properties.tag, start), properties);
+      }
+      if (ch === '[' || ch === '{') {
+        const value = flowNode(depth, properties);
+        while (isBlank(text[pos])) pos++;
+        if (text[pos] === ':' && isEnd(text[pos + 1])) fail('YAML_UNSUPPORTED', 'JSON keys must be text; a collection cannot be a key', start);
+        expectLineEnd();
+        return value;
+      }
+      if (ch === '*') {
+        const value = alias(properties);
+        expectLineEnd();
+        return value;
+      }
+      if (ch === '?' && isEnd(text[pos + 1])) fail('YAML_UNSUPPORTED', 'Complex ? keys cannot be converted to JSON');
+
+      // A scalar, or the first key of a mapping
+      if (ch !== '"' && ch !== '\'') checkPlainStart();
+      const scalar = ch === '"' || ch === '\'' ? quoted() : { text: plainLine(false), quoted: false };
+      const afterKey = pos;
+      while (isBlank(text[pos])) pos++;
+      if (text[pos] === ':' && isEnd(text[pos + 1])) {
+        if (!crossed && parent === 'map') fail('YAML_SYNTAX', 'A mapping cannot start on the same line as its key; put it on the next line, indented');
+        if (tab !== -1) failTab(from + tab);
+        return finish(blockMapping(column, depth, keyOf(scalar, start)), properties);
+      }
+      pos = afterKey;
+      if (!scalar.quoted) scalar.text = plainMore(scalar.text, indent, false);
+      expectLineEnd();
+      return finish(resolve(scalar, properties.tag, start), properties);
+    }
+
+    function flowNode(depth, properties = null) {
+      enter(depth);
+      const props = properties || readProperties(true);
+      const start = pos;
+      const ch = text[pos];
+      if (ch === '[') return finish(flowSequence(depth), props);
+      if (ch === '{') return finish(flowMapping(depth), props);
+      if (ch === '*') return alias(props);
+      if (pos >= length || ch === ',' || ch === ']' || ch === '}') {
+        if (props.anchor || props.tag) return finish(null, props);
+        fail('YAML_SYNTAX', 'Expected a value');
+      }
+      const scalar = ch === '"' || ch === '\'' ? quoted() : plainScalar(-1, true);
+      return finish(resolve(scalar, props.tag, start), props);
+    }
+
+    // A key in a flow collection is a scalar; its text is the key
+    function flowKey() {
+      const offset = pos;
+      readProperties(true);
+      const ch = text[pos];
+      if (ch === '[' || ch === '{' || ch === '*') fail('YAML_UNSUPPORTED', 'JSON keys must be text; collections and aliases cannot be keys');
+      const scalar = ch === '"' || ch === '\'' ? quoted() : plainScalar(-1, true);
+      return keyOf(scalar, offset);
+    }
+
+    function flowPairValue(depth) {
+      pos++;
+      skipFlow();
+      return text[pos] === ',' || text[pos] === '}' || text[pos] === ']' ? null : flowNode(depth + 1);
+    }
+
+    function flowSequence(depth) {
+      const start = pos;
+      const result = [];
+      pos++;
+      for (;;) {
+        skipFlow();
+        if (pos >= length) fail('YAML_SYNTAX', 'This flow sequence is never closed', start);
+        if (text[pos] === ']') break;
+        const offset = pos;
+        const ch = text[pos];
+        const keyLike = ch !== '[' && ch !== '{' && ch !== '*';
+        const value = flowNode(depth + 1);
+        skipFlow();
+        if (text[pos] === ':') {
+          // A single "key: value" pair in a sequence is a one-key mapping
+          if (!keyLike || isMapping(value) || Array.isArray(value)) fail('YAML_UNSUPPORTED', 'JSON keys must be text; a collection cannot be a key', offset);
+          pos = offset;
+          const key = flowKey();
+          skipFlow();
+          const pair = {};
+          addEntry(pair, new Set(), key, flowPairValue(depth));
+          result.push(pair);
+          skipFlow();
+        } else {
+          result.push(value);
+        }
+        if (text[pos] === ',') {
+          pos++;
+        } else if (text[pos] !== ']') {
+          fail('YAML_SYNTAX', pos >= length ? 'This flow sequence is never closed' : 'Expected "," or "]"', pos >= length ? start : pos);
+        }
+      }
+      pos++;
+      return result;
+    }
+
+    function flowMapping(depth) {
+      const start = pos;
+      const result = {};
+      const explicit = new Set();
+      pos++;
+      for (;;) {
+        skipFlow();
+        if (pos >= length) fail('YAML_SYNTAX', 'This flow mapping is never closed', start);
+        if (text[pos] === '}') break;
+        if (text[pos] === '?' && isEnd(text[pos + 1])) {
+          pos++;
+          skipFlow();
+        }
+        const key = flowKey();
+        skipFlow();
+        addEntry(result, explicit, key, text[pos] === ':' ? flowPairValue(depth) : null);
+        skipFlow();
+        if (text[pos] === ',') {
+          pos++;
+        } else if (text[pos] !== '}') {
+          fail('YAML_SYNTAX', pos >= length ? 'This flow mapping is never closed' : 'Expected "," or "}"', pos >= length ? start : pos);
+        }
+      }
+      pos++;
+      return result;
+    }
+
+    const documents = [];
+    for (;;) {
+      skipToContent();
+      if (pos >= length) break;
+      const offset = pos;
+      let directives = false;
+      while (text[pos] === '%' && columnOf(pos) === 0) {
+        while (pos < length && text[pos] !== '\n') pos++;
+        skipToContent();
+        directives = true;
+      }
+      if (atMarker('---')) {
+        pos += 3;
+      } else if (directives) {
+        fail('YAML_SYNTAX', 'Directives must be followed by a "---" line');
+      } else if (atMarker('...')) {
+        pos += 3;
+        expectLineEnd();
+        continue;
+      }
+      anchors = new Map();
+      const value = blockNode(-1, 1, 'doc');
+      skipToContent();
+      if (pos < length && !atDocumentMarker()) {
+        fail('YAML_INDENTATION', 'This line does not belong to the structure above it; check its indentation');
+      }
+      if (atMarker('...')) {
+        pos += 3;
+        expectLineEnd();
+      }
+      documents.push({ value, offset });
+    }
+    return documents;
+  }
+
+  // "+1.", ".5" and "1_" style YAML floats written the way JSON accepts, digits unchanged
+  function normalizeFloat(text) {
+    const sign = text[0] === '-' ? '-' : '';
+    const [mantissa, exponent] = text.replace(/^[-+]/, '').split(/[eE]/);
+    const [whole, fraction] = mantissa.split('.');
+    const digits = whole.replace(/^0+(?=\d)/, '') || '0';
+    return sign + digits + (fraction ? '.' + fraction : '') + (exponent !== undefined ? 'e' + exponent : '');
+  }
+
+  function isEmptyCollection(value) {
+    return Array.isArray(value) ? !value.length : isMapping(value) && !Object.keys(value).length;
+  }
+
+  function isCollection(value) {
+    return Array.isArray(value) || isMapping(value);
+  }
+
+  // Whether text can be written without quotes and read back as the same string
+  function isPlainSafe(text, key) {
+    if (!text || text !== text.trim()) return false;
+    if (/^[-?:,[\]{}#&*!|>'"%@`]/.test(text)) return false;
+    if (/: |:$| #|[\u0000-\u001f\u007f-\u009f\u2028\u2029\ufeff]/.test(text)) return false;
+    if (TYPED_WORD.test(text) || NUMERIC_START.test(text)) return false;
+    return !(key && text === '<<');
+  }
+
+  function quote(text) {
+    return JSON.stringify(text).replace(/[\u007f-\u009f\u2028\u2029\ufeff]/g, ch => '\\u' + ch.charCodeAt(0).toString(16).padStart(4, '0'));
+  }
+
+  // Multi-line text reads best as a | block, as long as its first line does not start with a space
+  function isLiteralSafe(text) {
+    const body = text.replace(/\n+$/, '');
+    return text.includes('\n') && body !== '' && !/^[ \n]/.test(text) &&
+      !/[\u0000-\u0008\u000b-\u001f\u007f-\u009f\u2028\u2029\ufeff]/.test(text);
+  }
+
+  /**
+   * Writes one JSON value as a YAML document in block style
+   * @param {*} value - Parsed JSON value; LosslessNumber values are written as they are
+   * @param {Object} options - { indentation: spaces per level, 2 by default (YAML cannot indent with tabs) }
+   * @returns {string} YAML text without a final line break
+   */
+  function stringify(value, options = {}) {
+    const width = Math.max(2, Number(options.indentation) || 2);
+    const pad = (level) => ' '.repeat(level * width);
+
+    function scalar(item) {
+      if (item === null || item === undefined) return 'null';
+      if (item instanceof window.JSONParser.LosslessNumber) return item.raw;
+      if (typeof item === 'string') return isPlainSafe(item, false) ? item : quote(item);
+      if (Array.isArray(item)) return '[]';
+      if (isMapping(item)) return '{}';
+      return String(item);
+    }
+
+    function literal(text, level) {
+      const trailing = text.match(/\n*$/)[0].length;
+      const chomping = trailing === 0 ? '-' : trailing === 1 ? '' : '+';
+      const lines = text.slice(0, text.length - trailing).split('\n').map(line => line ? pad(level) + line : '');
+      return '|' + chomping + '\n' + lines.join('\n') + '\n'.repeat(Math.max(trailing - 1, 0));
+    }
+
+    // What follows "key:" or "-"
+    function after(item, level) {
+      if (isCollection(item) && !isEmptyCollection(item)) return '\n' + block(item, level + 1);
+      if (typeof item === 'string' && isLiteralSafe(item)) return ' ' + literal(item, level + 1);
+      return ' ' + scalar(item);
+    }
+
+    function block(item, level) {
+      if (Array.isArray(item)) {
+        return item.map(entry => {
+          if (isCollection(entry) && !isEmptyCollection(entry)) {
+            // "- " takes the place of the nested collection's first indentation
+            return pad(level) + '-' + ' '.repeat(width - 1) + block(entry, level + 1).slice(pad(level + 1).length);
+          }
+          return pad(level) + '-' + after(entry, level);
+        }).join('\n');
+      }
+      return Object.keys(item).map(key => pad(level) + (isPlainSafe(key, true) ? key : quote(key)) + ':' + after(item[key], level)).join('\n');
+    }
+
+    if (isCollection(value) && !isEmptyCollection(value)) return block(value, 0);
+    if (typeof value === 'string' && isLiteralSafe(value)) return literal(value, 1);
+    return scalar(value);
+  }
+
+  /**
+   * Converts YAML to JSON. One document becomes one JSON value; a stream of several becomes an array
+   * of them, or one NDJSON line each in NDJSON mode.
+   * @param {string} text - YAML text
+   * @param {Object} options - { dialect, indentation, limits }
+   * @returns {Object} { isValid: true, output, documents } or { isValid: false, error, errorInfo:
+   *   { code, message, line, column, position }, errors }
+   */
+  function toJSONText(text, options = {}) {
+    const source = text.replace(/\r\n?/g, '\n');
+    const failure = (code, message, offset) => {
+      const { line, column } = window.JSONParser.positionAt(window.JSONParser.computeLineStarts(source), offset);
+      return { isValid: false, error: message, errorInfo: { code, message, line, column, position: offset }, errors: [] };
+    };
+
+    let documents;
+    try {
+      documents = parseStream(source, options);
+    } catch (error) {
+      if (!(error instanceof YAMLError)) throw error;
+      return failure(error.code, error.message, error.offset);
+    }
+    if (!documents.length) return failure('YAML_SYNTAX', 'There is no YAML document here, only comments or directives', 0);
+    // Aliases share values, so the limits are checked on what the JSON will hold
+    for (const document of documents) {
+      const problem = window.JSONParser.checkLimits(document.value, options.limits);
+      if (problem) return failure(problem.code, problem.message, document.offset);
+    }
+
+    const values = documents.map(document => document.value);
+    let output;
+    if (options.dialect === 'ndjson') {
+      output = values.map(value => window.JSONParser.stringify(value)).join('\n');
+    } else {
+      const indent = window.JSONValidator.getIndentString(options.indentation);
+      output = window.JSONParser.stringify(values.length === 1 ? values[0] : values, null, indent);
+    }
+    return { isValid: true, output, documents: values.length };
+  }
+
+  /**
+   * Converts JSON to YAML. In NDJSON mode every line becomes a document of a "---" stream.
+   * @param {string} text - JSON or NDJSON text
+   * @param {Object} options - stringify() options plus parse options (dialect, limits, ...)
+   * @returns {Object} { isValid: true, output, documents } or the parse failure { isValid: false, error,
+   *   errorInfo, errors }
+   */
+  function fromJSONText(text, options = {}) {
+    let documents;
+    if (options.dialect === 'ndjson') {
+      const array = window.JSONLines.toArray(text, { ...options, indent: '' });
+      if (!array.isValid) {
+        return { isValid: false, error: array.error, errorInfo: array.errorInfo, errors: array.errors || [], lines: array.lines };
+      }
+      documents = window.JSONParser.toValue(window.JSONParser.parse(array.output, { limits: options.limits }).ast, { lossless: true });
+    } else {
+      try {
+        window.JSONValidator.parse(text, options);
+      } catch (error) {
+        return {
+          isValid: false,
+          error: error.message,
+          errorInfo: error.errorInfo || window.JSONValidator.parseJSONError(error.message, text, options),
+          errors: error.errors || []
+        };
+      }
+      const doc = window.JSONParser.parse(text, { dialect: options.dialect, limits: options.limits, maxErrors: 1 });
+      // JSON.parse goes deeper than the recursive parser, which then stops with DEPTH_LIMIT
+      if (!doc.ast) return window.JSONValidator.syntaxFailure(doc.errors);
+      documents = [window.JSONParser.toValue(doc.ast, { lossless: true })];
+    }
+
+    const output = documents.length === 1
+      ? stringify(documents[0], options) + '\n'
+      : documents.map(document => '---\n' + stringify(document, options) + '\n').join('');
+    return { isValid: true, output, documents: documents.length };
+  }
+
+  /**
+   * Check whether a file name is a YAML file
+   * @param {string} name - File name
+   * @returns {boolean}
+   */
+  function isYAMLFile(name) {
+    return FILE_PATTERN.test(name || '');
+  }
+
+  // Expose API
+  window.JSONYAML = { parseStream, stringify, toJSONText, fromJSONText, isYAMLFile, YAMLError };
+})();
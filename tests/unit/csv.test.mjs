@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSONCSV } from './load.mjs';
+
+test('columns nested deeper than the depth limit are a limit error, not a crash', () => {
+  const header = Array(5000).fill('a').join('.');
+  const result = JSONCSV.toJSONText(`id,${header}\n1,x\n`, {});
+  assert.equal(result.isValid, false);
+  assert.equal(result.errorInfo.code, 'DEPTH_LIMIT');
+  assert.equal(result.errorInfo.line, 2);
+});
+
+test('nesting within a raised depth limit still converts', () => {
+  const result = JSONCSV.toJSONText('a.b.c\n1\n', { indentation: 0, limits: { maxDepth: 4 } });
+  assert.equal(result.output, '[{"a":{"b":{"c":1}}}]');
+  assert.equal(JSONCSV.toJSONText('a.b.c\n1\n', { limits: { maxDepth: 3 } }).errorInfo.code, 'DEPTH_LIMIT');
+});
+
+test('a dotted key and a nested key that make the same column are an error', () => {
+  const result = JSONCSV.fromJSONText('[{"a.b":1,"a":{"b":2}}]', {});
+  assert.equal(result.isValid, false);
+  assert.match(result.error, /"a\.b"/);
+});
+
+test('dotted keys that do not collide still flatten', () => {
+  const result = JSONCSV.fromJSONText('[{"a.b":1,"a":{"c":2}},{"a":{"b":3}}]', {});
+  assert.equal(result.isValid, true);
+  assert.deepEqual(result.columns, ['a.b', 'a.c']);
+});
+
+test('an empty object keeps its column, with an empty cell', () => {
+  const result = JSONCSV.fromJSONText('[{"a":{},"b":1},{"a":[],"b":2}]');
+  assert.deepEqual(result.columns, ['a', 'b']);
+  assert.equal(result.output, 'a,b\r\n,1\r\n,2\r\n');
+});
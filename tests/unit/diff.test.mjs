@@ -0,0 +1,17 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSONDiff } from './load.mjs';
+
+test('a changed "__proto__" member is a change to that member, not to the root', () => {
+  const result = JSONDiff.compareText('{"__proto__":1,"a":true}', '{"__proto__":2,"a":true}', {});
+  assert.equal(result.isValid, true);
+  assert.deepEqual(result.counts, { added: 0, removed: 0, changed: 1 });
+  assert.equal(result.changes[0].leftPointer, '/__proto__');
+  assert.equal(result.changes[0].rightPointer, '/__proto__');
+});
+
+test('an added "__proto__" member is reported as added', () => {
+  const result = JSONDiff.compareText('{}', '{"__proto__":{"x":1}}', {});
+  assert.deepEqual(result.counts, { added: 1, removed: 0, changed: 0 });
+  assert.equal(result.changes[0].rightPointer, '/__proto__');
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { JSONErrorCodes, JSONParser } from './load.mjs';
+
+// Codes the strict JSON parser reports, each with an example that shows it
+const SYNTAX_CODES = [
+  'UNEXPECTED_TOKEN', 'UNEXPECTED_END', 'VALUE_EXPECTED', 'PROPERTY_NAME_EXPECTED', 'MISSING_COLON', 'MISSING_COMMA',
+  'TRAILING_COMMA', 'UNCLOSED_OBJECT', 'UNCLOSED_ARRAY', 'EXTRA_DATA', 'UNTERMINATED_STRING', 'INVALID_ESCAPE',
+  'CONTROL_CHARACTER', 'SINGLE_QUOTED_STRING', 'INVALID_NUMBER', 'INVALID_LITERAL', 'COMMENT_NOT_ALLOWED', 'DUPLICATE_KEY'
+];
+
+test('describe gives the title, explanation, example and guide link for a code', () => {
+  const info = JSONErrorCodes.describe('MISSING_COMMA');
+  assert.equal(info.code, 'MISSING_COMMA');
+  assert.equal(info.heading, 'Invalid JSON');
+  assert.ok(info.title && info.explanation);
+  assert.equal(info.docsURL, 'blog/common-json-errors.html#missing-commas');
+});
+
+test('an unknown code is described as INVALID_JSON', () => {
+  assert.equal(JSONErrorCodes.describe('NO_SUCH_CODE').code, 'INVALID_JSON');
+  assert.equal(JSONErrorCodes.describe(undefined).code, 'INVALID_JSON');
+});
+
+test('every guide link points at a section of the error guide', () => {
+  const page = readFileSync(new URL('../../blog/common-json-errors.html', import.meta.url), 'utf8');
+  const ids = new Set(Array.from(page.matchAll(/\sid="([^"]+)"/g), match => match[1]));
+  for (const code of JSONErrorCodes.CODES) {
+    const anchor = JSONErrorCodes.describe(code).docsURL.split('#')[1];
+    if (anchor) assert.ok(ids.has(anchor), `${code} links to missing #${anchor}`);
+  }
+});
+
+test('each syntax example fails with its own code and its fix parses', () => {
+  for (const code of SYNTAX_CODES) {
+    const { example } = JSONErrorCodes.describe(code);
+    const before = JSONParser.parse(example.before, { duplicateKeys: 'error' });
+    assert.equal(before.errors[0].code, code, code);
+    assert.deepEqual(JSONParser.parse(example.after, { duplicateKeys: 'error' }).errors, [], code);
+  }
+});
+
+test('every code the parser reports has its own entry', () => {
+  const codes = new Set(JSONErrorCodes.CODES);
+  for (const code of [...SYNTAX_CODES, 'UNTERMINATED_COMMENT', 'UNSAFE_INTEGER', 'NUMBER_OUT_OF_RANGE', 'NON_FINITE_NUMBER', ...JSONParser.LIMIT_CODES]) {
+    assert.ok(codes.has(code), code);
+  }
+});
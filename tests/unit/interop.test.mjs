@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSONInterop, JSONParser, JSONValidator } from './load.mjs';
+
+function check(text, options = {}) {
+  const doc = JSONParser.parse(text);
+  return JSONInterop.check(doc.ast, { lineStarts: doc.lineStarts, ...options });
+}
+
+const issues = (result) => result.issues.map(issue => [issue.code, issue.requirement, issue.pointer]);
+
+test('a document inside the profile has no issues', () => {
+  assert.deepEqual(check('{"a": [1, "x", null]}'), { profile: 'I-JSON (RFC 7493)', isValid: true, issues: [], total: 0 });
+});
+
+test('breaking a MUST rule fails the profile', () => {
+  for (const [text, code] of [['{"a":1,"a":2}', 'DUPLICATE_KEY'], ['{"s": "\\uD800"}', 'LONE_SURROGATE'], ['{"s": "\\uFFFF"}', 'NONCHARACTER']]) {
+    const result = check(text);
+    assert.equal(result.isValid, false, text);
+    assert.deepEqual(issues(result).map(([found, requirement]) => [found, requirement]), [[code, 'MUST']], text);
+  }
+});
+
+test('SHOULD rules are reported without failing the profile', () => {
+  for (const [text, code, pointer] of [
+    ['{"n": 9007199254740993}', 'UNSAFE_INTEGER', '/n'],
+    ['{"n": 1.00000000000000000001}', 'NUMBER_PRECISION', '/n'],
+    ['{"n": 1e400}', 'NUMBER_OUT_OF_RANGE', '/n'],
+    ['"x"', 'TOP_LEVEL_SCALAR', '']
+  ]) {
+    const result = check(text);
+    assert.equal(result.isValid, true, text);
+    assert.deepEqual(issues(result), [[code, 'SHOULD', pointer]], text);
+  }
+});
+
+test('a file that is not UTF-8 fails the profile', () => {
+  assert.deepEqual(issues(check('{"a": 1}', { encoding: { encoding: 'utf-16le', malformed: false } })), [['NOT_UTF8', 'MUST', '']]);
+  assert.deepEqual(issues(check('{"a": 1}', { encoding: { encoding: 'utf-8', malformed: true } })), [['NOT_UTF8', 'MUST', '']]);
+});
+
+test('validation adds the profile check when asked', () => {
+  const result = JSONValidator.validateIncremental('{"a":1,"a":2}', { interop: true, indentation: 2 });
+  assert.equal(result.isValid, true);
+  assert.equal(result.interop.isValid, false);
+  assert.equal(JSONValidator.validateIncremental('{"a":1}', { indentation: 2 }).interop, null);
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSONJobs } from './load.mjs';
+
+const nested = (depth) => '[{"a":'.repeat(depth / 2) + '1' + '}]'.repeat(depth / 2);
+const limits = { maxDepth: 200000 };
+
+test('a transform too deep for the stack fails with DEPTH_LIMIT', () => {
+  // Deep enough to exhaust the stack in the transforms, which recurse, but not in the parser
+  const text = nested(3000);
+  for (const [type, options] of [['format', {}], ['applyPatch', { patch: '[]' }], ['toYAML', {}], ['diff', { other: '1' }], ['toCSV', {}]]) {
+    const { result, html } = JSONJobs.run(type, text, { dialect: 'json', indentation: 2, limits, ...options });
+    assert.equal(result.isValid, false, type);
+    assert.equal(result.errorInfo.code, 'DEPTH_LIMIT', type);
+    assert.match(result.error, /^Nesting depth of \d+ is too deep to process$/, type);
+    assert.equal(html, null, type);
+  }
+});
+
+test('other job errors are not reported as DEPTH_LIMIT', () => {
+  assert.throws(() => JSONJobs.run('unknown', '1', {}), (error) => error.code === undefined);
+});
+
+const SCHEMA = JSON.stringify({ type: 'object', properties: { mode: { enum: ['fast', 'slow'], description: 'Speed' } } });
+
+test('lint finds the document $schema and the problems against a schema', () => {
+  const text = '{"$schema": "https://example.com/s.json", "mode": "medium"}';
+  const bare = JSONJobs.run('lint', text, { dialect: 'json' }).result;
+  assert.deepEqual(bare, { schemaURI: 'https://example.com/s.json', problems: [] });
+
+  const checked = JSONJobs.run('lint', text, { dialect: 'json', schema: SCHEMA }).result;
+  assert.deepEqual(checked.problems.map(problem => [problem.keyword, problem.instancePath, problem.offset]), [['enum', '/mode', 50]]);
+
+  const broken = JSONJobs.run('lint', '{"mode": }', { dialect: 'json', schema: SCHEMA }).result;
+  assert.deepEqual(broken.problems.map(problem => problem.code), ['VALUE_EXPECTED']);
+});
+
+test('complete and hover answer for the schema in the options', () => {
+  const complete = JSONJobs.run('complete', '{"mode": "', { schema: SCHEMA, offset: 10 }).result;
+  assert.deepEqual(complete.completions.options.map(option => option.label), ['fast', 'slow']);
+  const hover = JSONJobs.run('hover', '{"mode": "fast"}', { dialect: 'json', schema: SCHEMA, offset: 3 }).result;
+  assert.equal(hover.hover.description, 'Speed');
+  assert.deepEqual(JSONJobs.run('hover', '{"mode": 1}', { dialect: 'json', offset: 3 }).result, { hover: null });
+  assert.deepEqual(JSONJobs.run('complete', '{"', { schema: '{', offset: 2 }).result, { completions: null });
+});
+
+test('minify reports the parser\'s warnings when they are wanted', () => {
+  const text = '{"id": 12345678901234567890, "a": 1, "a": 2}';
+  const shown = JSONJobs.run('minify', text, { dialect: 'json', showWarnings: true }).result;
+  assert.equal(shown.output, '{"id":12345678901234567890,"a":2}');
+  assert.deepEqual(shown.warnings.map(warning => warning.code).sort(), ['DUPLICATE_KEY', 'UNSAFE_INTEGER']);
+  assert.deepEqual(JSONJobs.run('minify', text, { dialect: 'json', showWarnings: false }).result.warnings, []);
+
+  // Printed as null, so said even without showWarnings
+  const json5 = JSONJobs.run('minify', '[Infinity]', { dialect: 'json5', showWarnings: false }).result;
+  assert.equal(json5.output, '[null]');
+  assert.deepEqual(json5.warnings.map(warning => warning.code), ['NON_FINITE_NUMBER']);
+
+  const broken = JSONJobs.run('minify', '{"a": }', { dialect: 'json' }).result;
+  assert.equal(broken.isValid, false);
+  assert.deepEqual([broken.errorInfo.code, broken.errorInfo.line, broken.errorInfo.column], ['VALUE_EXPECTED', 1, 7]);
+});
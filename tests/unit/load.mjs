@@ -0,0 +1,28 @@
+/**
+ * Loads the browser scripts into Node for unit tests. They are plain scripts that
+ * publish their API on `window`, so `window` is the global object here.
+ */
+
+import { readFileSync } from 'node:fs';
+
+globalThis.window = globalThis;
+// jsonJobs looks for its own <script> tag to find the worker scripts
+globalThis.document = globalThis.document || { scripts: [], baseURI: 'http://localhost/' };
+
+// In page order, so each script finds the ones it depends on
+const SCRIPTS = [
+  'parser', 'unicode', 'interop', 'validator', 'schema', 'schemaInfer', 'schemaAssist', 'schemaStarters',
+  'schemaRegistry', 'schemaSample', 'openapi', 'diff', 'patch', 'merge', 'csv', 'yaml', 'errorCodes', 'repair', 'highlighter',
+  'streamValidator', 'ndjson', 'jsonJobs'
+];
+
+for (const name of SCRIPTS) {
+  const url = new URL(`../../js/${name}.js`, import.meta.url);
+  new Function(readFileSync(url, 'utf8'))();
+}
+
+export const {
+  JSONParser, JSONValidator, JSONSchema, JSONSchemaInfer, JSONSchemaRegistry, JSONDiff, JSONPatch, JSONMerge, JSONCSV, JSONYAML,
+  JSONLines, JSONJobs, JSONStreamValidator, JSONRepair, JSONErrorCodes, JSONUnicode, JSONInterop,
+  JSONSchemaSample, JSONOpenAPI, JSONSchemaAssist
+} = globalThis;
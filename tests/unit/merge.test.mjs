@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSONMerge } from './load.mjs';
+
+test('"__proto__" members merge like any other member', () => {
+  const result = JSONMerge.mergeText('{"x":{"__proto__":1}}', '{"x":{"__proto__":1}}', '{"x":{"__proto__":2}}', { indentation: 0 });
+  assert.equal(result.isValid, true);
+  assert.equal(result.output, '{"x":{"__proto__":2}}');
+  assert.equal(result.conflicts.length, 0);
+});
+
+test('conflicting "__proto__" members are a conflict at that member', () => {
+  const result = JSONMerge.mergeText('{"__proto__":1}', '{"__proto__":2}', '{"__proto__":3}', { indentation: 0 });
+  assert.equal(result.output, '{"__proto__":2}');
+  assert.equal(result.conflicts.length, 1);
+  assert.equal(result.conflicts[0].pointer, '/__proto__');
+});
+
+test('a "__proto__" member added on one side is kept', () => {
+  const result = JSONMerge.mergeText('{}', '{"a":1}', '{"__proto__":{"b":2}}', { indentation: 0 });
+  assert.equal(result.output, '{"a":1,"__proto__":{"b":2}}');
+  assert.equal(result.conflicts.length, 0);
+});
+
+test('a manual value that does not parse leaves its conflict open', () => {
+  const broken = JSONMerge.mergeText('{"a":1}', '{"a":2}', '{"a":3}', { resolutions: [{ choice: 'manual', value: '{' }] });
+  assert.equal(broken.open, 1);
+  assert.match(broken.conflicts[0].error, /line 1, column 2/);
+  const fixed = JSONMerge.mergeText('{"a":1}', '{"a":2}', '{"a":3}', { indentation: 0, resolutions: [{ choice: 'manual', value: '4' }] });
+  assert.equal(fixed.open, 0);
+  assert.equal(fixed.output, '{"a":4}');
+});
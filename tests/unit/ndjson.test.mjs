@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSONLines } from './load.mjs';
+
+test('each line is validated on its own and counted', () => {
+  const result = JSONLines.validate('{"a":1}\n[2]\n\n"x"\n');
+  assert.equal(result.isValid, true);
+  assert.equal(result.formattedFull, '{"a":1}\n[2]\n"x"\n');
+  assert.deepEqual(result.lines, { total: 4, valid: 3, invalid: 0, blank: 1, statuses: 'vvbv' });
+});
+
+test('an invalid line is located in the whole text and the other lines still count', () => {
+  const result = JSONLines.validate('{"a":1}\n{"a":\n{"b":2}\r\n[3,\n');
+  assert.equal(result.isValid, false);
+  assert.deepEqual(result.errors.map(error => [error.code, error.line, error.column]), [
+    ['UNEXPECTED_END', 2, 6],
+    ['UNCLOSED_ARRAY', 4, 4]
+  ]);
+  assert.equal(result.lines.statuses, 'vxvx');
+  assert.equal(result.lines.invalid, 2);
+});
+
+test('text without any value is an error', () => {
+  const result = JSONLines.validate('\n\n');
+  assert.equal(result.isValid, false);
+  assert.equal(result.errorInfo.code, 'UNEXPECTED_END');
+});
+
+test('duplicate keys are warnings, or errors in strict mode', () => {
+  assert.deepEqual(JSONLines.validate('{"a":1,"a":2}\n', { showWarnings: true }).warnings.map(w => w.code), ['DUPLICATE_KEY']);
+  const strict = JSONLines.validate('{"a":1,"a":2}\n', { strictDuplicateKeys: true });
+  assert.equal(strict.isValid, false);
+  assert.equal(strict.lines.statuses, 'x');
+});
+
+test('toArray wraps the lines in an array and fails on an invalid line', () => {
+  assert.deepEqual(JSONLines.toArray('{"a":1}\n[2]\n'), {
+    isValid: true,
+    output: '[\n  {"a":1},\n  [2]\n]',
+    count: 2,
+    lines: { total: 2, valid: 2, invalid: 0, blank: 0, statuses: 'vv' }
+  });
+  assert.equal(JSONLines.toArray('{"a":1}\n[2\n').isValid, false);
+});
+
+test('fromArray writes each element on its own line', () => {
+  assert.deepEqual(JSONLines.fromArray('[{"a": 1}, [2, 3], "x"]'), { isValid: true, output: '{"a":1}\n[2,3]\n"x"\n', count: 3 });
+  assert.equal(JSONLines.fromArray('{"a":1}').errorInfo.code, 'NOT_AN_ARRAY');
+});
+
+test('fromArray and toArray round-trip the values', () => {
+  const lines = JSONLines.fromArray('[{"id": 1, "tags": ["x"]}, null, 12.50]').output;
+  assert.deepEqual(JSON.parse(JSONLines.toArray(lines).output), [{ id: 1, tags: ['x'] }, null, 12.5]);
+});
+
+test('.ndjson and .jsonl files open in NDJSON mode', () => {
+  assert.equal(JSONLines.isLinesFile('events.ndjson'), true);
+  assert.equal(JSONLines.isLinesFile('events.JSONL'), true);
+  assert.equal(JSONLines.isLinesFile('events.json'), false);
+});
+
+test('a streamed NDJSON file with invalid UTF-8 is flagged', async () => {
+  const result = await JSONLines.validateBlob(new Blob([new Uint8Array([0x31, 0x0A, 0x22, 0xFF, 0x22, 0x0A])]));
+  assert.equal(result.isValid, true);
+  assert.equal(result.encoding.malformed, true);
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSONOpenAPI } from './load.mjs';
+
+const SPEC = JSON.stringify({
+  openapi: '3.1.0',
+  info: { title: 'Pets', version: '1.0.0' },
+  paths: {
+    '/pets/{id}': {
+      get: {
+        operationId: 'getPet',
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+        responses: {
+          200: { description: 'A pet', content: { 'application/json': { schema: { $ref: '#/components/schemas/Pet' } } } },
+          default: { description: 'Error', content: { 'application/json': { schema: { type: 'object', required: ['message'] } } } }
+        }
+      }
+    }
+  },
+  components: {
+    schemas: { Pet: { type: 'object', required: ['id', 'name'], properties: { id: { type: 'integer' }, name: { type: 'string' } } } }
+  }
+}, null, 2);
+
+const codes = (result) => result.errors.map(error => error.code);
+
+test('a sound description is valid and lists its operations', () => {
+  const result = JSONOpenAPI.checkText(SPEC);
+  assert.equal(result.valid, true);
+  assert.equal(result.version, '3.1.0');
+  assert.equal(result.title, 'Pets');
+  assert.deepEqual(result.refs, { checked: 1, external: 0 });
+  assert.deepEqual(result.operations.map(op => [op.method, op.path, op.operationId, op.statuses]), [
+    ['GET', '/pets/{id}', 'getPet', ['200', 'default']]
+  ]);
+});
+
+test('unsupported versions, broken references and reused operationIds are errors', () => {
+  assert.deepEqual(codes(JSONOpenAPI.checkText(SPEC.replace('3.1.0', '2.0'))), ['OPENAPI_VERSION']);
+  const broken = JSONOpenAPI.checkText(SPEC.replace('#/components/schemas/Pet', '#/components/schemas/Cat'));
+  assert.deepEqual(codes(broken), ['OPENAPI_REF']);
+  assert.equal(broken.errors[0].instancePath, '/paths/~1pets~1{id}/get/responses/200/content/application~1json/schema/$ref');
+  const reused = JSONOpenAPI.checkText(SPEC.replace('"paths": {', '"paths": {"/a": {"get": {"operationId": "getPet", "responses": {"200": {"description": "x"}}}},'));
+  assert.deepEqual(codes(reused), ['OPENAPI_OPERATION']);
+});
+
+test('a description that does not parse reports the syntax error', () => {
+  const result = JSONOpenAPI.checkText('{"openapi": "3.0.3"');
+  assert.equal(result.isValid, false);
+  assert.equal(result.errorInfo.code, 'UNCLOSED_OBJECT');
+});
+
+test('a response body is checked against the schema for its status, through $ref', () => {
+  const ok = JSONOpenAPI.validateResponseText('{"id": 1, "name": "Rex"}', SPEC, { operation: 'GET /pets/{id}', status: '200' });
+  assert.equal(ok.response.valid, true);
+  assert.equal(ok.output, '{\n  "id": 1,\n  "name": "Rex"\n}');
+  const bad = JSONOpenAPI.validateResponseText('{"id": "1"}', SPEC, { operation: 'GET /pets/{id}', status: '200' });
+  assert.equal(bad.response.valid, false);
+  assert.deepEqual(bad.response.errors.map(error => [error.keyword, error.instancePath, error.line]), [
+    ['required', '', 1],
+    ['type', '/id', 2]
+  ]);
+  // Errors also point at the rule in the description
+  assert.equal(typeof bad.response.errors[1].schemaLine, 'number');
+});
+
+test('a status without its own response uses the default response', () => {
+  const result = JSONOpenAPI.validateResponseText('{"message": "no"}', SPEC, { operation: 'GET /pets/{id}', status: '404' });
+  assert.equal(result.response.matched, 'default');
+  assert.equal(result.response.valid, true);
+});
+
+test('an unknown operation or an invalid body is reported', () => {
+  const missing = JSONOpenAPI.validateResponseText('{}', SPEC, { operation: 'POST /pets', status: '200' });
+  assert.equal(missing.response.problem.code, 'OPENAPI_RESPONSE');
+  assert.equal(JSONOpenAPI.validateResponseText('{"id": 1', SPEC, { operation: 'GET /pets/{id}', status: '200' }).errorInfo.code, 'UNCLOSED_OBJECT');
+});
@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSONParser, JSONJobs } from './load.mjs';
+
+test('toValue keeps a "__proto__" member as an ordinary member', () => {
+  const value = JSONParser.toValue(JSONParser.parse('{"__proto__":{"x":1},"a":1}').ast);
+  assert.deepEqual(Object.keys(value), ['__proto__', 'a']);
+  assert.equal(Object.getPrototypeOf(value), Object.prototype);
+  assert.equal(JSONParser.stringify(value), '{"__proto__":{"x":1},"a":1}');
+});
+
+test('lossless minify keeps a "__proto__" member', async () => {
+  const { result } = await JSONJobs.run('minify', '{ "__proto__": { "x": 1 }, "a": 1.0 }', { dialect: 'json' });
+  assert.equal(result.output, '{"__proto__":{"x":1},"a":1.0}');
+});
+
+test('every syntax error in a document is reported in one pass', () => {
+  const { errors, ast } = JSONParser.parse('{"a" 1, "b": [1 2], }');
+  assert.deepEqual(errors.map(e => [e.code, e.line, e.column]), [
+    ['MISSING_COLON', 1, 6],
+    ['MISSING_COMMA', 1, 17],
+    ['TRAILING_COMMA', 1, 19]
+  ]);
+  // Recovery still builds a tree for the parts that could be read
+  assert.deepEqual(JSONParser.toValue(ast), { a: 1, b: [1, 2] });
+});
+
+test('a missing comma between members is named with what was found instead', () => {
+  const { errors } = JSONParser.parse('{"a": 1 "b": 2}');
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].code, 'MISSING_COMMA');
+  assert.equal(errors[0].offset, 8);
+  assert.equal(errors[0].message, 'Unexpected string "b"; expected \',\' or \'}\'');
+});
+
+test('unclosed containers and strings are reported at the end of the input', () => {
+  assert.deepEqual(JSONParser.parse('[1, 2').errors.map(e => [e.code, e.offset]), [['UNCLOSED_ARRAY', 5]]);
+  assert.deepEqual(JSONParser.parse('{"a": "x').errors.map(e => [e.code, e.offset]), [
+    ['UNTERMINATED_STRING', 6],
+    ['UNCLOSED_OBJECT', 8]
+  ]);
+  assert.match(JSONParser.parse('{"a": [').errors.at(-1).message, /opened at line 1/);
+});
+
+test('text after the root value is EXTRA_DATA', () => {
+  const { errors } = JSONParser.parse('{"a": 1} x');
+  assert.deepEqual(errors.map(e => [e.code, e.line, e.column]), [['EXTRA_DATA', 1, 10]]);
+});
+
+test('maxErrors stops collecting errors', () => {
+  const { errors } = JSONParser.parse('[1 2 3 4 5]', { maxErrors: 2 });
+  assert.equal(errors.length, 2);
+});
+
+test('pathAt finds the member or element under an offset', () => {
+  const text = '{\n  "a": [1, {"b": true}],\n  "c": null\n}';
+  const { ast } = JSONParser.parse(text);
+  assert.deepEqual(JSONParser.pathAt(ast, text.indexOf('{')), []);
+  assert.deepEqual(JSONParser.pathAt(ast, text.indexOf('"a"')), ['a']);
+  assert.deepEqual(JSONParser.pathAt(ast, text.indexOf('1')), ['a', 0]);
+  assert.deepEqual(JSONParser.pathAt(ast, text.indexOf('{"b"')), ['a', 1]);
+  assert.deepEqual(JSONParser.pathAt(ast, text.indexOf('true')), ['a', 1, 'b']);
+  assert.deepEqual(JSONParser.pathAt(ast, text.indexOf('null')), ['c']);
+});
+
+test('findNode returns the node and key at a path, with source offsets', () => {
+  const text = '{"a": [1, {"b": true}]}';
+  const { ast } = JSONParser.parse(text);
+  const found = JSONParser.findNode(ast, ['a', 1, 'b']);
+  assert.equal(found.node.type, 'boolean');
+  assert.equal(text.slice(found.node.start, found.node.end), 'true');
+  assert.equal(text.slice(found.key.start, found.key.end), '"b"');
+  // Array elements have no key
+  assert.equal(JSONParser.findNode(ast, ['a', 0]).key, null);
+  assert.equal(JSONParser.findNode(ast, []).node, ast);
+  assert.equal(JSONParser.findNode(ast, ['x']), null);
+  assert.equal(JSONParser.findNode(ast, ['a', 5]), null);
+});
+
+test('the tree recovered from invalid text still locates values', () => {
+  const { ast } = JSONParser.parse('{"a": [1, }');
+  assert.deepEqual(JSONParser.pathAt(ast, 7), ['a', 0]);
+});
+
+test('paths and JSON Pointers convert both ways, escaping "/" and "~"', () => {
+  assert.equal(JSONParser.toPointer(['a', 1, 'b/c~']), '/a/1/b~1c~0');
+  assert.deepEqual(JSONParser.parsePointer('/a/1/b~1c~0'), ['a', '1', 'b/c~']);
+});
+
+test('offsets and line/column positions convert both ways', () => {
+  const lineStarts = JSONParser.computeLineStarts('{\n  "a": 1\n}');
+  assert.deepEqual(JSONParser.positionAt(lineStarts, 4), { line: 2, column: 3 });
+  assert.equal(JSONParser.offsetAt(lineStarts, 2, 3), 4);
+});
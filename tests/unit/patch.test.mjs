@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSONPatch } from './load.mjs';
+
+test('JSON Patch adds, replaces and removes a "__proto__" member', () => {
+  let result = JSONPatch.applyText('{"b":1}', '[{"op":"add","path":"/__proto__","value":{"a":1}}]', { indentation: 0 });
+  assert.equal(result.isValid, true);
+  assert.equal(result.output, '{"b":1,"__proto__":{"a":1}}');
+
+  result = JSONPatch.applyText('{"__proto__":1}', '[{"op":"replace","path":"/__proto__","value":2}]', { indentation: 0 });
+  assert.equal(result.output, '{"__proto__":2}');
+
+  result = JSONPatch.applyText('{"__proto__":1,"b":1}', '[{"op":"remove","path":"/__proto__"}]', { indentation: 0 });
+  assert.equal(result.output, '{"b":1}');
+});
+
+test('JSON Patch cannot reach through a missing "__proto__" member', () => {
+  const result = JSONPatch.applyText('{}', '[{"op":"add","path":"/__proto__/a","value":1}]', { indentation: 0 });
+  assert.equal(result.isValid, false);
+  assert.equal(result.problem.code, 'PATCH_PATH');
+});
+
+test('JSON Merge Patch sets and merges a "__proto__" member', () => {
+  let result = JSONPatch.applyText('{"b":1}', '{"__proto__":{"a":1}}', { format: 'merge-patch', indentation: 0 });
+  assert.equal(result.output, '{"b":1,"__proto__":{"a":1}}');
+
+  result = JSONPatch.applyText('{"__proto__":{"a":1}}', '{"__proto__":{"b":2}}', { format: 'merge-patch', indentation: 0 });
+  assert.equal(result.output, '{"__proto__":{"a":1,"b":2}}');
+});
+
+test('created patches keep a "__proto__" member', () => {
+  let result = JSONPatch.createText('{}', '{"__proto__":{"a":1}}', { indentation: 0 });
+  assert.equal(result.output, '[{"op":"add","path":"/__proto__","value":{"a":1}}]');
+
+  result = JSONPatch.createText('{"__proto__":1}', '{}', { format: 'merge-patch', indentation: 0 });
+  assert.equal(result.output, '{"__proto__":null}');
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSONRepair } from './load.mjs';
+
+const changes = (result) => result.changes.map(change => [change.code, change.line, change.column]);
+
+test('valid JSON is left as it is, with no changes listed', () => {
+  const result = JSONRepair.repair('{"a": [1, 2]}', { indent: '' });
+  assert.equal(result.isValid, true);
+  assert.equal(result.output, '{"a":[1,2]}');
+  assert.deepEqual(result.changes, []);
+});
+
+test('JavaScript-style objects are repaired and every change is listed', () => {
+  const result = JSONRepair.repair("{'a': 1, b: 2,}", { indent: '' });
+  assert.equal(result.output, '{"a":1,"b":2}');
+  assert.deepEqual(changes(result), [
+    ['SINGLE_QUOTES', 1, 2],
+    ['QUOTED_KEY', 1, 10],
+    ['REMOVED_TRAILING_COMMA', 1, 14]
+  ]);
+});
+
+test('comments, missing commas and unclosed containers are repaired', () => {
+  assert.deepEqual(changes(JSONRepair.repair('// c\n{"a": [1 2] /* x */}', { indent: '' })), [
+    ['REMOVED_COMMENT', 1, 1],
+    ['INSERTED_COMMA', 2, 10],
+    ['REMOVED_COMMENT', 2, 13]
+  ]);
+  const unclosed = JSONRepair.repair('{"a": [1', { indent: '' });
+  assert.equal(unclosed.output, '{"a":[1]}');
+});
+
+test('Python literals, raw line breaks and loose numbers become JSON', () => {
+  const result = JSONRepair.repair('{"a": "line\nbreak", "t": True, "n": None, "x": .5}', { indent: '' });
+  assert.equal(result.output, '{"a":"line\\nbreak","t":true,"n":null,"x":0.5}');
+  assert.deepEqual(result.changes.map(change => change.code), ['ESCAPED_CONTROL', 'REPLACED_LITERAL', 'REPLACED_LITERAL', 'FIXED_NUMBER']);
+});
+
+test('code fences and JSONP wrappers are removed', () => {
+  assert.equal(JSONRepair.repair('```json\n{"a":1}\n```', { indent: '' }).output, '{"a":1}');
+  const jsonp = JSONRepair.repair('callback({"a":1});', { indent: '' });
+  assert.equal(jsonp.output, '{"a":1}');
+  assert.deepEqual(jsonp.changes.map(change => change.code), ['REMOVED_PREFIX', 'REMOVED_SUFFIX']);
+});
+
+test('repaired output is valid JSON and indented as asked', () => {
+  for (const input of ["{a: 'x', b: [1 2 3], c: undefined", '[1,,2]', '{"a": "unterminated']) {
+    const result = JSONRepair.repair(input);
+    assert.equal(result.isValid, true, input);
+    assert.doesNotThrow(() => JSON.parse(result.output), input);
+  }
+  assert.equal(JSONRepair.repair('{a: 1}').output, '{\n  "a": 1\n}');
+});
@@ -0,0 +1,17 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSONSchema } from './load.mjs';
+
+test('an instance that does not parse is not valid', () => {
+  const result = JSONSchema.validateText('{"a":', '{"type":"object"}', { dialect: 'json' });
+  assert.equal(result.valid, false);
+  assert.equal(result.instanceError.code, 'UNEXPECTED_END');
+  assert.deepEqual([result.instanceError.line, result.instanceError.column], [1, 6]);
+});
+
+test('a valid instance is checked against the schema', () => {
+  assert.equal(JSONSchema.validateText('{"a":1}', '{"type":"object"}', { dialect: 'json' }).valid, true);
+  const result = JSONSchema.validateText('[1]', '{"type":"object"}', { dialect: 'json' });
+  assert.equal(result.valid, false);
+  assert.equal(result.errors[0].code, 'SCHEMA_VIOLATION');
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSONSchema, JSONSchemaAssist } from './load.mjs';
+
+const compiled = JSONSchema.compile({
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: { type: 'string', title: 'Name', description: 'Who' },
+    mode: { enum: ['fast', 'slow'], deprecated: true },
+    on: { type: 'boolean' },
+    nested: { type: 'object', properties: { depth: { type: 'integer', description: 'How deep' } } }
+  }
+});
+
+const labels = (found) => found.options.map(option => option.label);
+
+test('completes the keys an object still lacks, quoted to fit the text', () => {
+  const found = JSONSchemaAssist.completionsAt('{"name": "x", "', 15, compiled);
+  assert.equal(found.kind, 'key');
+  assert.deepEqual([found.from, found.to], [15, 15]);
+  assert.deepEqual(labels(found), ['mode', 'on', 'nested']);
+  assert.equal(found.options[0].apply, 'mode": ');
+
+  const bare = JSONSchemaAssist.completionsAt('{name: 1, ', 10, compiled);
+  assert.equal(bare.options[0].apply, '"mode": ');
+  assert.deepEqual(labels(JSONSchemaAssist.completionsAt('{"nested": {"', 13, compiled)), ['depth']);
+});
+
+test('completes enum values and literals, replacing the word being typed', () => {
+  const values = JSONSchemaAssist.completionsAt('{"mode": ', 9, compiled);
+  assert.equal(values.kind, 'value');
+  assert.deepEqual(labels(values), ['"fast"', '"slow"']);
+
+  const inString = JSONSchemaAssist.completionsAt('{"mode": "f"}', 11, compiled);
+  assert.deepEqual([inString.from, inString.to], [10, 11]);
+  assert.equal(inString.options[0].apply, 'fast');
+
+  assert.ok(labels(JSONSchemaAssist.completionsAt('{"on": t', 8, compiled)).includes('true'));
+});
+
+test('offers nothing where the schema has nothing to say', () => {
+  assert.equal(JSONSchemaAssist.completionsAt('{"unknown": ', 12, compiled), null);
+  assert.equal(JSONSchemaAssist.completionsAt('{"name" ', 8, compiled), null);
+});
+
+test('hover describes the key under the cursor', () => {
+  assert.deepEqual(JSONSchemaAssist.hoverAt('{"mode": "fast"}', 3, compiled, {}), {
+    from: 1, to: 7, pointer: '/mode', title: '', description: '', type: 'enum', values: ['fast', 'slow'], deprecated: true
+  });
+  const nested = JSONSchemaAssist.hoverAt('{"nested": {"depth": 2}}', 21, compiled, {});
+  assert.equal(nested.pointer, '/nested/depth');
+  assert.equal(nested.description, 'How deep');
+  assert.equal(JSONSchemaAssist.hoverAt('{"other": 1}', 3, compiled, {}), null);
+});
+
+test('hover reads the dialect it is given', () => {
+  const hover = JSONSchemaAssist.hoverAt('{name: "x"}', 2, compiled, { dialect: 'json5' });
+  assert.deepEqual([hover.from, hover.to, hover.title], [1, 5, 'Name']);
+});
+
+test('hover reuses a tree it is given instead of parsing again', () => {
+  const other = JSONSchemaAssist.hoverAt('{"on": true}', 3, compiled, { ast: null });
+  assert.equal(other, null);
+  const { JSONParser } = globalThis;
+  const { ast } = JSONParser.parse('{"name": "x"}');
+  assert.equal(JSONSchemaAssist.hoverAt('{"name": "x"}', 3, compiled, { ast }).pointer, '/name');
+});
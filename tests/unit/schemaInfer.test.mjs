@@ -0,0 +1,18 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSONSchemaInfer } from './load.mjs';
+
+test('an inferred schema keeps a "__proto__" property', () => {
+  const schema = JSONSchemaInfer.infer([JSON.parse('{"__proto__":1}'), JSON.parse('{"__proto__":2}')]);
+  assert.ok(Object.hasOwn(schema.properties, '__proto__'));
+  assert.deepEqual(schema.properties.__proto__, { type: 'integer' });
+  assert.deepEqual(schema.required, ['__proto__']);
+});
+
+test('a document too deep to infer a schema for fails with DEPTH_LIMIT', () => {
+  const text = '[{"a":'.repeat(50000) + '1' + '}]'.repeat(50000);
+  const result = JSONSchemaInfer.inferText(text, { limits: { maxDepth: 200000 } });
+  assert.equal(result.isValid, false);
+  assert.equal(result.errorInfo.code, 'DEPTH_LIMIT');
+  assert.equal(result.error, 'Nesting depth of 100000 is too deep to process');
+});
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSONSchemaRegistry } from './load.mjs';
+
+test('a document\'s $schema is found wherever it is among the top-level members', () => {
+  assert.equal(JSONSchemaRegistry.documentSchemaURI('{"name": "x", "$schema": "https://example.com/s.json"}'), 'https://example.com/s.json');
+  assert.equal(JSONSchemaRegistry.documentSchemaURI('// config\n{$schema: "https://example.com/s.json"}', { dialect: 'json5' }), 'https://example.com/s.json');
+  assert.equal(JSONSchemaRegistry.documentSchemaURI('{"a": {"$schema": "https://example.com/s.json"}}'), null);
+  assert.equal(JSONSchemaRegistry.documentSchemaURI('{"$schema": "https://json-schema.org/draft/2020-12/schema"}'), null);
+});
+
+test('globs match the file name only', () => {
+  assert.equal(JSONSchemaRegistry.matchGlob('*.tsconfig.json', 'app.tsconfig.json'), true);
+  assert.equal(JSONSchemaRegistry.matchGlob('*.tsconfig.json', 'src/app.tsconfig.json'), true);
+  assert.equal(JSONSchemaRegistry.matchGlob('openapi-{v1,v2}.json', 'OPENAPI-v2.json'), true);
+  assert.equal(JSONSchemaRegistry.matchGlob('tsconfig.?.json', 'tsconfig.ab.json'), false);
+});
+
+test('a glob with a folder is refused, since it could never match', async () => {
+  await assert.rejects(
+    JSONSchemaRegistry.save({ name: 'Deploy', schema: '{}', fileMatch: ['*.json', 'deploy/*.json'] }),
+    /deploy\/\*\.json names a folder/
+  );
+});
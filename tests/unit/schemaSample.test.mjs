@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSONSchema, JSONSchemaSample } from './load.mjs';
+
+const SCHEMA = {
+  type: 'object',
+  required: ['id', 'email', 'tags', 'status'],
+  properties: {
+    id: { type: 'integer', minimum: 1, maximum: 100 },
+    email: { type: 'string', format: 'email' },
+    tags: { type: 'array', items: { type: 'string', pattern: '^[a-z]{3}$' }, minItems: 1, maxItems: 3, uniqueItems: true },
+    status: { enum: ['active', 'disabled'] },
+    created: { type: 'string', format: 'date-time' },
+    owner: { $ref: '#/$defs/person' }
+  },
+  additionalProperties: false,
+  $defs: { person: { type: 'object', required: ['name'], properties: { name: { type: 'string', minLength: 2 } } } }
+};
+
+test('generated documents are valid against the schema, formats included', () => {
+  const { documents } = JSONSchemaSample.generate(SCHEMA, { count: 50, seed: 7 });
+  assert.equal(documents.length, 50);
+  const compiled = JSONSchema.compile(SCHEMA);
+  for (const document of documents) assert.deepEqual(compiled.validate(document).errors, []);
+});
+
+test('the same seed gives the same documents and another seed different ones', () => {
+  const text = JSON.stringify(SCHEMA);
+  const first = JSONSchemaSample.generateText(text, { count: 3, seed: 42, indentation: 2 });
+  assert.equal(first.isValid, true);
+  assert.equal(first.seed, 42);
+  assert.equal(JSONSchemaSample.generateText(text, { count: 3, seed: 42, indentation: 2 }).output, first.output);
+  assert.notEqual(JSONSchemaSample.generateText(text, { count: 3, seed: 43, indentation: 2 }).output, first.output);
+  // A random seed is returned so the run can be repeated
+  const random = JSONSchemaSample.generateText(text, { indentation: 2 });
+  assert.equal(JSONSchemaSample.generateText(text, { seed: random.seed, indentation: 2 }).output, random.output);
+});
+
+test('generateText prints one document, an array of them, or NDJSON', () => {
+  const text = JSON.stringify(SCHEMA);
+  assert.equal(Array.isArray(JSON.parse(JSONSchemaSample.generateText(text, { seed: 1 }).output)), false);
+  assert.equal(JSON.parse(JSONSchemaSample.generateText(text, { count: 2, seed: 1 }).output).length, 2);
+  const lines = JSONSchemaSample.generateText(text, { count: 3, seed: 1, dialect: 'ndjson' }).output.split('\n');
+  assert.equal(lines.length, 4);
+  assert.equal(lines[3], '');
+  lines.slice(0, 3).forEach(line => JSON.parse(line));
+});
+
+test('a schema that is not JSON or allows nothing is reported', () => {
+  assert.equal(JSONSchemaSample.generateText('{', { seed: 1 }).errorInfo.code, 'SCHEMA_INVALID');
+  assert.equal(JSONSchemaSample.generateText('5', { seed: 1 }).errorInfo.code, 'SCHEMA_INVALID');
+  assert.equal(JSONSchemaSample.generateText('false', { seed: 1 }).errorInfo.code, 'SCHEMA_UNSATISFIABLE');
+  const contradiction = JSONSchemaSample.generateText('{"type":"string","minLength":5,"maxLength":2}', { seed: 1 });
+  assert.equal(contradiction.errorInfo.code, 'SCHEMA_UNSATISFIABLE');
+  assert.match(contradiction.error, /rule \/minLength/);
+});
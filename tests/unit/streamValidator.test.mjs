@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSONStreamValidator, JSONParser } from './load.mjs';
+
+function check(text, options) {
+  const parser = JSONStreamValidator.createStreamParser(options);
+  // Split mid-token to exercise the incremental path
+  parser.write(text.slice(0, 7));
+  parser.write(text.slice(7));
+  return parser.end();
+}
+
+test('duplicate keys in the preview give the parser\'s DUPLICATE_KEY warning', () => {
+  const text = '{"a": 1,\n "b": {"c": 2, "c": 3}, "a": 4}';
+  const result = check(text);
+  assert.equal(result.isValid, true);
+  assert.deepEqual(result.warnings, JSONParser.parse(text).warnings.map(w => ({ ...w, length: 1 })));
+});
+
+test('duplicate keys past the preview are not tracked', () => {
+  const result = check('[1, 2, {"a": 1, "a": 2}]', { previewNodes: 2 });
+  assert.equal(result.isValid, true);
+  assert.deepEqual(result.warnings, []);
+});
+
+test('the preview keeps a "__proto__" member', () => {
+  const result = check('{"__proto__": {"x": 1}}');
+  assert.ok(Object.hasOwn(result.preview, '__proto__'));
+  assert.equal(Object.getPrototypeOf(result.preview), Object.prototype);
+});
+
+test('a streamed file with invalid UTF-8 is flagged, a real U+FFFD is not', async () => {
+  const broken = await JSONStreamValidator.validateBlob(new Blob([new Uint8Array([0x5B, 0x22, 0xC3, 0x28, 0x22, 0x5D])]));
+  assert.equal(broken.isValid, true);
+  assert.deepEqual(broken.encoding, { encoding: 'utf-8', bom: false, malformed: true });
+
+  const replacement = await JSONStreamValidator.validateBlob(new Blob(['["\uFFFD"]']));
+  assert.equal(replacement.encoding.malformed, false);
+});
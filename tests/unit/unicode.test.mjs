@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSONUnicode } from './load.mjs';
+
+const issues = (text) => JSONUnicode.scan(text).issues.map(issue => [issue.code, issue.offset, issue.codepoint, issue.inString]);
+
+test('scan flags BOMs, invisible characters and Unicode spaces with their code points', () => {
+  assert.deepEqual(issues('\uFEFF{"a": 1}'), [['BYTE_ORDER_MARK', 0, 'U+FEFF', false]]);
+  assert.deepEqual(issues('{"a":\u00A01}'), [['UNICODE_SPACE', 5, 'U+00A0', false]]);
+  assert.deepEqual(issues('{"a": "x\u200By"}'), [['INVISIBLE_CHARACTER', 8, 'U+200B', true]]);
+});
+
+test('scan flags look-alike quotes and punctuation with the ASCII they stand for', () => {
+  const quotes = JSONUnicode.scan('{\u201Ca\u201D: 1}').issues;
+  assert.deepEqual(quotes.map(issue => [issue.code, issue.column, issue.replacement]), [
+    ['CONFUSABLE_QUOTE', 2, '"'],
+    ['CONFUSABLE_QUOTE', 4, '"']
+  ]);
+  assert.deepEqual(issues('{"a"\uFF1A 1}'), [['CONFUSABLE_PUNCTUATION', 4, 'U+FF1A', false]]);
+});
+
+test('scan flags lone surrogates, raw and escaped, and replacement characters', () => {
+  assert.deepEqual(issues('{"a": "\uD800"}'), [['LONE_SURROGATE', 7, 'U+D800', true]]);
+  const escaped = JSONUnicode.scan('{"a": "\\uD800"}').issues[0];
+  assert.equal(escaped.code, 'LONE_SURROGATE');
+  assert.equal(escaped.length, 6);
+  assert.deepEqual(issues('["\uFFFD"]'), [['REPLACEMENT_CHARACTER', 2, 'U+FFFD', true]]);
+});
+
+test('plain ASCII JSON has no issues', () => {
+  assert.deepEqual(JSONUnicode.scan('{"a": [1, "b"]}'), { issues: [], total: 0 });
+});
+
+test('normalize replaces look-alikes and removes invisible characters', () => {
+  assert.deepEqual(JSONUnicode.normalize('\uFEFF{\u201Ca\u201D:\u00A01, "b": "x\u200By"}'), {
+    text: '{"a": 1, "b": "xy"}',
+    changes: 5,
+    remaining: 0
+  });
+});
+
+test('detectEncoding reads BOMs and the zero bytes of UTF-16 and UTF-32', () => {
+  const detect = (...bytes) => JSONUnicode.detectEncoding(new Uint8Array(bytes));
+  assert.deepEqual(detect(0xEF, 0xBB, 0xBF, 0x7B), { encoding: 'utf-8', bom: 3 });
+  assert.deepEqual(detect(0xFF, 0xFE, 0x7B, 0x00), { encoding: 'utf-16le', bom: 2 });
+  assert.deepEqual(detect(0x7B, 0x00, 0x22, 0x00), { encoding: 'utf-16le', bom: 0 });
+  assert.deepEqual(detect(0x00, 0x7B, 0x00, 0x22), { encoding: 'utf-16be', bom: 0 });
+  assert.deepEqual(detect(0x7B, 0x00, 0x00, 0x00), { encoding: 'utf-32le', bom: 0 });
+  assert.deepEqual(detect(0x7B, 0x22), { encoding: 'utf-8', bom: 0 });
+});
+
+test('decode notes invalid UTF-8 that was replaced', () => {
+  const decoded = JSONUnicode.decode(new Uint8Array([0x5B, 0x22, 0xC3, 0x28, 0x22, 0x5D]));
+  assert.equal(decoded.text, '["\uFFFD("]');
+  assert.equal(decoded.malformed, true);
+  assert.deepEqual(JSONUnicode.decode(new Uint8Array([0xFF, 0xFE, 0x5B, 0x00, 0x5D, 0x00])), {
+    text: '[]',
+    encoding: 'utf-16le',
+    bom: true,
+    malformed: false
+  });
+});
+
+test('the stream decoder notes invalid bytes, also when a sequence is cut between chunks', () => {
+  const split = JSONUnicode.createStreamDecoder('utf-8');
+  const text = split.decode(new Uint8Array([0x22, 0xC3]), { stream: true }) + split.decode(new Uint8Array([0xA9, 0x22]));
+  assert.equal(text, '"é"');
+  assert.equal(split.malformed, false);
+
+  const truncated = JSONUnicode.createStreamDecoder('utf-8');
+  assert.equal(truncated.decode(new Uint8Array([0x22, 0xE2, 0x82]), { stream: true }) + truncated.decode(), '"\uFFFD');
+  assert.equal(truncated.malformed, true);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSONValidator, JSONJobs } from './load.mjs';
+
+test('text before a syntax error is formatted, trimming whitespace before closing brackets', () => {
+  const result = JSONValidator.formatUntilError('{"a": [1,  2 ], "b": {"c" :  }', { indentation: 2 });
+  assert.equal(result.isValid, false);
+  assert.equal(result.formattedPrefix, '{\n  "a": [\n    1,\n    2\n  ],\n  "b": {\n    "c" : ');
+});
+
+test('deeply nested text before an error is formatted in one pass', () => {
+  let text = '0';
+  for (let i = 0; i < 1000; i++) text = `[${text}]`;
+  const result = JSONValidator.validateIncremental(text.slice(0, -1), { indentation: 2 });
+  assert.equal(result.isValid, false);
+  const lines = result.formattedPrefix.split('\n');
+  assert.equal(lines.length, 2000);
+  assert.equal(lines[1001], ' '.repeat(1998) + ']');
+});
+
+test('JSON5 Infinity and NaN are reported when formatting writes them as null', () => {
+  const result = JSONValidator.formatUntilError('{a: Infinity, b: [-Infinity, NaN], c: 1}', { dialect: 'json5', indentation: 0 });
+  assert.equal(result.isValid, true);
+  assert.equal(result.formattedFull, '{"a":null,"b":[null,null],"c":1}');
+  assert.deepEqual(result.warnings.map(w => [w.code, w.pointer]), [
+    ['NON_FINITE_NUMBER', '/a'],
+    ['NON_FINITE_NUMBER', '/b/0'],
+    ['NON_FINITE_NUMBER', '/b/1']
+  ]);
+  assert.match(result.warnings[1].message, /^-Infinity at \/b\/0 has no strict JSON form/);
+});
+
+test('minifying JSON5 reports Infinity and NaN', () => {
+  const { result } = JSONJobs.run('minify', '[NaN, 1]', { dialect: 'json5' });
+  assert.equal(result.output, '[null,1]');
+  assert.deepEqual(result.warnings.map(w => w.code), ['NON_FINITE_NUMBER']);
+});
+
+test('a duplicate key is a warning with the pointer and the first occurrence', () => {
+  const result = JSONValidator.validateIncremental('{"a":1,"b":{"a":2,"a":3}}', { showWarnings: true, indentation: 2 });
+  assert.equal(result.isValid, true);
+  assert.equal(result.warnings.length, 1);
+  const [warning] = result.warnings;
+  assert.equal(warning.code, 'DUPLICATE_KEY');
+  assert.equal(warning.pointer, '/b/a');
+  assert.equal(warning.offset, 18);
+  assert.deepEqual(warning.firstOccurrence, { offset: 12, line: 1, column: 13 });
+  assert.equal(warning.message, 'Duplicate key "a" at /b/a; first defined at line 1, column 13');
+});
+
+test('duplicate keys are not reported when warnings are off', () => {
+  const result = JSONValidator.validateIncremental('{"a":1,"a":2}', { showWarnings: false, indentation: 2 });
+  assert.equal(result.isValid, true);
+  assert.deepEqual(result.warnings, []);
+});
+
+test('strict duplicate keys make a duplicate an error', () => {
+  const result = JSONValidator.validateIncremental('{"a":1,"a":2}', { strictDuplicateKeys: true, indentation: 2 });
+  assert.equal(result.isValid, false);
+  assert.equal(result.errorInfo.code, 'DUPLICATE_KEY');
+  assert.equal(result.errorInfo.line, 1);
+  assert.equal(result.errorInfo.column, 8);
+});
@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSONYAML } from './load.mjs';
+
+function tabError(text) {
+  const result = JSONYAML.toJSONText(text, {});
+  assert.equal(result.isValid, false, JSON.stringify(text));
+  assert.equal(result.errorInfo.code, 'YAML_INDENTATION');
+  return result.errorInfo;
+}
+
+test('tabs cannot indent YAML', () => {
+  assert.deepEqual(pick(tabError('\ta: 1\n')), { line: 1, column: 1 });
+  assert.deepEqual(pick(tabError('a:\n\tb: 1\n')), { line: 2, column: 1 });
+  assert.deepEqual(pick(tabError('a:\n \tb: 1\n')), { line: 2, column: 2 });
+  assert.deepEqual(pick(tabError('a: b\n\tc\n')), { line: 2, column: 1 });
+  assert.deepEqual(pick(tabError('- a\n\t- b\n')), { line: 2, column: 1 });
+  assert.deepEqual(pick(tabError('-\tb: 1\n')), { line: 1, column: 2 });
+  assert.deepEqual(pick(tabError('- \t- a\n')), { line: 1, column: 3 });
+});
+
+test('tabs may separate values within a line', () => {
+  const convert = (text) => JSONYAML.toJSONText(text, { indentation: 0 }).output;
+  assert.equal(convert('a:\t1\n'), '{"a":1}');
+  assert.equal(convert('a:\n  -\tb\n'), '{"a":["b"]}');
+  assert.equal(convert('a: b\n \tc\n'), '{"a":"b c"}');
+  assert.equal(convert('a: |\n  \tx\n'), '{"a":"\\tx\\n"}');
+});
+
+function pick({ line, column }) {
+  return { line, column };
+}